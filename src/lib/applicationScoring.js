@@ -0,0 +1,635 @@
+/**
+ * Application scoring pipelines
+ * Runs the LLM scoring for a single application and for batch-uploaded resumes.
+ * Both are executed by the background task queue (see taskHandlers.js) rather than inside the request.
+ */
+
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import User from '../models/User.js';
+import BatchResumeValidation from '../models/BatchResumeValidation.js';
+import { callLLMJson } from './llm.js';
+import { extractTagsFromResume } from './embeddings.js';
+import { readFileAsText } from './storage.js';
+import { fetchGitHubData, formatGitHubDataForLLM } from './github.js';
+import { calculateUnifiedScore, getScoringWeights, getPhoneInterviewWeight } from './scoring.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { autoCreateScreening } from './screeningAutomation.js';
+
+/**
+ * Process application scoring (resume, GitHub/Portfolio, compensation, AI tools)
+ * Runs as an APPLICATION_SCORING background task after the application is created.
+ * Throws if the application cannot be scored so the task queue can retry it.
+ */
+export async function processApplicationScoring(applicationId, jobId, userId, resumePathOrUrl, githubUrl, portfolioUrl, linkedinUrl) {
+  console.log(`[Application] Starting async scoring for application ${applicationId}`);
+  
+  // Fetch job, user, and application from database
+  const job = await Job.findById(jobId);
+  const user = await User.findById(userId);
+  const application = await Application.findById(applicationId);
+  
+  if (!job || !user || !application) {
+    throw new Error('Job, user, or application not found');
+  }
+
+  // Attributes every LLM call below to this application for usage reporting
+  const llmContext = { applicationId, jobId, userId };
+  const companyProfile = await resolveCompanyProfile(job);
+  
+  // Extract resume text (this is now async)
+  const resumeText = await readFileAsText(resumePathOrUrl);
+  
+  // Log extracted resume text for debugging
+  if (resumeText) {
+    console.log(`[Application] Extracted ${resumeText.length} characters from resume`);
+    console.log(`[Application] Resume text preview (first 500 chars): ${resumeText.substring(0, 500)}...`);
+  } else {
+    console.warn('[Application] Warning: No text extracted from resume file');
+  }
+  
+  // Update application and user with resume text
+  application.resumeText = resumeText;
+  await application.save();
+  
+  user.resumeText = resumeText;
+  await user.save();
+  
+  // Parallel execution: Run all resume-related LLM calls and GitHub data fetch simultaneously
+  const resumeProcessingPromises = [];
+  let resumeTags = [];
+  let resumeSummary = '';
+  let parsedResumeData = null;
+  let resumeScore = 0;
+  let skillsMatched = [];
+  let skillsMissing = [];
+  let topReasons = [];
+  let recommendedAction = null;
+  let resumeLLMResponse = ''; // Store raw LLM response for rawResumeLLM field
+  let resumeScoringError = null; // Scoring fails rather than counting a failed score as 0 - tags and summaries are best-effort
+  const promptVersions = {}; // Prompt version that produced each score
+  
+  if (resumeText && resumeText.trim().length > 0) {
+    // Extract tags from resume (LLM call)
+    resumeProcessingPromises.push(
+      extractTagsFromResume(resumeText, { context: llmContext })
+        .then(tags => {
+          resumeTags = tags;
+          console.log(`[Application] Extracted ${tags.length} tags from resume using LLM`);
+        })
+        .catch(error => {
+          console.error('[Application] Error extracting tags from resume:', error);
+        })
+    );
+    
+    // Generate resume summary (LLM call)
+    resumeProcessingPromises.push(
+      callLLMJson('RESUME_SUMMARY', { resumeText }, { context: llmContext, companyProfile })
+        .then(summaryResult => {
+          resumeSummary = summaryResult.summary;
+          console.log('[Application] Generated resume summary:', resumeSummary.substring(0, 200));
+        })
+        .catch(error => {
+          console.error('[Application] Error generating resume summary:', error);
+        })
+    );
+    
+    // Parse resume with LLM (LLM call)
+    resumeProcessingPromises.push(
+      callLLMJson('RESUME_PARSER', { resumeText }, { context: llmContext, companyProfile })
+        .then(parsedResume => {
+          parsedResumeData = parsedResume;
+          console.log('[Application] Resume parsed successfully with LLM');
+        })
+        .catch(error => {
+          console.error('[Application] Error parsing resume with LLM:', error);
+        })
+    );
+    
+    // Score resume (LLM call)
+    resumeProcessingPromises.push(
+      callLLMJson('RESUME_SCORING', { resumeText, job }, { context: llmContext, promptVersions, companyProfile })
+        .then(resumeResult => {
+          resumeLLMResponse = JSON.stringify(resumeResult); // Store validated response
+          resumeScore = resumeResult.match_score;
+          skillsMatched = resumeResult.skills_matched;
+          skillsMissing = resumeResult.skills_missing;
+          topReasons = resumeResult.top_reasons;
+          recommendedAction = resumeResult.recommended_action;
+          console.log('[Application] Resume scored:', resumeScore);
+        })
+        .catch(error => {
+          console.error('[Application] Error scoring resume:', error);
+          resumeScoringError = error;
+        })
+    );
+  } else {
+    console.warn('[Application] Skipping resume processing: no valid resume text extracted');
+  }
+  
+  // Wait for all resume processing to complete
+  await Promise.all(resumeProcessingPromises);
+
+  // Fail the attempt (and let the task queue retry) rather than storing a zero resume score
+  if (resumeScoringError) {
+    throw resumeScoringError;
+  }
+  
+  // Extract contact information from parsed resume if not provided
+  let extractedName = null;
+  let extractedEmail = null;
+  let extractedPhone = null;
+  let extractedLinkedIn = null;
+  let finalGithubUrl = githubUrl || user.githubUrl;
+  let finalPortfolioUrl = portfolioUrl || user.portfolioUrl;
+  let githubDataFormatted = '';
+  
+  if (parsedResumeData) {
+    // Extract name from parsed resume
+    if (parsedResumeData.name) {
+      extractedName = parsedResumeData.name.trim();
+      console.log(`[Application] Extracted name from parsed resume: ${extractedName}`);
+    }
+    
+    // Extract contact information from parsed resume
+    if (parsedResumeData.contact) {
+      if (parsedResumeData.contact.email) {
+        extractedEmail = parsedResumeData.contact.email.trim().toLowerCase();
+        console.log(`[Application] Extracted email from parsed resume: ${extractedEmail}`);
+      }
+      if (parsedResumeData.contact.phone) {
+        extractedPhone = parsedResumeData.contact.phone.trim();
+        console.log(`[Application] Extracted phone from parsed resume: ${extractedPhone}`);
+      }
+      if (parsedResumeData.contact.linkedin) {
+        extractedLinkedIn = parsedResumeData.contact.linkedin.trim();
+        console.log(`[Application] Extracted LinkedIn URL from parsed resume: ${extractedLinkedIn}`);
+      }
+      if (!finalGithubUrl && parsedResumeData.contact.github) {
+        finalGithubUrl = parsedResumeData.contact.github.trim();
+        console.log(`[Application] Extracted GitHub URL from parsed resume: ${finalGithubUrl}`);
+      }
+      if (!finalPortfolioUrl && parsedResumeData.contact.portfolio) {
+        finalPortfolioUrl = parsedResumeData.contact.portfolio.trim();
+        console.log(`[Application] Extracted portfolio URL from parsed resume: ${finalPortfolioUrl}`);
+      }
+    }
+  }
+  
+  // Update user with extracted data (only if not already provided)
+  if (resumeTags.length > 0) user.tags = resumeTags;
+  if (parsedResumeData) {
+    user.parsedResume = parsedResumeData;
+    
+    // Update name if extracted and not already set or if current name is generic
+    if (extractedName && (!user.name || user.name === 'Unknown' || user.name.trim() === '')) {
+      user.name = extractedName;
+      console.log(`[Application] Updated user name from resume: ${extractedName}`);
+    }
+    
+    // Update email if extracted and matches the application email (for validation)
+    // Note: We don't change email if it's different to avoid breaking user identity
+    if (extractedEmail && extractedEmail === user.email.toLowerCase()) {
+      // Email matches, no update needed
+    } else if (extractedEmail && !user.email) {
+      // Only update if user email is missing
+      user.email = extractedEmail;
+      console.log(`[Application] Updated user email from resume: ${extractedEmail}`);
+    }
+    
+    // Update phone if extracted and not already provided
+    if (extractedPhone && (!user.phone || user.phone.trim() === '')) {
+      user.phone = extractedPhone;
+      console.log(`[Application] Updated user phone from resume: ${extractedPhone}`);
+    }
+    
+    // Update LinkedIn if extracted and not already provided
+    if (extractedLinkedIn && (!user.linkedinUrl || user.linkedinUrl.trim() === '')) {
+      user.linkedinUrl = extractedLinkedIn;
+      console.log(`[Application] Updated user LinkedIn URL from resume: ${extractedLinkedIn}`);
+    }
+    
+    // Extract and store experience-related fields from parsed resume
+    if (parsedResumeData.currentTenure) user.currentTenure = parsedResumeData.currentTenure;
+    if (parsedResumeData.totalExperience) user.totalExperience = parsedResumeData.totalExperience;
+    if (parsedResumeData.isRecentSwitcher !== undefined) user.isRecentSwitcher = parsedResumeData.isRecentSwitcher;
+    if (parsedResumeData.currentCompany) user.currentCompany = parsedResumeData.currentCompany;
+    if (parsedResumeData.lastJobSwitchDate) user.lastJobSwitchDate = parsedResumeData.lastJobSwitchDate;
+  }
+  if (resumeSummary) user.resumeSummary = resumeSummary;
+  if (finalGithubUrl) user.githubUrl = finalGithubUrl;
+  if (finalPortfolioUrl) user.portfolioUrl = finalPortfolioUrl;
+  await user.save();
+  
+  // Fetch GitHub data if we have a GitHub URL
+  if (finalGithubUrl) {
+    try {
+      console.log(`[Application] Fetching GitHub data for: ${finalGithubUrl}`);
+      const githubData = await fetchGitHubData(finalGithubUrl);
+      githubDataFormatted = formatGitHubDataForLLM(githubData);
+      console.log(`[Application] Fetched GitHub data: ${githubData.error ? 'Error' : `${githubData.repositories?.length || 0} repositories`}`);
+    } catch (error) {
+      console.error('[Application] Error fetching GitHub data:', error);
+    }
+  }
+
+  // Parallel execution: Run GitHub/Portfolio scoring, LinkedIn summary, and compensation analysis simultaneously
+  const scoringPromises = [];
+  let githubPortfolioScore = 0;
+  let githubPortfolioSummary = '';
+  let linkedinSummary = '';
+  let compensationScore = 0;
+  let compensationAnalysis = '';
+  let aiToolsCompatibilityScore = 0;
+  let aiToolsCompatibilityAnalysis = '';
+  let componentScoringError = null;
+  
+  // Score GitHub/Portfolio (if GitHub data was fetched or portfolio URL exists)
+  if (githubDataFormatted || finalPortfolioUrl) {
+    scoringPromises.push(
+      callLLMJson('GITHUB_PORTFOLIO_SCORING', {
+        githubData: githubDataFormatted,
+        portfolioUrl: finalPortfolioUrl,
+        job,
+      }, { context: llmContext, promptVersions, companyProfile })
+        .then(githubResult => {
+          githubPortfolioScore = githubResult.score;
+          githubPortfolioSummary = githubResult.summary;
+          console.log('[Application] Generated GitHub/Portfolio summary:', githubPortfolioSummary.substring(0, 200));
+        })
+        .catch(error => {
+          console.error('[Application] Error processing GitHub/Portfolio:', error);
+          componentScoringError = componentScoringError || error;
+        })
+    );
+  }
+  
+  // Generate LinkedIn summary (if LinkedIn URL exists)
+  if (user.linkedinUrl) {
+    scoringPromises.push(
+      callLLMJson('LINKEDIN_SUMMARY', {
+        linkedinUrl: user.linkedinUrl,
+      }, { context: llmContext, companyProfile })
+        .then(linkedinResult => {
+          linkedinSummary = linkedinResult.summary;
+          console.log('[Application] Generated LinkedIn summary');
+        })
+        .catch(error => {
+          console.error('[Application] Error generating LinkedIn summary:', error);
+        })
+    );
+  }
+
+  // Score compensation (if compensation expectation and budget info exist)
+  if (user.compensationExpectation && job.budget_info) {
+    scoringPromises.push(
+      callLLMJson('COMPENSATION_ANALYSIS', {
+        compensationExpectation: user.compensationExpectation,
+        budget_info: job.budget_info,
+      }, { context: llmContext, promptVersions, companyProfile })
+        .then(compResult => {
+          compensationScore = compResult.score;
+          compensationAnalysis = compResult.analysis;
+        })
+        .catch(error => {
+          console.error('[Application] Error analyzing compensation:', error);
+          componentScoringError = componentScoringError || error;
+        })
+    );
+  }
+
+  // Score AI Tools Compatibility (analyze resume, GitHub, and portfolio for AI/ML tools usage)
+  if (resumeText || githubDataFormatted || finalPortfolioUrl) {
+    scoringPromises.push(
+      callLLMJson('AI_TOOLS_COMPATIBILITY', {
+        resumeText: resumeText || '',
+        githubData: githubDataFormatted || '',
+        portfolioUrl: finalPortfolioUrl || '',
+        parsedResume: user.parsedResume || null,
+      }, { context: llmContext, promptVersions, companyProfile })
+        .then(aiResult => {
+          aiToolsCompatibilityScore = aiResult.score;
+          aiToolsCompatibilityAnalysis = aiResult.analysis;
+          console.log(`[Application] AI Tools Compatibility Score: ${aiToolsCompatibilityScore}`);
+        })
+        .catch(error => {
+          console.error('[Application] Error analyzing AI tools compatibility:', error);
+          componentScoringError = componentScoringError || error;
+        })
+    );
+  }
+  
+  // Wait for all scoring operations to complete in parallel
+  await Promise.all(scoringPromises);
+
+  // A component that was scored but failed would count as 0 in the unified score: fail the attempt (and let
+  // the task queue retry) instead, as for the resume score
+  if (componentScoringError) {
+    throw componentScoringError;
+  }
+
+  // Calculate unified score
+  const scores = {
+    resumeScore,
+    githubPortfolioScore,
+    compensationScore,
+    compensationAnalysis,
+    aiToolsCompatibilityScore,
+    aiToolsCompatibilityAnalysis,
+    // Rescoring keeps the phone interview score (see phoneInterviewScoring.js)
+    phoneInterviewScore: application.scores?.phoneInterviewScore,
+    phoneInterviewAnalysis: application.scores?.phoneInterviewAnalysis,
+  };
+  const unifiedScore = calculateUnifiedScore(scores, getScoringWeights(job), getPhoneInterviewWeight(job));
+
+  // Update application with all scoring data (application was already fetched at the start)
+  if (application) {
+    application.scores = scores;
+    application.unifiedScore = unifiedScore;
+    application.rawResumeLLM = resumeLLMResponse;
+    application.skillsMatched = skillsMatched;
+    application.skillsMissing = skillsMissing;
+    application.topReasons = topReasons;
+    application.recommendedAction = recommendedAction;
+    application.promptVersions = promptVersions;
+    await application.save();
+
+    // Screening for applications scoring at or above the job's autoCreateScreeningThreshold
+    // (a failure here shouldn't make the task queue redo the scoring)
+    try {
+      await autoCreateScreening(application, job);
+    } catch (error) {
+      console.error(`[Application] Error auto-creating screening for application ${applicationId}:`, error);
+    }
+
+    console.log(`[Application] Completed async scoring for application ${applicationId}`);
+  } else {
+    console.error(`[Application] Application ${applicationId} not found for scoring update`);
+  }
+}
+
+/**
+ * Update an application's scoring status
+ * @param {string} applicationId - Application ID
+ * @param {Object} fields - scoringStatus fields to set (status, error, attempts, startedAt, completedAt)
+ */
+export async function setScoringStatus(applicationId, fields) {
+  const set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    set[`scoringStatus.${key}`] = value;
+  }
+  await Application.updateOne({ _id: applicationId }, { $set: set });
+}
+
+/**
+ * Record the outcome of one resume in a batch and mark the batch completed once every resume is done.
+ * Only counts a resume once, so a task that is retried after its result was recorded does not double count.
+ */
+async function recordBatchResult(batchId, index, fields) {
+  const set = { 'results.$[result].processedAt': new Date() };
+  for (const [key, value] of Object.entries(fields)) {
+    set[`results.$[result].${key}`] = value;
+  }
+
+  await BatchResumeValidation.updateOne(
+    {
+      _id: batchId,
+      results: { $elemMatch: { resumeIndex: index, status: { $nin: ['completed', 'failed'] } } },
+    },
+    { $set: set, $inc: { processedResumes: 1 } },
+    { arrayFilters: [{ 'result.resumeIndex': index }] }
+  );
+
+  const completedBatch = await BatchResumeValidation.findOneAndUpdate(
+    {
+      _id: batchId,
+      status: { $ne: 'completed' },
+      $expr: { $gte: ['$processedResumes', '$totalResumes'] },
+    },
+    { $set: { status: 'completed', completedAt: new Date() } },
+    { new: true }
+  );
+  if (completedBatch) {
+    console.log(`[BatchValidation] Completed batch processing for batch ${batchId}`);
+  }
+}
+
+/**
+ * Validate a single resume of a batch (runs as a BATCH_RESUME_VALIDATION background task).
+ * The resume file is saved to storage by the upload route, so the task only needs the batch ID and index.
+ * Throws on failure so the task queue can retry; the final failure is recorded by markBatchResumeFailed.
+ */
+export async function processBatchResumeValidation(batchId, index) {
+  const batchValidation = await BatchResumeValidation.findById(batchId);
+  if (!batchValidation) {
+    throw new Error(`Batch ${batchId} not found`);
+  }
+
+  const result = batchValidation.results.find(r => r.resumeIndex === index);
+  if (!result) {
+    throw new Error(`Resume ${index} not found in batch ${batchId}`);
+  }
+
+  // Already recorded by a previous attempt
+  if (result.status === 'completed' || result.status === 'failed') {
+    console.log(`[BatchValidation] Resume ${index + 1} (${result.filename}) in batch ${batchId} already ${result.status}`);
+    return;
+  }
+
+  const job = await Job.findById(batchValidation.jobId);
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  console.log(`[BatchValidation] Processing resume ${index + 1}/${batchValidation.totalResumes} (${result.filename}) for batch ${batchId}`);
+
+  // Update batch and resume status to processing
+  await BatchResumeValidation.updateOne(
+    { _id: batchId },
+    { $set: { status: 'processing', 'results.$[result].status': 'processing' } },
+    { arrayFilters: [{ 'result.resumeIndex': index }] }
+  );
+
+  const resumePathOrUrl = result.resumePath;
+  if (!resumePathOrUrl) {
+    throw new Error('Resume file was not stored for this batch entry');
+  }
+
+  // The user and application don't exist yet, so batch LLM calls are attributed to the job only
+  const llmContext = { jobId: job._id };
+  const resumeText = await readFileAsText(resumePathOrUrl);
+  
+  // Determine if it's an S3 URL or local path
+  const isS3Url = resumePathOrUrl && resumePathOrUrl.startsWith('https://') && resumePathOrUrl.includes('.s3.');
+
+  if (!resumeText || resumeText.trim().length === 0) {
+    throw new Error('No text extracted from resume file');
+  }
+
+  // Score resume against job using LLM
+  const promptVersions = {};
+  const resumeResult = await callLLMJson('RESUME_SCORING', {
+    resumeText,
+    job,
+  }, { context: llmContext, promptVersions });
+
+  const matchScore = resumeResult.match_score;
+  const skillsMatched = resumeResult.skills_matched;
+  const skillsMissing = resumeResult.skills_missing;
+  const topReasons = resumeResult.top_reasons;
+  const recommendedAction = resumeResult.recommended_action;
+
+  // Extract tags and parse resume for user creation
+  let resumeTags = [];
+  let parsedResumeData = null;
+  
+  try {
+    resumeTags = await extractTagsFromResume(resumeText, { context: llmContext });
+  } catch (error) {
+    console.error('[BatchValidation] Error extracting tags:', error);
+  }
+
+  // Parse resume to extract structured data including experience fields
+  try {
+    parsedResumeData = await callLLMJson('RESUME_PARSER', { resumeText }, { context: llmContext });
+    console.log('[BatchValidation] Resume parsed successfully');
+  } catch (error) {
+    console.error('[BatchValidation] Error parsing resume:', error);
+  }
+
+  // Create or find user (use filename as placeholder email if no email can be extracted)
+  // For batch uploads, we'll create users with placeholder emails
+  // Extract contact information from parsed resume
+  const extractedEmail = parsedResumeData?.contact?.email?.trim().toLowerCase() || `batch-${batchId}-${index}@hirewise.app`;
+  const extractedName = parsedResumeData?.name?.trim() || result.filename.replace(/\.[^/.]+$/, '');
+  const extractedPhone = parsedResumeData?.contact?.phone?.trim() || null;
+  const extractedLinkedIn = parsedResumeData?.contact?.linkedin?.trim() || null;
+  const extractedGithub = parsedResumeData?.contact?.github?.trim() || null;
+  const extractedPortfolio = parsedResumeData?.contact?.portfolio?.trim() || null;
+
+  // Candidates belong to the job's organization
+  let user = await User.findOne({ orgId: job.orgId, email: extractedEmail.toLowerCase() });
+  
+  if (!user) {
+    user = new User({
+      orgId: job.orgId,
+      email: extractedEmail.toLowerCase(),
+      name: extractedName,
+      phone: extractedPhone,
+      resumePath: resumePathOrUrl, // Keep for backward compatibility
+      resumeS3Url: isS3Url ? resumePathOrUrl : null, // Store S3 URL if it's from S3
+      resumeText,
+      tags: resumeTags,
+      parsedResume: parsedResumeData,
+      linkedinUrl: extractedLinkedIn,
+      githubUrl: extractedGithub,
+      portfolioUrl: extractedPortfolio,
+      // Extract experience-related fields
+      currentTenure: parsedResumeData?.currentTenure || null,
+      totalExperience: parsedResumeData?.totalExperience || null,
+      isRecentSwitcher: parsedResumeData?.isRecentSwitcher || false,
+      currentCompany: parsedResumeData?.currentCompany || null,
+      lastJobSwitchDate: parsedResumeData?.lastJobSwitchDate || null,
+    });
+  } else {
+    user.resumePath = resumePathOrUrl; // Keep for backward compatibility
+    user.resumeS3Url = isS3Url ? resumePathOrUrl : null; // Store S3 URL if it's from S3
+    user.resumeText = resumeText;
+    if (resumeTags.length > 0) user.tags = resumeTags;
+    
+    // Update name if extracted and current is generic/missing
+    if (extractedName && (!user.name || user.name === 'Unknown' || user.name.trim() === '')) {
+      user.name = extractedName;
+    }
+    
+    // Update phone if extracted and current is missing
+    if (extractedPhone && (!user.phone || user.phone.trim() === '')) {
+      user.phone = extractedPhone;
+    }
+    
+    // Update LinkedIn if extracted and current is missing
+    if (extractedLinkedIn && (!user.linkedinUrl || user.linkedinUrl.trim() === '')) {
+      user.linkedinUrl = extractedLinkedIn;
+    }
+    
+    // Update GitHub if extracted and current is missing
+    if (extractedGithub && (!user.githubUrl || user.githubUrl.trim() === '')) {
+      user.githubUrl = extractedGithub;
+    }
+    
+    // Update portfolio if extracted and current is missing
+    if (extractedPortfolio && (!user.portfolioUrl || user.portfolioUrl.trim() === '')) {
+      user.portfolioUrl = extractedPortfolio;
+    }
+    
+    if (parsedResumeData) {
+      user.parsedResume = parsedResumeData;
+      // Update experience-related fields
+      if (parsedResumeData.currentTenure) user.currentTenure = parsedResumeData.currentTenure;
+      if (parsedResumeData.totalExperience) user.totalExperience = parsedResumeData.totalExperience;
+      if (parsedResumeData.isRecentSwitcher !== undefined) user.isRecentSwitcher = parsedResumeData.isRecentSwitcher;
+      if (parsedResumeData.currentCompany) user.currentCompany = parsedResumeData.currentCompany;
+      if (parsedResumeData.lastJobSwitchDate) user.lastJobSwitchDate = parsedResumeData.lastJobSwitchDate;
+    }
+  }
+  await user.save();
+
+  // Calculate unified score (only resume score for batch validation)
+  const scores = {
+    resumeScore: matchScore,
+    githubPortfolioScore: 0,
+    compensationScore: 0,
+  };
+  const unifiedScore = calculateUnifiedScore(scores, getScoringWeights(job));
+
+  // Reuse the application if a previous attempt created it before being interrupted
+  let application = await Application.findOne({
+    jobId: job._id,
+    userId: user._id,
+    resumePath: resumePathOrUrl,
+  });
+
+  if (!application) {
+    // Create Application record with all scoring data
+    application = new Application({
+      orgId: job.orgId,
+      jobId: job._id,
+      userId: user._id,
+      resumePath: resumePathOrUrl, // Can be S3 URL or local path
+      resumeText,
+      scores,
+      unifiedScore,
+      rawResumeLLM: JSON.stringify(resumeResult),
+      skillsMatched,
+      skillsMissing,
+      topReasons,
+      recommendedAction,
+      promptVersions,
+      consent_given: false,
+      level1_approved: false,
+      scoringStatus: {
+        status: 'completed',
+        completedAt: new Date(),
+      },
+    });
+    await application.save();
+  }
+
+  // Update batch validation with application ID
+  await recordBatchResult(batchId, index, {
+    status: 'completed',
+    applicationId: application._id,
+  });
+
+  console.log(`[BatchValidation] Completed resume ${index + 1} (${result.filename}) - Application ID: ${application._id}, Score: ${matchScore}`);
+}
+
+/**
+ * Record a resume whose validation task ran out of attempts as failed
+ */
+export async function markBatchResumeFailed(batchId, index, error) {
+  await recordBatchResult(batchId, index, {
+    status: 'failed',
+    error: error.message,
+  });
+}
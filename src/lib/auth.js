@@ -0,0 +1,324 @@
+/**
+ * API authentication
+ * Members sign in with email and password and get a session token (JWT, HS256). Integrations use
+ * API keys with an explicit list of permissions. Candidates get session tokens through magic links
+ * (see candidatePortal.js). All are sent as "Authorization: Bearer <token>".
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import Member from '../models/Member.js';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import { getRolePermissions, ROLES } from './permissions.js';
+import { runWithOrg } from './orgScope.js';
+import { getDefaultOrganizationId } from './organizations.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const API_KEY_PREFIX = 'hw_';
+
+// "typ" claim of candidate portal sessions (member sessions have none)
+export const CANDIDATE_TOKEN_TYPE = 'candidate';
+
+const AUTH_CONFIG = {
+  sessionTtlSeconds: parseInt(process.env.AUTH_SESSION_TTL_SECONDS) || 12 * 60 * 60, // 12 hours
+  minPasswordLength: 10,
+};
+
+// Used when JWT_SECRET is not set outside production; sessions don't survive a restart
+let generatedSecret = null;
+
+/**
+ * Get the secret used to sign session tokens
+ * @returns {string}
+ */
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[Auth] JWT_SECRET is not set, using a random secret (sessions end when the server restarts)');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Check the auth configuration at startup
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateAuthConfig() {
+  const errors = [];
+  if (process.env.NODE_ENV === 'production') {
+    if (!process.env.JWT_SECRET) {
+      errors.push('JWT_SECRET is required in production');
+    } else if (process.env.JWT_SECRET.length < 32) {
+      errors.push('JWT_SECRET must be at least 32 characters');
+    }
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signSegments(segments, secret) {
+  return crypto.createHmac('sha256', secret).update(segments).digest('base64url');
+}
+
+/**
+ * Create a signed session token (JWT, HS256)
+ * @param {Object} claims - Token claims (sub, org, ...)
+ * @param {Object} [options]
+ * @param {number} [options.expiresInSeconds] - Token lifetime
+ * @param {string} [options.secret] - Signing secret (defaults to JWT_SECRET)
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export function signSessionToken(claims, options = {}) {
+  const { expiresInSeconds = AUTH_CONFIG.sessionTtlSeconds, secret = getJwtSecret() } = options;
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat: now, exp: now + expiresInSeconds };
+
+  const segments = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson(payload)}`;
+  return {
+    token: `${segments}.${signSegments(segments, secret)}`,
+    expiresAt: new Date(payload.exp * 1000),
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - JWT
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Signing secret (defaults to JWT_SECRET)
+ * @returns {{ok: boolean, claims?: Object, error?: string}}
+ */
+export function verifySessionToken(token, options = {}) {
+  const { secret = getJwtSecret() } = options;
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return { ok: false, error: 'Malformed token' };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(signSegments(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, error: 'Invalid token signature' };
+  }
+
+  let claims;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (decodedHeader.alg !== 'HS256') {
+      return { ok: false, error: 'Unsupported token algorithm' };
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, error: 'Malformed token' };
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    return { ok: false, error: 'Token expired' };
+  }
+  return { ok: true, claims };
+}
+
+/**
+ * Hash a password (scrypt with a random salt)
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Stored hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validate a new password
+ * @param {string} password
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < AUTH_CONFIG.minPasswordLength) {
+    return { ok: false, errors: [`password must be at least ${AUTH_CONFIG.minPasswordLength} characters`] };
+  }
+  return { ok: true, errors: [] };
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, keyHash: string, keyPrefix: string}}
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key), keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Sign a member in
+ * @param {string} email - Member email
+ * @param {string} password - Password
+ * @returns {Promise<{token: string, expiresAt: Date, member: Object}|null>} Session, or null for wrong credentials
+ */
+export async function loginMember(email, password) {
+  return runWithOrg(null, async () => {
+    const member = await Member.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash');
+    if (!member || !member.isActive || !(await verifyPassword(password, member.passwordHash))) {
+      return null;
+    }
+
+    member.lastLoginAt = new Date();
+    await member.save();
+
+    const session = signSessionToken({ sub: String(member._id), org: String(member.orgId) });
+    return { ...session, member };
+  });
+}
+
+/**
+ * Resolve the caller from a bearer token (session token or API key)
+ * @param {string} token - Bearer token
+ * @returns {Promise<{ok: boolean, auth?: Object, error?: string}>} auth: { type, orgId, permissions, memberId?, role?, apiKeyId?, userId? }
+ */
+export async function authenticateToken(token) {
+  return runWithOrg(null, async () => {
+    if (token.startsWith(API_KEY_PREFIX)) {
+      const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(token) });
+      if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return { ok: false, error: 'Invalid or revoked API key' };
+      }
+
+      // Usage tracking only; don't hold up the request
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+        .catch(error => console.warn('[Auth] Could not update API key usage:', error.message));
+
+      return {
+        ok: true,
+        auth: {
+          type: 'api_key',
+          apiKeyId: String(apiKey._id),
+          orgId: String(apiKey.orgId),
+          permissions: apiKey.scopes,
+        },
+      };
+    }
+
+    const verified = verifySessionToken(token);
+    if (!verified.ok) {
+      return { ok: false, error: verified.error };
+    }
+
+    // Candidates have no HR permissions; they can only use the portal routes
+    if (verified.claims.typ === CANDIDATE_TOKEN_TYPE) {
+      const user = await User.findById(verified.claims.sub).select('orgId');
+      if (!user || String(user.orgId) !== verified.claims.org) {
+        return { ok: false, error: 'Candidate not found' };
+      }
+      return {
+        ok: true,
+        auth: {
+          type: 'candidate',
+          userId: String(user._id),
+          orgId: String(user.orgId),
+          permissions: [],
+        },
+      };
+    }
+
+    // Other signed tokens (e.g. video playback links) are not sessions
+    if (verified.claims.typ) {
+      return { ok: false, error: 'Not a session token' };
+    }
+
+    // Role and active flag are read on every request so changes apply to existing sessions
+    const member = await Member.findById(verified.claims.sub);
+    if (!member || !member.isActive || String(member.orgId) !== verified.claims.org) {
+      return { ok: false, error: 'Member not found or inactive' };
+    }
+
+    return {
+      ok: true,
+      auth: {
+        type: 'session',
+        memberId: String(member._id),
+        orgId: String(member.orgId),
+        role: member.role,
+        permissions: getRolePermissions(member.role),
+      },
+    };
+  });
+}
+
+/**
+ * Describe the caller for "changed by" fields
+ * @param {Object} [auth] - req.auth (missing for background work)
+ * @returns {{type: string, id: string|null}} type: member, api_key, candidate or system
+ */
+export function getActor(auth) {
+  if (auth?.type === 'session') return { type: 'member', id: auth.memberId };
+  if (auth?.type === 'api_key') return { type: 'api_key', id: auth.apiKeyId };
+  if (auth?.type === 'candidate') return { type: 'candidate', id: auth.userId };
+  return { type: 'system', id: null };
+}
+
+/**
+ * Create the first admin from BOOTSTRAP_ADMIN_EMAIL / BOOTSTRAP_ADMIN_PASSWORD when no member exists yet
+ * @returns {Promise<Object|null>} Created member, or null
+ */
+export async function ensureBootstrapAdmin() {
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  const password = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+
+  return runWithOrg(null, async () => {
+    const existing = await Member.countDocuments();
+    if (existing > 0) return null;
+
+    if (!email || !password) {
+      console.warn('[Auth] No members exist. Set BOOTSTRAP_ADMIN_EMAIL and BOOTSTRAP_ADMIN_PASSWORD to create the first admin');
+      return null;
+    }
+    const passwordCheck = validatePassword(password);
+    if (!passwordCheck.ok) {
+      console.error(`[Auth] Bootstrap admin not created: ${passwordCheck.errors.join(', ')}`);
+      return null;
+    }
+
+    const member = await Member.create({
+      orgId: await getDefaultOrganizationId(),
+      email,
+      name: 'Admin',
+      role: ROLES.ADMIN,
+      passwordHash: await hashPassword(password),
+    });
+    console.log(`[Auth] Created bootstrap admin ${member.email} in the default organization`);
+    return member;
+  });
+}
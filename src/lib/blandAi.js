@@ -1,14 +1,32 @@
 /**
  * Bland AI API integration for telephonic interviews
+ * Requests go through the configured telephony provider (the Bland AI API or the local simulator, see telephony.js).
  */
 
-import dotenv from 'dotenv';
 import { isValidE164 } from './phoneFormatter.js';
+import { resolveCompanyProfile, describeCompany, getLanguageName } from './companyProfile.js';
+import { getTelephonyProvider } from './telephony.js';
 
-dotenv.config();
+/**
+ * Parse a Bland AI start_time ("YYYY-MM-DD HH:MM:SS -HH:MM", e.g. "2021-01-01 12:00:00 -05:00")
+ * @param {string} startTime - Start time string
+ * @returns {Date} Parsed date
+ * @throws {Error} If the format or date is invalid
+ */
+export function parseStartTime(startTime) {
+  const startTimeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} [-\+]\d{2}:\d{2}$/;
+  if (typeof startTime !== 'string' || !startTimeRegex.test(startTime)) {
+    throw new Error(`Invalid start_time format. Expected "YYYY-MM-DD HH:MM:SS -HH:MM" (e.g., "2021-01-01 12:00:00 -05:00"). Received: ${startTime}`);
+  }
 
-const BLAND_API_KEY = process.env.BLAND_API_KEY;
-const BLAND_API_URL = 'https://api.bland.ai/v1/calls';
+  // "YYYY-MM-DD HH:MM:SS -HH:MM" -> "YYYY-MM-DDTHH:MM:SS-HH:MM"
+  const [date, time, offset] = startTime.split(' ');
+  const parsed = new Date(`${date}T${time}${offset}`);
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid start_time date. Could not parse: ${startTime}`);
+  }
+  return parsed;
+}
 
 /**
  * Make an outbound call using Bland AI
@@ -19,22 +37,22 @@ const BLAND_API_URL = 'https://api.bland.ai/v1/calls';
  * @param {Object} [params.application] - Application details (optional - for generic calls without application)
  * @param {Object} [params.user] - User details (for generic calls without application)
  * @param {Array} params.questions - Technical and behavioral questions
+ * @param {string} params.phoneInterviewId - PhoneInterview ID (Bland AI reports the call to its webhook)
  * @param {string} params.applicationId - Application ID for tracking (optional)
  * @param {string} params.userId - User ID for tracking (optional, used when no application)
  * @param {string} params.startTime - Optional scheduled start time in format "YYYY-MM-DD HH:MM:SS -HH:MM" (e.g., "2021-01-01 12:00:00 -05:00")
+ * @param {Object} [params.companyProfile] - Company profile (defaults to the job's profile, see companyProfile.js)
  * @returns {Promise<Object>} Call response from Bland AI
  */
-export async function makeBlandAICall({ phoneNumber, candidateName, job, application, user, questions, applicationId, userId, startTime = null }) {
+export async function makeBlandAICall({ phoneNumber, candidateName, job, application, user, questions, phoneInterviewId, applicationId, userId, startTime = null, companyProfile = null }) {
   try {
-    if (!BLAND_API_KEY) {
-      throw new Error('BLAND_API_KEY not configured. Please set BLAND_API_KEY in your .env file.');
-    }
-
     // Validate phone number is in E.164 format (required by Bland AI)
     if (!isValidE164(phoneNumber)) {
       throw new Error(`Phone number must be in E.164 format (e.g., +919876543210). Received: ${phoneNumber}`);
     }
 
+    const company = companyProfile || await resolveCompanyProfile(job);
+
     // Build candidate summary from application or user data
     const candidateSummary = job && application 
       ? buildCandidateSummary(application, job)
@@ -42,13 +60,13 @@ export async function makeBlandAICall({ phoneNumber, candidateName, job, applica
     
     // Build interview prompt (generic if no job, job-specific if job exists)
     const prompt = job && application
-      ? buildInterviewPrompt(candidateName, job, questions, candidateSummary)
-      : buildGenericInterviewPrompt(candidateName, questions, candidateSummary);
+      ? buildInterviewPrompt(candidateName, job, questions, candidateSummary, company)
+      : buildGenericInterviewPrompt(candidateName, questions, candidateSummary, company);
     
     // Build first sentence (generic if no job)
     const firstSentence = job
-      ? buildFirstSentence(candidateName, job.role, job.company_name)
-      : buildGenericFirstSentence(candidateName);
+      ? buildFirstSentence(candidateName, job.role, job.company_name, company)
+      : buildGenericFirstSentence(candidateName, company);
     
     // Get webhook base URL from environment or use default
     const webhookBaseUrl = process.env.WEBHOOK_BASE_URL || 'http://localhost:3000';
@@ -61,7 +79,7 @@ export async function makeBlandAICall({ phoneNumber, candidateName, job, applica
       wait_for_greeting: true,
       model: 'base',
       record: true, // Enable call recording
-      language: 'en-IN', // Indian English
+      language: company.locale, // e.g. en-IN for Indian English
       answered_by_enabled: true,
       interruption_threshold: 170,
       temperature: 0.5,
@@ -77,12 +95,11 @@ export async function makeBlandAICall({ phoneNumber, candidateName, job, applica
         strengths: 'array of candidate strengths',
         concerns: 'array of any concerns or gaps',
       },
-      // Webhook for call status updates (use application webhook if available, otherwise user webhook)
-      webhook: applicationId 
-        ? `${webhookBaseUrl}/api/applications/${applicationId}/webhook`
-        : `${webhookBaseUrl}/api/users/${userId}/phone-call-webhook`,
+      // Webhook for call status updates
+      webhook: `${webhookBaseUrl}/api/phone-interviews/${phoneInterviewId}/webhook`,
       // Metadata for tracking
       metadata: {
+        phoneInterviewId: phoneInterviewId.toString(),
         ...(applicationId && { applicationId: applicationId.toString() }),
         ...(userId && { userId: userId.toString() }),
         ...(job && { jobId: job._id.toString() }),
@@ -95,30 +112,9 @@ export async function makeBlandAICall({ phoneNumber, candidateName, job, applica
     // Format: "YYYY-MM-DD HH:MM:SS -HH:MM" (e.g., "2021-01-01 12:00:00 -05:00")
     // If start_time is less than 5 minutes from now, don't schedule it (make it immediate)
     if (startTime) {
-      // Validate start_time format
-      const startTimeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} [-\+]\d{2}:\d{2}$/;
-      if (!startTimeRegex.test(startTime)) {
-        throw new Error(`Invalid start_time format. Expected "YYYY-MM-DD HH:MM:SS -HH:MM" (e.g., "2021-01-01 12:00:00 -05:00"). Received: ${startTime}`);
-      }
-      
-      // Parse the start_time string to a Date object
-      // Format: "YYYY-MM-DD HH:MM:SS -HH:MM" -> "YYYY-MM-DDTHH:MM:SS-HH:MM"
-      // Replace first space with 'T' and remove the space before timezone offset
-      const parts = startTime.split(' ');
-      if (parts.length !== 3) {
-        throw new Error(`Invalid start_time format. Expected "YYYY-MM-DD HH:MM:SS -HH:MM". Received: ${startTime}`);
-      }
-      
-      // Construct ISO string: "YYYY-MM-DDTHH:MM:SS-HH:MM"
-      const isoString = `${parts[0]}T${parts[1]}${parts[2]}`;
-      const scheduledDate = new Date(isoString);
+      const scheduledDate = parseStartTime(startTime);
       const now = new Date();
       
-      // Check if date parsing was successful
-      if (isNaN(scheduledDate.getTime())) {
-        throw new Error(`Invalid start_time date. Could not parse: ${startTime}`);
-      }
-      
       // Calculate difference in milliseconds
       const timeDifference = scheduledDate.getTime() - now.getTime();
       const fiveMinutesInMs = 5 * 60 * 1000; // 5 minutes = 300,000 milliseconds
@@ -140,23 +136,10 @@ export async function makeBlandAICall({ phoneNumber, candidateName, job, applica
     }
 
     const callContext = applicationId ? `application ${applicationId}` : `user ${userId}`;
-    console.log(`[BlandAI] Initiating call to ${phoneNumber} for ${callContext}`);
-
-    const response = await fetch(BLAND_API_URL, {
-      method: 'POST',
-      headers: {
-        'authorization': BLAND_API_KEY,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
+    console.log(`[BlandAI] Initiating call to ${phoneNumber} for ${callContext} (phone interview ${phoneInterviewId})`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Bland AI API error: ${response.status} - ${errorText}`);
-    }
-
-    const responseData = await response.json();
+    // The simulator builds its transcript from the questions
+    const responseData = await getTelephonyProvider().createCall(payload, { questions });
     
     // Handle API response format according to Bland AI docs
     // Response includes: call_id, status, message
@@ -230,12 +213,12 @@ function buildGenericCandidateSummary(user) {
 /**
  * Build interview prompt with technical and behavioral questions only
  */
-function buildInterviewPrompt(candidateName, job, questions, candidateSummary) {
+function buildInterviewPrompt(candidateName, job, questions, candidateSummary, company) {
   const questionsText = questions.map((q, index) => 
     `Question ${index + 1}: ${q.text}`
   ).join('\n\n');
 
-  return `You are Neo, an AI HR Representative conducting a phone interview for ${job.company_name} (Paytm - Indian fintech company).
+  return `You are Neo, an AI HR Representative conducting a phone interview for ${job.company_name}${company.description ? ` (${company.description})` : ''}.
 
 IMPORTANT INSTRUCTIONS:
 - Always let the candidate finish their sentence before speaking
@@ -243,7 +226,7 @@ IMPORTANT INSTRUCTIONS:
 - Ask all main questions in order
 - Only ask follow-up questions if needed for clarification
 - Be natural and conversational
-- Use Indian English conventions
+- Use ${getLanguageName(company)} conventions
 - Be patient and professional
 
 CANDIDATE INFORMATION:
@@ -285,12 +268,12 @@ IMPORTANT:
 /**
  * Build generic interview prompt (when no job/application - based on resume only)
  */
-function buildGenericInterviewPrompt(candidateName, questions, candidateSummary) {
+function buildGenericInterviewPrompt(candidateName, questions, candidateSummary, company) {
   const questionsText = questions.map((q, index) => 
     `Question ${index + 1}: ${q.text}`
   ).join('\n\n');
 
-  return `You are Neo, an AI HR Representative conducting a general phone interview for Paytm (Indian fintech company).
+  return `You are Neo, an AI HR Representative conducting a general phone interview for ${describeCompany(company)}.
 
 IMPORTANT INSTRUCTIONS:
 - Always let the candidate finish their sentence before speaking
@@ -298,7 +281,7 @@ IMPORTANT INSTRUCTIONS:
 - Ask all main questions in order
 - Only ask follow-up questions if needed for clarification
 - Be natural and conversational
-- Use Indian English conventions
+- Use ${getLanguageName(company)} conventions
 - Be patient and professional
 
 CANDIDATE INFORMATION:
@@ -341,8 +324,8 @@ IMPORTANT:
 /**
  * Build first sentence for the call
  */
-function buildFirstSentence(candidateName, jobRole, companyName) {
-  return `Hey ${candidateName}... I am Neo, an AI HR Representative calling from ${companyName || 'Paytm'}. It's the company with the yellow light house logo? You recently applied for a ${jobRole} role at the company. Just wanted to talk about that.
+function buildFirstSentence(candidateName, jobRole, companyName, company) {
+  return `Hey ${candidateName}... I am Neo, an AI HR Representative calling from ${companyName || company.name}.${company.callIntroduction ? ` ${company.callIntroduction}` : ''} You recently applied for a ${jobRole} role at the company. Just wanted to talk about that.
 
 ...Yes...i know... i know. I am an actual AI...it's a lil weird.
 
@@ -354,8 +337,8 @@ Please try to be patient & talk slightly faster than usual, with fewer pauses bu
 /**
  * Build generic first sentence (when no job/application)
  */
-function buildGenericFirstSentence(candidateName) {
-  return `Hey ${candidateName}... I am Neo, an AI HR Representative calling from Paytm. It's the company with the yellow light house logo? We came across your profile and would like to have a quick conversation with you.
+function buildGenericFirstSentence(candidateName, company) {
+  return `Hey ${candidateName}... I am Neo, an AI HR Representative calling from ${company.name}.${company.callIntroduction ? ` ${company.callIntroduction}` : ''} We came across your profile and would like to have a quick conversation with you.
 
 ...Yes...i know... i know. I am an actual AI...it's a lil weird.
 
@@ -370,24 +353,7 @@ Please try to be patient & talk slightly faster than usual, with fewer pauses bu
  */
 export async function getCallStatus(callId) {
   try {
-    if (!BLAND_API_KEY) {
-      throw new Error('BLAND_API_KEY not configured');
-    }
-
-    const response = await fetch(`${BLAND_API_URL}/${callId}`, {
-      method: 'GET',
-      headers: {
-        'authorization': BLAND_API_KEY,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Bland AI API error: ${response.status} - ${errorText}`);
-    }
-
-    const callData = await response.json();
+    const callData = await getTelephonyProvider().getCall(callId);
     
     // Log call status for debugging
     console.log(`[BlandAI] Call ${callId} status: ${callData.status || 'unknown'}`);
@@ -399,6 +365,21 @@ export async function getCallStatus(callId) {
   }
 }
 
+/**
+ * Stop a call that is scheduled or in progress
+ * According to API docs: POST /v1/calls/{call_id}/stop
+ */
+export async function stopCall(callId) {
+  try {
+    const result = await getTelephonyProvider().stopCall(callId);
+    console.log(`[BlandAI] Call ${callId} stopped`);
+    return result;
+  } catch (error) {
+    console.error('[BlandAI] Error stopping call:', error);
+    throw error;
+  }
+}
+
 /**
  * Get call recording URL
  * The recording URL is available in the call status response when call is completed
@@ -0,0 +1,139 @@
+/**
+ * Bland AI webhook verification
+ * Bland AI signs webhook requests with the webhook signing secret (X-Webhook-Signature: hex HMAC-SHA256
+ * of the raw body). Accepted deliveries are recorded so duplicates and replays are not applied twice,
+ * and handlers only apply payloads whose call_id is the call stored for the record.
+ */
+
+import crypto from 'crypto';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+export const BLAND_WEBHOOK_CONFIG = {
+  signatureHeader: 'x-webhook-signature',
+  // How long a delivery is remembered for duplicate detection
+  deliveryRetentionMs: parseInt(process.env.BLAND_WEBHOOK_DELIVERY_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+};
+
+// Call statuses that later deliveries must not change
+const FINAL_CALL_STATUSES = ['completed', 'canceled'];
+
+/**
+ * Get the Bland AI webhook signing secret
+ * @returns {string|null}
+ */
+function getWebhookSecret() {
+  return process.env.BLAND_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Check the webhook configuration at startup
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateWebhookConfig() {
+  const errors = [];
+  if (process.env.NODE_ENV === 'production' && process.env.BLAND_API_KEY && !getWebhookSecret()) {
+    errors.push('BLAND_WEBHOOK_SECRET is required in production when BLAND_API_KEY is set');
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Compute the signature of a webhook body
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function signWebhookBody(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Verify a webhook signature
+ * Without a configured secret, unsigned webhooks are accepted outside production only.
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} [signature] - Signature header value (hex, optionally prefixed with "sha256=")
+ * @param {Object} [options]
+ * @param {string|null} [options.secret] - Signing secret (defaults to BLAND_WEBHOOK_SECRET)
+ * @returns {{ok: boolean, error?: string}}
+ */
+export function verifyWebhookSignature(rawBody, signature, options = {}) {
+  const secret = options.secret !== undefined ? options.secret : getWebhookSecret();
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      return { ok: false, error: 'Webhook signing secret is not configured' };
+    }
+    return { ok: true };
+  }
+  if (!rawBody || typeof signature !== 'string' || !signature) {
+    return { ok: false, error: 'Missing webhook signature' };
+  }
+
+  const expected = Buffer.from(signWebhookBody(rawBody, secret));
+  const actual = Buffer.from(signature.trim().replace(/^sha256=/i, '').toLowerCase());
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, error: 'Invalid webhook signature' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Record a delivery before processing it
+ * @param {Object} params
+ * @param {Buffer|string} params.rawBody - Raw request body
+ * @param {string} [params.callId] - Call the delivery is about
+ * @param {string} [params.path] - Request path (for debugging)
+ * @returns {Promise<{duplicate: boolean, deliveryId?: string}>} duplicate: the same body was already accepted
+ */
+export async function claimWebhookDelivery({ rawBody, callId, path }) {
+  const key = crypto.createHash('sha256').update('bland:').update(rawBody || '').digest('hex');
+
+  try {
+    const delivery = await WebhookDelivery.create({
+      key,
+      provider: 'bland',
+      callId,
+      path,
+      expiresAt: new Date(Date.now() + BLAND_WEBHOOK_CONFIG.deliveryRetentionMs),
+    });
+    return { duplicate: false, deliveryId: String(delivery._id) };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Forget a delivery that could not be processed, so a retry of it is applied
+ * @param {string} deliveryId - ID from claimWebhookDelivery
+ */
+export async function releaseWebhookDelivery(deliveryId) {
+  await WebhookDelivery.deleteOne({ _id: deliveryId });
+}
+
+/**
+ * Check a delivery's call_id against the call stored for the record
+ * @param {string|null|undefined} storedCallId - Call ID saved when the call was placed
+ * @param {string} callId - call_id from the payload
+ * @returns {{ok: boolean, error?: string}}
+ */
+export function matchStoredCall(storedCallId, callId) {
+  if (!storedCallId) {
+    return { ok: false, error: 'No call has been placed for this record' };
+  }
+  if (String(storedCallId) !== String(callId)) {
+    return { ok: false, error: 'call_id does not match the call placed for this record' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Whether a delivery may still change a call's status (finished calls keep their status)
+ * @param {string} [currentStatus] - Stored internal status
+ * @returns {boolean}
+ */
+export function canUpdateCallStatus(currentStatus) {
+  return !FINAL_CALL_STATUSES.includes(currentStatus);
+}
@@ -0,0 +1,147 @@
+/**
+ * Phone interview call retry policy
+ * A call that ends unanswered or failed is tried again, up to the job's maxAttempts, no sooner than
+ * retryDelayMinutes later and only inside the calling window in the candidate's timezone. Times are
+ * computed with Intl (IANA timezones, see timeZones.js) and handed to Bland AI as start times.
+ */
+
+import { isValidTimeZone, getLocalParts, fromLocalTime } from './timeZones.js';
+
+/**
+ * Policy used for jobs without custom settings and for calls without a job
+ */
+export const DEFAULT_CALL_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  retryDelayMinutes: 120,
+  // Local hours [startHour, endHour) on the given days (0 = Sunday ... 6 = Saturday)
+  callingWindow: Object.freeze({
+    startHour: 9,
+    endHour: 19,
+    days: Object.freeze([1, 2, 3, 4, 5]),
+  }),
+  // Slots offered in the follow-up email once all attempts are used (0 = email without slots)
+  followUpSlots: 3,
+});
+
+// Timezone used when neither the candidate nor the company profile has one
+const FALLBACK_TIME_ZONE = 'UTC';
+
+/**
+ * Get the timezone calls to a candidate are planned in (candidate, then company profile, then UTC)
+ * @param {Object} [user] - User document
+ * @param {Object} [company] - Company profile
+ * @returns {string}
+ */
+export function getCandidateTimeZone(user, company) {
+  if (isValidTimeZone(user?.timezone)) return user.timezone;
+  if (isValidTimeZone(company?.timezone)) return company.timezone;
+  return FALLBACK_TIME_ZONE;
+}
+
+/**
+ * Get a job's call retry policy, merged with the defaults
+ * @param {Object} [job] - Job document
+ * @returns {{maxAttempts: number, retryDelayMinutes: number, callingWindow: Object, followUpSlots: number}}
+ */
+export function getCallRetryPolicy(job) {
+  const configured = job?.settings?.callRetry;
+  const plain = typeof configured?.toObject === 'function' ? configured.toObject() : configured || {};
+  const window = plain.callingWindow || {};
+
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+  return {
+    maxAttempts: pick(plain.maxAttempts, DEFAULT_CALL_RETRY_POLICY.maxAttempts),
+    retryDelayMinutes: pick(plain.retryDelayMinutes, DEFAULT_CALL_RETRY_POLICY.retryDelayMinutes),
+    callingWindow: {
+      startHour: pick(window.startHour, DEFAULT_CALL_RETRY_POLICY.callingWindow.startHour),
+      endHour: pick(window.endHour, DEFAULT_CALL_RETRY_POLICY.callingWindow.endHour),
+      days: window.days?.length ? [...window.days] : [...DEFAULT_CALL_RETRY_POLICY.callingWindow.days],
+    },
+    followUpSlots: pick(plain.followUpSlots, DEFAULT_CALL_RETRY_POLICY.followUpSlots),
+  };
+}
+
+/**
+ * Validate a full call retry policy
+ * @param {Object} policy - Proposed policy
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateCallRetryPolicy(policy) {
+  const errors = [];
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (!isInt(policy?.maxAttempts, 1, 10)) {
+    errors.push('maxAttempts must be an integer between 1 and 10');
+  }
+  if (!isInt(policy?.retryDelayMinutes, 1, 7 * 24 * 60)) {
+    errors.push('retryDelayMinutes must be an integer between 1 and 10080 (7 days)');
+  }
+  if (!isInt(policy?.followUpSlots, 0, 10)) {
+    errors.push('followUpSlots must be an integer between 0 and 10');
+  }
+
+  const window = policy?.callingWindow;
+  if (!window || typeof window !== 'object') {
+    errors.push('callingWindow must be an object');
+  } else {
+    if (!isInt(window.startHour, 0, 23)) {
+      errors.push('callingWindow.startHour must be an integer between 0 and 23');
+    }
+    if (!isInt(window.endHour, 1, 24)) {
+      errors.push('callingWindow.endHour must be an integer between 1 and 24');
+    }
+    if (isInt(window.startHour, 0, 23) && isInt(window.endHour, 1, 24) && window.endHour <= window.startHour) {
+      errors.push('callingWindow.endHour must be after callingWindow.startHour');
+    }
+    if (!Array.isArray(window.days) || window.days.length === 0 || window.days.some(day => !isInt(day, 0, 6))) {
+      errors.push('callingWindow.days must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday)');
+    } else if (new Set(window.days).size !== window.days.length) {
+      errors.push('callingWindow.days must not repeat a day');
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Earliest time at or after a given instant that falls inside the calling window
+ * @param {Date} after - Earliest acceptable time
+ * @param {Object} callingWindow - { startHour, endHour, days }
+ * @param {string} timeZone - Candidate timezone
+ * @returns {Date}
+ */
+export function nextCallingTime(after, callingWindow, timeZone) {
+  const { startHour, endHour, days } = callingWindow;
+  // Whole seconds, since start times have no milliseconds
+  let candidate = new Date(Math.ceil(after.getTime() / 1000) * 1000);
+
+  for (let i = 0; i < 8; i++) {
+    const local = getLocalParts(candidate, timeZone);
+    const callingDay = days.includes(local.weekday);
+    if (callingDay && local.hour >= startHour && local.hour < endHour) {
+      return candidate;
+    }
+    candidate = callingDay && local.hour < startHour
+      ? fromLocalTime({ ...local, hour: startHour, minute: 0 }, timeZone)
+      : fromLocalTime({ ...local, day: local.day + 1, hour: startHour, minute: 0 }, timeZone);
+  }
+  return candidate;
+}
+
+/**
+ * Calling times on consecutive calling days, starting at the first one after a given instant
+ * @param {Date} after - Earliest acceptable time
+ * @param {Object} callingWindow - { startHour, endHour, days }
+ * @param {string} timeZone - Candidate timezone
+ * @param {number} count - Number of times
+ * @returns {Date[]}
+ */
+export function getCallingTimes(after, callingWindow, timeZone, count) {
+  const times = [];
+  let next = nextCallingTime(after, callingWindow, timeZone);
+  while (times.length < count) {
+    times.push(next);
+    next = nextCallingTime(new Date(next.getTime() + 24 * 60 * 60 * 1000), callingWindow, timeZone);
+  }
+  return times;
+}
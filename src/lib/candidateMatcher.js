@@ -2,8 +2,9 @@ import User from '../models/User.js';
 import Job from '../models/Job.js';
 import JobCandidateMatch from '../models/JobCandidateMatch.js';
 import Application from '../models/Application.js';
-import { callLLM } from './llm.js';
+import { callLLMJson } from './llm.js';
 import { parseJsonSafely } from './parseJsonSafely.js';
+import { getCandidatePoolOrgIds } from './organizations.js';
 
 /**
  * Calculate tag-based match score between job tags and candidate tags
@@ -30,21 +31,23 @@ function calculateTagMatchScore(jobTags, candidateTags) {
 
 /**
  * Calculate skills match score between job skills and candidate resume
+ * Reuses the resume score of an existing application for the same job instead of re-scoring the resume
  */
-async function calculateSkillsMatchScore(job, candidate) {
+async function calculateSkillsMatchScore(job, candidate, existingApplication = null) {
   if (!candidate.resumeText) return 0;
 
+  if (existingApplication?.rawResumeLLM && typeof existingApplication.scores?.resumeScore === 'number') {
+    return existingApplication.scores.resumeScore;
+  }
+
   try {
     // Use LLM to analyze skills match
-    const skillsLLMResponse = await callLLM('RESUME_SCORING', {
+    const skillsResult = await callLLMJson('RESUME_SCORING', {
       resumeText: candidate.resumeText,
       job,
-    });
+    }, { context: { jobId: job._id, userId: candidate._id } });
 
-    const parsed = parseJsonSafely(skillsLLMResponse);
-    if (parsed.ok && parsed.json.match_score) {
-      return parsed.json.match_score;
-    }
+    return skillsResult.match_score;
   } catch (error) {
     console.error('Error calculating skills match:', error);
   }
@@ -83,6 +86,7 @@ function generateMatchReason(tagMatchScore, skillsMatchScore, matchedTags, match
 
 /**
  * Match a job to all available candidates and calculate scores
+ * Candidates come from the job's organization and organizations that share their candidate pool with it.
  */
 export async function matchJobToCandidates(jobId) {
   try {
@@ -92,8 +96,10 @@ export async function matchJobToCandidates(jobId) {
       throw new Error('Job not found');
     }
 
-    // Get all candidates who are not hired
+    // Get all candidates who are not hired, within the job's candidate pool
+    const poolOrgIds = await getCandidatePoolOrgIds(job.orgId);
     const candidates = await User.find({
+      orgId: { $in: poolOrgIds },
       isHired: false,
       resumeText: { $exists: true, $ne: '' }, // Only candidates with resumes
     });
@@ -132,18 +138,18 @@ export async function matchJobToCandidates(jobId) {
         )
       );
 
+      // Try to get scores and skills from existing application for this job
+      const existingApplication = await Application.findOne({
+        jobId: job._id,
+        userId: candidate._id,
+      });
+
       // Calculate skills match score
-      const skillsMatchScore = await calculateSkillsMatchScore(job, candidate);
+      const skillsMatchScore = await calculateSkillsMatchScore(job, candidate, existingApplication);
 
       // Get matched skills from resume analysis if available
       let matchedSkills = [];
       let missingSkills = [];
-      
-      // Try to get skills from existing application for this job
-      const existingApplication = await Application.findOne({
-        jobId: job._id,
-        userId: candidate._id,
-      });
 
       if (existingApplication && existingApplication.rawResumeLLM) {
         try {
@@ -172,6 +178,7 @@ export async function matchJobToCandidates(jobId) {
 
       // Create match record
       const match = new JobCandidateMatch({
+        orgId: job.orgId,
         jobId: job._id,
         userId: candidate._id,
         matchScore: overallMatchScore,
@@ -220,6 +227,13 @@ export async function matchJobToCandidates(jobId) {
 export async function getJobMatches(jobId, options = {}) {
   const { minScore = 0, limit = 50, status } = options;
 
+  const job = await Job.findById(jobId).select('orgId');
+  if (!job) {
+    return [];
+  }
+  // Matched candidates may belong to an organization sharing its pool
+  const poolOrgIds = await getCandidatePoolOrgIds(job.orgId);
+
   const query = {
     jobId,
     matchScore: { $gte: minScore },
@@ -230,7 +244,11 @@ export async function getJobMatches(jobId, options = {}) {
   }
 
   const matches = await JobCandidateMatch.find(query)
-    .populate('userId', 'name email tags githubUrl portfolioUrl compensationExpectation')
+    .populate({
+      path: 'userId',
+      select: 'name email tags githubUrl portfolioUrl compensationExpectation',
+      match: { orgId: { $in: poolOrgIds } },
+    })
     .sort({ matchScore: -1 })
     .limit(limit);
 
@@ -0,0 +1,121 @@
+/**
+ * Candidate portal access
+ * Candidates request a magic link by email. The link carries a single-use token that is exchanged for
+ * a candidate session token (JWT with typ "candidate"), which only works on /api/portal routes.
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { signSessionToken, CANDIDATE_TOKEN_TYPE } from './auth.js';
+import { runWithOrg } from './orgScope.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { sendEmail } from './email.js';
+
+const PORTAL_CONFIG = {
+  linkTtlMs: parseInt(process.env.PORTAL_LINK_TTL_MS) || 30 * 60 * 1000, // 30 minutes
+  sessionTtlSeconds: parseInt(process.env.PORTAL_SESSION_TTL_SECONDS) || 24 * 60 * 60, // 24 hours
+  // A new link for the same candidate record is not sent more often than this
+  resendIntervalMs: 60 * 1000,
+  baseUrl: (process.env.PORTAL_BASE_URL || 'http://localhost:3000/portal').replace(/\/+$/, ''),
+};
+
+/**
+ * Get the candidate portal URL (candidates request a magic link there)
+ * @returns {string}
+ */
+export function getPortalUrl() {
+  return PORTAL_CONFIG.baseUrl;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a magic link for a candidate record (replaces any previous link)
+ * @param {Object} user - User document
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+export async function createMagicLink(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PORTAL_CONFIG.linkTtlMs);
+
+  await User.updateOne(
+    { _id: user._id, orgId: user.orgId },
+    { $set: { portalTokenHash: hashToken(token), portalTokenExpiresAt: expiresAt, portalTokenIssuedAt: now } }
+  );
+
+  return { url: `${PORTAL_CONFIG.baseUrl}?token=${encodeURIComponent(token)}`, expiresAt };
+}
+
+/**
+ * Email magic links to every candidate record with an email address
+ * A candidate who applied to several organizations gets one link per organization.
+ * @param {string} email - Candidate email
+ * @returns {Promise<number>} Number of links sent
+ */
+export async function sendMagicLinks(email) {
+  const normalizedEmail = String(email).toLowerCase().trim();
+  const users = await runWithOrg(null, () => User.find({ email: normalizedEmail }).select('name email orgId portalTokenIssuedAt'));
+
+  let sent = 0;
+  for (const user of users) {
+    if (user.portalTokenIssuedAt && Date.now() - user.portalTokenIssuedAt.getTime() < PORTAL_CONFIG.resendIntervalMs) {
+      console.log(`[Portal] Magic link for user ${user._id} was sent recently, skipping`);
+      continue;
+    }
+
+    await runWithOrg(user.orgId, async () => {
+      const company = await resolveCompanyProfile();
+      const { url, expiresAt } = await createMagicLink(user);
+      const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+
+      const html = `
+        <h2>Hello ${user.name},</h2>
+        <p>Use the link below to see your applications with ${company.name} and update your details.</p>
+        <p><a href="${url}">Open your candidate portal</a></p>
+        <p>The link works once and expires in ${minutes} minutes. If you didn't ask for it, you can ignore this email.</p>
+        <p>Best regards,<br>${company.name} HR Team</p>
+      `;
+      const result = await sendEmail({
+        to: user.email,
+        subject: `Your ${company.name} candidate portal link`,
+        html,
+        text: html.replace(/<[^>]*>/g, ''),
+      });
+
+      if (result.ok) {
+        sent += 1;
+        console.log(`[Portal] Magic link sent to user ${user._id}`);
+      } else {
+        console.error(`[Portal] Failed to send magic link to user ${user._id}:`, result.error);
+      }
+    });
+  }
+  return sent;
+}
+
+/**
+ * Exchange a magic link token for a candidate session
+ * @param {string} token - Token from the magic link
+ * @returns {Promise<{token: string, expiresAt: Date, userId: string}|null>} Session, or null if the link is invalid, used or expired
+ */
+export async function redeemMagicLink(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  // Clearing the hash in the same operation makes the link single-use
+  const user = await runWithOrg(null, () => User.findOneAndUpdate(
+    { portalTokenHash: hashToken(token), portalTokenExpiresAt: { $gt: new Date() } },
+    { $unset: { portalTokenHash: '', portalTokenExpiresAt: '' } },
+    { new: true }
+  ));
+  if (!user) return null;
+
+  const session = signSessionToken(
+    { sub: String(user._id), org: String(user.orgId), typ: CANDIDATE_TOKEN_TYPE },
+    { expiresInSeconds: PORTAL_CONFIG.sessionTtlSeconds }
+  );
+  console.log(`[Portal] User ${user._id} signed in with a magic link`);
+  return { ...session, userId: String(user._id) };
+}
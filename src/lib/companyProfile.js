@@ -0,0 +1,285 @@
+/**
+ * Company profiles (tenant/company context)
+ * Company name, region, currency, tone and phone defaults used in prompts, emails and phone calls.
+ * A job uses its companyProfileId, otherwise the default profile in MongoDB, otherwise DEFAULT_COMPANY_PROFILE
+ * under the organization's name.
+ */
+
+import mongoose from 'mongoose';
+import CompanyProfile from '../models/CompanyProfile.js';
+import Organization from '../models/Organization.js';
+import { getCurrentOrgId } from './orgScope.js';
+import { isValidTimeZone } from './timeZones.js';
+
+// Built-in profile, used when no profile is stored: no company details, only regional defaults. Organizations
+// without a profile get it under their own name (see resolveCompanyProfile); the name here is the last resort.
+export const DEFAULT_COMPANY_PROFILE = Object.freeze({
+  name: 'our company',
+  description: '',
+  industry: '',
+  industryContext: '',
+  country: 'United States',
+  location: '',
+  locale: 'en-US',
+  currency: 'USD',
+  compensationFormat: '',
+  tone: 'warm and professional',
+  defaultCountryCallingCode: '1',
+  timezone: 'UTC',
+  callIntroduction: '',
+  isDefault: true,
+});
+
+// Fields that can be set through the API
+export const COMPANY_PROFILE_FIELDS = [
+  'name',
+  'description',
+  'industry',
+  'industryContext',
+  'country',
+  'location',
+  'locale',
+  'currency',
+  'compensationFormat',
+  'tone',
+  'defaultCountryCallingCode',
+  'timezone',
+  'callIntroduction',
+];
+
+const REQUIRED_FIELDS = ['name', 'country', 'locale', 'currency', 'defaultCountryCallingCode'];
+
+// Resolved profiles are cached per process (keyed by organization); updates clear the cache here and other processes pick them up within the TTL
+const PROFILE_CACHE_MS = 60 * 1000;
+const profileCache = new Map();
+
+/**
+ * Validate company profile fields
+ * @param {Object} fields - Profile fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (updates)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateCompanyProfileFields(fields, { partial = false } = {}) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { ok: false, errors: ['Company profile must be an object'] };
+  }
+
+  const errors = [];
+  for (const field of REQUIRED_FIELDS) {
+    if (!partial || fields[field] !== undefined) {
+      if (typeof fields[field] !== 'string' || fields[field].trim().length === 0) {
+        errors.push(`${field} is required and must be a non-empty string`);
+      }
+    }
+  }
+
+  if (typeof fields.locale === 'string' && fields.locale.trim()) {
+    try {
+      Intl.getCanonicalLocales(fields.locale.trim());
+    } catch {
+      errors.push(`locale must be a valid BCP 47 locale (e.g. en-IN), got: ${fields.locale}`);
+    }
+  }
+  if (typeof fields.currency === 'string' && fields.currency.trim()) {
+    try {
+      new Intl.NumberFormat('en', { style: 'currency', currency: fields.currency.trim() });
+    } catch {
+      errors.push(`currency must be an ISO 4217 code (e.g. INR), got: ${fields.currency}`);
+    }
+  }
+  if (typeof fields.defaultCountryCallingCode === 'string' && !/^[1-9]\d{0,2}$/.test(fields.defaultCountryCallingCode)) {
+    errors.push('defaultCountryCallingCode must be 1-3 digits without "+" (e.g. 91)');
+  }
+  if (fields.timezone !== undefined && fields.timezone !== null && !isValidTimeZone(fields.timezone)) {
+    errors.push(`timezone must be an IANA timezone (e.g. Asia/Kolkata), got: ${fields.timezone}`);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Get the display name of a profile's language (e.g. "English (India)" for en-IN)
+ * @param {Object} profile - Company profile
+ * @returns {string}
+ */
+export function getLanguageName(profile) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(profile.locale);
+  } catch {
+    return profile.locale;
+  }
+}
+
+/**
+ * Get the currency symbol for a profile (e.g. "₹" for INR)
+ * @param {Object} profile - Company profile
+ * @returns {string}
+ */
+export function getCurrencySymbol(profile) {
+  try {
+    const parts = new Intl.NumberFormat(profile.locale, { style: 'currency', currency: profile.currency }).formatToParts(0);
+    return parts.find(part => part.type === 'currency')?.value || profile.currency;
+  } catch {
+    return profile.currency;
+  }
+}
+
+/**
+ * Format an amount in the profile's currency and locale (e.g. "₹25,00,000" for en-IN/INR)
+ * @param {number} amount - Amount
+ * @param {Object} profile - Company profile
+ * @returns {string}
+ */
+export function formatCurrencyAmount(amount, profile) {
+  try {
+    return new Intl.NumberFormat(profile.locale, {
+      style: 'currency',
+      currency: profile.currency,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  } catch {
+    return `${profile.currency} ${amount}`;
+  }
+}
+
+/**
+ * Get how compensation should be written for a profile
+ * @param {Object} profile - Company profile
+ * @returns {string} e.g. "₹25,00,000 per annum or 25 LPA (Lakhs Per Annum)" or "$100,000 per annum"
+ */
+export function getCompensationFormat(profile) {
+  return profile.compensationFormat || `${formatCurrencyAmount(100000, profile)} per annum`;
+}
+
+/**
+ * Describe a company for prompts (e.g. "Acme (US healthtech company)")
+ * @param {Object} profile - Company profile
+ * @returns {string}
+ */
+export function describeCompany(profile) {
+  return profile.description ? `${profile.name} (${profile.description})` : profile.name;
+}
+
+/**
+ * Get the default location for a profile (e.g. "Austin, TX, United States")
+ * @param {Object} profile - Company profile
+ * @returns {string}
+ */
+export function getDefaultLocation(profile) {
+  return profile.location ? `${profile.location}, ${profile.country}` : profile.country;
+}
+
+/**
+ * Build the company context appended to every LLM system prompt
+ * @param {Object} profile - Company profile
+ * @returns {string}
+ */
+export function buildCompanySystemContext(profile) {
+  const lines = [
+    `- Company: ${describeCompany(profile)}`,
+    `- Location: ${getDefaultLocation(profile)}`,
+    `- Currency: Always use ${profile.currency} (${getCurrencySymbol(profile)})`,
+    `- Compensation format: ${getCompensationFormat(profile)}`,
+    `- Phone format: +${profile.defaultCountryCallingCode}-XXXXXXXXXX`,
+    `- Cultural context: ${profile.country} work culture${profile.industry ? `, ${profile.industry} industry` : ''}`,
+    `- Language: Use ${getLanguageName(profile)} conventions`,
+  ];
+  return `IMPORTANT CONTEXT:\n${lines.join('\n')}`;
+}
+
+/**
+ * Clear cached profiles
+ */
+export function clearCompanyProfileCache() {
+  profileCache.clear();
+}
+
+/**
+ * Convert a stored profile to the plain object used by prompts and messages
+ */
+function toProfile(document) {
+  const profile = typeof document.toObject === 'function' ? document.toObject() : document;
+  return Object.freeze({ ...profile });
+}
+
+/**
+ * The built-in profile under the organization's name
+ */
+async function getBuiltinProfile(orgId) {
+  const org = orgId ? await Organization.findById(orgId).select('name').lean() : null;
+  return org?.name ? Object.freeze({ ...DEFAULT_COMPANY_PROFILE, name: org.name }) : DEFAULT_COMPANY_PROFILE;
+}
+
+/**
+ * Load a profile by ID, falling back to the organization's default profile
+ */
+async function loadCompanyProfile(profileId, orgId) {
+  if (profileId) {
+    const profile = await CompanyProfile.findById(profileId).lean();
+    if (profile) return profile;
+    console.warn(`[Company Profile] Profile ${profileId} not found, using default profile`);
+  }
+  if (!orgId) return null;
+  return CompanyProfile.findOne({ orgId, isDefault: true }).lean();
+}
+
+/**
+ * Resolve the company profile for a job
+ * The default profile is the job's organization's (or the current organization's when no job is given).
+ * @param {Object|string|null} [jobOrProfileId] - Job (with companyProfileId, populated or not), profile ID, or nothing for the default profile
+ * @returns {Promise<Object>} Company profile (DEFAULT_COMPANY_PROFILE, named after the organization, when none is
+ *   stored)
+ */
+export async function resolveCompanyProfile(jobOrProfileId) {
+  const isJob = jobOrProfileId && typeof jobOrProfileId === 'object' && !(jobOrProfileId instanceof mongoose.Types.ObjectId);
+  const ref = isJob ? jobOrProfileId.companyProfileId : jobOrProfileId;
+  const orgId = (isJob && jobOrProfileId.orgId ? String(jobOrProfileId.orgId) : null) || getCurrentOrgId();
+
+  // Populated reference
+  if (ref && typeof ref === 'object' && typeof ref.name === 'string') {
+    return toProfile(ref);
+  }
+
+  // Without a database connection (scripts, tests) only the built-in profile is available
+  if (mongoose.connection.readyState !== 1) {
+    return DEFAULT_COMPANY_PROFILE;
+  }
+
+  const cacheKey = `${orgId || 'none'}:${ref ? String(ref) : 'default'}`;
+  const cached = profileCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.profile;
+  }
+
+  try {
+    const stored = await loadCompanyProfile(ref && mongoose.Types.ObjectId.isValid(String(ref)) ? String(ref) : null, orgId);
+    const profile = stored ? toProfile(stored) : await getBuiltinProfile(orgId);
+    profileCache.set(cacheKey, { profile, expiresAt: Date.now() + PROFILE_CACHE_MS });
+    return profile;
+  } catch (error) {
+    console.error('[Company Profile] Error loading company profile, using built-in profile:', error.message);
+    return DEFAULT_COMPANY_PROFILE;
+  }
+}
+
+/**
+ * Make a profile its organization's default (used by jobs without a companyProfileId)
+ * @param {string} profileId - CompanyProfile ID
+ * @returns {Promise<Object|null>} Updated profile, or null if it doesn't exist
+ */
+export async function setDefaultCompanyProfile(profileId) {
+  const profile = await CompanyProfile.findById(profileId);
+  if (!profile) return null;
+
+  await CompanyProfile.updateMany(
+    { orgId: profile.orgId, _id: { $ne: profile._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+  profile.isDefault = true;
+  await profile.save();
+
+  clearCompanyProfileCache();
+  console.log(`[Company Profile] Default profile is now ${profile.name} (${profile._id})`);
+  return profile;
+}
@@ -90,9 +90,10 @@ export async function verifyEmailConnection() {
  * @param {string|string[]} options.cc - Optional CC recipients
  * @param {string|string[]} options.bcc - Optional BCC recipients
  * @param {string} options.replyTo - Optional reply-to address
+ * @param {Array<{filename: string, content: string|Buffer, type: string}>} options.attachments - Optional attachments
  * @returns {Promise<{ok: boolean, id?: string, error?: string}>}
  */
-export async function sendEmail({ to, subject, html, text, from, cc, bcc, replyTo }) {
+export async function sendEmail({ to, subject, html, text, from, cc, bcc, replyTo, attachments }) {
   console.log(`[EMAIL] Sending email to ${Array.isArray(to) ? to.join(', ') : to}`);
   console.log(`[EMAIL] Subject: ${subject}`);
 
@@ -155,6 +156,15 @@ export async function sendEmail({ to, subject, html, text, from, cc, bcc, replyT
     if (replyTo) {
       msg.replyTo = replyTo;
     }
+    if (attachments?.length) {
+      // SendGrid expects base64 content
+      msg.attachments = attachments.map(attachment => ({
+        filename: attachment.filename,
+        type: attachment.type,
+        disposition: 'attachment',
+        content: Buffer.from(attachment.content).toString('base64'),
+      }));
+    }
 
     // Send email via SendGrid
     const response = await sgMail.send(msg);
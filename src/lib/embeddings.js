@@ -313,18 +313,17 @@ function normalizeTagName(tag) {
  */
 export async function extractTagsFromJob(job) {
   try {
-    // Import callLLM dynamically to avoid circular dependency
-    const { callLLM } = await import('./llm.js');
-    const { parseJsonSafely } = await import('./parseJsonSafely.js');
+    // Import callLLMJson dynamically to avoid circular dependency
+    const { callLLMJson } = await import('./llm.js');
 
     console.log('[Tag Extraction] Extracting tags from job description using LLM...');
     
     // Call LLM to extract tags
-    const rawResponse = await callLLM('TAG_EXTRACTION', { job });
-    const parsed = parseJsonSafely(rawResponse);
-
-    if (!parsed.ok) {
-      console.error('[Tag Extraction] Failed to parse LLM response:', parsed.error);
+    let extracted;
+    try {
+      extracted = await callLLMJson('TAG_EXTRACTION', { job });
+    } catch (error) {
+      console.error('[Tag Extraction] Failed to parse LLM response:', error.message);
       // Fallback to basic tags from job fields
       return extractBasicTagsFromJob(job);
     }
@@ -332,11 +331,11 @@ export async function extractTagsFromJob(job) {
     // Extract tags from LLM response
     let tags = [];
     
-    if (parsed.json.tags && Array.isArray(parsed.json.tags)) {
-      tags = parsed.json.tags;
-    } else if (parsed.json.categories) {
+    if (extracted.tags.length > 0) {
+      tags = extracted.tags;
+    } else if (extracted.categories) {
       // If tags are in categories, flatten them
-      const categories = parsed.json.categories;
+      const categories = extracted.categories;
       tags = [
         ...(categories.languages || []),
         ...(categories.frameworks || []),
@@ -432,16 +431,18 @@ function extractBasicTagsFromJob(job) {
 /**
  * Extract tags from resume text using LLM
  * Extracts skills, languages, frameworks, tools, etc. directly from the resume
+ * @param {string} resumeText - Resume text
+ * @param {Object} [options]
+ * @param {Object} [options.context] - IDs recorded with the LLM call ({applicationId, userId, jobId})
  */
-export async function extractTagsFromResume(resumeText) {
+export async function extractTagsFromResume(resumeText, options = {}) {
   try {
     if (!resumeText || resumeText.trim().length === 0) {
       return [];
     }
 
-    // Import callLLM dynamically to avoid circular dependency
-    const { callLLM } = await import('./llm.js');
-    const { parseJsonSafely } = await import('./parseJsonSafely.js');
+    // Import callLLMJson dynamically to avoid circular dependency
+    const { callLLMJson } = await import('./llm.js');
 
     console.log('[Resume Tag Extraction] Extracting tags from resume using LLM...');
     
@@ -452,22 +453,22 @@ export async function extractTagsFromResume(resumeText) {
       : resumeText;
     
     // Call LLM to extract tags
-    const rawResponse = await callLLM('RESUME_TAG_EXTRACTION', { resumeText: truncatedResume });
-    const parsed = parseJsonSafely(rawResponse);
-
-    if (!parsed.ok) {
-      console.error('[Resume Tag Extraction] Failed to parse LLM response:', parsed.error);
+    let extracted;
+    try {
+      extracted = await callLLMJson('RESUME_TAG_EXTRACTION', { resumeText: truncatedResume }, { context: options.context });
+    } catch (error) {
+      console.error('[Resume Tag Extraction] Failed to parse LLM response:', error.message);
       return [];
     }
 
     // Extract tags from LLM response
     let tags = [];
     
-    if (parsed.json.tags && Array.isArray(parsed.json.tags)) {
-      tags = parsed.json.tags;
-    } else if (parsed.json.categories) {
+    if (extracted.tags.length > 0) {
+      tags = extracted.tags;
+    } else if (extracted.categories) {
       // If tags are in categories, flatten them
-      const categories = parsed.json.categories;
+      const categories = extracted.categories;
       tags = [
         ...(categories.languages || []),
         ...(categories.frameworks || []),
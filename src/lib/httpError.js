@@ -0,0 +1,18 @@
+/**
+ * Errors thrown by library code for routes to turn into HTTP responses
+ * Routes respond with `error.status` and `{ error: error.message, details: error.details }`.
+ */
+
+/**
+ * Create an error with an HTTP status for routes to return
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {*} [details] - Extra detail for the response (e.g. validation errors)
+ * @returns {Error}
+ */
+export function requestError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
@@ -0,0 +1,85 @@
+/**
+ * iCalendar (RFC 5545) events
+ * Builds the .ics attachment sent with interview confirmations so candidates can add the call to their calendar.
+ */
+
+/**
+ * Format an instant as an iCalendar UTC date-time (e.g. 20250115T043000Z)
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (continuation lines start with a space)
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Build a calendar with a single event
+ * @param {Object} event
+ * @param {string} event.uid - Globally unique event ID (the same UID updates an event already imported)
+ * @param {Date} event.startAt - Start
+ * @param {Date} event.endAt - End
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string} [event.location] - Location (e.g. the phone number that will be called)
+ * @param {{name?: string, email: string}} [event.organizer] - Organizer
+ * @param {number} [event.sequence=0] - Revision (increase it when the event changes)
+ * @param {string} [event.status='CONFIRMED'] - CONFIRMED or CANCELLED
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildCalendarEvent({ uid, startAt, endAt, summary, description, location, organizer, sequence = 0, status = 'CONFIRMED' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//HireWise AI//Interview Scheduling//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(startAt)}`,
+    `DTEND:${formatDateTime(endAt)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (organizer?.email) {
+    const name = organizer.name ? `;CN="${String(organizer.name).replace(/"/g, '')}"` : '';
+    lines.push(`ORGANIZER${name}:mailto:${organizer.email}`);
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,402 @@
+/**
+ * Phone interview slot booking
+ * Recruiters publish weekly working hours and blackout dates (RecruiterAvailability). A job opts in through
+ * settings.interviewScheduling (slot length, daily capacity, recruiters). Open slots are the recruiters'
+ * working hours cut into slots, minus booked slots and days at capacity. A booking is a single
+ * InterviewBooking insert guarded by unique indexes, so two candidates can't get overlapping slots with the
+ * same recruiter (even from jobs with different slot lengths), an application can't hold two slots, and a
+ * day can't go over capacity; the Bland AI call is then scheduled for the slot and the candidate gets a
+ * confirmation email with an .ics attachment.
+ */
+
+import mongoose from 'mongoose';
+import RecruiterAvailability from '../models/RecruiterAvailability.js';
+import InterviewBooking from '../models/InterviewBooking.js';
+import { isValidTimeZone, getLocalParts, fromLocalTime, formatLocalDate, formatStartTime } from './timeZones.js';
+import { getCandidateTimeZone } from './callRetryPolicy.js';
+import { resolveInterviewTarget, schedulePhoneInterview, findLatestPhoneInterview } from './phoneInterviews.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { buildCalendarEvent } from './icalendar.js';
+import { sendEmail } from './email.js';
+import { requestError } from './httpError.js';
+
+/**
+ * Settings used for jobs that haven't configured interview scheduling
+ */
+export const DEFAULT_INTERVIEW_SCHEDULING = Object.freeze({
+  enabled: false,
+  recruiterIds: Object.freeze([]),
+  slotMinutes: 30,
+  dailyCapacity: 8,
+  minNoticeHours: 12,
+  horizonDays: 14,
+});
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get a job's interview scheduling settings, merged with the defaults
+ * @param {Object} [job] - Job document
+ * @returns {Object}
+ */
+export function getInterviewScheduling(job) {
+  const configured = job?.settings?.interviewScheduling;
+  const plain = typeof configured?.toObject === 'function' ? configured.toObject() : configured || {};
+
+  const settings = { ...DEFAULT_INTERVIEW_SCHEDULING, recruiterIds: [] };
+  for (const key of Object.keys(DEFAULT_INTERVIEW_SCHEDULING)) {
+    if (plain[key] !== undefined && plain[key] !== null) {
+      settings[key] = plain[key];
+    }
+  }
+  settings.recruiterIds = (settings.recruiterIds || []).map(String);
+  return settings;
+}
+
+/**
+ * Validate a full set of interview scheduling settings
+ * @param {Object} settings - Proposed settings
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateInterviewScheduling(settings) {
+  const errors = [];
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (typeof settings?.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (!Array.isArray(settings?.recruiterIds) || settings.recruiterIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    errors.push('recruiterIds must be an array of member IDs');
+  }
+  if (!isInt(settings?.slotMinutes, 5, 240)) {
+    errors.push('slotMinutes must be an integer between 5 and 240');
+  }
+  if (!isInt(settings?.dailyCapacity, 1, 100)) {
+    errors.push('dailyCapacity must be an integer between 1 and 100');
+  }
+  if (!isInt(settings?.minNoticeHours, 0, 30 * 24)) {
+    errors.push('minNoticeHours must be an integer between 0 and 720');
+  }
+  if (!isInt(settings?.horizonDays, 1, 60)) {
+    errors.push('horizonDays must be an integer between 1 and 60');
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Validate a recruiter's availability
+ * @param {Object} fields - { timezone, workingHours, blackoutDates }
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateAvailability(fields) {
+  const errors = [];
+
+  if (!isValidTimeZone(fields?.timezone)) {
+    errors.push('timezone must be an IANA timezone (e.g. Asia/Kolkata)');
+  }
+
+  if (!Array.isArray(fields?.workingHours)) {
+    errors.push('workingHours must be an array of { day, start, end }');
+  } else {
+    fields.workingHours.forEach((range, index) => {
+      if (!Number.isInteger(range?.day) || range.day < 0 || range.day > 6) {
+        errors.push(`workingHours[${index}].day must be a weekday (0 = Sunday ... 6 = Saturday)`);
+      }
+      if (!TIME_PATTERN.test(range?.start) || !TIME_PATTERN.test(range?.end)) {
+        errors.push(`workingHours[${index}] start and end must be "HH:MM" times`);
+      } else if (toMinutes(range.end) <= toMinutes(range.start)) {
+        errors.push(`workingHours[${index}].end must be after start`);
+      }
+    });
+  }
+
+  if (fields?.blackoutDates !== undefined) {
+    const valid = date => typeof date === 'string' && DATE_PATTERN.test(date) && !isNaN(new Date(`${date}T00:00:00Z`).getTime());
+    if (!Array.isArray(fields.blackoutDates) || !fields.blackoutDates.every(valid)) {
+      errors.push('blackoutDates must be an array of "YYYY-MM-DD" dates');
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Cut a recruiter's working hours between two instants into slots (blackout dates skipped)
+ * @param {Object} availability - RecruiterAvailability (memberId, timezone, workingHours, blackoutDates)
+ * @param {Object} range
+ * @param {Date} range.from - Earliest slot start
+ * @param {Date} range.to - Slots start before this
+ * @param {number} range.slotMinutes - Slot length
+ * @returns {Array<{memberId: string, startAt: Date, endAt: Date, day: string}>} day: slot date in the recruiter's timezone
+ */
+export function buildAvailabilitySlots(availability, { from, to, slotMinutes }) {
+  const timeZone = availability.timezone;
+  const blackoutDates = new Set(availability.blackoutDates || []);
+  const first = getLocalParts(from, timeZone);
+  const days = Math.ceil((to.getTime() - from.getTime()) / DAY_MS) + 1;
+
+  const slots = [];
+  const seen = new Set();
+  for (let offset = 0; offset <= days; offset++) {
+    // Noon is never skipped by a DST change
+    const noon = fromLocalTime({ ...first, day: first.day + offset, hour: 12, minute: 0 }, timeZone);
+    const local = getLocalParts(noon, timeZone);
+    const day = formatLocalDate(noon, timeZone);
+    if (blackoutDates.has(day)) continue;
+
+    for (const range of availability.workingHours.filter(hours => hours.day === local.weekday)) {
+      const end = toMinutes(range.end);
+      for (let minute = toMinutes(range.start); minute + slotMinutes <= end; minute += slotMinutes) {
+        const startAt = fromLocalTime({ ...local, hour: 0, minute }, timeZone);
+        if (startAt < from || startAt >= to || seen.has(startAt.getTime())) continue;
+        seen.add(startAt.getTime());
+        slots.push({
+          memberId: String(availability.memberId),
+          startAt,
+          endAt: new Date(startAt.getTime() + slotMinutes * 60 * 1000),
+          day,
+        });
+      }
+    }
+  }
+  return slots;
+}
+
+/**
+ * Get a job's open interview slots
+ * Slots are limited to minNoticeHours ... horizonDays from now. The same start time offered by several
+ * recruiters is one slot.
+ * @param {Object} job - Job document
+ * @param {Object} [range] - Narrow down to { from, to }
+ * @returns {Promise<Array<{startAt: Date, endAt: Date, recruiters: Array<{memberId: string, day: string}>}>>}
+ */
+export async function getOpenSlots(job, { from, to } = {}) {
+  const scheduling = getInterviewScheduling(job);
+  const now = Date.now();
+  const earliest = new Date(Math.max(now + scheduling.minNoticeHours * 60 * 60 * 1000, from?.getTime() || 0));
+  const latest = new Date(Math.min(now + scheduling.horizonDays * DAY_MS, to?.getTime() || Infinity));
+  if (earliest >= latest) return [];
+
+  const availabilities = await RecruiterAvailability.find(
+    scheduling.recruiterIds.length > 0 ? { memberId: { $in: scheduling.recruiterIds } } : {}
+  );
+  const candidateSlots = availabilities.flatMap(availability => buildAvailabilitySlots(availability, {
+    from: earliest,
+    to: latest,
+    slotMinutes: scheduling.slotMinutes,
+  }));
+  if (candidateSlots.length === 0) return [];
+
+  // Bookings that overlap the range: the recruiters' (any job) and the job's (for daily capacity; ended
+  // bookings still took their day's place)
+  const bookings = await InterviewBooking.find({
+    status: { $in: ['booked', 'ended'] },
+    startAt: { $lt: new Date(latest.getTime() + DAY_MS) },
+    endAt: { $gt: new Date(earliest.getTime() - DAY_MS) },
+    $or: [
+      { memberId: { $in: availabilities.map(availability => availability.memberId) } },
+      { jobId: job._id },
+    ],
+  }).select('jobId memberId startAt endAt day');
+
+  const bookedPerDay = new Map();
+  for (const booking of bookings) {
+    if (String(booking.jobId) === String(job._id)) {
+      bookedPerDay.set(booking.day, (bookedPerDay.get(booking.day) || 0) + 1);
+    }
+  }
+
+  const open = new Map();
+  for (const slot of candidateSlots) {
+    if ((bookedPerDay.get(slot.day) || 0) >= scheduling.dailyCapacity) continue;
+    const taken = bookings.some(booking => String(booking.memberId) === slot.memberId
+      && booking.startAt < slot.endAt && booking.endAt > slot.startAt);
+    if (taken) continue;
+
+    const key = slot.startAt.getTime();
+    if (!open.has(key)) {
+      open.set(key, { startAt: slot.startAt, endAt: slot.endAt, recruiters: [] });
+    }
+    open.get(key).recruiters.push({ memberId: slot.memberId, day: slot.day });
+  }
+
+  return [...open.values()].sort((a, b) => a.startAt - b.startAt);
+}
+
+/**
+ * Minutes (since the epoch) a booking from startAt to endAt holds
+ * Slots start and end on whole minutes, so two slots overlap exactly when they share a minute.
+ * @param {Date} startAt - Slot start
+ * @param {Date} endAt - Slot end
+ * @returns {number[]}
+ */
+export function getOccupiedMinutes(startAt, endAt) {
+  const minutes = [];
+  for (let minute = Math.floor(startAt.getTime() / 60000); minute < Math.ceil(endAt.getTime() / 60000); minute++) {
+    minutes.push(minute);
+  }
+  return minutes;
+}
+
+/**
+ * Reserve an open slot with one of its recruiters
+ * Each attempt is one insert: the unique indexes on InterviewBooking reject a slot that overlaps one the
+ * recruiter just booked, a place in the day's capacity that was just filled and a second booked slot for
+ * the application (e.g. a double-clicked booking).
+ * @returns {Promise<Object|null>} The booking, or null when the slot is gone
+ * @throws {Error} With status 409 when the application already holds a booked slot
+ */
+async function reserveSlot(slot, { job, application, dailyCapacity }) {
+  for (const { memberId, day } of slot.recruiters) {
+    for (let capacityIndex = 0; capacityIndex < dailyCapacity; capacityIndex++) {
+      try {
+        return await InterviewBooking.create({
+          jobId: job._id,
+          applicationId: application._id,
+          userId: application.userId._id || application.userId,
+          memberId,
+          startAt: slot.startAt,
+          endAt: slot.endAt,
+          occupiedMinutes: getOccupiedMinutes(slot.startAt, slot.endAt),
+          day,
+          capacityIndex,
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        if (error.keyPattern?.applicationId) {
+          throw requestError('An interview slot is already booked for this application', 409);
+        }
+        // The recruiter's time was taken: try the next recruiter; otherwise try the next place in the day
+        if (error.keyPattern?.memberId) break;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * End the application's bookings whose slot has passed, so it can book again after an unanswered or
+ * failed call (its booked slot would otherwise hold the application's unique index)
+ * @param {Object} application - Application document
+ */
+async function endPastBookings(application) {
+  await InterviewBooking.updateMany(
+    { applicationId: application._id, status: 'booked', endAt: { $lte: new Date() } },
+    { $set: { status: 'ended' } }
+  );
+}
+
+/**
+ * Release a booking (its slot and place in the day's capacity become free again)
+ * @param {Object} booking - InterviewBooking document
+ */
+async function releaseBooking(booking) {
+  await InterviewBooking.updateOne(
+    { _id: booking._id, status: 'booked' },
+    { $set: { status: 'canceled', canceledAt: new Date() } }
+  );
+}
+
+/**
+ * Email the candidate their booked interview with an .ics attachment
+ */
+async function sendBookingConfirmation({ booking, interview, user, job, company, timeZone }) {
+  const dateFormat = new Intl.DateTimeFormat(company.locale, { dateStyle: 'full', timeStyle: 'short', timeZone });
+  const when = `${dateFormat.format(booking.startAt)} (${timeZone})`;
+  const summary = `Phone interview - ${job.role} at ${company.name}`;
+
+  const calendar = buildCalendarEvent({
+    uid: `interview-booking-${booking._id}@hirewise`,
+    startAt: booking.startAt,
+    endAt: booking.endAt,
+    summary,
+    description: `An AI interviewer will call you at ${interview.phoneNumber} for your phone interview for the ${job.role} role.`,
+    location: interview.phoneNumber,
+  });
+
+  const html = `
+    <h2>Hello ${user.name},</h2>
+    <p>Your phone interview for the ${job.role} role is booked for <strong>${when}</strong>.</p>
+    <p>An AI interviewer will call you at <strong>${interview.phoneNumber}</strong>. The attached calendar invite has the details.</p>
+    <p>Best regards,<br>${company.name} HR Team</p>
+  `;
+  const result = await sendEmail({
+    to: user.email,
+    subject: `Phone interview booked - ${company.name}`,
+    html,
+    text: html.replace(/<[^>]*>/g, ''),
+    attachments: [{ filename: 'phone-interview.ics', content: calendar, type: 'text/calendar; method=PUBLISH' }],
+  });
+  if (!result.ok) {
+    console.error('[Interview Slots] Failed to send booking confirmation:', result.error);
+  }
+}
+
+/**
+ * Book an open slot for an application and schedule the Bland AI call for it
+ * @param {Object} params
+ * @param {Object} params.application - Application document (the candidate's)
+ * @param {Object} params.job - The application's job
+ * @param {Date} params.startAt - Start of one of the open slots
+ * @returns {Promise<{booking: Object, interview: Object}>}
+ * @throws {Error} With status 409 when booking is disabled for the job, the slot is no longer open, the
+ *   application already holds a booked slot or a call is already pending (and the statuses of
+ *   schedulePhoneInterview)
+ */
+export async function bookInterviewSlot({ application, job, startAt }) {
+  const scheduling = getInterviewScheduling(job);
+  if (!scheduling.enabled) {
+    throw requestError('Interview booking is not enabled for this job', 409);
+  }
+
+  const [slot] = await getOpenSlots(job, { from: startAt, to: new Date(startAt.getTime() + 1) });
+  if (!slot || slot.startAt.getTime() !== startAt.getTime()) {
+    throw requestError('This slot is not available', 409);
+  }
+
+  // The call is only placed once the booking is inserted: a concurrent request for the same application
+  // fails on the unique index before it gets to schedule a call
+  await endPastBookings(application);
+  const booking = await reserveSlot(slot, { job, application, dailyCapacity: scheduling.dailyCapacity });
+  if (!booking) {
+    throw requestError('This slot was just booked by someone else', 409);
+  }
+
+  try {
+    const target = await resolveInterviewTarget({ applicationId: application._id });
+    const company = await resolveCompanyProfile(target.job);
+    const timeZone = getCandidateTimeZone(target.user, company);
+
+    const latest = await findLatestPhoneInterview({ applicationId: application._id });
+    const { interview } = await schedulePhoneInterview(target, {
+      startTime: formatStartTime(startAt, timeZone),
+      interview: latest,
+      notify: false,
+    });
+
+    booking.phoneInterviewId = interview._id;
+    await booking.save();
+    console.log(`[Interview Slots] Booked ${startAt.toISOString()} with member ${booking.memberId} for application ${application._id}`);
+
+    if (target.user.email) {
+      sendBookingConfirmation({ booking, interview, user: target.user, job: target.job, company, timeZone })
+        .catch(error => console.error('[Interview Slots] Error sending booking confirmation:', error));
+    }
+
+    return { booking, interview };
+  } catch (error) {
+    await releaseBooking(booking);
+    throw error;
+  }
+}
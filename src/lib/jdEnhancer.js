@@ -1,6 +1,6 @@
-import { callLLM } from './llm.js';
-import { parseJsonSafely } from './parseJsonSafely.js';
+import { callLLMJson } from './llm.js';
 import { extractTagsFromJob } from './embeddings.js';
+import { resolveCompanyProfile } from './companyProfile.js';
 
 /**
  * Build prompt for JD enhancement
@@ -28,15 +28,15 @@ function buildEnhancePrompt(job) {
  */
 export async function enhanceJD(job) {
   const prompt = buildEnhancePrompt(job);
-  const rawResponse = await callLLM('JD_ENHANCER', prompt);
-  const parsed = parseJsonSafely(rawResponse);
-
-  if (!parsed.ok) {
+  let enhanced;
+  try {
+    enhanced = await callLLMJson('JD_ENHANCER', prompt, { companyProfile: await resolveCompanyProfile(job) });
+  } catch (error) {
     return {
       ok: false,
       data: null,
-      raw: rawResponse,
-      error: parsed.error,
+      raw: error.rawResponse || null,
+      error: error.message,
     };
   }
 
@@ -57,7 +57,7 @@ export async function enhanceJD(job) {
   }
 
   // Fix apply_form_fields if it's returned as a string instead of an array
-  let applyFormFields = parsed.json.apply_form_fields || [];
+  let applyFormFields = enhanced.apply_form_fields || [];
   
   if (typeof applyFormFields === 'string') {
     console.log('[JD Enhancer] apply_form_fields is a string, attempting to parse...');
@@ -152,11 +152,11 @@ export async function enhanceJD(job) {
   const result = {
     ok: true,
     data: {
-      ...parsed.json,
+      ...enhanced,
       tags, // Replace LLM tags with embeddings-based tags
-      apply_form_fields: applyFormFields, // Ensure it's a proper array (overwrites any string from parsed.json)
+      apply_form_fields: applyFormFields, // Ensure it's a proper array (overwrites any string from the LLM response)
     },
-    raw: rawResponse,
+    raw: JSON.stringify(enhanced),
     error: null,
   };
   
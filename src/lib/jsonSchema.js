@@ -0,0 +1,88 @@
+/**
+ * Minimal JSON schema validator for LLM output
+ * Supports the subset of JSON Schema used by the prompt output schemas:
+ * type (single or array, incl. "null" and "integer"), properties, required, items, enum,
+ * minimum, maximum, minItems and minLength. Unknown properties are allowed.
+ */
+
+/**
+ * Get the JSON type name of a value
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single type name
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && !Number.isNaN(value);
+  return getJsonType(value) === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path='$'] - Path of the value (used in error messages)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  const errors = [];
+  validateValue(value, schema, path, errors);
+  return { ok: errors.length === 0, errors };
+}
+
+function validateValue(value, schema, path, errors) {
+  if (!schema) return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')} (got ${getJsonType(value)})`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum} (got ${value})`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateValue(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
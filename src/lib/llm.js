@@ -1,72 +1,141 @@
 /**
- * LLM integration supporting both AWS Bedrock and OpenAI
+ * LLM integration supporting AWS Bedrock, OpenAI, local OpenAI-compatible endpoints and a mock provider
  * - AWS Bedrock: Claude, Titan, AI21, Cohere, Llama models (using REST API)
  * - OpenAI: GPT-4o, GPT-4, GPT-3.5 models
+ * - Local: any OpenAI-compatible chat completions endpoint (Ollama, vLLM, llama.cpp server) - data stays on our network
+ * - Mock: canned fixture JSON per prompt (see llmMock.js) for local development and tests
  */
 
 import dotenv from 'dotenv';
+import LLMCall from '../models/LLMCall.js';
+import { getBackoffDelayMs, parseRetryAfterMs, isRetryableStatus, sleep } from './retry.js';
+import { isPromptCacheable, getLLMCacheKey, getCachedLLMResponse, setCachedLLMResponse } from './llmCache.js';
+import { parseJsonSafely } from './parseJsonSafely.js';
+import { validateJsonSchema } from './jsonSchema.js';
+import { PROMPT_OUTPUT_SCHEMAS } from './llmSchemas.js';
+import { getMockResponse } from './llmMock.js';
+import { getPromptTemplate, renderPromptTemplate, BUILTIN_PROMPT_VERSION } from './promptRegistry.js';
+import { getCurrentOrgId } from './orgScope.js';
+import {
+  resolveCompanyProfile,
+  buildCompanySystemContext,
+  describeCompany,
+  getDefaultLocation,
+  getLanguageName,
+  getCompensationFormat,
+} from './companyProfile.js';
 
 dotenv.config();
 
 // LLM Provider selection
-const LLM_PROVIDER = process.env.LLM_PROVIDER || 'bedrock'; // 'bedrock' or 'openai'
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'bedrock'; // 'bedrock', 'openai', 'local' or 'mock'
 
 // AWS Bedrock configuration
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
 const AWS_BEARER_TOKEN_BEDROCK = process.env.AWS_BEARER_TOKEN_BEDROCK;
 const BEDROCK_ENDPOINT = `https://bedrock-runtime.${AWS_REGION}.amazonaws.com`;
 
-// Model configuration - can use different models for different tasks
-// Supports both Bedrock and OpenAI models
-// IMPORTANT: Model selection is based on LLM_PROVIDER to ensure correct model type
+// Local OpenAI-compatible endpoint configuration (Ollama default; vLLM and llama.cpp server also expose /v1)
+const LOCAL_LLM_BASE_URL = (process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY; // Only needed if the endpoint requires one
+const LOCAL_LLM_DEFAULT_MODEL = process.env.LOCAL_LLM_MODEL_ID || 'llama3.1:8b';
+
+// Model configuration per provider - can use different models for different tasks:
+// CRITICAL - highest accuracy (resume scoring, video scoring)
+// STANDARD - JD enhancement, email generation, screening questions
+// FAST - simple tasks (compensation analysis, github scoring)
+// DEFAULT - fallback
+const PROVIDER_MODEL_CONFIG = {
+  openai: {
+    CRITICAL: process.env.LLM_MODEL_CRITICAL || 'gpt-4o',
+    STANDARD: process.env.LLM_MODEL_STANDARD || 'gpt-4o',
+    FAST: process.env.LLM_MODEL_FAST || 'gpt-4o-mini',
+    DEFAULT: process.env.LLM_MODEL_ID || 'gpt-4o',
+    CRITERIA_CHECK: process.env.LLM_MODEL_CRITERIA_CHECK || 'gpt-4o',
+  },
+  bedrock: {
+    CRITICAL: process.env.BEDROCK_MODEL_CRITICAL || 'anthropic.claude-3-opus-20240229-v1:0',
+    STANDARD: process.env.BEDROCK_MODEL_STANDARD || 'anthropic.claude-3-5-sonnet-20241022-v1:0',
+    FAST: process.env.BEDROCK_MODEL_FAST || 'anthropic.claude-3-5-haiku-20241022-v1:0',
+    DEFAULT: process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-5-sonnet-20241022-v1:0',
+    CRITERIA_CHECK: process.env.BEDROCK_MODEL_CRITERIA_CHECK || 'amazon.nova-micro-v1:0',
+  },
+  local: {
+    CRITICAL: process.env.LOCAL_LLM_MODEL_CRITICAL || LOCAL_LLM_DEFAULT_MODEL,
+    STANDARD: process.env.LOCAL_LLM_MODEL_STANDARD || LOCAL_LLM_DEFAULT_MODEL,
+    FAST: process.env.LOCAL_LLM_MODEL_FAST || LOCAL_LLM_DEFAULT_MODEL,
+    DEFAULT: LOCAL_LLM_DEFAULT_MODEL,
+    CRITERIA_CHECK: process.env.LOCAL_LLM_MODEL_CRITERIA_CHECK || LOCAL_LLM_DEFAULT_MODEL,
+  },
+  mock: {
+    CRITICAL: 'mock',
+    STANDARD: 'mock',
+    FAST: 'mock',
+    DEFAULT: 'mock',
+    CRITERIA_CHECK: 'mock',
+  },
+};
+
+/**
+ * Parse a comma separated provider chain (e.g. "bedrock,openai")
+ */
+function parseProviderChain(value) {
+  if (!value) return null;
+  const chain = value.split(',').map(p => p.trim().toLowerCase()).filter(p => PROVIDER_MODEL_CONFIG[p]);
+  return chain.length > 0 ? chain : null;
+}
+
+// Default chain: primary provider, then LLM_FALLBACK_PROVIDER if set
+const DEFAULT_PROVIDER_CHAIN = parseProviderChain(process.env.LLM_PROVIDER_CHAIN)
+  || [PROVIDER_MODEL_CONFIG[LLM_PROVIDER] ? LLM_PROVIDER : 'bedrock', process.env.LLM_FALLBACK_PROVIDER]
+    .filter((p, index, chain) => p && PROVIDER_MODEL_CONFIG[p] && chain.indexOf(p) === index);
+
+// Model configuration for the primary provider (LLM_PROVIDER) plus failover settings
 const MODEL_CONFIG = {
-  // Critical tasks requiring highest accuracy (resume scoring, video scoring)
-  CRITICAL: LLM_PROVIDER === 'openai' 
-    ? (process.env.LLM_MODEL_CRITICAL || 'gpt-4o')
-    : (process.env.BEDROCK_MODEL_CRITICAL || 'anthropic.claude-3-opus-20240229-v1:0'),
-  
-  // Standard tasks (JD enhancement, email generation, screening questions)
-  STANDARD: LLM_PROVIDER === 'openai' 
-    ? (process.env.LLM_MODEL_STANDARD || 'gpt-4o')
-    : (process.env.BEDROCK_MODEL_STANDARD || 'anthropic.claude-3-5-sonnet-20241022-v1:0'),
-  
-  // Simple/fast tasks (compensation analysis, github scoring)
-  FAST: LLM_PROVIDER === 'openai' 
-    ? (process.env.LLM_MODEL_FAST || 'gpt-4o-mini')
-    : (process.env.BEDROCK_MODEL_FAST || 'anthropic.claude-3-5-haiku-20241022-v1:0'),
-  
-  // Default fallback
-  DEFAULT: LLM_PROVIDER === 'openai' 
-    ? (process.env.LLM_MODEL_ID || 'gpt-4o')
-    : (process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-5-sonnet-20241022-v1:0'),
-
-  CRITERIA_CHECK: LLM_PROVIDER === 'openai' 
-    ? (process.env.LLM_MODEL_CRITERIA_CHECK || 'gpt-4o')
-    : (process.env.BEDROCK_MODEL_CRITERIA_CHECK || 'amazon.nova-micro-v1:0'),
+  ...(PROVIDER_MODEL_CONFIG[LLM_PROVIDER] || PROVIDER_MODEL_CONFIG.bedrock),
+
+  // Provider failover chain per prompt name (first entry is the primary provider).
+  // Prompts not listed use DEFAULT. Override any prompt with LLM_PROVIDER_CHAIN_<PROMPT_NAME>=bedrock,openai
+  PROVIDER_CHAINS: {
+    DEFAULT: DEFAULT_PROVIDER_CHAIN,
+  },
+};
+
+// Retry policy for each provider in the chain (retryable errors only: throttling, timeouts, 5xx, network)
+const RETRY_CONFIG = {
+  maxAttempts: parseInt(process.env.LLM_MAX_ATTEMPTS) || 3,
+  backoffBaseMs: parseInt(process.env.LLM_BACKOFF_BASE_MS) || 1000,
+  backoffMaxMs: parseInt(process.env.LLM_BACKOFF_MAX_MS) || 30000,
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
 };
 
+// Record every call and its attempts in the llmcalls collection (set LLM_RECORD_CALLS=false to disable)
+const RECORD_CALLS = process.env.LLM_RECORD_CALLS !== 'false';
+
 /**
  * Build prompt for extracting job fields from raw text
  */
-function buildJobFieldExtractionPrompt(payload) {
+function buildJobFieldExtractionPrompt(payload, company) {
   const { text } = payload;
+  const language = getLanguageName(company);
+  const compensationFormat = getCompensationFormat(company);
 
-  return `You are an expert HR consultant extracting structured job information from raw text for Paytm, an Indian fintech company.
+  return `You are an expert HR consultant extracting structured job information from raw text for ${describeCompany(company)}.
 
 Raw Job Description Text:
 ${text}
 
-Extract the following fields from the text. If a field is not mentioned, use null or an empty array as appropriate. Use Indian context and conventions.
+Extract the following fields from the text. If a field is not mentioned, use null or an empty array as appropriate. Use ${company.country} context and conventions.
 
 Return a JSON object with the following structure:
 {
-  "company_name": "Company name (e.g., 'Paytm' if mentioned, otherwise null)",
+  "company_name": "Company name (e.g., '${company.name}' if mentioned, otherwise null)",
   "role": "Job title/role (e.g., 'Senior Full Stack Developer')",
   "team": "Team or department name (e.g., 'Travel', 'Engineering', 'Product') or null",
   "seniority": "Seniority level (e.g., 'Junior', 'Mid-level', 'Senior', 'Lead', 'Principal') or null",
-  "location": "Location (e.g., 'Noida', 'Gurugram', 'Bangalore', 'Mumbai') or null",
+  "location": "Location (e.g., '${company.location || company.country}') or null",
   "job_type": "Job type (e.g., 'full-time', 'part-time', 'contract', 'hybrid', 'remote', 'onsite') or null",
-  "budget_info": "Compensation/budget information in INR format with numbers only (e.g., '₹25,00,000 - ₹35,00,000 per annum' for range, or '₹30,00,000 per annum' for single value) or null",
+  "budget_info": "Compensation/budget information in ${company.currency} with numbers only (format: ${compensationFormat}) or null",
   "must_have_skills": ["Array of required skills/technologies mentioned in the text"],
   "nice_to_have": ["Array of preferred but not required skills/technologies"]
 }
@@ -76,19 +145,19 @@ Guidelines:
 - Extract the exact job title/role from the text
 - Extract team/department if mentioned (e.g., "Travel team", "Engineering department")
 - Determine seniority from keywords like "Senior", "Junior", "Lead", "Principal", "Mid-level"
-- Extract location (prefer Indian cities like Noida, Gurugram, Bangalore, Mumbai, Pune, Hyderabad)
+- Extract location (prefer cities in ${company.country})
 - Determine job type from keywords like "hybrid", "remote", "onsite", "full-time"
-- Extract budget/compensation in INR format with numbers only (NO "Up to", "Max", "Min" prefixes):
-  * If range is mentioned: "₹X,XX,XXX - ₹Y,YY,YYY per annum" (e.g., "₹25,00,000 - ₹35,00,000 per annum")
-  * If single value or max mentioned: "₹X,XX,XXX per annum" (e.g., "30 LPA" or "max 30 LPA" → "₹30,00,000 per annum")
-  * If LPA mentioned: Convert to INR format (e.g., "30 LPA" → "₹30,00,000 per annum", "max 30 LPA" → "₹30,00,000 per annum")
-  * Always use Indian number format with commas (₹X,XX,XXX)
+- Extract budget/compensation in ${company.currency} with numbers only (NO "Up to", "Max", "Min" prefixes):
+  * Format: ${compensationFormat}
+  * If range is mentioned: "X - Y per annum"; if single value or max mentioned: "X per annum"
+  * Convert shorthand amounts (e.g., "120k", "1.2M") to full numbers in ${company.currency}
+  * Use ${language} number formatting with thousands separators
   * Include "per annum" at the end
   * DO NOT include words like "Up to", "Max", "Min", "Maximum", "Minimum" - only numbers and "per annum"
 - Extract must-have skills: technologies, frameworks, tools that are explicitly required
 - Extract nice-to-have skills: technologies, frameworks, tools that are preferred but not mandatory
 - If a field cannot be determined from the text, use null (for strings) or [] (for arrays)
-- Use Indian English conventions and context
+- Use ${language} conventions and context
 
 Return ONLY valid JSON, no additional text.`;
 }
@@ -96,16 +165,17 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for JD enhancement
  */
-function buildJDEnhancerPrompt(payload) {
+function buildJDEnhancerPrompt(payload, company) {
   const { raw_jd, company_name, role, team, seniority, location, job_type, budget_info, must_have_skills, nice_to_have } = payload;
+  const defaultLocation = getDefaultLocation(company);
 
-  return `You are an expert HR consultant helping to enhance a job description for Paytm, an Indian fintech company.
+  return `You are an expert HR consultant helping to enhance a job description for ${describeCompany(company)}.
 
-Company: ${company_name} (Indian fintech company, based in Noida)
+Company: ${company_name} (${company.description || company.name}, based in ${defaultLocation})
 Role: ${role}
 Team: ${team || 'Not specified'}
 Seniority: ${seniority || 'Not specified'}
-Location: ${location || 'Noida, Delhi NCR'}
+Location: ${location || defaultLocation}
 Job Type: ${job_type || 'Full-time'}
 Must-have skills: ${must_have_skills?.join(', ') || 'None specified'}
 Nice-to-have skills: ${nice_to_have?.join(', ') || 'None specified'}
@@ -113,25 +183,24 @@ Nice-to-have skills: ${nice_to_have?.join(', ') || 'None specified'}
 Raw Job Description:
 ${raw_jd}
 
-Please enhance this job description with Indian context:
-- Mention Paytm's position in the Indian fintech market
-- Reference Indian payment systems, UPI, digital payments if relevant
-- Use Indian English conventions
-- Include location context (${location || 'Noida/Delhi NCR'}) and work arrangement (${job_type || 'Full-time'})
+Please enhance this job description with ${company.country} context:
+- Mention ${company.name}'s position in its market${company.industry ? ` (${company.industry})` : ''}
+${company.industryContext ? `- Reference ${company.industryContext} if relevant\n` : ''}- Use ${getLanguageName(company)} conventions
+- Include location context (${location || defaultLocation}) and work arrangement (${job_type || 'Full-time'})
 - Mention the team/department (${team || 'Engineering'}) if specified
 - DO NOT include salary range, compensation, or budget information in the enhanced job description
 - Focus on role responsibilities, requirements, company culture, and growth opportunities
 
 Return a JSON object with the following structure:
 {
-  "enhanced_jd": "Enhanced, professional job description (2-3 paragraphs) with Indian context, WITHOUT any salary or compensation information",
+  "enhanced_jd": "Enhanced, professional job description (2-3 paragraphs) with ${company.country} context, WITHOUT any salary or compensation information",
   "apply_form_fields": [
     {"name": "email", "type": "email", "label": "Email Address", "required": true},
     {"name": "phone", "type": "tel", "label": "Phone Number", "required": false}
   ]
 }
 
-IMPORTANT: The enhanced_jd must NOT contain any mention of salary, compensation, budget, pay scale, CTC, LPA, or any monetary information. Focus only on the role, responsibilities, requirements, and company benefits (non-monetary).
+IMPORTANT: The enhanced_jd must NOT contain any mention of salary, compensation, budget, pay scale, CTC, or any monetary information. Focus only on the role, responsibilities, requirements, and company benefits (non-monetary).
 
 Note: Tags are extracted separately using embeddings for better semantic matching, and screening questions are generated dynamically on-the-spot when candidates submit videos.
 Return ONLY valid JSON, no additional text.`;
@@ -140,10 +209,10 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for candidate scoring against search criteria
  */
-function buildCandidateSearchScoringPrompt(payload) {
+function buildCandidateSearchScoringPrompt(payload, company) {
   const { resumeText, searchCriteria, searchQuery } = payload;
 
-  return `You are an expert recruiter evaluating a candidate's resume against search criteria for Paytm (Indian fintech company).
+  return `You are an expert recruiter evaluating a candidate's resume against search criteria for ${describeCompany(company)}.
 
 Search Query: "${searchQuery}"
 
@@ -160,9 +229,8 @@ ${resumeText || 'No resume text available'}
 Evaluate the candidate considering:
 - Match with required skills and technologies
 - Relevance to search criteria
-- Indian market experience and fintech/payment industry knowledge (if relevant)
-- Experience with Indian payment systems (UPI, digital wallets, payment gateways) if fintech-related
-- Overall fit for the search requirements
+- ${company.country} market experience${company.industry ? ` and ${company.industry} industry knowledge` : ''} (if relevant)
+${company.industryContext ? `- Experience with ${company.industryContext} if relevant\n` : ''}- Overall fit for the search requirements
 
 Analyze the resume and return a JSON object with:
 {
@@ -180,14 +248,14 @@ Be thorough and fair. Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for resume scoring
  */
-function buildResumeScoringPrompt(payload) {
+function buildResumeScoringPrompt(payload, company) {
   const { resumeText, job } = payload;
 
-  return `You are an expert recruiter evaluating a candidate's resume against a job posting at Paytm (Indian fintech company).
+  return `You are an expert recruiter evaluating a candidate's resume against a job posting at ${describeCompany(company)}.
 
 Job Requirements:
 - Role: ${job.role}
-- Company: ${job.company_name} (Indian fintech, Noida-based)
+- Company: ${job.company_name} (${company.description || company.name}, ${getDefaultLocation(company)})
 - Must-have skills: ${job.must_have_skills?.join(', ') || 'None specified'}
 - Nice-to-have skills: ${job.nice_to_have?.join(', ') || 'None specified'}
 - Job Description: ${job.enhanced_jd || job.raw_jd}
@@ -196,10 +264,8 @@ Candidate Resume:
 ${resumeText}
 
 Evaluate the resume considering:
-- Indian market experience and fintech/payment industry knowledge
-- Experience with Indian payment systems (UPI, digital wallets, payment gateways)
-- Understanding of Indian fintech regulations and compliance
-- Cultural fit for Indian work environment
+- ${company.country} market experience${company.industry ? ` and ${company.industry} industry knowledge` : ''}
+${company.industryContext ? `- Experience with ${company.industryContext}\n` : ''}- Cultural fit for the ${company.country} work environment
 
 Analyze the resume and return a JSON object with:
 {
@@ -293,32 +359,32 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for compensation analysis
  */
-function buildCompensationAnalysisPrompt(payload) {
+function buildCompensationAnalysisPrompt(payload, company) {
   const { compensationExpectation, budget_info } = payload;
+  const industryRates = company.industry ? `${company.industry} industry rates` : 'industry rates';
 
-  return `Analyze if a candidate's compensation expectation aligns with the job budget for Paytm (Indian fintech company).
+  return `Analyze if a candidate's compensation expectation aligns with the job budget for ${describeCompany(company)}.
 
-IMPORTANT: All amounts are in INR (Indian Rupees). Use Indian compensation format:
-- Format: ₹XX,XX,XXX per annum or XX LPA (Lakhs Per Annum)
-- Example: ₹25,00,000 per annum = 25 LPA
-- Consider Indian market rates for the role and experience level
+IMPORTANT: All amounts are in ${company.currency}. Use this compensation format:
+- Format: ${getCompensationFormat(company)}
+- Consider ${company.country} market rates for the role and experience level
 
-Job Budget: ${budget_info || 'Not specified'} (in INR)
-Candidate Expectation: ${compensationExpectation || 'Not specified'} (in INR)
+Job Budget: ${budget_info || 'Not specified'} (in ${company.currency})
+Candidate Expectation: ${compensationExpectation || 'Not specified'} (in ${company.currency})
 
 Evaluate based on:
-- Indian market compensation standards
-- Fintech industry rates in India
-- Experience level and location (Noida/Delhi NCR)
-- Paytm's compensation structure
+- ${company.country} market compensation standards
+- ${industryRates} in ${company.country}
+- Experience level and location (${getDefaultLocation(company)})
+- ${company.name}'s compensation structure
 
 Return a JSON object:
 {
   "score": 0-100,
-  "analysis": "Analysis of alignment between expectation and budget, considering Indian market rates and fintech industry standards"
+  "analysis": "Analysis of alignment between expectation and budget, considering ${company.country} market rates and ${industryRates}"
 }
 
-Score should be higher if expectations align well with Indian market standards. Return ONLY valid JSON, no additional text.`;
+Score should be higher if expectations align well with ${company.country} market standards. Return ONLY valid JSON, no additional text.`;
 }
 
 /**
@@ -390,11 +456,11 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for email generation
  */
-function buildEmailGeneratorPrompt(payload) {
+function buildEmailGeneratorPrompt(payload, company) {
   const {
     candidateName,
     role,
-    company,
+    company: companyName,
     seniority,
     screening_link,
     screening_questions,
@@ -404,20 +470,22 @@ function buildEmailGeneratorPrompt(payload) {
     jobDetails,
   } = payload;
 
-  let context = `Generate a SHORT, concise, professional email informing a candidate they are SHORTLISTED and that they will receive an AI-based phone interview call at Paytm (Indian fintech company).
+  const language = getLanguageName(company);
+
+  let context = `Generate a SHORT, concise, professional email informing a candidate they are SHORTLISTED and that they will receive an AI-based phone interview call at ${describeCompany(company)}.
 
 IMPORTANT CONTEXT:
-- Company: Paytm (leading Indian fintech company, based in Noida)
-- Use Indian English conventions
+- Company: ${describeCompany(company)}, based in ${getDefaultLocation(company)}
+- Use ${language} conventions
 - Keep the email BRIEF and to the point (maximum 3-4 short paragraphs)
 - The candidate has been SHORTLISTED for the role
 - MUST mention: "We will call you shortly for an AI-based phone interview" (or similar wording)
 - The interview is conducted by an AI assistant (not a human interviewer)
-- Use warm, professional tone appropriate for Indian corporate culture
+- Use a ${company.tone || 'warm, professional'} tone
 
 Candidate: ${candidateName}
 Role: ${seniority ? seniority + ' ' : ''}${role}
-Company: ${company} (Paytm - Indian fintech)
+Company: ${companyName || company.name}
 
 `;
 
@@ -436,14 +504,14 @@ Company: ${company} (Paytm - Indian fintech)
   }
 
   context += `Email Structure (KEEP IT SHORT - 3-4 paragraphs max):
-1. Opening: Greet and inform they are SHORTLISTED for the ${role} position at Paytm
+1. Opening: Greet and inform they are SHORTLISTED for the ${role} position at ${companyName || company.name}
 2. Brief: Mention 1-2 key strengths briefly (if scores are good)
 3. Action: Inform "We will call you shortly for an AI-based phone interview"
-4. Closing: Professional closing with Paytm branding
+4. Closing: Professional closing with ${companyName || company.name} branding
 
 Email Guidelines:
 - Keep it CONCISE - maximum 150-200 words total
-- Use Indian English conventions
+- Use ${language} conventions
 - Mention "shortlisted" clearly
 - MUST mention "We will call you shortly for an AI-based phone interview" (exact wording or similar)
 - Professional yet warm tone
@@ -468,12 +536,13 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for generating screening questions on the spot
  */
-function buildScreeningQuestionsPrompt(payload) {
+function buildScreeningQuestionsPrompt(payload, company) {
   const { job, candidateInfo, resumeText } = payload;
+  const language = getLanguageName(company);
 
   // If no job provided, generate generic questions based on resume only
   if (!job && resumeText) {
-    return `You are an expert interviewer creating phone interview questions for a candidate at Paytm (Indian fintech company).
+    return `You are an expert interviewer creating phone interview questions for a candidate at ${describeCompany(company)}.
 
 Candidate Resume:
 ${resumeText.substring(0, 2000)}${resumeText.length > 2000 ? '...' : ''}
@@ -500,8 +569,8 @@ IMPORTANT:
 Question Guidelines:
 - Extract specific technologies, frameworks, or tools mentioned in the resume
 - Ask about projects or experiences mentioned in the resume
-- Consider Indian market context if relevant
-- Use Indian English conventions
+- Consider ${company.country} market context if relevant
+- Use ${language} conventions
 - Be clear and specific
 - Allow candidates to showcase their expertise
 - Be suitable for phone conversation format
@@ -520,14 +589,14 @@ Return ONLY valid JSON, no additional text.`;
   }
 
   // Original job-based prompt
-  return `You are an expert interviewer creating video screening questions for a job position at Paytm (Indian fintech company).
+  return `You are an expert interviewer creating video screening questions for a job position at ${describeCompany(company)}.
 
 Job Details:
 - Role: ${job.role}
-- Company: ${job.company_name} (Paytm - Indian fintech, Noida)
+- Company: ${job.company_name} (${company.description || company.name}, ${getDefaultLocation(company)})
 - Team: ${job.team || 'Not specified'}
 - Seniority: ${job.seniority || 'Not specified'}
-- Location: ${job.location || 'Noida, Delhi NCR'}
+- Location: ${job.location || getDefaultLocation(company)}
 - Job Type: ${job.job_type || 'Full-time'}
 - Must-have skills: ${job.must_have_skills?.join(', ') || 'None specified'}
 - Nice-to-have skills: ${job.nice_to_have?.join(', ') || 'None specified'}
@@ -539,11 +608,11 @@ ${candidateInfo ? `Candidate Context:
 ` : ''}
 
 Generate 3-5 engaging, relevant screening questions that assess ONLY technical and behavioral aspects:
-1. Technical skills and experience relevant to the role (especially fintech/payment systems)
+1. Technical skills and experience relevant to the role${company.industry ? ` (especially ${company.industry})` : ''}
 2. Problem-solving approach and critical thinking
 3. Communication abilities
 4. Behavioral traits (teamwork, adaptability, leadership, work ethic)
-5. Real-world application of skills in Indian market context
+5. Real-world application of skills in ${company.country} market context
 
 IMPORTANT: 
 - DO NOT include questions about notice period, compensation, salary, joining date, or availability
@@ -551,9 +620,8 @@ IMPORTANT:
 - These questions are for phone/video interviews, not for administrative details
 
 Question Guidelines:
-- Include questions about Indian fintech/payment systems (UPI, digital payments, payment gateways) if relevant
-- Consider Indian market experience and understanding
-- Use Indian English conventions
+${company.industryContext ? `- Include questions about ${company.industryContext} if relevant\n` : ''}- Consider ${company.country} market experience and understanding
+- Use ${language} conventions
 - Be clear and specific
 - Allow candidates to showcase their expertise
 - Have an appropriate time limit (60-180 seconds)
@@ -563,7 +631,7 @@ Question Guidelines:
 Return a JSON object with this structure:
 {
   "screening_questions": [
-    {"text": "Question 1 text (with Indian/fintech context if relevant)", "time_limit_sec": 120, "type": "video"},
+    {"text": "Question 1 text (with ${company.industry || company.country} context if relevant)", "time_limit_sec": 120, "type": "video"},
     {"text": "Question 2 text", "time_limit_sec": 90, "type": "video"},
     {"text": "Question 3 text", "time_limit_sec": 150, "type": "video"}
   ]
@@ -575,7 +643,7 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for generating resume summary
  */
-function buildResumeSummaryPrompt(payload) {
+function buildResumeSummaryPrompt(payload, company) {
   const { resumeText } = payload;
 
   // Use more context for better accuracy
@@ -604,7 +672,7 @@ CRITICAL RULES:
 - Use ONLY information that is explicitly stated in the resume text above
 - Do NOT add generic phrases like "2+ years of experience" unless the resume explicitly states this
 - Do NOT mention technologies unless they are explicitly listed in the resume
-- Do NOT mention companies (like Paytm) unless they appear in the resume
+- Do NOT mention companies (like ${company.name}) unless they appear in the resume
 - Do NOT use placeholder text or generic descriptions
 - If the resume mentions specific projects, achievements, or roles, include them accurately
 - If years of experience are not explicitly stated, do not guess or assume
@@ -626,11 +694,11 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for generating phone interview email
  */
-function buildPhoneInterviewEmailPrompt(payload) {
+function buildPhoneInterviewEmailPrompt(payload, company) {
   const {
     candidateName,
     role,
-    company,
+    company: companyName,
     phoneNumber,
     scheduledStartTime,
     questions,
@@ -645,18 +713,18 @@ function buildPhoneInterviewEmailPrompt(payload) {
     ? `\n\nTopics that may be covered:\n${questions.slice(0, 3).map((q, i) => `${i + 1}. ${q.text}`).join('\n')}`
     : '';
 
-  return `Generate a professional, warm email inviting a candidate to an AI-based phone interview for Paytm (Indian fintech company).
+  return `Generate a professional, warm email inviting a candidate to an AI-based phone interview for ${describeCompany(company)}.
 
 IMPORTANT CONTEXT:
-- Company: Paytm (leading Indian fintech company, based in Noida)
-- Use Indian English conventions and cultural context
+- Company: ${describeCompany(company)}, based in ${getDefaultLocation(company)}
+- Use ${getLanguageName(company)} conventions and ${company.country} cultural context
 - Be warm, professional, and reassuring about the AI-based interview
 - Explain what to expect from the AI interviewer
-- Use a friendly, approachable tone
+- Use a ${company.tone || 'friendly, approachable'} tone
 
 Candidate: ${candidateName}
 Role: ${role}
-Company: ${company || 'Paytm'}
+Company: ${companyName || company.name}
 Phone Number: ${phoneNumber}
 ${isScheduled ? `Scheduled Time: ${scheduledStartTime}` : 'Call Type: Immediate/Shortly'}
 
@@ -926,7 +994,7 @@ Return ONLY valid JSON array, no additional text.`;
 /**
  * Build prompt for extracting candidate search criteria from natural language
  */
-function buildCandidateSearchPrompt(payload) {
+function buildCandidateSearchPrompt(payload, company) {
   const { searchQuery } = payload;
 
   return `You are an expert recruiter helping to search for candidates in a candidate database.
@@ -940,7 +1008,7 @@ The candidate database has the following fields in MongoDB:
 - githubUrl: string (candidate's GitHub profile URL)
 - portfolioUrl: string (candidate's portfolio website URL)
 - linkedinUrl: string (candidate's LinkedIn profile URL)
-- compensationExpectation: string (candidate's expected compensation in INR)
+- compensationExpectation: string (candidate's expected compensation in ${company.currency})
 - isHired: boolean (whether the candidate has been hired)
 - createdAt: date (when the candidate was added to the system)
 - updatedAt: date (when the candidate was last updated)
@@ -1081,17 +1149,17 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for extracting tags from job description
  */
-function buildTagExtractionPrompt(payload) {
+function buildTagExtractionPrompt(payload, company) {
   const { job } = payload;
 
-  return `You are an expert HR analyst extracting relevant tags from a job description for Paytm (Indian fintech company).
+  return `You are an expert HR analyst extracting relevant tags from a job description for ${describeCompany(company)}.
 
 Job Description:
 - Role: ${job.role}
-- Company: ${job.company_name || 'Paytm'}
+- Company: ${job.company_name || company.name}
 - Team: ${job.team || 'Not specified'}
 - Seniority: ${job.seniority || 'Not specified'}
-- Location: ${job.location || 'Noida, Delhi NCR, India'}
+- Location: ${job.location || getDefaultLocation(company)}
 - Job Type: ${job.job_type || 'Full-time'}
 - Must-have skills: ${job.must_have_skills?.join(', ') || 'None specified'}
 - Nice-to-have skills: ${job.nice_to_have?.join(', ') || 'None specified'}
@@ -1105,8 +1173,8 @@ Extract comprehensive tags from this job description. Include:
 3. **Tools & Technologies**: Docker, Kubernetes, AWS, MongoDB, PostgreSQL, etc.
 4. **Skills & Expertise**: Full Stack, Backend, Frontend, DevOps, Machine Learning, etc.
 5. **Job Type**: Full-time, Remote, Hybrid, On-site
-6. **Location**: Noida, Delhi NCR, Bangalore, Mumbai, etc.
-7. **Domain/Industry**: Fintech, Payment Systems, Digital Payments, Banking, etc.
+6. **Location**: Cities, regions or countries (e.g., ${company.location || company.country})
+7. **Domain/Industry**: ${company.industry ? `${company.industry}, ` : ''}Fintech, E-commerce, Healthcare, Banking, etc.
 8. **Methodologies**: Agile, Scrum, TDD, CI/CD, etc.
 9. **Other relevant technologies**: Git, REST API, GraphQL, Microservices, etc.
 
@@ -1125,9 +1193,9 @@ Return a JSON object:
     "frameworks": ["React", "Node.js", ...],
     "tools": ["Docker", "AWS", ...],
     "skills": ["Full Stack", "Backend", ...],
-    "location": ["Noida", "Delhi NCR"],
+    "location": ["City", "Region"],
     "job_type": ["Full-time"],
-    "domain": ["Fintech", "Payment Systems"]
+    "domain": ["Industry", "Domain"]
   }
 }
 
@@ -1137,33 +1205,50 @@ Return ONLY valid JSON, no additional text.`;
 /**
  * Build prompt for video scoring
  */
-function buildVideoScoringPrompt(payload) {
-  const { transcript, screening_questions } = payload;
-
-  return `You are an expert interviewer evaluating a candidate's video interview responses for Paytm (Indian fintech company).
+function buildVideoScoringPrompt(payload, company) {
+  const { transcript, screening_questions, answers } = payload;
+
+  // With per-question answers each question is graded on its own answer; otherwise on the whole transcript
+  const responses = answers?.length > 0
+    ? `Questions and Answers:
+${answers.map((answer) => {
+    const question = screening_questions?.[answer.questionIndex];
+    const timing = answer.source === 'none'
+      ? 'not answered'
+      : `${answer.durationSec}s${answer.timeLimitSec ? ` of ${answer.timeLimitSec}s allowed` : ''}`
+        + `${answer.overrunSec > 0 ? `, ${answer.overrunSec}s over the limit` : ''}`
+        + `${answer.truncated ? '; speech after the limit was cut' : ''}`;
+    return `Question ${answer.questionIndex}: ${question?.text || 'Unknown question'}
+Answer (${timing}):
+${answer.text || '(no answer)'}`;
+  }).join('\n\n')}
+
+Grade each question only on its own answer. An unanswered question gets 0 on every dimension.
+Going over the time limit is a minor communication issue; mention it in the notes.`
+    : `Screening Questions:
+${screening_questions?.map((q, i) => `${i}. ${q.text}`).join('\n') || 'No questions provided'}
 
-Context:
-- Company: Paytm (Indian fintech, Noida-based)
-- Consider Indian market context, fintech industry knowledge, and cultural fit
-- Evaluate understanding of Indian payment systems and digital finance
+Candidate Transcript:
+${transcript}`;
 
-Screening Questions:
-${screening_questions?.map((q, i) => `${i + 1}. ${q.text}`).join('\n') || 'No questions provided'}
+  return `You are an expert interviewer evaluating a candidate's video interview responses for ${describeCompany(company)}.
 
-Candidate Transcript:
-${transcript}
+Context:
+- Company: ${describeCompany(company)}, based in ${getDefaultLocation(company)}
+- Consider ${company.country} market context${company.industry ? `, ${company.industry} industry knowledge` : ''}, and cultural fit
+${company.industryContext ? `- Evaluate understanding of ${company.industryContext}\n` : ''}
+${responses}
 
 Evaluate each question response considering:
-- Technical depth and relevance to Indian fintech market
-- Understanding of Indian payment systems (UPI, digital wallets, etc.)
-- Communication skills appropriate for Indian corporate environment
-- Cultural fit for Indian work culture
+- Technical depth and relevance to the ${company.country}${company.industry ? ` ${company.industry}` : ''} market
+- Communication skills appropriate for the ${company.country} corporate environment
+- Cultural fit for ${company.country} work culture
 
 Provide an overall assessment. Return a JSON object:
 {
   "per_question": [
     {
-      "question_index": 1,
+      "question_index": 0,
       "communication": 0-10,
       "technical_depth": 0-10,
       "clarity": 0-10,
@@ -1180,19 +1265,110 @@ Be thorough and fair. Return ONLY valid JSON, no additional text.`;
 }
 
 /**
- * Call OpenAI API with a prompt
+ * Build prompt for phone interview scoring
+ */
+function buildPhoneInterviewScoringPrompt(payload, company) {
+  const { transcript, questions, job } = payload;
+  const mustHaveSkills = job?.must_have_skills || [];
+
+  return `You are an expert interviewer grading an AI-conducted phone interview for ${describeCompany(company)}.
+
+${job ? `Role: ${job.role}${job.seniority ? ` (${job.seniority})` : ''}
+Must-have skills: ${mustHaveSkills.length > 0 ? mustHaveSkills.join(', ') : 'None specified'}
+` : 'There is no specific role; grade the answers on their own merit.\n'}
+Interview Questions:
+${questions?.map((q, i) => `${i}. ${q.text}`).join('\n') || 'No questions provided'}
+
+Call Transcript (Interviewer = AI interviewer, Candidate = the candidate):
+${transcript}
+
+Grade the candidate's answer to each question from 0 to 100:
+- 80-100: correct, specific and deep, with real examples
+- 50-79: mostly correct but general or shallow
+- 20-49: partly wrong, vague or evasive
+- 0-19: wrong, or the question was not answered (also use this if the question was never asked)
+
+For each must-have skill, say whether the candidate demonstrated it in the call and quote or paraphrase the evidence.
+Judge only what the candidate said; ignore the interviewer's wording and any speech-to-text errors.
+
+Return a JSON object:
+{
+  "per_question": [
+    {
+      "question_index": 0,
+      "score": 0-100,
+      "notes": "Brief notes about the answer"
+    }
+  ],
+  "must_have_skills": [
+    {
+      "skill": "Skill name",
+      "demonstrated": true | false,
+      "evidence": "What the candidate said that shows it (empty if not demonstrated)"
+    }
+  ],
+  "overall_score": 0-100,
+  "confidence": 0-1,
+  "overall_recommendation": "yes" | "maybe" | "no",
+  "two_line_summary": "Two-line summary of the candidate's performance"
+}
+
+Be thorough and fair. Return ONLY valid JSON, no additional text.`;
+}
+
+/**
+ * Create a provider error carrying the HTTP status and retry hints used by the retry policy
+ * @param {string} message - Error message
+ * @param {Object} [details]
+ * @param {number} [details.status] - HTTP status code
+ * @param {number} [details.retryAfterMs] - Delay requested by the provider (Retry-After)
+ * @param {boolean} [details.retryable] - Whether the same request may succeed if retried
+ */
+function createProviderError(message, { status = null, retryAfterMs = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Wrap an error thrown while calling a provider, keeping its retry hints
+ * Errors without hints (e.g. fetch network failures) are treated as retryable
+ */
+function toProviderError(error, prefix) {
+  return createProviderError(`${prefix}: ${error.message}`, {
+    status: error.status ?? null,
+    retryAfterMs: error.retryAfterMs ?? null,
+    retryable: error.retryable ?? (error instanceof TypeError || error.name === 'AbortError'),
+  });
+}
+
+/**
+ * Create a provider error from a failed HTTP response
+ */
+function createHttpError(message, response) {
+  return createProviderError(message, {
+    status: response.status,
+    retryAfterMs: parseRetryAfterMs(response.headers.get('retry-after')),
+    retryable: isRetryableStatus(response.status),
+  });
+}
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint
+ * @param {Object} endpoint
+ * @param {string} endpoint.url - Chat completions URL
+ * @param {string} [endpoint.apiKey] - Bearer token (omitted if not set)
+ * @param {string} endpoint.label - Name used in errors and logs
  * @param {string} prompt - The user prompt
  * @param {string} systemPrompt - Optional system prompt
- * @param {string} modelId - Optional model ID (defaults to STANDARD)
- * @param {number} temperature - Optional temperature (defaults to 0.7)
+ * @param {string} model - Model ID
+ * @param {number} temperature - Temperature
+ * @param {AbortSignal} signal - Optional signal used to abort the request (timeout)
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
  */
-async function callOpenAI(prompt, systemPrompt = null, modelId = null, temperature = 0.7) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY in your .env file.');
-  }
-
-  const selectedModel = modelId || MODEL_CONFIG.STANDARD;
+async function callChatCompletions({ url, apiKey, label }, prompt, systemPrompt, model, temperature, signal) {
   const messages = [];
 
   if (systemPrompt) {
@@ -1200,31 +1376,96 @@ async function callOpenAI(prompt, systemPrompt = null, modelId = null, temperatu
   }
   messages.push({ role: 'user', content: prompt });
 
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const response = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
+      headers,
       body: JSON.stringify({
-        model: selectedModel,
+        model,
         messages,
         temperature,
         max_tokens: 4096,
       }),
+      signal,
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `OpenAI API error: ${response.statusText}`);
+      throw createHttpError(errorData.error?.message || `${label} API error: ${response.statusText}`, response);
     }
 
     const data = await response.json();
-    return data.choices[0]?.message?.content || '';
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      inputTokens: data.usage?.prompt_tokens,
+      outputTokens: data.usage?.completion_tokens,
+    };
+  } catch (error) {
+    console.error(`[${label}] Error calling model:`, error);
+    throw toProviderError(error, `${label} API error`);
+  }
+}
+
+/**
+ * Call OpenAI API with a prompt
+ * @param {string} prompt - The user prompt
+ * @param {string} systemPrompt - Optional system prompt
+ * @param {string} modelId - Optional model ID (defaults to STANDARD)
+ * @param {number} temperature - Optional temperature (defaults to 0.7)
+ * @param {AbortSignal} signal - Optional signal used to abort the request (timeout)
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+async function callOpenAI(prompt, systemPrompt = null, modelId = null, temperature = 0.7, signal = null) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw createProviderError('OpenAI API key not configured. Please set OPENAI_API_KEY in your .env file.');
+  }
+
+  return callChatCompletions(
+    { url: 'https://api.openai.com/v1/chat/completions', apiKey, label: 'OpenAI' },
+    prompt,
+    systemPrompt,
+    modelId || PROVIDER_MODEL_CONFIG.openai.STANDARD,
+    temperature,
+    signal
+  );
+}
+
+/**
+ * Call a local OpenAI-compatible endpoint (Ollama, vLLM, llama.cpp server) at LOCAL_LLM_BASE_URL
+ * @param {string} prompt - The user prompt
+ * @param {string} systemPrompt - Optional system prompt
+ * @param {string} modelId - Optional model ID (defaults to STANDARD)
+ * @param {number} temperature - Optional temperature (defaults to 0.7)
+ * @param {AbortSignal} signal - Optional signal used to abort the request (timeout)
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+async function callLocalLLM(prompt, systemPrompt = null, modelId = null, temperature = 0.7, signal = null) {
+  return callChatCompletions(
+    { url: `${LOCAL_LLM_BASE_URL}/chat/completions`, apiKey: LOCAL_LLM_API_KEY, label: 'Local LLM' },
+    prompt,
+    systemPrompt,
+    modelId || PROVIDER_MODEL_CONFIG.local.STANDARD,
+    temperature,
+    signal
+  );
+}
+
+/**
+ * Return the canned fixture response for a prompt (mock provider, no network)
+ * @param {string} promptName - Prompt name
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+async function callMockLLM(promptName) {
+  try {
+    return { text: getMockResponse(promptName), inputTokens: 0, outputTokens: 0 };
   } catch (error) {
-    console.error('[OpenAI] Error calling model:', error);
-    throw new Error(`OpenAI API error: ${error.message}`);
+    throw createProviderError(error.message);
   }
 }
 
@@ -1235,16 +1476,18 @@ async function callOpenAI(prompt, systemPrompt = null, modelId = null, temperatu
  * @param {string} systemPrompt - Optional system prompt
  * @param {string} modelId - Optional model ID (defaults to STANDARD)
  * @param {number} temperature - Optional temperature (defaults to 0.7)
+ * @param {AbortSignal} signal - Optional signal used to abort the request (timeout)
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
  */
-async function callBedrock(prompt, systemPrompt = null, modelId = null, temperature = 0.7) {
+async function callBedrock(prompt, systemPrompt = null, modelId = null, temperature = 0.7, signal = null) {
   try {
     // Validate credentials
     if (!AWS_BEARER_TOKEN_BEDROCK) {
-      throw new Error('AWS Bearer token not configured. Please set AWS_BEARER_TOKEN_BEDROCK in your .env file.');
+      throw createProviderError('AWS Bearer token not configured. Please set AWS_BEARER_TOKEN_BEDROCK in your .env file.');
     }
 
     // Use provided model or default to STANDARD
-    const selectedModel = modelId || MODEL_CONFIG.STANDARD;
+    const selectedModel = modelId || PROVIDER_MODEL_CONFIG.bedrock.STANDARD;
 
     // Prepare messages in Converse API format
     const messages = [
@@ -1278,6 +1521,7 @@ async function callBedrock(prompt, systemPrompt = null, modelId = null, temperat
         'Authorization': `Bearer ${AWS_BEARER_TOKEN_BEDROCK}`,
       },
       body: JSON.stringify(body),
+      signal,
     });
 
     if (!response.ok) {
@@ -1291,16 +1535,16 @@ async function callBedrock(prompt, systemPrompt = null, modelId = null, temperat
 
       // Provide helpful error messages
       if (response.status === 403) {
-        throw new Error('Access denied to Bedrock. Please ensure your Bearer token has Bedrock permissions and model access is enabled.');
+        throw createHttpError('Access denied to Bedrock. Please ensure your Bearer token has Bedrock permissions and model access is enabled.', response);
       }
       if (response.status === 400) {
-        throw new Error(`Invalid Bedrock model ID: ${selectedModel}. Please check your model configuration. ${errorData.message || ''}`);
+        throw createHttpError(`Invalid Bedrock model ID: ${selectedModel}. Please check your model configuration. ${errorData.message || ''}`, response);
       }
       if (response.status === 401) {
-        throw new Error('AWS Bearer token invalid. Please check AWS_BEARER_TOKEN_BEDROCK in your .env file.');
+        throw createHttpError('AWS Bearer token invalid. Please check AWS_BEARER_TOKEN_BEDROCK in your .env file.', response);
       }
 
-      throw new Error(`Bedrock API error (${response.status}): ${errorData.message || errorText}`);
+      throw createHttpError(`Bedrock API error (${response.status}): ${errorData.message || errorText}`, response);
     }
 
     const responseBody = await response.json();
@@ -1311,10 +1555,14 @@ async function callBedrock(prompt, systemPrompt = null, modelId = null, temperat
     
     if (!text) {
       console.warn('[Bedrock] Empty response from model:', responseBody);
-      throw new Error('Empty response from Bedrock model');
+      throw createProviderError('Empty response from Bedrock model', { retryable: true });
     }
 
-    return text;
+    return {
+      text,
+      inputTokens: responseBody.usage?.inputTokens,
+      outputTokens: responseBody.usage?.outputTokens,
+    };
   } catch (error) {
     console.error('[Bedrock] Error calling model:', error);
     
@@ -1329,152 +1577,347 @@ async function callBedrock(prompt, systemPrompt = null, modelId = null, temperat
       throw error;
     }
     
-    throw new Error(`Bedrock API error: ${error.message}`);
+    throw toProviderError(error, 'Bedrock API error');
+  }
+}
+
+/**
+ * Call a single provider once, aborting the request after timeoutMs
+ */
+async function callProvider(provider, promptName, prompt, systemPrompt, modelId, temperature, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    if (provider === 'mock') {
+      return await callMockLLM(promptName);
+    }
+    if (provider === 'local') {
+      return await callLocalLLM(prompt, systemPrompt, modelId, temperature, controller.signal);
+    }
+    if (provider === 'openai') {
+      return await callOpenAI(prompt, systemPrompt, modelId, temperature, controller.signal);
+    }
+    return await callBedrock(prompt, systemPrompt, modelId, temperature, controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw createProviderError(`${provider} request timed out after ${timeoutMs}ms`, { retryable: true });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
   }
 }
 
 /**
- * Call LLM (routes to Bedrock or OpenAI based on configuration)
+ * Get the provider failover chain for a prompt (first entry is the primary provider)
+ */
+function getProviderChain(promptName) {
+  return parseProviderChain(process.env[`LLM_PROVIDER_CHAIN_${promptName}`])
+    || MODEL_CONFIG.PROVIDER_CHAINS[promptName]
+    || MODEL_CONFIG.PROVIDER_CHAINS.DEFAULT;
+}
+
+/**
+ * Call LLM providers in failover order (routes to Bedrock, OpenAI, a local endpoint or the mock provider based on configuration)
+ * Retryable errors (throttling, timeouts, 5xx, network) are retried on the same provider with
+ * exponential backoff and jitter, honoring Retry-After. When a provider is exhausted the next one in the chain is tried.
+ * @param {string} promptName - Prompt name (selects provider chain and models)
  * @param {string} prompt - The user prompt
  * @param {string} systemPrompt - Optional system prompt
- * @param {string} modelId - Optional model ID (defaults to STANDARD)
- * @param {number} temperature - Optional temperature (defaults to 0.7)
+ * @param {number} temperature - Temperature
+ * @param {number} timeoutMs - Timeout for each attempt
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number, provider: string, model: string, chain: string[], attempts: Object[]}>}
+ * @throws The last provider error, with `attempts` and `chain` attached
  */
-async function callLLMProvider(prompt, systemPrompt = null, modelId = null, temperature = 0.7) {
-  if (LLM_PROVIDER === 'openai') {
-    return await callOpenAI(prompt, systemPrompt, modelId, temperature);
-  } else {
-    return await callBedrock(prompt, systemPrompt, modelId, temperature);
+async function callLLMProvider(promptName, prompt, systemPrompt, temperature, timeoutMs) {
+  const chain = getProviderChain(promptName);
+  const attempts = [];
+  let lastError = null;
+
+  for (const [index, provider] of chain.entries()) {
+    const modelId = getModelForTask(promptName, provider);
+
+    for (let attempt = 1; attempt <= RETRY_CONFIG.maxAttempts; attempt++) {
+      const startedAt = new Date();
+      try {
+        const { text, inputTokens, outputTokens } = await callProvider(provider, promptName, prompt, systemPrompt, modelId, temperature, timeoutMs);
+        attempts.push({
+          provider,
+          model: modelId,
+          attempt,
+          status: 'success',
+          durationMs: Date.now() - startedAt.getTime(),
+          startedAt,
+        });
+        return { text, inputTokens, outputTokens, provider, model: modelId, chain, attempts };
+      } catch (error) {
+        lastError = error;
+        attempts.push({
+          provider,
+          model: modelId,
+          attempt,
+          status: 'error',
+          httpStatus: error.status || undefined,
+          error: error.message,
+          retryable: Boolean(error.retryable),
+          durationMs: Date.now() - startedAt.getTime(),
+          startedAt,
+        });
+
+        if (!error.retryable || attempt === RETRY_CONFIG.maxAttempts) break;
+
+        // Don't wait longer than the max backoff for one provider - fail over instead
+        if (error.retryAfterMs > RETRY_CONFIG.backoffMaxMs) break;
+
+        const delayMs = error.retryAfterMs ?? getBackoffDelayMs(attempt, {
+          baseMs: RETRY_CONFIG.backoffBaseMs,
+          maxMs: RETRY_CONFIG.backoffMaxMs,
+        });
+        console.warn(`[LLM] ${promptName} attempt ${attempt} on ${provider} failed (${error.message}), retrying in ${delayMs}ms`);
+        await sleep(delayMs);
+      }
+    }
+
+    if (index < chain.length - 1) {
+      console.warn(`[LLM] ${promptName} failing over from ${provider} to ${chain[index + 1]}`);
+    }
   }
+
+  lastError.attempts = attempts;
+  lastError.chain = chain;
+  throw lastError;
 }
 
 /**
- * Get the best model for a specific task
+ * Record a callLLM invocation and its attempts under the current org (never fails the call itself)
+ * Usage is reported per organization, so calls made outside an org context are not recorded.
+ * @param {Object} call
+ * @param {string} call.promptName - Prompt name
+ * @param {number} [call.promptVersion] - Prompt version rendered (0 = built-in template)
+ * @param {string[]} call.chain - Provider chain used
+ * @param {Object[]} call.attempts - Provider attempts
+ * @param {number} call.startedAt - Start time in milliseconds
+ * @param {Object} [call.usage] - Token usage of the successful attempt ({inputTokens, outputTokens})
+ * @param {Object} [call.context] - Records the call belongs to ({applicationId, userId, jobId})
+ * @param {boolean} [call.cached] - Whether the response was served from the cache
+ * @param {string} [call.model] - Model of a cached response (there are no attempts to take it from)
+ * @param {Error} [call.error] - Error if the call failed
  */
-function getModelForTask(promptName) {
+function recordLLMCall({ promptName, promptVersion = BUILTIN_PROMPT_VERSION, chain, attempts, startedAt, usage = {}, context = {}, cached = false, model = null, error = null }) {
+  const orgId = getCurrentOrgId();
+  if (!RECORD_CALLS || !orgId) return;
+
+  const last = attempts[attempts.length - 1];
+  LLMCall.create({
+    orgId,
+    promptName,
+    promptVersion,
+    status: error ? 'failed' : 'success',
+    provider: last?.provider,
+    model: last?.model || model,
+    providerChain: chain,
+    failedOver: Boolean(last && chain.length > 0 && last.provider !== chain[0]),
+    attempts,
+    totalDurationMs: Date.now() - startedAt,
+    cached,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    applicationId: context.applicationId || null,
+    userId: context.userId || null,
+    jobId: context.jobId || null,
+    error: error?.message,
+  }).catch(recordError => {
+    console.error(`[LLM] Error recording call for ${promptName}:`, recordError.message);
+  });
+}
+
+/**
+ * Get the model tier for a specific task
+ */
+function getModelTier(promptName) {
   // Critical tasks - use best model for highest accuracy
-  if (promptName === 'RESUME_SCORING' || promptName === 'VIDEO_SCORING' || promptName === 'CANDIDATE_SEARCH_SCORING') {
-    return MODEL_CONFIG.CRITICAL;
+  if (promptName === 'RESUME_SCORING' || promptName === 'VIDEO_SCORING' || promptName === 'PHONE_INTERVIEW_SCORING' || promptName === 'CANDIDATE_SEARCH_SCORING') {
+    return 'CRITICAL';
   }
   
   // Fast tasks - use faster/cheaper model
   if (promptName === 'GITHUB_PORTFOLIO_SCORING' || promptName === 'COMPENSATION_ANALYSIS' || promptName === 'AI_TOOLS_COMPATIBILITY') {
-    return MODEL_CONFIG.FAST;
+    return 'FAST';
   }
 
   if (promptName === 'CRITERIA_CHECK') {
-    return MODEL_CONFIG.CRITERIA_CHECK;
+    return 'CRITERIA_CHECK';
   }
   
   // Standard tasks - use balanced model
   // JD_ENHANCER, EMAIL_GENERATOR, SCREENING_QUESTIONS, TAG_EXTRACTION
-  return MODEL_CONFIG.STANDARD;
+  return 'STANDARD';
+}
+
+/**
+ * Get the best model for a specific task on a provider
+ * Each provider has its own model per tier (see PROVIDER_MODEL_CONFIG)
+ */
+function getModelForTask(promptName, provider = LLM_PROVIDER) {
+  const models = PROVIDER_MODEL_CONFIG[provider] || PROVIDER_MODEL_CONFIG.bedrock;
+  return models[getModelTier(promptName)];
 }
 
 /**
- * Main LLM function - routes to appropriate prompt builder and calls the configured LLM provider (Bedrock or OpenAI)
+ * Parse an LLM response and validate it against the prompt's output schema
+ * @param {string} promptName - Prompt name
+ * @param {string} response - Raw model response
+ * @returns {{ok: boolean, json: *, errors: string[]}}
+ */
+function validateLLMResponse(promptName, response) {
+  const parsed = parseJsonSafely(response);
+  if (!parsed.ok) {
+    return { ok: false, json: null, errors: [`Response is not valid JSON: ${parsed.error}`] };
+  }
+
+  const result = validateJsonSchema(parsed.json, PROMPT_OUTPUT_SCHEMAS[promptName]);
+  return { ok: result.ok, json: parsed.json, errors: result.errors };
+}
+
+/**
+ * Create the error thrown when a response still does not match its schema after re-prompting
+ */
+function createOutputError(promptName, validationErrors, rawResponse) {
+  const error = new Error(`Invalid ${promptName} response from LLM: ${validationErrors.slice(0, 5).join('; ')}`);
+  error.promptName = promptName;
+  error.validationErrors = validationErrors;
+  error.rawResponse = rawResponse;
+  return error;
+}
+
+/**
+ * Main LLM function - routes to appropriate prompt builder and calls the configured LLM provider (Bedrock, OpenAI, local or mock)
  * Automatically selects the best model for each task type
+ * @param {string} promptName - Prompt name (e.g. RESUME_SCORING)
+ * @param {Object} payload - Prompt data
+ * @param {Object} [options]
+ * @param {Object} [options.context] - IDs recorded with the call for usage reporting ({applicationId, userId, jobId})
+ * @param {boolean} [options.bypassCache] - Skip the response cache lookup (a fresh response still refreshes the cache)
+ * @param {Object} [options.repair] - Re-prompt after an invalid response ({previousResponse, errors}); used by callLLMJson
+ * @param {number} [options.promptVersion] - Prompt version to use instead of the active one (0 = built-in template)
+ * @param {Object} [options.promptVersions] - Object the rendered prompt version is recorded in, keyed by prompt name
+ * @param {Object} [options.companyProfile] - Company profile for the prompt (defaults to the profile of payload.job, see companyProfile.js)
+ * @returns {Promise<string>} Raw model response
  */
-export async function callLLM(promptName, payload) {
-  const selectedModel = getModelForTask(promptName);
-  console.log(`[LLM] Calling ${promptName} with ${LLM_PROVIDER.toUpperCase()} model: ${selectedModel}`);
+export async function callLLM(promptName, payload, options = {}) {
+  const { context = {}, bypassCache = false, repair = null, promptVersion, promptVersions = null } = options;
+  const company = options.companyProfile || await resolveCompanyProfile(payload?.job);
+  const providerChain = getProviderChain(promptName);
+  console.log(`[LLM] Calling ${promptName} with ${providerChain[0].toUpperCase()} model: ${getModelForTask(promptName, providerChain[0])}${providerChain.length > 1 ? ` (failover: ${providerChain.slice(1).join(', ')})` : ''}`);
 
   let prompt;
-  let systemPrompt = 'You are a helpful AI assistant specialized in Indian HR and recruitment. Always return valid JSON as requested. Do not include any text before or after the JSON.\n\nIMPORTANT CONTEXT:\n- Company: Paytm (Indian fintech company)\n- Location: India (primarily Noida, Delhi NCR)\n- Currency: Always use INR (₹) - Indian Rupees\n- Compensation format: Use Indian format (e.g., ₹25,00,000 per annum or 25 LPA)\n- Names: Use Indian names (e.g., Rahul Sharma, Priya Patel, Amit Kumar)\n- Phone format: +91-XXXXXXXXXX\n- Cultural context: Indian work culture, fintech industry, payment systems\n- Language: Use Indian English conventions';
+  let systemPrompt = `You are a helpful AI assistant specialized in HR and recruitment in ${company.country}. Always return valid JSON as requested. Do not include any text before or after the JSON.\n\n${buildCompanySystemContext(company)}`;
   let temperature = 0.7; // Default temperature
+  let timeoutMs = RETRY_CONFIG.timeoutMs; // Per-attempt timeout
 
   switch (promptName) {
     case 'JD_ENHANCER':
-      prompt = buildJDEnhancerPrompt(payload);
+      prompt = buildJDEnhancerPrompt(payload, company);
       temperature = 0.7; // Creative but structured
       break;
 
     case 'RESUME_SCORING':
-      prompt = buildResumeScoringPrompt(payload);
+      prompt = buildResumeScoringPrompt(payload, company);
       systemPrompt += ' Be precise and consistent in your scoring.';
       temperature = 0.3; // Lower temperature for more consistent, objective scoring
+      timeoutMs = RETRY_CONFIG.timeoutMs * 2; // Long resumes on the critical model
       break;
 
     case 'GITHUB_PORTFOLIO_SCORING':
-      prompt = buildGitHubPortfolioScoringPrompt(payload);
+      prompt = buildGitHubPortfolioScoringPrompt(payload, company);
       temperature = 0.5; // Moderate creativity
       break;
 
     case 'COMPENSATION_ANALYSIS':
-      prompt = buildCompensationAnalysisPrompt(payload);
+      prompt = buildCompensationAnalysisPrompt(payload, company);
       temperature = 0.4; // More objective analysis
       break;
 
     case 'AI_TOOLS_COMPATIBILITY':
-      prompt = buildAIToolsCompatibilityPrompt(payload);
+      prompt = buildAIToolsCompatibilityPrompt(payload, company);
       temperature = 0.4; // More objective analysis
       break;
 
     case 'EMAIL_GENERATOR':
-      prompt = buildEmailGeneratorPrompt(payload);
+      prompt = buildEmailGeneratorPrompt(payload, company);
       temperature = 0.8; // More creative for personalized emails
       break;
 
     case 'PHONE_INTERVIEW_EMAIL':
-      prompt = buildPhoneInterviewEmailPrompt(payload);
+      prompt = buildPhoneInterviewEmailPrompt(payload, company);
       temperature = 0.8; // More creative for personalized emails
       break;
 
     case 'VIDEO_SCORING':
-      prompt = buildVideoScoringPrompt(payload);
+      prompt = buildVideoScoringPrompt(payload, company);
       systemPrompt += ' Be thorough and fair in your evaluation.';
       temperature = 0.3; // Lower temperature for consistent, fair evaluation
+      timeoutMs = RETRY_CONFIG.timeoutMs * 2; // Full transcripts on the critical model
+      break;
+
+    case 'PHONE_INTERVIEW_SCORING':
+      prompt = buildPhoneInterviewScoringPrompt(payload, company);
+      systemPrompt += ' Be thorough and fair in your evaluation.';
+      temperature = 0.3; // Lower temperature for consistent, fair evaluation
+      timeoutMs = RETRY_CONFIG.timeoutMs * 2; // Full transcripts on the critical model
       break;
 
     case 'SCREENING_QUESTIONS':
-      prompt = buildScreeningQuestionsPrompt(payload);
+      prompt = buildScreeningQuestionsPrompt(payload, company);
       temperature = 0.7; // Creative but relevant questions
       break;
 
     case 'TAG_EXTRACTION':
-      prompt = buildTagExtractionPrompt(payload);
+      prompt = buildTagExtractionPrompt(payload, company);
       temperature = 0.5; // Moderate temperature for balanced extraction
       break;
 
     case 'JOB_FIELD_EXTRACTION':
-      prompt = buildJobFieldExtractionPrompt(payload);
+      prompt = buildJobFieldExtractionPrompt(payload, company);
       temperature = 0.5; // Moderate temperature for accurate extraction
       break;
 
     case 'RESUME_TAG_EXTRACTION':
-      prompt = buildResumeTagExtractionPrompt(payload);
+      prompt = buildResumeTagExtractionPrompt(payload, company);
       temperature = 0.5; // Moderate temperature for balanced extraction
       break;
 
     case 'RESUME_SUMMARY':
-      prompt = buildResumeSummaryPrompt(payload);
+      prompt = buildResumeSummaryPrompt(payload, company);
       temperature = 0.6; // Slightly creative for summary generation
       break;
 
     case 'LINKEDIN_SUMMARY':
-      prompt = buildLinkedInSummaryPrompt(payload);
+      prompt = buildLinkedInSummaryPrompt(payload, company);
       temperature = 0.6; // Slightly creative for summary generation
       break;
 
     case 'CRITERIA_CHECK':
-      prompt = buildCriteriaCheckPrompt(payload);
+      prompt = buildCriteriaCheckPrompt(payload, company);
       temperature = 0.3; // Lower temperature for consistent, objective checking
+      timeoutMs = Math.min(RETRY_CONFIG.timeoutMs, 20000); // Short input, interactive endpoint
       break;
 
     case 'RESUME_PARSER':
-      prompt = buildResumeParserPrompt(payload);
+      prompt = buildResumeParserPrompt(payload, company);
       systemPrompt += ' Extract all information accurately and structure it precisely.';
       temperature = 0.3; // Lower temperature for accurate, consistent parsing
       break;
 
     case 'CANDIDATE_SEARCH_SCORING':
-      prompt = buildCandidateSearchScoringPrompt(payload);
+      prompt = buildCandidateSearchScoringPrompt(payload, company);
       systemPrompt += ' Be precise and consistent in your scoring.';
       temperature = 0.3; // Lower temperature for more consistent, objective scoring
       break;
 
     case 'CANDIDATE_SEARCH':
-      prompt = buildCandidateSearchPrompt(payload);
+      prompt = buildCandidateSearchPrompt(payload, company);
       temperature = 0.4; // Lower temperature for more precise, consistent extraction
       break;
 
@@ -1482,12 +1925,113 @@ export async function callLLM(promptName, payload) {
       throw new Error(`Unknown prompt name: ${promptName}`);
   }
 
+  // A stored prompt version (promptRegistry.js) replaces the built-in template above
+  const promptTemplate = await getPromptTemplate(promptName, promptVersion);
+  if (promptTemplate) {
+    prompt = renderPromptTemplate(promptTemplate.template, { company, ...payload });
+    if (promptTemplate.systemPrompt) {
+      systemPrompt = promptTemplate.systemPrompt;
+    }
+    if (typeof promptTemplate.temperature === 'number') {
+      temperature = promptTemplate.temperature;
+    }
+  }
+  const usedPromptVersion = promptTemplate ? promptTemplate.version : BUILTIN_PROMPT_VERSION;
+  if (promptVersions) {
+    promptVersions[promptName] = usedPromptVersion;
+  }
+
+  if (repair) {
+    prompt += `\n\nYour previous response did not match the required JSON format:\n${repair.errors.map(error => `- ${error}`).join('\n')}\n\nPrevious response:\n${String(repair.previousResponse || '').substring(0, 4000)}\n\nReturn ONLY the corrected JSON, no additional text.`;
+  }
+
+  const startedAt = Date.now();
+
+  // Serve deterministic prompts from the cache when the exact same request was answered before.
+  // Only responses that match the prompt's output schema are cached.
+  let cacheKey = null;
+  if (isPromptCacheable(promptName) && !repair) {
+    const model = getModelForTask(promptName, providerChain[0]);
+    cacheKey = getLLMCacheKey({ promptName, model, systemPrompt, prompt, temperature });
+
+    if (!bypassCache) {
+      const cachedResponse = await getCachedLLMResponse(cacheKey);
+      if (cachedResponse !== null && validateLLMResponse(promptName, cachedResponse).ok) {
+        recordLLMCall({ promptName, promptVersion: usedPromptVersion, chain: providerChain, attempts: [], startedAt, context, cached: true, model });
+        console.log(`[LLM] Cache hit for ${promptName}:`, cachedResponse.substring(0, 200) + '...');
+        return cachedResponse;
+      }
+    }
+  }
+
   try {
-    const response = await callLLMProvider(prompt, systemPrompt, selectedModel, temperature);
-    console.log(`[LLM] Raw response for ${promptName} (${LLM_PROVIDER}):`, response.substring(0, 200) + '...');
-    return response;
+    const result = await callLLMProvider(promptName, prompt, systemPrompt, temperature, timeoutMs);
+    // The key is for the primary provider's model, so responses served by failover are not cached: they would
+    // keep being served in place of the primary's after it recovers
+    if (cacheKey && result.provider === providerChain[0] && validateLLMResponse(promptName, result.text).ok) {
+      await setCachedLLMResponse(cacheKey, {
+        promptName,
+        model: result.model,
+        provider: result.provider,
+        response: result.text,
+      });
+    }
+    recordLLMCall({
+      promptName,
+      promptVersion: usedPromptVersion,
+      chain: result.chain,
+      attempts: result.attempts,
+      startedAt,
+      usage: { inputTokens: result.inputTokens, outputTokens: result.outputTokens },
+      context,
+    });
+    console.log(`[LLM] Raw response for ${promptName} (${result.provider}):`, result.text.substring(0, 200) + '...');
+    return result.text;
   } catch (error) {
+    recordLLMCall({
+      promptName,
+      promptVersion: usedPromptVersion,
+      chain: error.chain || providerChain,
+      attempts: error.attempts || [],
+      startedAt,
+      context,
+      error,
+    });
     console.error(`[LLM] Error for ${promptName}:`, error);
     throw error;
   }
 }
+
+/**
+ * Call the LLM and return the response as a validated object
+ * The response is parsed and validated against the prompt's output schema (llmSchemas.js). If it does not match,
+ * the prompt is sent once more with the validation errors; if that response is still invalid an error is thrown.
+ * @param {string} promptName - Prompt name (e.g. RESUME_SCORING)
+ * @param {Object} payload - Prompt data
+ * @param {Object} [options] - Same options as callLLM
+ * @returns {Promise<Object|Array>} Parsed response matching the prompt's output schema
+ * @throws {Error} With `validationErrors` and `rawResponse` when the response is invalid after re-prompting
+ */
+export async function callLLMJson(promptName, payload, options = {}) {
+  if (!PROMPT_OUTPUT_SCHEMAS[promptName]) {
+    throw new Error(`No output schema defined for prompt: ${promptName}`);
+  }
+
+  const response = await callLLM(promptName, payload, options);
+  let result = validateLLMResponse(promptName, response);
+  if (result.ok) {
+    return result.json;
+  }
+
+  console.warn(`[LLM] ${promptName} response failed validation, re-prompting: ${result.errors.join('; ')}`);
+  const repairedResponse = await callLLM(promptName, payload, {
+    ...options,
+    repair: { previousResponse: response, errors: result.errors },
+  });
+  result = validateLLMResponse(promptName, repairedResponse);
+  if (result.ok) {
+    return result.json;
+  }
+
+  throw createOutputError(promptName, result.errors, repairedResponse);
+}
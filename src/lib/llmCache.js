@@ -0,0 +1,107 @@
+/**
+ * Content-addressed cache for LLM responses (MongoDB with TTL)
+ * Only prompts that opt in below are cached. The key covers everything that affects the response:
+ * prompt name, model, rendered system/user prompt and temperature - so any change to the resume,
+ * job or prompt template produces a new key and old entries simply expire.
+ */
+
+import crypto from 'crypto';
+import LLMCacheEntry from '../models/LLMCacheEntry.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Prompts that opt in to caching, with their TTL in seconds.
+// Only deterministic scoring/extraction prompts - never emails or generated questions.
+const CACHEABLE_PROMPTS = {
+  CANDIDATE_SEARCH: 1 * DAY_SECONDS, // Same search query -> same extracted criteria
+  RESUME_SCORING: 7 * DAY_SECONDS,
+  CANDIDATE_SEARCH_SCORING: 7 * DAY_SECONDS,
+  GITHUB_PORTFOLIO_SCORING: 1 * DAY_SECONDS, // GitHub data changes more often
+  AI_TOOLS_COMPATIBILITY: 7 * DAY_SECONDS,
+  COMPENSATION_ANALYSIS: 7 * DAY_SECONDS,
+  RESUME_PARSER: 30 * DAY_SECONDS,
+  RESUME_TAG_EXTRACTION: 30 * DAY_SECONDS,
+};
+
+const CACHE_CONFIG = {
+  enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+  // Optional global TTL override (seconds)
+  ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || null,
+};
+
+/**
+ * Whether responses for a prompt are cached
+ * @param {string} promptName - Prompt name
+ * @returns {boolean}
+ */
+export function isPromptCacheable(promptName) {
+  return CACHE_CONFIG.enabled && Object.prototype.hasOwnProperty.call(CACHEABLE_PROMPTS, promptName);
+}
+
+/**
+ * Build the cache key for a rendered prompt
+ * @param {Object} request
+ * @param {string} request.promptName - Prompt name
+ * @param {string} request.model - Model ID of the primary provider
+ * @param {string} request.systemPrompt - Rendered system prompt
+ * @param {string} request.prompt - Rendered user prompt
+ * @param {number} request.temperature - Temperature
+ * @returns {string} SHA-256 hex digest
+ */
+export function getLLMCacheKey({ promptName, model, systemPrompt, prompt, temperature }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([promptName, model, systemPrompt || '', prompt, temperature]))
+    .digest('hex');
+}
+
+/**
+ * Look up a cached response (cache errors are logged and treated as a miss)
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Cached response or null
+ */
+export async function getCachedLLMResponse(key) {
+  try {
+    const entry = await LLMCacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    );
+    return entry ? entry.response : null;
+  } catch (error) {
+    console.error('[LLM Cache] Error reading cache:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a response (replaces any existing entry for the key)
+ * @param {string} key - Cache key
+ * @param {Object} entry
+ * @param {string} entry.promptName - Prompt name
+ * @param {string} entry.model - Model that produced the response
+ * @param {string} entry.provider - Provider that produced the response
+ * @param {string} entry.response - Raw response
+ */
+export async function setCachedLLMResponse(key, { promptName, model, provider, response }) {
+  const ttlSeconds = CACHE_CONFIG.ttlSeconds || CACHEABLE_PROMPTS[promptName] || DAY_SECONDS;
+
+  try {
+    await LLMCacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          promptName,
+          model,
+          provider,
+          response,
+          expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+        },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('[LLM Cache] Error writing cache:', error.message);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Deterministic mock LLM provider for local development and tests
+ * Returns the canned fixture for a prompt name from src/fixtures/llm/<PROMPT_NAME>.json
+ * (or LLM_MOCK_FIXTURES_DIR). No network calls are made and the same prompt always gets the same response.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/llm');
+
+// Fixture file contents by path (fixtures don't change while the server runs)
+const fixtureCache = new Map();
+
+/**
+ * Get the directory fixtures are read from
+ * @returns {string}
+ */
+export function getMockFixturesDir() {
+  return process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Get the canned response for a prompt
+ * @param {string} promptName - Prompt name (e.g. RESUME_SCORING)
+ * @returns {string} Fixture JSON as the model would return it
+ * @throws {Error} If there is no fixture for the prompt
+ */
+export function getMockResponse(promptName) {
+  const fixturePath = path.join(getMockFixturesDir(), `${promptName}.json`);
+
+  if (!fixtureCache.has(fixturePath)) {
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No mock LLM fixture for ${promptName} (expected ${fixturePath})`);
+    }
+    fixtureCache.set(fixturePath, fs.readFileSync(fixturePath, 'utf8').trim());
+  }
+
+  return fixtureCache.get(fixturePath);
+}
@@ -0,0 +1,74 @@
+/**
+ * LLM price table used to turn recorded token usage into cost
+ * Prices are USD per 1M tokens. Override or extend with LLM_PRICE_TABLE, e.g.
+ * LLM_PRICE_TABLE='{"claude-3-5-sonnet": {"input": 3, "output": 15}}'
+ */
+
+export const DEFAULT_PRICE_TABLE = Object.freeze({
+  // AWS Bedrock
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'nova-micro': { input: 0.035, output: 0.14 },
+  'nova-lite': { input: 0.06, output: 0.24 },
+  'nova-pro': { input: 0.8, output: 3.2 },
+  // OpenAI
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  // Mock provider (fixtures, no tokens billed)
+  'mock': { input: 0, output: 0 },
+});
+
+/**
+ * Get the price table (defaults merged with LLM_PRICE_TABLE overrides)
+ * @returns {Object} Prices keyed by model name fragment
+ */
+export function getPriceTable() {
+  if (!process.env.LLM_PRICE_TABLE) {
+    return DEFAULT_PRICE_TABLE;
+  }
+
+  try {
+    return { ...DEFAULT_PRICE_TABLE, ...JSON.parse(process.env.LLM_PRICE_TABLE) };
+  } catch (error) {
+    console.error('[LLM Pricing] Invalid LLM_PRICE_TABLE, using defaults:', error.message);
+    return DEFAULT_PRICE_TABLE;
+  }
+}
+
+/**
+ * Find the price for a model ID
+ * Model IDs are matched on the longest price table key they contain, so Bedrock IDs such as
+ * "us.anthropic.claude-3-5-haiku-20241022-v1:0" resolve to "claude-3-5-haiku"
+ * @param {string} model - Model ID
+ * @param {Object} [priceTable] - Price table (defaults to getPriceTable())
+ * @returns {{input: number, output: number}|null} Price per 1M tokens, or null if unknown
+ */
+export function getModelPrice(model, priceTable = getPriceTable()) {
+  if (!model) return null;
+
+  const key = Object.keys(priceTable)
+    .filter(name => model.includes(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? priceTable[key] : null;
+}
+
+/**
+ * Calculate the cost of a call in USD
+ * @param {string} model - Model ID
+ * @param {number} inputTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @param {Object} [priceTable] - Price table (defaults to getPriceTable())
+ * @returns {number} Cost in USD (0 for models missing from the price table)
+ */
+export function calculateLLMCost(model, inputTokens, outputTokens, priceTable = getPriceTable()) {
+  const price = getModelPrice(model, priceTable);
+  if (!price) return 0;
+
+  return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1000000;
+}
@@ -0,0 +1,294 @@
+/**
+ * Expected JSON output for every prompt in llm.js
+ * callLLMJson validates responses against these schemas (see jsonSchema.js for the supported keywords)
+ * and re-prompts once with the validation errors when a response does not match.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const nullableString = { type: ['string', 'null'] };
+const score100 = { type: 'number', minimum: 0, maximum: 100 };
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+const recommendation = { type: 'string', enum: ['yes', 'maybe', 'no'] };
+
+const resumeMatchSchema = {
+  type: 'object',
+  required: ['match_score', 'skills_matched', 'skills_missing', 'recommended_action', 'top_reasons'],
+  properties: {
+    match_score: score100,
+    confidence,
+    skills_matched: stringArray,
+    skills_missing: stringArray,
+    recommended_action: recommendation,
+    top_reasons: stringArray,
+  },
+};
+
+const summarySchema = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+  },
+};
+
+const tagsSchema = {
+  type: 'object',
+  required: ['tags'],
+  properties: {
+    tags: stringArray,
+    categories: { type: 'object' },
+  },
+};
+
+const emailSchema = {
+  type: 'object',
+  required: ['subject', 'plain_text', 'html_snippet'],
+  properties: {
+    subject: { type: 'string', minLength: 1 },
+    preview_text: { type: 'string' },
+    tone: { type: 'string' },
+    plain_text: { type: 'string', minLength: 1 },
+    html_snippet: { type: 'string', minLength: 1 },
+  },
+};
+
+export const PROMPT_OUTPUT_SCHEMAS = {
+  JOB_FIELD_EXTRACTION: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      company_name: nullableString,
+      role: nullableString,
+      team: nullableString,
+      seniority: nullableString,
+      location: nullableString,
+      job_type: nullableString,
+      budget_info: nullableString,
+      must_have_skills: { type: ['array', 'null'], items: { type: 'string' } },
+      nice_to_have: { type: ['array', 'null'], items: { type: 'string' } },
+    },
+  },
+
+  JD_ENHANCER: {
+    type: 'object',
+    required: ['enhanced_jd'],
+    properties: {
+      enhanced_jd: { type: 'string', minLength: 1 },
+      // Models sometimes return the fields as a JS array literal string; enhanceJD recovers those
+      apply_form_fields: {
+        type: ['array', 'string'],
+        items: {
+          type: 'object',
+          required: ['name', 'type'],
+          properties: {
+            name: { type: 'string' },
+            type: { type: 'string' },
+            label: { type: 'string' },
+            required: { type: 'boolean' },
+          },
+        },
+      },
+    },
+  },
+
+  CANDIDATE_SEARCH_SCORING: resumeMatchSchema,
+
+  RESUME_SCORING: resumeMatchSchema,
+
+  GITHUB_PORTFOLIO_SCORING: {
+    type: 'object',
+    required: ['score', 'summary', 'analysis'],
+    properties: {
+      score: score100,
+      confidence,
+      summary: { type: 'string' },
+      analysis: { type: 'string' },
+    },
+  },
+
+  COMPENSATION_ANALYSIS: {
+    type: 'object',
+    required: ['score', 'analysis'],
+    properties: {
+      score: score100,
+      analysis: { type: 'string' },
+    },
+  },
+
+  AI_TOOLS_COMPATIBILITY: {
+    type: 'object',
+    required: ['score', 'analysis'],
+    properties: {
+      score: score100,
+      analysis: { type: 'string' },
+      aiToolsFound: stringArray,
+      aiProjectsFound: stringArray,
+      compatibilityLevel: { type: 'string', enum: ['extensive', 'strong', 'moderate', 'limited', 'minimal'] },
+    },
+  },
+
+  EMAIL_GENERATOR: emailSchema,
+
+  PHONE_INTERVIEW_EMAIL: emailSchema,
+
+  SCREENING_QUESTIONS: {
+    type: 'object',
+    required: ['screening_questions'],
+    properties: {
+      screening_questions: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: { type: 'string', minLength: 1 },
+            time_limit_sec: { type: 'number', minimum: 0 },
+            type: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+
+  RESUME_SUMMARY: summarySchema,
+
+  LINKEDIN_SUMMARY: summarySchema,
+
+  RESUME_TAG_EXTRACTION: tagsSchema,
+
+  TAG_EXTRACTION: tagsSchema,
+
+  RESUME_PARSER: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: nullableString,
+      contact: {
+        type: ['object', 'null'],
+        properties: {
+          email: nullableString,
+          phone: nullableString,
+          linkedin: nullableString,
+          github: nullableString,
+          portfolio: nullableString,
+        },
+      },
+      profile: nullableString,
+      education: { type: 'array', items: { type: 'object' } },
+      experience: { type: 'array', items: { type: 'object' } },
+      projects: { type: 'array', items: { type: 'object' } },
+      skills: { type: ['object', 'null'] },
+      achievements: stringArray,
+      languages: stringArray,
+      interests: stringArray,
+      currentTenure: nullableString,
+      totalExperience: nullableString,
+      isRecentSwitcher: { type: 'boolean' },
+      currentCompany: nullableString,
+      lastJobSwitchDate: nullableString,
+    },
+  },
+
+  CRITERIA_CHECK: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['label', 'containsCriteria'],
+      properties: {
+        label: { type: 'string', enum: ['Location', 'Job Title', 'Years of Experience', 'Industry', 'Skills'] },
+        containsCriteria: { type: 'boolean' },
+      },
+    },
+  },
+
+  CANDIDATE_SEARCH: {
+    type: 'object',
+    required: ['searchCriteria'],
+    properties: {
+      searchCriteria: {
+        type: 'object',
+        properties: {
+          tags: stringArray,
+          resumeKeywords: stringArray,
+          nameQuery: nullableString,
+          emailQuery: nullableString,
+          compensationQuery: nullableString,
+          isHired: { type: ['boolean', 'null'] },
+          githubRequired: { type: ['boolean', 'null'] },
+          portfolioRequired: { type: ['boolean', 'null'] },
+          linkedinRequired: { type: ['boolean', 'null'] },
+          dateFilter: {
+            type: ['object', 'null'],
+            properties: {
+              field: { type: 'string', enum: ['createdAt', 'updatedAt'] },
+              operator: { type: 'string', enum: ['$gte', '$lte', '$gt', '$lt'] },
+              value: { type: 'string' },
+            },
+          },
+        },
+      },
+      explanation: { type: 'string' },
+    },
+  },
+
+  VIDEO_SCORING: {
+    type: 'object',
+    required: ['per_question', 'overall_score', 'overall_recommendation', 'two_line_summary'],
+    properties: {
+      per_question: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['question_index'],
+          properties: {
+            question_index: { type: 'integer' },
+            communication: { type: 'number', minimum: 0, maximum: 10 },
+            technical_depth: { type: 'number', minimum: 0, maximum: 10 },
+            clarity: { type: 'number', minimum: 0, maximum: 10 },
+            notes: { type: 'string' },
+          },
+        },
+      },
+      overall_score: score100,
+      confidence,
+      overall_recommendation: recommendation,
+      two_line_summary: { type: 'string' },
+    },
+  },
+
+  PHONE_INTERVIEW_SCORING: {
+    type: 'object',
+    required: ['per_question', 'must_have_skills', 'overall_score', 'overall_recommendation', 'two_line_summary'],
+    properties: {
+      per_question: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['question_index', 'score'],
+          properties: {
+            question_index: { type: 'integer' },
+            score: score100,
+            notes: { type: 'string' },
+          },
+        },
+      },
+      must_have_skills: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['skill', 'demonstrated'],
+          properties: {
+            skill: { type: 'string' },
+            demonstrated: { type: 'boolean' },
+            evidence: { type: 'string' },
+          },
+        },
+      },
+      overall_score: score100,
+      confidence,
+      overall_recommendation: recommendation,
+      two_line_summary: { type: 'string' },
+    },
+  },
+};
@@ -0,0 +1,127 @@
+/**
+ * Organizations (tenants)
+ * Lookup by ID or slug, the default organization used by requests that don't name one, and the
+ * candidate pools organizations share with each other.
+ */
+
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import User from '../models/User.js';
+import CandidateSearch from '../models/CandidateSearch.js';
+import JobCandidateMatch from '../models/JobCandidateMatch.js';
+import Screening from '../models/Screening.js';
+import BatchResumeValidation from '../models/BatchResumeValidation.js';
+import CompanyProfile from '../models/CompanyProfile.js';
+import LLMCall from '../models/LLMCall.js';
+import PromptTemplate from '../models/PromptTemplate.js';
+import PromptEvaluation from '../models/PromptEvaluation.js';
+import { runWithOrg } from './orgScope.js';
+
+export const DEFAULT_ORG_SLUG = 'default';
+
+// Models whose documents belong to an organization (see orgScopePlugin)
+const ORG_SCOPED_MODELS = [
+  Job,
+  Application,
+  User,
+  CandidateSearch,
+  JobCandidateMatch,
+  Screening,
+  BatchResumeValidation,
+  CompanyProfile,
+  LLMCall,
+  PromptTemplate,
+  PromptEvaluation,
+];
+
+// Unique indexes from before organizations existed, replaced by per-organization ones
+const GLOBAL_UNIQUE_INDEXES = [
+  { Model: User, name: 'email_1', description: 'users.email' },
+  { Model: PromptTemplate, name: 'promptName_1_version_1', description: 'prompttemplates.promptName/version' },
+];
+
+let defaultOrgId = null;
+
+/**
+ * Create the default organization if needed and move existing data into it
+ * Documents created before organizations existed have no orgId; they are assigned to the default
+ * organization so single-team deployments keep working unchanged.
+ * @returns {Promise<Object>} The default organization
+ */
+export async function ensureDefaultOrganization() {
+  return runWithOrg(null, async () => {
+    const org = await Organization.findOneAndUpdate(
+      { slug: DEFAULT_ORG_SLUG },
+      { $setOnInsert: { name: 'Default Organization', slug: DEFAULT_ORG_SLUG } },
+      { upsert: true, new: true }
+    );
+    defaultOrgId = String(org._id);
+
+    for (const Model of ORG_SCOPED_MODELS) {
+      const result = await Model.updateMany({ orgId: { $exists: false } }, { $set: { orgId: org._id } });
+      if (result.modifiedCount > 0) {
+        console.log(`[Organizations] Assigned ${result.modifiedCount} ${Model.modelName} document(s) to the default organization`);
+      }
+    }
+
+    // User emails and prompt versions used to be unique across the deployment; they are now unique per organization
+    for (const { Model, name, description } of GLOBAL_UNIQUE_INDEXES) {
+      try {
+        const indexes = await Model.collection.indexes();
+        if (indexes.some(index => index.name === name && index.unique)) {
+          await Model.collection.dropIndex(name);
+          console.log(`[Organizations] Dropped global unique index on ${description}`);
+        }
+      } catch (error) {
+        console.warn(`[Organizations] Could not update ${Model.modelName} indexes:`, error.message);
+      }
+    }
+
+    return org;
+  });
+}
+
+/**
+ * Get the default organization's ID
+ * @returns {Promise<string>}
+ */
+export async function getDefaultOrganizationId() {
+  if (!defaultOrgId) {
+    await ensureDefaultOrganization();
+  }
+  return defaultOrgId;
+}
+
+/**
+ * Find an organization by ID or slug
+ * @param {string} idOrSlug - Organization ID or slug
+ * @returns {Promise<Object|null>}
+ */
+export async function resolveOrganization(idOrSlug) {
+  if (!idOrSlug || typeof idOrSlug !== 'string') return null;
+
+  const value = idOrSlug.trim();
+  if (mongoose.Types.ObjectId.isValid(value) && /^[a-f0-9]{24}$/i.test(value)) {
+    const org = await Organization.findById(value);
+    if (org) return org;
+  }
+  return Organization.findOne({ slug: value.toLowerCase() });
+}
+
+/**
+ * Get the organizations whose candidates an organization may search and match
+ * That is the organization itself plus every organization that shares its pool with it.
+ * @param {string|Object} orgId - Organization ID
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+export async function getCandidatePoolOrgIds(orgId) {
+  if (!orgId) {
+    throw new Error('orgId is required to resolve a candidate pool');
+  }
+
+  const id = new mongoose.Types.ObjectId(String(orgId));
+  const sharing = await Organization.find({ candidatePoolSharedWith: id }).select('_id').lean();
+  return [id, ...sharing.map(org => org._id)];
+}
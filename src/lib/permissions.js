@@ -0,0 +1,118 @@
+/**
+ * Roles and permissions
+ * Every protected route requires one permission (see requirePermission in middleware/auth.js).
+ * Members get the permissions of their role; API keys get an explicit list of permissions (scopes).
+ */
+
+export const PERMISSIONS = Object.freeze({
+  JOBS_READ: 'jobs:read',
+  JOBS_WRITE: 'jobs:write',
+  APPLICATIONS_READ: 'applications:read',
+  APPLICATIONS_WRITE: 'applications:write',
+  // Approve or reject applications
+  APPLICATIONS_DECIDE: 'applications:decide',
+  CANDIDATES_READ: 'candidates:read',
+  CANDIDATES_WRITE: 'candidates:write',
+  // Natural language candidate search and criteria checks (LLM calls)
+  CANDIDATES_SEARCH: 'candidates:search',
+  RESUMES_READ: 'resumes:read',
+  SCREENINGS_READ: 'screenings:read',
+  SCREENINGS_WRITE: 'screenings:write',
+  // Fill in reviewer scorecards for applications and screenings (members only)
+  SCORECARDS_SUBMIT: 'scorecards:submit',
+  // Schedule or start phone interviews
+  INTERVIEWS_SCHEDULE: 'interviews:schedule',
+  EMAILS_SEND: 'emails:send',
+  COMPANY_PROFILES_READ: 'company_profiles:read',
+  COMPANY_PROFILES_WRITE: 'company_profiles:write',
+  PROMPTS_READ: 'prompts:read',
+  PROMPTS_WRITE: 'prompts:write',
+  ANALYSIS_READ: 'analysis:read',
+  ORGANIZATION_READ: 'organization:read',
+  ORGANIZATION_MANAGE: 'organization:manage',
+  ORGANIZATIONS_CREATE: 'organizations:create',
+  MEMBERS_MANAGE: 'members:manage',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  DEBUG: 'debug',
+});
+
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  RECRUITER: 'recruiter',
+  HIRING_MANAGER: 'hiring_manager',
+  INTERVIEWER: 'interviewer',
+});
+
+const P = PERMISSIONS;
+
+// Permission matrix: what each role may do
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.ADMIN]: Object.freeze(Object.values(PERMISSIONS)),
+  [ROLES.RECRUITER]: Object.freeze([
+    P.JOBS_READ, P.JOBS_WRITE,
+    P.APPLICATIONS_READ, P.APPLICATIONS_WRITE, P.APPLICATIONS_DECIDE,
+    P.CANDIDATES_READ, P.CANDIDATES_WRITE, P.CANDIDATES_SEARCH, P.RESUMES_READ,
+    P.SCREENINGS_READ, P.SCREENINGS_WRITE, P.SCORECARDS_SUBMIT, P.INTERVIEWS_SCHEDULE,
+    P.EMAILS_SEND,
+    P.COMPANY_PROFILES_READ, P.PROMPTS_READ, P.ANALYSIS_READ, P.ORGANIZATION_READ,
+  ]),
+  [ROLES.HIRING_MANAGER]: Object.freeze([
+    P.JOBS_READ,
+    P.APPLICATIONS_READ, P.APPLICATIONS_DECIDE,
+    P.CANDIDATES_READ, P.CANDIDATES_SEARCH, P.RESUMES_READ,
+    P.SCREENINGS_READ, P.SCORECARDS_SUBMIT,
+    P.COMPANY_PROFILES_READ, P.ORGANIZATION_READ,
+  ]),
+  // Read-only access to the candidates and interviews they take part in, plus their own scorecards
+  [ROLES.INTERVIEWER]: Object.freeze([
+    P.JOBS_READ,
+    P.APPLICATIONS_READ,
+    P.CANDIDATES_READ, P.RESUMES_READ,
+    P.SCREENINGS_READ, P.SCORECARDS_SUBMIT,
+    P.ORGANIZATION_READ,
+  ]),
+});
+
+/**
+ * Get the permissions of a role
+ * @param {string} role - Role name
+ * @returns {string[]} Permissions (empty for unknown roles)
+ */
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a list of permissions includes one
+ * @param {string[]} permissions - Granted permissions
+ * @param {string} permission - Required permission
+ * @returns {boolean}
+ */
+export function hasPermission(permissions, permission) {
+  return Array.isArray(permissions) && permissions.includes(permission);
+}
+
+/**
+ * Validate API key scopes
+ * Scopes must be known permissions and may not exceed the permissions of the member creating the key.
+ * @param {string[]} scopes - Requested permissions
+ * @param {string[]} grantable - Permissions of the member creating the key
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateApiKeyScopes(scopes, grantable) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { ok: false, errors: ['scopes must be a non-empty array of permissions'] };
+  }
+
+  const known = Object.values(PERMISSIONS);
+  const errors = [];
+  for (const scope of scopes) {
+    if (!known.includes(scope)) {
+      errors.push(`Unknown permission: ${scope}`);
+    } else if (!hasPermission(grantable, scope)) {
+      errors.push(`Cannot grant a permission you don't have: ${scope}`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
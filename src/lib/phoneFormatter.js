@@ -4,13 +4,18 @@
  * No spaces, dashes, or other characters allowed
  */
 
+import { DEFAULT_COMPANY_PROFILE } from './companyProfile.js';
+
+// Used when no country code is passed (pass the company profile's defaultCountryCallingCode where a job is known)
+const DEFAULT_COUNTRY_CODE = DEFAULT_COMPANY_PROFILE.defaultCountryCallingCode;
+
 /**
  * Format phone number to E.164 format
  * @param {string} phoneNumber - Phone number in any format
- * @param {string} defaultCountryCode - Default country code if not provided (default: '91' for India)
+ * @param {string} defaultCountryCode - Default country code if not provided (default: built-in company profile's)
  * @returns {string} Phone number in E.164 format
  */
-export function formatToE164(phoneNumber, defaultCountryCode = '91') {
+export function formatToE164(phoneNumber, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
   if (!phoneNumber) {
     throw new Error('Phone number is required');
   }
@@ -65,11 +70,11 @@ export function isValidE164(phoneNumber) {
 /**
  * Format phone number with validation
  * @param {string} phoneNumber - Phone number in any format
- * @param {string} defaultCountryCode - Default country code (default: '91' for India)
+ * @param {string} defaultCountryCode - Default country code (default: built-in company profile's)
  * @returns {string} Phone number in E.164 format
  * @throws {Error} If phone number cannot be formatted or is invalid
  */
-export function formatPhoneNumber(phoneNumber, defaultCountryCode = '91') {
+export function formatPhoneNumber(phoneNumber, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
   const formatted = formatToE164(phoneNumber, defaultCountryCode);
   
   if (!isValidE164(formatted)) {
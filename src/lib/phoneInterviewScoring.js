@@ -0,0 +1,142 @@
+/**
+ * Phone interview evaluation
+ * Grades a completed call's transcript against the interview questions and the job's must-have skills
+ * (PHONE_INTERVIEW_SCORING prompt). Runs as a PHONE_INTERVIEW_EVALUATION background task; for interviews
+ * of an application the score is stored on the application and blended into unifiedScore with the job's
+ * phoneInterviewWeight.
+ */
+
+import PhoneInterview from '../models/PhoneInterview.js';
+import Application from '../models/Application.js';
+import Job from '../models/Job.js';
+import { callLLMJson } from './llm.js';
+import { calculateUnifiedScore, getScoringWeights, getPhoneInterviewWeight } from './scoring.js';
+import { enqueueTask, TASK_TYPES } from './taskQueue.js';
+
+/**
+ * Set fields of a phone interview's evaluation status
+ * @param {string} phoneInterviewId - PhoneInterview ID
+ * @param {Object} fields - Fields of PhoneInterview.evaluation to set
+ */
+export async function setEvaluationStatus(phoneInterviewId, fields) {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`evaluation.${key}`] = value;
+  }
+  await PhoneInterview.updateOne({ _id: phoneInterviewId }, { $set: update });
+}
+
+/**
+ * Queue the LLM evaluation of a completed phone interview and mark it as queued
+ * @param {Object} interview - PhoneInterview document (with a transcript)
+ * @returns {Promise<Object>} The task document
+ */
+export async function enqueuePhoneInterviewEvaluation(interview) {
+  await setEvaluationStatus(interview._id, { status: 'queued', error: null });
+
+  return enqueueTask(
+    TASK_TYPES.PHONE_INTERVIEW_EVALUATION,
+    { phoneInterviewId: interview._id.toString() },
+    { key: `phone-interview-evaluation:${interview._id}` }
+  );
+}
+
+/**
+ * Convert a PHONE_INTERVIEW_SCORING response into a PhoneInterview evaluation
+ * @param {Object} result - Validated LLM response
+ * @param {Array} questions - Questions the interview asked (question_index refers to these)
+ * @returns {Object}
+ */
+export function toEvaluation(result, questions = []) {
+  return {
+    overallScore: result.overall_score,
+    perQuestion: result.per_question.map(item => ({
+      questionIndex: item.question_index,
+      question: questions[item.question_index]?.text || null,
+      score: item.score,
+      notes: item.notes || '',
+    })),
+    mustHaveSkills: result.must_have_skills.map(item => ({
+      skill: item.skill,
+      demonstrated: item.demonstrated,
+      evidence: item.evidence || '',
+    })),
+    recommendation: result.overall_recommendation,
+    confidence: result.confidence ?? null,
+    summary: result.two_line_summary,
+  };
+}
+
+/**
+ * Store an interview's evaluation on its application and update unifiedScore
+ * Only the application's latest evaluated interview counts, so re-evaluating an older call changes nothing.
+ */
+async function applyToApplication(interview, job) {
+  const application = await Application.findById(interview.applicationId);
+  if (!application) return;
+
+  const current = application.phoneInterviewEvaluation;
+  if (current?.phoneInterviewId && String(current.phoneInterviewId) !== String(interview._id)) {
+    const currentInterview = await PhoneInterview.findById(current.phoneInterviewId).select('createdAt');
+    if (currentInterview && currentInterview.createdAt > interview.createdAt) {
+      console.log(`[Phone Interview] Evaluation of ${interview._id} not applied: application ${application._id} has a newer phone interview`);
+      return;
+    }
+  }
+
+  const { evaluation } = interview;
+  application.set('scores.phoneInterviewScore', evaluation.overallScore);
+  application.set('scores.phoneInterviewAnalysis', evaluation.summary);
+  application.phoneInterviewEvaluation = {
+    phoneInterviewId: interview._id,
+    perQuestion: evaluation.perQuestion,
+    mustHaveSkills: evaluation.mustHaveSkills,
+    recommendation: evaluation.recommendation,
+    evaluatedAt: evaluation.evaluatedAt,
+  };
+  application.unifiedScore = calculateUnifiedScore(application.scores, getScoringWeights(job), getPhoneInterviewWeight(job));
+  await application.save();
+}
+
+/**
+ * Evaluate a completed phone interview
+ * Throws if the interview cannot be evaluated so the task queue can retry it.
+ * @param {string} phoneInterviewId - PhoneInterview ID
+ * @returns {Promise<Object>} The evaluated interview
+ */
+export async function evaluatePhoneInterview(phoneInterviewId) {
+  const interview = await PhoneInterview.findById(phoneInterviewId);
+  if (!interview) {
+    throw new Error(`Phone interview ${phoneInterviewId} not found`);
+  }
+  if (!interview.transcript) {
+    throw new Error(`Phone interview ${phoneInterviewId} has no transcript`);
+  }
+
+  const job = interview.jobId ? await Job.findById(interview.jobId) : null;
+  const promptVersions = {};
+  const result = await callLLMJson('PHONE_INTERVIEW_SCORING', {
+    transcript: interview.transcript,
+    questions: interview.questions,
+    job,
+  }, {
+    context: { applicationId: interview.applicationId, userId: interview.userId, jobId: interview.jobId },
+    promptVersions,
+  });
+
+  interview.evaluation = {
+    ...toEvaluation(result, interview.questions),
+    status: 'completed',
+    promptVersion: promptVersions.PHONE_INTERVIEW_SCORING,
+    error: null,
+    evaluatedAt: new Date(),
+  };
+  await interview.save();
+
+  if (interview.applicationId) {
+    await applyToApplication(interview, job);
+  }
+
+  console.log(`[Phone Interview] Evaluated phone interview ${interview._id}: ${interview.evaluation.overallScore}/100 (${interview.evaluation.recommendation})`);
+  return interview;
+}
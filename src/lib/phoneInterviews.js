@@ -0,0 +1,804 @@
+/**
+ * AI phone interviews
+ * Every Bland AI call is a PhoneInterview document, linked to the candidate and optionally to an application,
+ * screening and job. Scheduling, status polling, webhooks, rescheduling and cancellation all go through this
+ * module. Calls that end unanswered or failed are retried as new PhoneInterview documents (attempt 2, 3, ...)
+ * following the job's call retry policy; when attempts run out the candidate is emailed new slots.
+ */
+
+import PhoneInterview from '../models/PhoneInterview.js';
+import Application from '../models/Application.js';
+import Screening from '../models/Screening.js';
+import User from '../models/User.js';
+import InterviewBooking from '../models/InterviewBooking.js';
+import { callLLMJson } from './llm.js';
+import { makeBlandAICall, getCallStatus, getCallRecording, stopCall } from './blandAi.js';
+import { canUpdateCallStatus } from './blandWebhooks.js';
+import { formatPhoneNumber } from './phoneFormatter.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { sendEmail } from './email.js';
+import { enqueuePhoneInterviewEvaluation } from './phoneInterviewScoring.js';
+import { enqueueTask, TASK_TYPES } from './taskQueue.js';
+import { runWithOrg } from './orgScope.js';
+import { getPortalUrl } from './candidatePortal.js';
+import {
+  getCallRetryPolicy,
+  getCandidateTimeZone,
+  nextCallingTime,
+  getCallingTimes,
+} from './callRetryPolicy.js';
+import { formatStartTime } from './timeZones.js';
+import { requestError } from './httpError.js';
+
+export const PHONE_INTERVIEW_STATUSES = Object.freeze({
+  NOT_INITIATED: 'not_initiated',
+  INITIATED: 'initiated',
+  SCHEDULED: 'scheduled',
+  RINGING: 'ringing',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  NO_ANSWER: 'no_answer',
+  CANCELED: 'canceled',
+});
+
+// No call is pending in these statuses, so a new one can be scheduled
+export const OPEN_STATUSES = Object.freeze([
+  PHONE_INTERVIEW_STATUSES.NOT_INITIATED,
+  PHONE_INTERVIEW_STATUSES.FAILED,
+  PHONE_INTERVIEW_STATUSES.NO_ANSWER,
+  PHONE_INTERVIEW_STATUSES.CANCELED,
+]);
+
+// Statuses in which a call is still placed with Bland AI (cancelling stops it there)
+const ACTIVE_CALL_STATUSES = [
+  PHONE_INTERVIEW_STATUSES.INITIATED,
+  PHONE_INTERVIEW_STATUSES.SCHEDULED,
+  PHONE_INTERVIEW_STATUSES.RINGING,
+  PHONE_INTERVIEW_STATUSES.IN_PROGRESS,
+];
+
+// Call outcomes that are retried (see callRetryPolicy.js)
+const UNREACHED_STATUSES = [
+  PHONE_INTERVIEW_STATUSES.FAILED,
+  PHONE_INTERVIEW_STATUSES.NO_ANSWER,
+];
+
+/**
+ * Map a Bland AI call status to a PhoneInterview status
+ * @param {string} blandStatus - Status reported by Bland AI
+ * @returns {string}
+ */
+export function mapBlandStatusToInternal(blandStatus) {
+  const statusMap = {
+    'initiated': 'initiated',
+    'scheduled': 'scheduled',
+    'ringing': 'ringing',
+    'answered': 'in_progress',
+    'in-progress': 'in_progress',
+    'completed': 'completed',
+    'ended': 'completed',
+    'failed': 'failed',
+    'no-answer': 'no_answer',
+    'busy': 'failed',
+    'voicemail': 'no_answer',
+  };
+  return statusMap[blandStatus] || 'initiated';
+}
+
+/**
+ * Bland AI sends transcripts as text or as a list of messages
+ */
+function formatTranscript(transcript) {
+  if (!Array.isArray(transcript)) return transcript;
+  return transcript
+    .map(msg => {
+      const speaker = msg.user === 'assistant' ? 'Interviewer' : 'Candidate';
+      const timestamp = msg.created_at ? new Date(msg.created_at).toISOString() : '';
+      return `[${timestamp}] ${speaker}: ${msg.text || ''}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Apply call data from a Bland AI webhook or status response to a phone interview (the caller saves it)
+ * A completed or canceled interview keeps its status and completion time.
+ * @param {Object} interview - PhoneInterview document
+ * @param {Object} callData - Bland AI call data (status, recording_url, transcript, summary, analysis, ...)
+ * @returns {{completedNow: boolean, unreachedNow: boolean}} completedNow: this update completed the call;
+ *   unreachedNow: this update ended the call unanswered or failed
+ */
+export function applyCallUpdate(interview, callData) {
+  const isFinal = !canUpdateCallStatus(interview.status);
+  const wasUnreached = UNREACHED_STATUSES.includes(interview.status);
+
+  if (callData.status && !isFinal) {
+    interview.status = mapBlandStatusToInternal(callData.status);
+  }
+  if (callData.recording_url) {
+    interview.recordingUrl = callData.recording_url;
+  }
+  if (callData.transcript) {
+    interview.transcript = formatTranscript(callData.transcript);
+  }
+  if (callData.summary) {
+    interview.summary = callData.summary;
+  }
+  if (callData.analysis) {
+    if (typeof callData.analysis === 'object') {
+      interview.analysis = {
+        technical_skills: callData.analysis.technical_skills || [],
+        behavioral_traits: callData.analysis.behavioral_traits || [],
+        communication_quality: callData.analysis.communication_quality ?? null,
+        overall_fit: callData.analysis.overall_fit ?? null,
+        strengths: callData.analysis.strengths || [],
+        concerns: callData.analysis.concerns || [],
+      };
+    } else if (!interview.summary) {
+      // Analysis as plain text
+      interview.summary = callData.analysis;
+    }
+  }
+  if (callData.duration || callData.corrected_duration) {
+    interview.duration = parseInt(callData.duration || callData.corrected_duration, 10);
+  }
+
+  const completedNow = !isFinal && (callData.status === 'completed' || callData.status === 'ended');
+  if (completedNow) {
+    interview.status = PHONE_INTERVIEW_STATUSES.COMPLETED;
+    interview.completedAt = callData.end_at ? new Date(callData.end_at) : new Date();
+  }
+
+  const unreachedNow = !isFinal && !wasUnreached && UNREACHED_STATUSES.includes(interview.status);
+  return { completedNow, unreachedNow };
+}
+
+/**
+ * Queue the evaluation of a call that just completed (calls without a transcript can't be graded)
+ */
+async function queueEvaluation(interview) {
+  if (!interview.transcript) {
+    console.warn(`[Phone Interview] Phone interview ${interview._id} completed without a transcript, not evaluated`);
+    return;
+  }
+  try {
+    await enqueuePhoneInterviewEvaluation(interview);
+  } catch (error) {
+    console.error(`[Phone Interview] Could not queue evaluation of phone interview ${interview._id}:`, error);
+  }
+}
+
+/**
+ * Queue the retry of a call that just ended unanswered or failed (the task decides whether attempts are left)
+ * Webhooks run unscoped, so the task is queued in the interview's organization.
+ */
+async function queueRetry(interview) {
+  try {
+    await runWithOrg(interview.orgId, () => enqueueTask(
+      TASK_TYPES.PHONE_INTERVIEW_RETRY,
+      { phoneInterviewId: interview._id.toString() },
+      { key: `phone-interview-retry:${interview._id}` }
+    ));
+  } catch (error) {
+    console.error(`[Phone Interview] Could not queue retry of phone interview ${interview._id}:`, error);
+  }
+}
+
+/**
+ * Apply a verified Bland AI webhook to a phone interview and save it
+ * When the call completes, the full call details are fetched so the recording and analysis are complete,
+ * and the transcript is queued for evaluation. An unanswered or failed call is queued for a retry.
+ * @param {Object} interview - PhoneInterview document
+ * @param {Object} payload - Webhook body
+ */
+export async function processCallWebhook(interview, payload) {
+  const { completedNow, unreachedNow } = applyCallUpdate(interview, payload);
+
+  if (completedNow) {
+    try {
+      applyCallUpdate(interview, await getCallStatus(interview.callId));
+      console.log(`[Phone Interview] Full call data fetched for ${interview._id}, recording: ${interview.recordingUrl ? 'available' : 'not available'}`);
+    } catch (error) {
+      console.error('[Phone Interview] Error fetching full call data:', error);
+      // Continue with webhook data if fetch fails
+    }
+  }
+
+  await interview.save();
+  if (completedNow) {
+    await queueEvaluation(interview);
+  }
+  if (unreachedNow) {
+    await queueRetry(interview);
+  }
+}
+
+/**
+ * Refresh a phone interview from Bland AI and save it (a call that completed is queued for evaluation,
+ * an unanswered or failed one for a retry)
+ * @param {Object} interview - PhoneInterview document with a callId
+ */
+export async function syncCallStatus(interview) {
+  const { completedNow, unreachedNow } = applyCallUpdate(interview, await getCallStatus(interview.callId));
+
+  // If recording URL not in status, try to fetch it explicitly
+  if (completedNow && !interview.recordingUrl) {
+    try {
+      const recordingData = await getCallRecording(interview.callId);
+      if (recordingData.recordingUrl) {
+        interview.recordingUrl = recordingData.recordingUrl;
+      }
+    } catch (error) {
+      console.warn('[Phone Interview] Could not fetch recording URL:', error.message);
+    }
+  }
+
+  await interview.save();
+  if (completedNow) {
+    await queueEvaluation(interview);
+  }
+  if (unreachedNow) {
+    await queueRetry(interview);
+  }
+}
+
+/**
+ * Get the most recent phone interview matching a filter
+ * @param {Object} filter - e.g. { applicationId } or { userId, applicationId: null }
+ * @returns {Promise<Object|null>}
+ */
+export async function findLatestPhoneInterview(filter) {
+  return PhoneInterview.findOne(filter).sort({ createdAt: -1 });
+}
+
+/**
+ * Load what a phone interview is for: a screening, an application or just a candidate
+ * @param {Object} params - One of screeningId, applicationId or userId
+ * @returns {Promise<{user: Object, application: Object|null, screening: Object|null, job: Object|null}>}
+ *   application has userId and jobId populated
+ * @throws {Error} With status 400 when nothing is given, 404 when it doesn't exist
+ */
+export async function resolveInterviewTarget({ screeningId, applicationId, userId }) {
+  let screening = null;
+  let application = null;
+
+  if (screeningId) {
+    screening = await Screening.findById(screeningId);
+    if (!screening) throw requestError('Screening not found', 404);
+    applicationId = screening.applicationId;
+  }
+  if (applicationId) {
+    application = await Application.findById(applicationId).populate('jobId').populate('userId');
+    if (!application) throw requestError('Application not found', 404);
+    screening = screening || await Screening.findOne({ applicationId: application._id });
+
+    const job = application.jobId;
+    const user = application.userId;
+    if (!user) throw requestError('User not found', 404);
+    return { user, application, screening, job };
+  }
+  if (userId) {
+    const user = await User.findById(userId);
+    if (!user) throw requestError('User not found', 404);
+    return { user, application: null, screening: null, job: null };
+  }
+
+  throw requestError('One of applicationId, screeningId or userId is required', 400);
+}
+
+/**
+ * Filter for the phone interviews of a target (an application's, or a candidate's calls without an application)
+ */
+function targetFilter({ user, application }) {
+  return application ? { applicationId: application._id } : { userId: user._id, applicationId: null };
+}
+
+/**
+ * Get or generate the interview questions (technical and behavioral only)
+ */
+async function getInterviewQuestions({ user, application, screening, job }, company) {
+  if (screening?.screening_questions?.length > 0) {
+    return screening.screening_questions;
+  }
+
+  if (job) {
+    // Generate questions on the spot
+    const generated = await callLLMJson('SCREENING_QUESTIONS', {
+      job,
+      candidateInfo: {
+        name: user.name,
+        skills: application?.skillsMatched?.length ? application.skillsMatched : user.tags || [],
+      },
+    }, { context: { jobId: job._id, applicationId: application?._id }, companyProfile: company });
+    if (screening) {
+      screening.screening_questions = generated.screening_questions;
+      await screening.save();
+    }
+    return generated.screening_questions;
+  }
+
+  // No job: reuse the questions of the candidate's previous call, or generate them from the resume
+  const previous = await PhoneInterview.findOne({ userId: user._id, applicationId: null, 'questions.0': { $exists: true } })
+    .sort({ createdAt: -1 });
+  if (previous) {
+    return previous.questions;
+  }
+  if (!user.resumeText || user.resumeText.trim().length === 0) {
+    throw requestError('Resume text not available. Cannot generate interview questions without resume.', 400);
+  }
+  const generated = await callLLMJson('SCREENING_QUESTIONS', {
+    candidateInfo: {
+      name: user.name,
+      skills: user.tags || [],
+    },
+    resumeText: user.resumeText, // Pass resume text for generic questions
+  }, { context: { userId: user._id }, companyProfile: company });
+  return generated.screening_questions;
+}
+
+/**
+ * Email the candidate about their phone interview (LLM-written, with a plain fallback)
+ */
+async function sendPhoneInterviewEmail(interview, { user, job, company }) {
+  const startTime = interview.scheduledStartTime;
+  let emailData = null;
+  try {
+    emailData = await callLLMJson('PHONE_INTERVIEW_EMAIL', {
+      candidateName: user.name,
+      role: job?.role || 'Potential Role', // Generic when there's no job
+      company: company.name,
+      phoneNumber: interview.phoneNumber,
+      scheduledStartTime: startTime,
+      questions: interview.questions,
+      applicationId: interview.applicationId || null,
+    }, { context: { userId: user._id, applicationId: interview.applicationId }, companyProfile: company });
+  } catch (error) {
+    console.error('[Phone Interview] Failed to generate phone interview email:', error.message);
+  }
+
+  if (emailData) {
+    const emailResult = await sendEmail({
+      to: user.email,
+      subject: emailData.subject || `Phone Interview Invitation - ${company.name}`,
+      html: emailData.html_snippet || emailData.plain_text,
+      text: emailData.plain_text || emailData.html_snippet?.replace(/<[^>]*>/g, ''),
+    });
+    if (!emailResult.ok) {
+      console.error('[Phone Interview] Failed to send phone interview email:', emailResult.error);
+    }
+    return;
+  }
+
+  // Fallback: Send a simple email if LLM fails
+  const fallbackHtml = `
+    <h2>Hello ${user.name},</h2>
+    <p>We would like to invite you for an AI-based phone interview${job ? ` for the ${job.role} role` : ''}.</p>
+    ${startTime ? `<p><strong>Scheduled Time:</strong> ${startTime}</p>` : '<p>You will receive a call shortly at: <strong>' + interview.phoneNumber + '</strong></p>'}
+    <p><strong>What to expect:</strong></p>
+    <ul>
+      <li>An AI interviewer named "Neo" will call you</li>
+      <li>The interview will take approximately 5-10 minutes</li>
+      <li>You'll be asked technical and behavioral questions</li>
+      <li>Please answer naturally and be patient if there are brief pauses</li>
+    </ul>
+    <p>We look forward to speaking with you!</p>
+    <p>Best regards,<br>${company.name} HR Team</p>
+  `;
+  await sendEmail({
+    to: user.email,
+    subject: startTime ? `Phone Interview Scheduled - ${company.name}` : `Phone Interview Invitation - ${company.name}`,
+    html: fallbackHtml,
+    text: fallbackHtml.replace(/<[^>]*>/g, ''),
+  });
+}
+
+/**
+ * Schedule (or start right away) a phone interview
+ * @param {Object} target - From resolveInterviewTarget
+ * @param {Object} [options]
+ * @param {string|null} [options.startTime] - "YYYY-MM-DD HH:MM:SS -HH:MM", or null to call now
+ * @param {string} [options.companyProfileId] - Company the call is made for (defaults to the job's profile)
+ * @param {Object} [options.interview] - Interview whose offered slot the candidate picked (reused while no call was placed
+ *   for it, otherwise its slots carry over to a new interview)
+ * @param {boolean} [options.notify=true] - Email the candidate
+ * @param {Object} [options.retryOf] - Unanswered or failed interview this call retries (next attempt, same questions)
+ * @param {Object} [options.rescheduledFrom] - Canceled interview this call replaces (same attempt and questions)
+ * @returns {Promise<{interview: Object, callResult: Object}>}
+ * @throws {Error} With status 400 when the candidate has no usable phone number or questions can't be made,
+ *   409 when a call is already pending
+ */
+export async function schedulePhoneInterview(target, {
+  startTime = null,
+  companyProfileId,
+  interview = null,
+  notify = true,
+  retryOf = null,
+  rescheduledFrom = null,
+} = {}) {
+  const { user, application, screening, job } = target;
+
+  const pending = await findLatestPhoneInterview(targetFilter(target));
+  if (pending && !OPEN_STATUSES.includes(pending.status)) {
+    throw requestError(`A phone interview is already ${pending.status}`, 409);
+  }
+
+  if (!user.phone) {
+    throw requestError('Candidate phone number not found', 400);
+  }
+
+  const profileRef = companyProfileId || interview?.companyProfileId || job;
+  const company = await resolveCompanyProfile(profileRef);
+
+  // Format phone number to E.164 format (required by Bland AI)
+  let phoneNumber;
+  try {
+    phoneNumber = formatPhoneNumber(user.phone, company.defaultCountryCallingCode);
+  } catch (error) {
+    throw requestError('Invalid phone number format', 400, error.message);
+  }
+
+  const previous = retryOf || rescheduledFrom;
+  const questions = previous?.questions?.length > 0
+    ? previous.questions.map(({ text, type }) => ({ text, type }))
+    : await getInterviewQuestions(target, company);
+
+  const reused = interview?.status === PHONE_INTERVIEW_STATUSES.NOT_INITIATED ? interview : null;
+  const phoneInterview = reused || new PhoneInterview({
+    userId: user._id,
+    applicationId: application?._id,
+    screeningId: screening?._id,
+    jobId: job?._id,
+    companyProfileId: interview?.companyProfileId || previous?.companyProfileId,
+    offeredSlots: interview?.offeredSlots || [],
+    attempt: retryOf ? (retryOf.attempt || 1) + 1 : rescheduledFrom?.attempt || 1,
+    retryOf: retryOf?._id,
+    rescheduledFrom: rescheduledFrom?._id,
+  });
+  if (companyProfileId) {
+    phoneInterview.companyProfileId = companyProfileId;
+  }
+  phoneInterview.set({
+    status: startTime ? PHONE_INTERVIEW_STATUSES.SCHEDULED : PHONE_INTERVIEW_STATUSES.INITIATED,
+    phoneNumber,
+    startedAt: startTime ? null : new Date(),
+    scheduledStartTime: startTime || null,
+    questions,
+  });
+  await phoneInterview.save();
+
+  // Make Bland AI call (with optional start_time for scheduling)
+  let callResult;
+  try {
+    callResult = await makeBlandAICall({
+      phoneNumber,
+      candidateName: user.name,
+      job,
+      application,
+      user,
+      questions,
+      phoneInterviewId: phoneInterview._id,
+      applicationId: application?._id || null,
+      userId: user._id.toString(),
+      startTime: startTime || null,
+      companyProfile: company,
+    });
+  } catch (error) {
+    phoneInterview.status = PHONE_INTERVIEW_STATUSES.FAILED;
+    phoneInterview.error = error.message;
+    await phoneInterview.save();
+    throw error;
+  }
+
+  phoneInterview.callId = callResult.callId;
+  phoneInterview.status = startTime ? PHONE_INTERVIEW_STATUSES.SCHEDULED : PHONE_INTERVIEW_STATUSES.RINGING;
+  await phoneInterview.save();
+  console.log(`[Phone Interview] ${startTime ? `Scheduled call for ${startTime}` : 'Started call'} for user ${user._id} (phone interview ${phoneInterview._id}, attempt ${phoneInterview.attempt})`);
+
+  // Send email notification about the phone interview (async - don't wait)
+  if (notify && user.email) {
+    sendPhoneInterviewEmail(phoneInterview, { user, job, company })
+      .catch(error => console.error('[Phone Interview] Error sending phone interview email:', error));
+  }
+
+  return { interview: phoneInterview, callResult };
+}
+
+/**
+ * Offer start times the candidate can pick from in the portal (the call is placed when they pick one)
+ * @param {Object} target - From resolveInterviewTarget (must have an application)
+ * @param {string[]} slots - "YYYY-MM-DD HH:MM:SS -HH:MM" start times ([] withdraws the offer)
+ * @returns {Promise<Object>} PhoneInterview holding the offered slots
+ * @throws {Error} With status 400 without an application, 409 when a call is already pending
+ */
+export async function offerInterviewSlots(target, slots) {
+  const { user, application, screening, job } = target;
+  if (!application) {
+    throw requestError('Slots can only be offered for an application', 400);
+  }
+
+  const latest = await findLatestPhoneInterview(targetFilter(target));
+  if (latest && !OPEN_STATUSES.includes(latest.status)) {
+    throw requestError(`Phone interview is already ${latest.status}`, 409);
+  }
+
+  // Reuse an offer that wasn't picked yet, otherwise start a new interview
+  const interview = latest && latest.status === PHONE_INTERVIEW_STATUSES.NOT_INITIATED
+    ? latest
+    : new PhoneInterview({ userId: user._id, applicationId: application._id, screeningId: screening?._id, jobId: job?._id });
+  interview.offeredSlots = [...new Set(slots)];
+  await interview.save();
+
+  console.log(`[Phone Interview] Offered ${interview.offeredSlots.length} interview slot(s) for application ${application._id}`);
+  return interview;
+}
+
+/**
+ * Cancel a phone interview (stops the call with Bland AI if one was placed and frees a booked slot)
+ * @param {Object} interview - PhoneInterview document
+ * @returns {Promise<Object>} The canceled interview
+ * @throws {Error} With status 409 when the interview already finished
+ */
+export async function cancelPhoneInterview(interview) {
+  const cancelable = [...ACTIVE_CALL_STATUSES, PHONE_INTERVIEW_STATUSES.NOT_INITIATED];
+  if (!cancelable.includes(interview.status)) {
+    throw requestError(`Phone interview is already ${interview.status}`, 409);
+  }
+
+  if (interview.callId && ACTIVE_CALL_STATUSES.includes(interview.status)) {
+    try {
+      await stopCall(interview.callId);
+    } catch (error) {
+      throw requestError('Could not stop the call with Bland AI', 502, error.message);
+    }
+  }
+
+  interview.status = PHONE_INTERVIEW_STATUSES.CANCELED;
+  interview.canceledAt = new Date();
+  await interview.save();
+  await InterviewBooking.updateMany(
+    { phoneInterviewId: interview._id, status: 'booked' },
+    { $set: { status: 'canceled', canceledAt: new Date() } }
+  );
+  console.log(`[Phone Interview] Canceled phone interview ${interview._id}`);
+  return interview;
+}
+
+/**
+ * Reschedule a scheduled call: the call is stopped with Bland AI and a new one is scheduled in its place
+ * @param {Object} interview - PhoneInterview document
+ * @param {string|null} [startTime] - "YYYY-MM-DD HH:MM:SS -HH:MM", or null for the next calling window
+ *   (after the job's retry delay, in the candidate's timezone)
+ * @returns {Promise<Object>} The new interview
+ * @throws {Error} With status 409 when the interview is not scheduled, 502 when Bland AI can't stop the call
+ */
+export async function reschedulePhoneInterview(interview, startTime = null) {
+  if (interview.status !== PHONE_INTERVIEW_STATUSES.SCHEDULED) {
+    throw requestError(`Only scheduled calls can be rescheduled (phone interview is ${interview.status})`, 409);
+  }
+
+  const target = await resolveInterviewTarget({ applicationId: interview.applicationId, userId: interview.userId });
+  if (!startTime) {
+    const policy = getCallRetryPolicy(target.job);
+    const company = await resolveCompanyProfile(interview.companyProfileId || target.job);
+    const timeZone = getCandidateTimeZone(target.user, company);
+    const earliest = new Date(Date.now() + policy.retryDelayMinutes * 60 * 1000);
+    startTime = formatStartTime(nextCallingTime(earliest, policy.callingWindow, timeZone), timeZone);
+  }
+
+  await cancelPhoneInterview(interview);
+  const { interview: rescheduled } = await schedulePhoneInterview(target, {
+    startTime,
+    companyProfileId: interview.companyProfileId,
+    rescheduledFrom: interview,
+  });
+  console.log(`[Phone Interview] Rescheduled phone interview ${interview._id} to ${startTime} (phone interview ${rescheduled._id})`);
+  return rescheduled;
+}
+
+/**
+ * Email a candidate who couldn't be reached on any attempt, offering new slots for applications
+ */
+async function sendRetryFollowUp(interview, target, { policy, company, timeZone }) {
+  const { user, application, job } = target;
+
+  let slotTimes = [];
+  if (application && policy.followUpSlots > 0) {
+    const earliest = new Date(Date.now() + policy.retryDelayMinutes * 60 * 1000);
+    slotTimes = getCallingTimes(earliest, policy.callingWindow, timeZone, policy.followUpSlots);
+    await offerInterviewSlots(target, slotTimes.map(time => formatStartTime(time, timeZone)));
+  }
+
+  interview.followUpSentAt = new Date();
+  await interview.save();
+  console.log(`[Phone Interview] All ${policy.maxAttempts} call attempt(s) used for user ${user._id}, following up by email (${slotTimes.length} slot(s) offered)`);
+
+  if (!user.email) return;
+
+  const dateFormat = new Intl.DateTimeFormat(company.locale, { dateStyle: 'full', timeStyle: 'short', timeZone });
+  const html = `
+    <h2>Hello ${user.name},</h2>
+    <p>We tried to call you for your phone interview${job ? ` for the ${job.role} role` : ''} but couldn't reach you.</p>
+    ${slotTimes.length > 0 ? `
+    <p>Please pick a new time in your candidate portal. These times are open (${timeZone}):</p>
+    <ul>
+      ${slotTimes.map(time => `<li>${dateFormat.format(time)}</li>`).join('\n      ')}
+    </ul>
+    <p><a href="${getPortalUrl()}">Open your candidate portal</a></p>` : `
+    <p>Please reply to this email with a few times that suit you and we'll call you then.</p>`}
+    <p>Best regards,<br>${company.name} HR Team</p>
+  `;
+  const result = await sendEmail({
+    to: user.email,
+    subject: `We missed you - pick a new phone interview time with ${company.name}`,
+    html,
+    text: html.replace(/<[^>]*>/g, ''),
+  });
+  if (!result.ok) {
+    console.error('[Phone Interview] Failed to send follow-up email:', result.error);
+  }
+}
+
+/**
+ * Retry an unanswered or failed call (PHONE_INTERVIEW_RETRY task)
+ * The retry is scheduled with Bland AI for the first calling window after the job's retry delay, in the
+ * candidate's timezone. When all attempts are used, the candidate is emailed instead. Nothing happens if
+ * another call was scheduled or slots were offered in the meantime.
+ * @param {string} phoneInterviewId - PhoneInterview ID of the unanswered or failed call
+ * @returns {Promise<Object|null>} The retry, or null when none was scheduled
+ */
+export async function retryPhoneInterview(phoneInterviewId) {
+  const interview = await PhoneInterview.findById(phoneInterviewId);
+  if (!interview || !UNREACHED_STATUSES.includes(interview.status)) {
+    return null;
+  }
+
+  const target = await resolveInterviewTarget({ applicationId: interview.applicationId, userId: interview.userId });
+
+  // A retry that couldn't be placed with Bland AI (earlier attempt of this task) doesn't count as something else
+  const latest = await findLatestPhoneInterview(targetFilter(target));
+  const failedPlacement = latest && String(latest.retryOf) === String(interview._id) && !latest.callId;
+  if (latest && String(latest._id) !== String(interview._id) && !failedPlacement) {
+    console.log(`[Phone Interview] Not retrying phone interview ${interview._id}: phone interview ${latest._id} is newer`);
+    return null;
+  }
+
+  const policy = getCallRetryPolicy(target.job);
+  const company = await resolveCompanyProfile(interview.companyProfileId || target.job);
+  const timeZone = getCandidateTimeZone(target.user, company);
+
+  if (interview.attempt >= policy.maxAttempts) {
+    if (!interview.followUpSentAt) {
+      await sendRetryFollowUp(interview, target, { policy, company, timeZone });
+    }
+    return null;
+  }
+
+  const earliest = new Date(Date.now() + policy.retryDelayMinutes * 60 * 1000);
+  const retryAt = nextCallingTime(earliest, policy.callingWindow, timeZone);
+  const { interview: retry } = await schedulePhoneInterview(target, {
+    startTime: formatStartTime(retryAt, timeZone),
+    companyProfileId: interview.companyProfileId,
+    retryOf: interview,
+  });
+  return retry;
+}
+
+/**
+ * Build a PhoneInterview document from an embedded phone interview
+ */
+function fromEmbedded(embedded, { orgId, userId, applicationId, screeningId, jobId, source, sourceId, index }) {
+  const createdAt = embedded.createdAt || embedded.startedAt || new Date();
+  return Object.fromEntries(Object.entries({
+    orgId,
+    userId,
+    applicationId,
+    screeningId,
+    jobId,
+    callId: embedded.callId,
+    status: embedded.status || PHONE_INTERVIEW_STATUSES.NOT_INITIATED,
+    phoneNumber: embedded.phoneNumber,
+    startedAt: embedded.startedAt,
+    scheduledStartTime: embedded.scheduledStartTime,
+    offeredSlots: embedded.offeredSlots || [],
+    completedAt: embedded.completedAt,
+    duration: embedded.duration,
+    recordingUrl: embedded.recordingUrl,
+    transcript: embedded.transcript,
+    summary: embedded.summary,
+    questions: embedded.questions || [],
+    analysis: embedded.analysis,
+    error: embedded.error,
+    migratedFrom: { source, sourceId, index },
+    createdAt,
+    updatedAt: embedded.completedAt || createdAt,
+  }).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Whether an embedded phone interview holds anything worth keeping
+ */
+function hasInterviewData(embedded) {
+  return !!(embedded && (embedded.callId || (embedded.status && embedded.status !== 'not_initiated') || embedded.offeredSlots?.length));
+}
+
+/**
+ * Insert a migrated interview once (re-running the migration doesn't duplicate it)
+ */
+async function insertMigrated(doc) {
+  const { source, sourceId, index } = doc.migratedFrom;
+  const filter = { 'migratedFrom.source': source, 'migratedFrom.sourceId': sourceId };
+  if (index !== undefined) filter['migratedFrom.index'] = index;
+  const result = await PhoneInterview.collection.updateOne(filter, { $setOnInsert: doc }, { upsert: true });
+  return result.upsertedCount || 0;
+}
+
+/**
+ * Move phone interviews embedded in applications, screenings and users into the PhoneInterview collection
+ * Runs unscoped at startup on the raw collections (the embedded fields are no longer in the schemas) and
+ * removes each embedded copy once it has been moved.
+ * @returns {Promise<number>} Number of phone interviews created
+ */
+export async function migrateEmbeddedPhoneInterviews() {
+  let created = 0;
+
+  const applications = await Application.collection
+    .find({ phoneInterview: { $exists: true } }, { projection: { orgId: 1, userId: 1, jobId: 1, phoneInterview: 1 } })
+    .toArray();
+  for (const app of applications) {
+    if (hasInterviewData(app.phoneInterview) && app.userId) {
+      created += await insertMigrated(fromEmbedded(app.phoneInterview, {
+        orgId: app.orgId,
+        userId: app.userId,
+        applicationId: app._id,
+        jobId: app.jobId,
+        source: 'application',
+        sourceId: app._id,
+      }));
+    }
+    await Application.collection.updateOne({ _id: app._id }, { $unset: { phoneInterview: '' } });
+  }
+
+  const screenings = await Screening.collection
+    .find({ phoneInterview: { $exists: true } }, { projection: { orgId: 1, applicationId: 1, jobId: 1, phoneInterview: 1 } })
+    .toArray();
+  for (const screening of screenings) {
+    const app = hasInterviewData(screening.phoneInterview)
+      ? await Application.collection.findOne({ _id: screening.applicationId }, { projection: { userId: 1 } })
+      : null;
+    if (app?.userId) {
+      created += await insertMigrated(fromEmbedded(screening.phoneInterview, {
+        orgId: screening.orgId,
+        userId: app.userId,
+        applicationId: screening.applicationId,
+        screeningId: screening._id,
+        jobId: screening.jobId,
+        source: 'screening',
+        sourceId: screening._id,
+      }));
+    }
+    await Screening.collection.updateOne({ _id: screening._id }, { $unset: { phoneInterview: '' } });
+  }
+
+  const users = await User.collection
+    .find({ phoneInterviewSummaries: { $exists: true } }, { projection: { orgId: 1, phoneInterviewSummaries: 1 } })
+    .toArray();
+  for (const user of users) {
+    for (const [index, summary] of (user.phoneInterviewSummaries || []).entries()) {
+      if (hasInterviewData(summary)) {
+        created += await insertMigrated(fromEmbedded(summary, {
+          orgId: user.orgId,
+          userId: user._id,
+          source: 'user',
+          sourceId: user._id,
+          index,
+        }));
+      }
+    }
+    await User.collection.updateOne({ _id: user._id }, { $unset: { phoneInterviewSummaries: '' } });
+  }
+
+  if (created > 0) {
+    console.log(`[Phone Interview] Moved ${created} embedded phone interview(s) into the PhoneInterview collection`);
+  }
+  return created;
+}
@@ -0,0 +1,235 @@
+/**
+ * Application pipeline
+ * Applications move through the stages configured on their job (applied → screened → phone interview →
+ * video → onsite → offer) and end as hired, rejected or withdrawn. Every move is recorded in the
+ * application's stageHistory with who made it and why.
+ */
+
+import Application from '../models/Application.js';
+
+export const PIPELINE_STAGES = Object.freeze({
+  APPLIED: 'applied',
+  SCREENED: 'screened',
+  PHONE_INTERVIEW: 'phone_interview',
+  VIDEO: 'video',
+  ONSITE: 'onsite',
+  OFFER: 'offer',
+  HIRED: 'hired',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',
+});
+
+// Stages a job can use, in pipeline order
+export const ACTIVE_STAGES = Object.freeze([
+  PIPELINE_STAGES.APPLIED,
+  PIPELINE_STAGES.SCREENED,
+  PIPELINE_STAGES.PHONE_INTERVIEW,
+  PIPELINE_STAGES.VIDEO,
+  PIPELINE_STAGES.ONSITE,
+  PIPELINE_STAGES.OFFER,
+]);
+
+// Outcomes every pipeline ends in
+export const FINAL_STAGES = Object.freeze([
+  PIPELINE_STAGES.HIRED,
+  PIPELINE_STAGES.REJECTED,
+  PIPELINE_STAGES.WITHDRAWN,
+]);
+
+export const ALL_STAGES = Object.freeze([...ACTIVE_STAGES, ...FINAL_STAGES]);
+
+/**
+ * Default stages used when a job has no custom pipeline
+ */
+export const DEFAULT_PIPELINE_STAGES = ACTIVE_STAGES;
+
+/**
+ * Validate a job's pipeline stages
+ * @param {string[]} stages - Active stages, in pipeline order
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validatePipelineStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return { ok: false, errors: ['pipelineStages must be a non-empty array'] };
+  }
+
+  const errors = [];
+  const unknown = stages.filter(stage => !ACTIVE_STAGES.includes(stage));
+  if (unknown.length > 0) {
+    errors.push(`Unknown stage(s): ${unknown.join(', ')}. Allowed: ${ACTIVE_STAGES.join(', ')}`);
+  }
+  if (new Set(stages).size !== stages.length) {
+    errors.push('pipelineStages must not contain duplicates');
+  }
+  if (stages[0] !== PIPELINE_STAGES.APPLIED) {
+    errors.push(`pipelineStages must start with ${PIPELINE_STAGES.APPLIED}`);
+  }
+
+  // Keeping the canonical order lets applications sitting in a removed stage still move on
+  if (errors.length === 0) {
+    const positions = stages.map(stage => ACTIVE_STAGES.indexOf(stage));
+    if (positions.some((position, i) => i > 0 && position < positions[i - 1])) {
+      errors.push(`pipelineStages must follow the order ${ACTIVE_STAGES.join(' → ')}`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Get the pipeline stages of a job (falls back to the default pipeline)
+ * @param {Object} [job] - Job document or plain object
+ * @returns {string[]} Active stages, in pipeline order
+ */
+export function getPipelineStages(job) {
+  const configured = job?.settings?.pipelineStages;
+  if (configured && configured.length > 0 && validatePipelineStages([...configured]).ok) {
+    return [...configured];
+  }
+  return [...DEFAULT_PIPELINE_STAGES];
+}
+
+/**
+ * Get the stage an application was in before it was rejected or withdrawn
+ * @param {Object} application - Application document
+ * @returns {string}
+ */
+function getStageBeforeClosing(application) {
+  const history = application.stageHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].to === application.stage && ACTIVE_STAGES.includes(history[i].from)) {
+      return history[i].from;
+    }
+  }
+  return PIPELINE_STAGES.APPLIED;
+}
+
+/**
+ * Get the stages an application can move to
+ * Active stages move one step forward or back (past the last stage is hired) or close as rejected or
+ * withdrawn. Rejected and withdrawn applications can be reopened in the stage they were closed from.
+ * Hired is final.
+ * @param {Object} application - Application document (stage, stageHistory)
+ * @param {string[]} stages - The job's pipeline stages
+ * @returns {string[]}
+ */
+export function getAllowedTransitions(application, stages) {
+  const current = application.stage || PIPELINE_STAGES.APPLIED;
+
+  if (current === PIPELINE_STAGES.HIRED) {
+    return [];
+  }
+  if (current === PIPELINE_STAGES.REJECTED || current === PIPELINE_STAGES.WITHDRAWN) {
+    return [getStageBeforeClosing(application)];
+  }
+
+  // Positions in the canonical order, so an application in a stage the job no longer uses can still move
+  const position = ACTIVE_STAGES.indexOf(current);
+  const previous = stages.filter(stage => ACTIVE_STAGES.indexOf(stage) < position).pop();
+  const next = stages.find(stage => ACTIVE_STAGES.indexOf(stage) > position) || PIPELINE_STAGES.HIRED;
+
+  return [previous, next, PIPELINE_STAGES.REJECTED, PIPELINE_STAGES.WITHDRAWN].filter(Boolean);
+}
+
+/**
+ * Move an application to another stage and save the move
+ * Also keeps the older level1_approved / rejected fields in line with the stage. The update only applies
+ * while the application is still in the stage the move was checked against, so of two concurrent moves
+ * the second fails instead of recording history from a stage the application already left.
+ * @param {Object} application - Application document (updated in place, without unsaved changes)
+ * @param {string} toStage - Target stage
+ * @param {Object} options
+ * @param {string[]} options.stages - The job's pipeline stages
+ * @param {{type: string, id: string|null}} options.actor - Who made the move (see getActor in auth.js)
+ * @param {string} [options.reason] - Why
+ * @returns {Promise<{ok: boolean, error?: string, conflict?: boolean, allowed: string[]}>} conflict: the
+ *   application was moved in the meantime
+ */
+export async function transitionApplication(application, toStage, { stages, actor, reason }) {
+  const allowed = getAllowedTransitions(application, stages);
+  const from = application.stage || PIPELINE_STAGES.APPLIED;
+
+  if (!ALL_STAGES.includes(toStage)) {
+    return { ok: false, error: `Unknown stage: ${toStage}. Allowed: ${ALL_STAGES.join(', ')}`, allowed };
+  }
+  if (!allowed.includes(toStage)) {
+    return { ok: false, error: `Cannot move an application from ${from} to ${toStage}`, allowed };
+  }
+
+  const now = new Date();
+  const trimmedReason = typeof reason === 'string' && reason.trim() ? reason.trim() : undefined;
+  const rejected = toStage === PIPELINE_STAGES.REJECTED;
+
+  const changes = {
+    stage: toStage,
+    stageUpdatedAt: now,
+    level1_approved: ![PIPELINE_STAGES.APPLIED, PIPELINE_STAGES.REJECTED, PIPELINE_STAGES.WITHDRAWN].includes(toStage),
+    rejected,
+    rejectedAt: rejected ? now : null,
+    rejectionReason: rejected ? trimmedReason || null : null,
+  };
+  const entry = {
+    from,
+    to: toStage,
+    changedAt: now,
+    changedByType: actor?.type || 'system',
+    changedBy: actor?.id || undefined,
+    reason: trimmedReason,
+  };
+
+  // Applications created before stages existed have no stage and are treated as applied
+  const saved = await Application.findOneAndUpdate(
+    { _id: application._id, stage: from === PIPELINE_STAGES.APPLIED ? { $in: [from, null] } : from },
+    { $set: changes, $push: { stageHistory: entry } },
+    { new: true, projection: { stageHistory: 1 }, lean: true }
+  );
+  if (!saved) {
+    return { ok: false, conflict: true, error: `Application was moved out of ${from} in the meantime. Reload it and try again`, allowed };
+  }
+
+  // Bring the caller's document in line without leaving the move for its next save
+  for (const [path, value] of Object.entries({ ...changes, stageHistory: saved.stageHistory })) {
+    application.set(path, value);
+    application.unmarkModified(path);
+  }
+
+  return { ok: true, allowed: getAllowedTransitions(application, stages) };
+}
+
+/**
+ * Count a job's applications per stage (every stage is present, unused ones as 0)
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} Counts keyed by stage
+ */
+export async function countApplicationsByStage(job) {
+  const groups = await Application.aggregate([
+    { $match: { jobId: job._id } },
+    { $group: { _id: { $ifNull: ['$stage', PIPELINE_STAGES.APPLIED] }, count: { $sum: 1 } } },
+  ]);
+
+  const counts = Object.fromEntries([...getPipelineStages(job), ...FINAL_STAGES].map(stage => [stage, 0]));
+  for (const group of groups) {
+    counts[group._id] = (counts[group._id] || 0) + group.count;
+  }
+  return counts;
+}
+
+/**
+ * Give applications created before pipeline stages a stage derived from level1_approved / rejected
+ * Runs unscoped at startup; applications that already have a stage are left alone.
+ * @returns {Promise<number>} Number of applications updated
+ */
+export async function backfillApplicationStages() {
+  const missing = { stage: { $exists: false } };
+  const results = await Promise.all([
+    Application.updateMany({ ...missing, rejected: true }, { $set: { stage: PIPELINE_STAGES.REJECTED } }),
+    Application.updateMany({ ...missing, rejected: { $ne: true }, level1_approved: true }, { $set: { stage: PIPELINE_STAGES.SCREENED } }),
+    Application.updateMany({ ...missing, rejected: { $ne: true }, level1_approved: { $ne: true } }, { $set: { stage: PIPELINE_STAGES.APPLIED } }),
+  ]);
+
+  const updated = results.reduce((total, result) => total + (result.modifiedCount || 0), 0);
+  if (updated > 0) {
+    console.log(`[Pipeline] Assigned a pipeline stage to ${updated} existing application(s)`);
+  }
+  return updated;
+}
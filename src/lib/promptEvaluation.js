@@ -0,0 +1,163 @@
+/**
+ * A/B evaluation of prompt versions
+ * Scores the same saved applications with two versions of a prompt and compares the score distributions,
+ * so a new version can be checked before it is activated.
+ */
+
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import PromptEvaluation from '../models/PromptEvaluation.js';
+import { callLLMJson } from './llm.js';
+
+// Prompts that can be evaluated: how to build the payload from an application and which fields to compare
+export const EVALUATION_PROMPTS = {
+  RESUME_SCORING: {
+    buildPayload: (application, job) => ({ resumeText: application.resumeText, job }),
+    scoreField: 'match_score',
+    recommendationField: 'recommended_action',
+  },
+};
+
+// Score histogram buckets (lower bound inclusive)
+const HISTOGRAM_BUCKETS = [0, 20, 40, 60, 80];
+
+/**
+ * Summarize a score distribution
+ * @param {number[]} scores - Scores (0-100)
+ * @returns {{count: number, mean: number|null, median: number|null, stdDev: number|null, min: number|null, max: number|null, histogram: Object}}
+ */
+export function summarizeScores(scores) {
+  const histogram = Object.fromEntries(HISTOGRAM_BUCKETS.map((lower, index) => {
+    const upper = index < HISTOGRAM_BUCKETS.length - 1 ? HISTOGRAM_BUCKETS[index + 1] - 1 : 100;
+    return [`${lower}-${upper}`, 0];
+  }));
+
+  if (scores.length === 0) {
+    return { count: 0, mean: null, median: null, stdDev: null, min: null, max: null, histogram };
+  }
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, score) => sum + score, 0) / sorted.length;
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  const variance = sorted.reduce((sum, score) => sum + (score - mean) ** 2, 0) / sorted.length;
+
+  const labels = Object.keys(histogram);
+  for (const score of sorted) {
+    const bucket = HISTOGRAM_BUCKETS.filter(lower => score >= lower).length - 1;
+    histogram[labels[Math.max(bucket, 0)]]++;
+  }
+
+  return {
+    count: sorted.length,
+    mean: Math.round(mean * 100) / 100,
+    median,
+    stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    histogram,
+  };
+}
+
+/**
+ * Compare the results of an evaluation
+ * Only applications scored successfully with both versions are compared.
+ * @param {Object[]} results - Evaluation results ({scoreA, scoreB, recommendationA, recommendationB, error})
+ * @returns {Object} Summary with per-version distributions and the differences between them
+ */
+export function compareEvaluationResults(results) {
+  const paired = results.filter(result => !result.error && typeof result.scoreA === 'number' && typeof result.scoreB === 'number');
+  const deltas = paired.map(result => result.scoreB - result.scoreA);
+  const average = values => (values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+    : null);
+
+  return {
+    compared: paired.length,
+    failed: results.length - paired.length,
+    versionA: summarizeScores(paired.map(result => result.scoreA)),
+    versionB: summarizeScores(paired.map(result => result.scoreB)),
+    meanDelta: average(deltas), // B - A
+    meanAbsoluteDelta: average(deltas.map(Math.abs)),
+    recommendationAgreement: paired.length > 0
+      ? Math.round((paired.filter(result => result.recommendationA === result.recommendationB).length / paired.length) * 100) / 100
+      : null,
+  };
+}
+
+/**
+ * Run an evaluation (background task handler)
+ * Applications already in results are skipped, so a retried task continues where it stopped.
+ * @param {string} evaluationId - PromptEvaluation ID
+ */
+export async function runPromptEvaluation(evaluationId) {
+  const evaluation = await PromptEvaluation.findById(evaluationId);
+  if (!evaluation) {
+    throw new Error(`Prompt evaluation ${evaluationId} not found`);
+  }
+
+  const config = EVALUATION_PROMPTS[evaluation.promptName];
+  if (!config) {
+    throw new Error(`Prompt ${evaluation.promptName} cannot be evaluated`);
+  }
+
+  const job = await Job.findById(evaluation.jobId);
+  if (!job) {
+    throw new Error(`Job ${evaluation.jobId} not found`);
+  }
+
+  evaluation.status = 'running';
+  evaluation.startedAt = evaluation.startedAt || new Date();
+  await evaluation.save();
+
+  const done = new Set(evaluation.results.map(result => result.applicationId.toString()));
+
+  for (const applicationId of evaluation.applicationIds) {
+    if (done.has(applicationId.toString())) continue;
+
+    const result = { applicationId };
+    try {
+      const application = await Application.findById(applicationId).select('resumeText');
+      if (!application?.resumeText) {
+        throw new Error('Application has no resume text');
+      }
+
+      const payload = config.buildPayload(application, job);
+      const context = { applicationId, jobId: job._id };
+      const [responseA, responseB] = await Promise.all([
+        callLLMJson(evaluation.promptName, payload, { context, promptVersion: evaluation.versionA }),
+        callLLMJson(evaluation.promptName, payload, { context, promptVersion: evaluation.versionB }),
+      ]);
+
+      result.scoreA = responseA[config.scoreField];
+      result.scoreB = responseB[config.scoreField];
+      result.recommendationA = responseA[config.recommendationField];
+      result.recommendationB = responseB[config.recommendationField];
+    } catch (error) {
+      console.error(`[Prompt Evaluation] Error scoring application ${applicationId}:`, error.message);
+      result.error = error.message;
+    }
+
+    evaluation.results.push(result);
+    await evaluation.save();
+  }
+
+  evaluation.summary = compareEvaluationResults(evaluation.results);
+  evaluation.status = 'completed';
+  evaluation.completedAt = new Date();
+  await evaluation.save();
+
+  console.log(`[Prompt Evaluation] Completed ${evaluation.promptName} v${evaluation.versionA} vs v${evaluation.versionB} (${evaluation._id})`);
+}
+
+/**
+ * Mark an evaluation as failed (task retries exhausted)
+ * @param {string} evaluationId - PromptEvaluation ID
+ * @param {Error} error - Last error
+ */
+export async function markPromptEvaluationFailed(evaluationId, error) {
+  await PromptEvaluation.updateOne(
+    { _id: evaluationId },
+    { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * Versioned prompt templates stored in MongoDB
+ * Version 0 is the built-in template in llm.js. Stored versions start at 1; activating one makes callLLM
+ * render it instead of the built-in template, so prompt changes don't need a deploy.
+ * Templates belong to an organization: each org versions and activates its own prompts.
+ */
+
+import mongoose from 'mongoose';
+import PromptTemplate from '../models/PromptTemplate.js';
+import { getCurrentOrgId } from './orgScope.js';
+
+export const BUILTIN_PROMPT_VERSION = 0;
+
+// Active templates are cached per process; activation clears the cache here and other processes pick it up within the TTL
+const ACTIVE_TEMPLATE_CACHE_MS = 60 * 1000;
+const activeTemplateCache = new Map();
+
+/**
+ * Cache key of a prompt's active template in the current org
+ */
+function getCacheKey(promptName) {
+  return `${getCurrentOrgId()}:${promptName}`;
+}
+
+/**
+ * Get the value at a dotted path (e.g. "job.role")
+ */
+function getPathValue(payload, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+}
+
+/**
+ * Render a template, replacing {{path}} placeholders with payload values
+ * Objects and arrays are inserted as pretty-printed JSON, missing values as an empty string.
+ * @param {string} template - Template text
+ * @param {Object} payload - Prompt data passed to callLLM
+ * @returns {string} Rendered prompt
+ */
+export function renderPromptTemplate(template, payload = {}) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = getPathValue(payload, path);
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value, null, 2);
+    return String(value);
+  });
+}
+
+/**
+ * Clear cached active templates (all prompts, or one in the current org)
+ * @param {string} [promptName] - Prompt name
+ */
+export function clearPromptTemplateCache(promptName) {
+  if (promptName) {
+    activeTemplateCache.delete(getCacheKey(promptName));
+  } else {
+    activeTemplateCache.clear();
+  }
+}
+
+/**
+ * Get the template callLLM should render for a prompt
+ * @param {string} promptName - Prompt name
+ * @param {number} [version] - Specific version (defaults to the active version)
+ * @returns {Promise<Object|null>} Template document, or null to use the built-in template
+ * @throws {Error} If a specific stored version was requested and doesn't exist
+ */
+export async function getPromptTemplate(promptName, version) {
+  if (version === BUILTIN_PROMPT_VERSION) {
+    return null;
+  }
+
+  if (version !== undefined && version !== null) {
+    const template = await PromptTemplate.findOne({ promptName, version }).lean();
+    if (!template) {
+      throw new Error(`Prompt version ${promptName} v${version} not found`);
+    }
+    return template;
+  }
+
+  // Without a database connection (scripts, tests) or an org (startup, unscoped webhooks) only built-in
+  // templates are available
+  if (mongoose.connection.readyState !== 1 || !getCurrentOrgId()) {
+    return null;
+  }
+
+  const cacheKey = getCacheKey(promptName);
+  const cached = activeTemplateCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.template;
+  }
+
+  try {
+    const template = await PromptTemplate.findOne({ promptName, status: 'active' }).lean();
+    activeTemplateCache.set(cacheKey, { template, expiresAt: Date.now() + ACTIVE_TEMPLATE_CACHE_MS });
+    return template;
+  } catch (error) {
+    console.error(`[Prompt Registry] Error loading active template for ${promptName}, using built-in:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether a version exists for a prompt (version 0 always exists)
+ * @param {string} promptName - Prompt name
+ * @param {number} version - Version number
+ * @returns {Promise<boolean>}
+ */
+export async function promptVersionExists(promptName, version) {
+  if (version === BUILTIN_PROMPT_VERSION) return true;
+  return Boolean(await PromptTemplate.exists({ promptName, version }));
+}
+
+/**
+ * Store a new draft version of a prompt (numbered after the latest version)
+ * @param {string} promptName - Prompt name
+ * @param {Object} fields - template, systemPrompt, temperature, description, createdByType, createdBy
+ * @returns {Promise<Object>} The new template document
+ */
+export async function createPromptVersion(promptName, fields) {
+  // Retry if another request took the same version number
+  for (let attempt = 1; ; attempt++) {
+    const latest = await PromptTemplate.findOne({ promptName }).sort({ version: -1 }).select('version').lean();
+    try {
+      return await PromptTemplate.create({
+        ...fields,
+        promptName,
+        version: (latest?.version || BUILTIN_PROMPT_VERSION) + 1,
+        status: 'draft',
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 3) throw error;
+    }
+  }
+}
+
+/**
+ * Make a version the active one for its prompt (version 0 switches back to the built-in template)
+ * The previously active version is archived.
+ * @param {string} promptName - Prompt name
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} Activated template document (null for the built-in template)
+ * @throws {Error} If the version doesn't exist
+ */
+export async function activatePromptVersion(promptName, version) {
+  let template = null;
+  if (version !== BUILTIN_PROMPT_VERSION) {
+    template = await PromptTemplate.findOne({ promptName, version });
+    if (!template) {
+      throw new Error(`Prompt version ${promptName} v${version} not found`);
+    }
+  }
+
+  await PromptTemplate.updateMany(
+    { promptName, status: 'active', version: { $ne: version } },
+    { $set: { status: 'archived' } }
+  );
+
+  if (template) {
+    template.status = 'active';
+    template.activatedAt = new Date();
+    await template.save();
+  }
+
+  clearPromptTemplateCache(promptName);
+  console.log(`[Prompt Registry] Activated ${promptName} v${version}${template ? '' : ' (built-in)'}`);
+  return template;
+}
@@ -0,0 +1,61 @@
+/**
+ * Retry helpers for calls to external APIs (LLM providers)
+ */
+
+/**
+ * Calculate backoff delay for a retry using exponential backoff with equal jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} [options]
+ * @param {number} [options.baseMs=1000] - Delay before the first retry
+ * @param {number} [options.maxMs=30000] - Maximum delay
+ * @param {Function} [options.random=Math.random] - Random source (0-1), injectable for tests
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelayMs(attempt, options = {}) {
+  const { baseMs = 1000, maxMs = 30000, random = Math.random } = options;
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+
+  // Equal jitter: spread retries from concurrent callers over [ceiling / 2, ceiling], so every retry still
+  // waits at least half the exponential delay
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if missing/invalid
+ */
+export function parseRetryAfterMs(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - now);
+  }
+
+  return null;
+}
+
+/**
+ * Whether an HTTP status is worth retrying (throttling, timeouts and server errors)
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
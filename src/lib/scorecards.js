@@ -0,0 +1,488 @@
+/**
+ * Reviewer scorecards
+ * A job's scorecard template lists the competencies reviewers rate, each on its own scale. Members fill in
+ * one scorecard per application and one per video screening: ratings with notes, a recommendation and
+ * overall notes. Drafts can be edited; submitting makes the scorecard final and sets its 0-100 score.
+ * Review is blind: a reviewer sees other reviewers' scorecards for an application (or screening) only after
+ * submitting their own. The agreement report compares the human scores with the AI unifiedScore.
+ */
+
+import Scorecard from '../models/Scorecard.js';
+import Application from '../models/Application.js';
+import Screening from '../models/Screening.js';
+import Job from '../models/Job.js';
+import { requestError } from './httpError.js';
+
+export const SCORECARD_CONFIG = {
+  // A human score within this many points of the unifiedScore counts as agreement
+  agreementTolerance: parseInt(process.env.SCORECARD_AGREEMENT_TOLERANCE) || 15,
+};
+
+export const SCORECARD_STATUSES = Object.freeze({
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+});
+
+export const SCORECARD_RECOMMENDATIONS = Object.freeze(['yes', 'maybe', 'no']);
+
+// Used for competencies without a scale
+const DEFAULT_SCALE = Object.freeze({ scaleMin: 1, scaleMax: 5 });
+const MAX_COMPETENCIES = 20;
+const MAX_SCALE_POINTS = 11;
+const MAX_NOTES_LENGTH = 5000;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Validate the competencies of a scorecard template
+ * An empty list is valid and switches scorecards off for the job.
+ * @param {Array} competencies - { key, name, description?, scaleMin, scaleMax, scaleLabels? }
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateScorecardTemplate(competencies) {
+  if (!Array.isArray(competencies)) {
+    return { ok: false, errors: ['competencies must be an array'] };
+  }
+
+  const errors = [];
+  if (competencies.length > MAX_COMPETENCIES) {
+    errors.push(`A scorecard can have at most ${MAX_COMPETENCIES} competencies`);
+  }
+
+  const keys = new Set();
+  competencies.forEach((competency, i) => {
+    const label = `competencies[${i}]`;
+    if (!competency || typeof competency !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const { key, name, description, scaleMin, scaleMax, scaleLabels } = competency;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      errors.push(`${label}.key must be lowercase letters, digits and underscores, starting with a letter`);
+    } else if (keys.has(key)) {
+      errors.push(`${label}.key "${key}" is used twice`);
+    } else {
+      keys.add(key);
+    }
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      errors.push(`${label}.name must be a non-empty string of at most 100 characters`);
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 1000)) {
+      errors.push(`${label}.description must be a string of at most 1000 characters`);
+    }
+
+    if (!Number.isInteger(scaleMin) || !Number.isInteger(scaleMax) || scaleMin < 0 || scaleMax <= scaleMin) {
+      errors.push(`${label} needs whole numbers scaleMin >= 0 and scaleMax > scaleMin`);
+    } else if (scaleMax - scaleMin + 1 > MAX_SCALE_POINTS) {
+      errors.push(`${label} scale can have at most ${MAX_SCALE_POINTS} points`);
+    } else if (scaleLabels !== undefined && (!Array.isArray(scaleLabels)
+      || scaleLabels.length !== scaleMax - scaleMin + 1
+      || scaleLabels.some(scaleLabel => typeof scaleLabel !== 'string'))) {
+      errors.push(`${label}.scaleLabels must have one label per point (${scaleMax - scaleMin + 1})`);
+    }
+  });
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Replace a job's scorecard template (the job must be saved afterwards)
+ * Competencies without scaleMin/scaleMax are rated 1-5. Submitted scorecards keep their score.
+ * @param {Object} job - Job document
+ * @param {Array} competencies - See validateScorecardTemplate
+ * @throws {Error} With status 400 and the validation errors in details
+ */
+export function setScorecardTemplate(job, competencies) {
+  const withScales = Array.isArray(competencies)
+    ? competencies.map(competency => (competency && typeof competency === 'object'
+      ? { ...DEFAULT_SCALE, ...competency }
+      : competency))
+    : competencies;
+
+  const validation = validateScorecardTemplate(withScales);
+  if (!validation.ok) {
+    throw requestError('Invalid scorecard template', 400, validation.errors);
+  }
+
+  job.scorecardTemplate = {
+    competencies: withScales.map(({ key, name, description, scaleMin, scaleMax, scaleLabels }) => ({
+      key,
+      name: name.trim(),
+      description,
+      scaleMin,
+      scaleMax,
+      scaleLabels: scaleLabels || [],
+    })),
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * Validate scorecard ratings against a template's competencies
+ * @param {Array} competencies - The template's competencies
+ * @param {Array} ratings - { competencyKey, rating, notes? }
+ * @param {Object} [options]
+ * @param {boolean} [options.complete=false] - Require a rating for every competency (submitting)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateScorecardRatings(competencies, ratings, { complete = false } = {}) {
+  if (!Array.isArray(ratings)) {
+    return { ok: false, errors: ['ratings must be an array'] };
+  }
+
+  const errors = [];
+  const byKey = new Map(competencies.map(competency => [competency.key, competency]));
+  const rated = new Set();
+  ratings.forEach((entry, i) => {
+    const label = `ratings[${i}]`;
+    const competency = byKey.get(entry?.competencyKey);
+    if (!competency) {
+      errors.push(`${label}.competencyKey must be one of: ${[...byKey.keys()].join(', ')}`);
+      return;
+    }
+    if (rated.has(competency.key)) {
+      errors.push(`${label}: "${competency.key}" is rated twice`);
+    }
+    rated.add(competency.key);
+
+    if (!Number.isInteger(entry.rating) || entry.rating < competency.scaleMin || entry.rating > competency.scaleMax) {
+      errors.push(`${label}.rating must be a whole number from ${competency.scaleMin} to ${competency.scaleMax}`);
+    }
+    if (entry.notes !== undefined && entry.notes !== null
+      && (typeof entry.notes !== 'string' || entry.notes.length > MAX_NOTES_LENGTH)) {
+      errors.push(`${label}.notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+    }
+  });
+
+  if (complete) {
+    const missing = competencies.filter(competency => !rated.has(competency.key)).map(competency => competency.key);
+    if (missing.length > 0) {
+      errors.push(`Missing ratings for: ${missing.join(', ')}`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Score ratings on a 0-100 scale: the mean of each rating's position on its competency's scale
+ * @param {Array} competencies - The template's competencies
+ * @param {Array} ratings - Valid ratings
+ * @returns {number|null} null without ratings
+ */
+export function computeScorecardScore(competencies, ratings) {
+  const byKey = new Map(competencies.map(competency => [competency.key, competency]));
+  const positions = ratings
+    .filter(entry => byKey.has(entry.competencyKey))
+    .map(entry => {
+      const { scaleMin, scaleMax } = byKey.get(entry.competencyKey);
+      return (entry.rating - scaleMin) / (scaleMax - scaleMin);
+    });
+  return positions.length > 0 ? round1(mean(positions) * 100) : null;
+}
+
+/**
+ * Load the job and application behind a scorecard target
+ * @param {Object} target - { applicationId } or { screeningId }
+ * @returns {Promise<{job: Object, application: Object, screeningId: Object|null}>}
+ * @throws {Error} With status 404
+ */
+async function loadTarget({ applicationId, screeningId }) {
+  if (screeningId) {
+    const screening = await Screening.findById(screeningId).select('applicationId');
+    if (!screening) throw requestError('Screening not found', 404);
+    applicationId = screening.applicationId;
+  }
+
+  const application = await Application.findById(applicationId);
+  if (!application) throw requestError('Application not found', 404);
+  const job = await Job.findById(application.jobId);
+  if (!job) throw requestError('Job not found', 404);
+
+  return { job, application, screeningId: screeningId || null };
+}
+
+/**
+ * Save a reviewer's scorecard for an application or screening, as a draft or submitted
+ * Fields left out keep their draft values. Submitting needs a rating for every competency and a
+ * recommendation, and makes the scorecard final.
+ * @param {Object} target - { applicationId } or { screeningId }
+ * @param {string} reviewerId - Member ID
+ * @param {Object} params
+ * @param {Array} [params.ratings] - { competencyKey, rating, notes? } (replaces the draft's ratings)
+ * @param {string} [params.recommendation] - 'yes', 'maybe' or 'no'
+ * @param {string} [params.notes] - Overall notes
+ * @param {boolean} [params.submit=false] - Submit the scorecard
+ * @returns {Promise<Object>} The scorecard
+ * @throws {Error} With status 400 (invalid), 404 (target not found) or 409 (no template, already submitted)
+ */
+export async function saveScorecard(target, reviewerId, { ratings, recommendation, notes, submit = false } = {}) {
+  const { job, application, screeningId } = await loadTarget(target);
+  const competencies = job.scorecardTemplate?.competencies || [];
+  if (competencies.length === 0) {
+    throw requestError('The job has no scorecard template', 409);
+  }
+
+  const filter = { applicationId: application._id, screeningId, reviewerId };
+  const existing = await Scorecard.findOne(filter);
+  if (existing?.status === SCORECARD_STATUSES.SUBMITTED) {
+    throw requestError('Scorecard was already submitted', 409);
+  }
+
+  const scorecard = {
+    ratings: ratings ?? existing?.ratings.map(entry => entry.toObject()) ?? [],
+    recommendation: recommendation === undefined ? existing?.recommendation : recommendation,
+    notes: notes === undefined ? existing?.notes : notes,
+  };
+  const errors = validateScorecardRatings(competencies, scorecard.ratings, { complete: submit }).errors;
+  if (scorecard.recommendation != null && !SCORECARD_RECOMMENDATIONS.includes(scorecard.recommendation)) {
+    errors.push(`recommendation must be one of: ${SCORECARD_RECOMMENDATIONS.join(', ')}`);
+  } else if (submit && scorecard.recommendation == null) {
+    errors.push('A recommendation is required to submit');
+  }
+  if (scorecard.notes != null && (typeof scorecard.notes !== 'string' || scorecard.notes.length > MAX_NOTES_LENGTH)) {
+    errors.push(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  if (errors.length > 0) {
+    throw requestError('Invalid scorecard', 400, errors);
+  }
+
+  const set = {
+    ratings: scorecard.ratings.map(({ competencyKey, rating, notes: ratingNotes }) => ({ competencyKey, rating, notes: ratingNotes ?? undefined })),
+    recommendation: scorecard.recommendation ?? undefined,
+    notes: scorecard.notes ?? undefined,
+  };
+  if (submit) {
+    Object.assign(set, {
+      status: SCORECARD_STATUSES.SUBMITTED,
+      submittedAt: new Date(),
+      score: computeScorecardScore(competencies, set.ratings),
+    });
+  }
+
+  // A scorecard submitted in the meantime doesn't match, so the upsert hits the unique index
+  try {
+    const saved = await Scorecard.findOneAndUpdate(
+      { ...filter, status: { $ne: SCORECARD_STATUSES.SUBMITTED } },
+      { $set: set, $setOnInsert: { jobId: job._id } },
+      { upsert: true, new: true }
+    );
+    if (submit) {
+      console.log(`[Scorecards] Reviewer ${reviewerId} submitted a scorecard for ${screeningId ? `screening ${screeningId}` : `application ${application._id}`} (score ${saved.score})`);
+    }
+    return saved;
+  } catch (error) {
+    if (error.code === 11000) throw requestError('Scorecard was already submitted', 409);
+    throw error;
+  }
+}
+
+/**
+ * Most common recommendation (null on a tie or without recommendations)
+ */
+function majorityRecommendation(counts) {
+  const [first, second] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return first[1] > 0 && first[1] !== second[1] ? first[0] : null;
+}
+
+/**
+ * Compare submitted scorecards with an application's AI scoring
+ * @param {Array} scorecards - Submitted scorecards
+ * @param {Object} application - unifiedScore, recommendedAction
+ * @returns {Object} reviewers, humanScore (mean score), aiScore, difference (human - AI), withinTolerance,
+ *   recommendations (count per recommendation), humanRecommendation (majority), aiRecommendation,
+ *   recommendationAgrees
+ */
+export function summarizeScorecards(scorecards, application) {
+  const scores = scorecards.map(scorecard => scorecard.score).filter(score => score != null);
+  const recommendations = Object.fromEntries(SCORECARD_RECOMMENDATIONS.map(value => [value, 0]));
+  for (const scorecard of scorecards) {
+    if (scorecard.recommendation in recommendations) recommendations[scorecard.recommendation] += 1;
+  }
+
+  const humanScore = scores.length > 0 ? round1(mean(scores)) : null;
+  const aiScore = application.unifiedScore ?? null;
+  const difference = humanScore != null && aiScore != null ? round1(humanScore - aiScore) : null;
+  const humanRecommendation = majorityRecommendation(recommendations);
+  const aiRecommendation = application.recommendedAction || null;
+
+  return {
+    reviewers: scorecards.length,
+    humanScore,
+    aiScore,
+    difference,
+    withinTolerance: difference == null ? null : Math.abs(difference) <= SCORECARD_CONFIG.agreementTolerance,
+    recommendations,
+    humanRecommendation,
+    aiRecommendation,
+    recommendationAgrees: humanRecommendation && aiRecommendation ? humanRecommendation === aiRecommendation : null,
+  };
+}
+
+/**
+ * Get the scorecards of an application or screening that a caller may see
+ * Reviewers who haven't submitted their own scorecard only see it (blind review); after submitting they
+ * see every submitted scorecard. Callers that aren't reviewers (API keys) see the submitted scorecards.
+ * @param {Object} target - { applicationId } or { screeningId }
+ * @param {string|null} reviewerId - Member ID of the caller, or null
+ * @returns {Promise<{blind: boolean, scorecards: Array, summary: Object|null}>} summary: see
+ *   summarizeScorecards (null while blind)
+ */
+export async function getScorecards(target, reviewerId) {
+  const { application, screeningId } = await loadTarget(target);
+  const scorecards = await Scorecard.find({ applicationId: application._id, screeningId })
+    .populate('reviewerId', 'name email')
+    .sort({ createdAt: 1 });
+
+  const isOwn = scorecard => reviewerId && String(scorecard.reviewerId?._id ?? scorecard.reviewerId) === String(reviewerId);
+  const own = scorecards.find(isOwn) || null;
+  const submitted = scorecards.filter(scorecard => scorecard.status === SCORECARD_STATUSES.SUBMITTED);
+
+  if (reviewerId && own?.status !== SCORECARD_STATUSES.SUBMITTED) {
+    return { blind: true, scorecards: own ? [own] : [], summary: null };
+  }
+  return { blind: false, scorecards: submitted, summary: summarizeScorecards(submitted, application) };
+}
+
+/**
+ * Pearson correlation (null for fewer than 3 pairs or no variation)
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  return varianceX && varianceY ? round2(covariance / Math.sqrt(varianceX * varianceY)) : null;
+}
+
+/**
+ * Agreement statistics over pairs of human and AI scores
+ */
+function agreementStats(pairs) {
+  if (pairs.length === 0) {
+    return { meanDifference: null, meanAbsoluteDifference: null, agreementRate: null };
+  }
+  const differences = pairs.map(({ human, ai }) => human - ai);
+  return {
+    meanDifference: round1(mean(differences)),
+    meanAbsoluteDifference: round1(mean(differences.map(Math.abs))),
+    agreementRate: round2(differences.filter(diff => Math.abs(diff) <= SCORECARD_CONFIG.agreementTolerance).length / pairs.length),
+  };
+}
+
+/**
+ * Compare submitted scorecards with the AI unifiedScore across a job's applications
+ * An application's human score is the mean of its submitted scorecards (application and screening).
+ * With a reviewerId the report follows blind review (see getScorecards): only the scorecards of
+ * applications and screenings the reviewer has submitted their own scorecard for are included.
+ * @param {Array} scorecards - Submitted scorecards of the job (reviewerId may be populated)
+ * @param {Array} applications - The applications they belong to
+ * @param {Object} [options]
+ * @param {string|null} [options.reviewerId] - Member ID of the caller, or null for every scorecard
+ * @returns {Object} { tolerance, overall, applications, reviewers }; differences are human - AI, so a
+ *   positive meanDifference means reviewers score higher than the AI
+ */
+export function buildAgreementReport(scorecards, applications, { reviewerId = null } = {}) {
+  if (reviewerId) {
+    const targetOf = scorecard => `${scorecard.applicationId}:${scorecard.screeningId || ''}`;
+    const reviewed = new Set(scorecards
+      .filter(scorecard => String(scorecard.reviewerId?._id ?? scorecard.reviewerId) === String(reviewerId))
+      .map(targetOf));
+    scorecards = scorecards.filter(scorecard => reviewed.has(targetOf(scorecard)));
+  }
+
+  const byApplication = new Map(applications.map(application => [String(application._id), application]));
+  const aiScoreOf = scorecard => byApplication.get(String(scorecard.applicationId))?.unifiedScore ?? null;
+
+  const perApplication = applications
+    .map(application => {
+      const own = scorecards.filter(scorecard => String(scorecard.applicationId) === String(application._id));
+      return {
+        applicationId: application._id,
+        candidateName: application.userId?.name || null,
+        ...summarizeScorecards(own, application),
+      };
+    })
+    .filter(entry => entry.reviewers > 0);
+  const paired = perApplication.filter(entry => entry.difference != null);
+  const withRecommendations = perApplication.filter(entry => entry.recommendationAgrees != null);
+
+  const reviewers = new Map();
+  for (const scorecard of scorecards) {
+    const id = String(scorecard.reviewerId?._id ?? scorecard.reviewerId);
+    if (!reviewers.has(id)) {
+      reviewers.set(id, { reviewerId: id, name: scorecard.reviewerId?.name || null, scorecards: 0, pairs: [] });
+    }
+    const reviewer = reviewers.get(id);
+    reviewer.scorecards += 1;
+    if (scorecard.score != null && aiScoreOf(scorecard) != null) {
+      reviewer.pairs.push({ human: scorecard.score, ai: aiScoreOf(scorecard) });
+    }
+  }
+
+  return {
+    tolerance: SCORECARD_CONFIG.agreementTolerance,
+    overall: {
+      applications: perApplication.length,
+      scorecards: scorecards.length,
+      compared: paired.length,
+      ...agreementStats(paired.map(entry => ({ human: entry.humanScore, ai: entry.aiScore }))),
+      correlation: correlation(paired.map(entry => entry.humanScore), paired.map(entry => entry.aiScore)),
+      recommendationAgreementRate: withRecommendations.length > 0
+        ? round2(withRecommendations.filter(entry => entry.recommendationAgrees).length / withRecommendations.length)
+        : null,
+    },
+    applications: perApplication,
+    reviewers: [...reviewers.values()].map(({ pairs, ...reviewer }) => ({ ...reviewer, ...agreementStats(pairs) })),
+  };
+}
+
+/**
+ * Compare a job's submitted scorecards with the AI unifiedScore (see buildAgreementReport)
+ * @param {Object} job - Job document
+ * @param {string|null} reviewerId - Member ID of the caller (blind review), or null
+ * @returns {Promise<Object>}
+ */
+export async function getScorecardAgreement(job, reviewerId) {
+  const scorecards = await Scorecard.find({ jobId: job._id, status: SCORECARD_STATUSES.SUBMITTED })
+    .populate('reviewerId', 'name');
+  const applicationIds = [...new Set(scorecards.map(scorecard => String(scorecard.applicationId)))];
+  const applications = await Application.find({ _id: { $in: applicationIds } })
+    .select('userId unifiedScore recommendedAction')
+    .populate('userId', 'name');
+
+  return buildAgreementReport(scorecards, applications, { reviewerId });
+}
+
+/**
+ * Format a scorecard for API responses
+ */
+export function formatScorecard(scorecard) {
+  const reviewer = scorecard.reviewerId;
+  return {
+    id: scorecard._id,
+    applicationId: scorecard.applicationId,
+    screeningId: scorecard.screeningId || null,
+    reviewer: reviewer?.name !== undefined
+      ? { id: reviewer._id, name: reviewer.name, email: reviewer.email }
+      : { id: reviewer },
+    status: scorecard.status,
+    ratings: scorecard.ratings.map(({ competencyKey, rating, notes }) => ({ competencyKey, rating, notes: notes || null })),
+    recommendation: scorecard.recommendation || null,
+    notes: scorecard.notes || null,
+    score: scorecard.score ?? null,
+    submittedAt: scorecard.submittedAt || null,
+    updatedAt: scorecard.updatedAt,
+  };
+}
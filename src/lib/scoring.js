@@ -0,0 +1,162 @@
+/**
+ * Unified application scoring
+ * Combines the individual LLM scores (resume, GitHub/portfolio, compensation, AI tools)
+ * into a single 0-100 score using weights configured per job. Once the phone interview has been
+ * evaluated, its score can be blended in with the job's phoneInterviewWeight.
+ */
+
+import Application from '../models/Application.js';
+
+/**
+ * Default weights used when a job has no custom weights (or when scoring without a job, e.g. candidate search)
+ */
+export const DEFAULT_SCORING_WEIGHTS = Object.freeze({
+  resumeScore: 0.4,
+  githubPortfolioScore: 0.25,
+  compensationScore: 0.15,
+  aiToolsCompatibilityScore: 0.2,
+});
+
+export const SCORE_COMPONENTS = Object.keys(DEFAULT_SCORING_WEIGHTS);
+
+// Share of unifiedScore taken by the phone interview score (0 = phone interviews don't affect ranking)
+export const DEFAULT_PHONE_INTERVIEW_WEIGHT = 0;
+
+// Allowed floating point drift when checking that weights sum to 1 (e.g. 0.1 + 0.2 + 0.3 + 0.4)
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+/**
+ * Validate a full set of scoring weights
+ * @param {Object} weights - Weights keyed by score component
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateScoringWeights(weights) {
+  const errors = [];
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { ok: false, errors: ['scoringWeights must be an object'] };
+  }
+
+  const unknownKeys = Object.keys(weights).filter(key => !SCORE_COMPONENTS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown weight(s): ${unknownKeys.join(', ')}. Allowed: ${SCORE_COMPONENTS.join(', ')}`);
+  }
+
+  let sum = 0;
+  for (const key of SCORE_COMPONENTS) {
+    const value = weights[key];
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push(`${key} must be a number`);
+      continue;
+    }
+    if (value < 0 || value > 1) {
+      errors.push(`${key} must be between 0 and 1`);
+    }
+    sum += value;
+  }
+
+  if (errors.length === 0 && Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push(`Weights must sum to 1 (got ${Math.round(sum * 1000) / 1000})`);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Get the effective scoring weights for a job (falls back to defaults for missing values)
+ * @param {Object} [job] - Job document or plain object
+ * @returns {Object} Weights keyed by score component
+ */
+export function getScoringWeights(job) {
+  const configured = job?.settings?.scoringWeights;
+  const weights = { ...DEFAULT_SCORING_WEIGHTS };
+
+  if (configured) {
+    for (const key of SCORE_COMPONENTS) {
+      if (typeof configured[key] === 'number') {
+        weights[key] = configured[key];
+      }
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Get the phone interview weight for a job
+ * @param {Object} [job] - Job document or plain object
+ * @returns {number} Weight between 0 and 1
+ */
+export function getPhoneInterviewWeight(job) {
+  const configured = job?.settings?.phoneInterviewWeight;
+  return typeof configured === 'number' ? configured : DEFAULT_PHONE_INTERVIEW_WEIGHT;
+}
+
+/**
+ * Validate a phone interview weight
+ * @param {*} weight - Proposed weight
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validatePhoneInterviewWeight(weight) {
+  if (typeof weight !== 'number' || Number.isNaN(weight) || weight < 0 || weight > 1) {
+    return { ok: false, errors: ['phoneInterviewWeight must be a number between 0 and 1'] };
+  }
+  return { ok: true, errors: [] };
+}
+
+/**
+ * Calculate unified score from individual scores
+ * The phone interview score only counts once it exists; until then the other scores make up the whole score.
+ * @param {Object} scores - Object containing individual scores (0-100 each, missing scores count as 0)
+ * @param {Object} [weights] - Weights keyed by score component (defaults to DEFAULT_SCORING_WEIGHTS)
+ * @param {number} [phoneInterviewWeight] - Share of the phone interview score (scores.phoneInterviewScore)
+ * @returns {Number} Unified score (0-100), rounded to 2 decimal places
+ */
+export function calculateUnifiedScore(scores, weights = DEFAULT_SCORING_WEIGHTS, phoneInterviewWeight = DEFAULT_PHONE_INTERVIEW_WEIGHT) {
+  let unified = SCORE_COMPONENTS.reduce(
+    (total, key) => total + (scores?.[key] || 0) * (weights[key] || 0),
+    0
+  );
+
+  if (phoneInterviewWeight > 0 && typeof scores?.phoneInterviewScore === 'number') {
+    unified = unified * (1 - phoneInterviewWeight) + scores.phoneInterviewScore * phoneInterviewWeight;
+  }
+
+  return Math.round(unified * 100) / 100;
+}
+
+/**
+ * Recompute unifiedScore for every application of a job using its current weights (including the phone interview weight).
+ * Uses the stored individual scores only - no LLM calls are made.
+ * @param {Object} job - Job document
+ * @returns {Promise<{total: number, updated: number}>}
+ */
+export async function recomputeUnifiedScoresForJob(job) {
+  const weights = getScoringWeights(job);
+  const phoneInterviewWeight = getPhoneInterviewWeight(job);
+  const applications = await Application.find({ jobId: job._id }).select('scores unifiedScore');
+
+  const operations = [];
+  for (const application of applications) {
+    const unifiedScore = calculateUnifiedScore(application.scores || {}, weights, phoneInterviewWeight);
+    if (unifiedScore !== application.unifiedScore) {
+      operations.push({
+        updateOne: {
+          filter: { _id: application._id },
+          update: { $set: { unifiedScore } },
+        },
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    await Application.bulkWrite(operations);
+  }
+
+  console.log(`[Scoring] Recomputed unified scores for job ${job._id}: ${operations.length}/${applications.length} updated`);
+
+  return {
+    total: applications.length,
+    updated: operations.length,
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Candidate access to video screenings
+ * The screening link carries a signed token (JWT with typ "screening") that expires at the screening's
+ * deadline. Issuing a new link (e.g. with a later deadline) revokes the previous one, since the token's
+ * jti must match Screening.accessTokenId. Candidate routes (/api/screenings/access/:token) resolve the
+ * token instead of taking a screening ID. A screening can be submitted once; submitting queues its
+ * processing. Invited candidates who haven't submitted are reminded by email as the deadline approaches
+ * (SCREENING_REMINDER tasks).
+ */
+
+import crypto from 'crypto';
+import Screening from '../models/Screening.js';
+import Application from '../models/Application.js';
+import { signSessionToken, verifySessionToken } from './auth.js';
+import { runWithOrg } from './orgScope.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { sendEmail } from './email.js';
+import { enqueueTask, TASK_TYPES } from './taskQueue.js';
+import { enqueueScreeningProcessing } from './screeningProcessing.js';
+import { validateQuestionTimings } from './screeningAnswers.js';
+import { isAllowedVideoUrl } from './stt.js';
+import { requestError } from './httpError.js';
+
+// "typ" claim of screening link tokens
+export const SCREENING_TOKEN_TYPE = 'screening';
+
+export const SCREENING_ACCESS_CONFIG = {
+  // Candidate-facing screening page; the link is <baseUrl>/<token>
+  baseUrl: (process.env.SCREENING_BASE_URL || 'http://localhost:3000/screening').replace(/\/+$/, ''),
+  // Time candidates get to submit, from when the link is issued
+  deadlineDays: parseInt(process.env.SCREENING_DEADLINE_DAYS) || 7,
+  // Reminders are sent this many hours before the deadline
+  reminderHoursBefore: (process.env.SCREENING_REMINDER_HOURS || '48,6')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0),
+};
+
+/**
+ * Issue a new screening link, revoking the previous one (the screening must be saved afterwards)
+ * @param {Object} screening - Screening document
+ * @param {Object} [options]
+ * @param {Date} [options.deadlineAt] - Submission deadline (default: SCREENING_DEADLINE_DAYS from now)
+ * @returns {{token: string, screeningLink: string, deadlineAt: Date}}
+ */
+export function issueScreeningAccess(screening, { deadlineAt } = {}) {
+  const deadline = deadlineAt || new Date(Date.now() + SCREENING_ACCESS_CONFIG.deadlineDays * 24 * 60 * 60 * 1000);
+  const tokenId = crypto.randomBytes(12).toString('base64url');
+
+  const { token } = signSessionToken({
+    typ: SCREENING_TOKEN_TYPE,
+    sub: String(screening._id),
+    org: String(screening.orgId),
+    jti: tokenId,
+  }, { expiresInSeconds: Math.max(1, Math.ceil((deadline.getTime() - Date.now()) / 1000)) });
+
+  screening.accessTokenId = tokenId;
+  screening.deadlineAt = deadline;
+  screening.screening_link = `${SCREENING_ACCESS_CONFIG.baseUrl}/${token}`;
+  return { token, screeningLink: screening.screening_link, deadlineAt: deadline };
+}
+
+/**
+ * Find the screening a link token gives access to
+ * @param {string} token - Token from the screening link
+ * @returns {Promise<{ok: boolean, screening?: Object, status?: number, error?: string}>} status: 401 for
+ *   invalid or replaced links, 404 if the screening is gone, 410 after the deadline
+ */
+export async function resolveScreeningAccess(token) {
+  const verified = verifySessionToken(token);
+  if (!verified.ok) {
+    return verified.error === 'Token expired'
+      ? { ok: false, status: 410, error: 'The screening deadline has passed' }
+      : { ok: false, status: 401, error: 'Invalid screening link' };
+  }
+
+  const { typ, sub, org, jti } = verified.claims;
+  if (typ !== SCREENING_TOKEN_TYPE) {
+    return { ok: false, status: 401, error: 'Invalid screening link' };
+  }
+
+  const screening = await runWithOrg(org, () => Screening.findById(sub));
+  if (!screening) {
+    return { ok: false, status: 404, error: 'Screening not found' };
+  }
+  if (screening.accessTokenId !== jti) {
+    return { ok: false, status: 401, error: 'This screening link was replaced by a newer one' };
+  }
+  if (!screening.submittedAt && screening.deadlineAt && screening.deadlineAt <= new Date()) {
+    return { ok: false, status: 410, error: 'The screening deadline has passed' };
+  }
+  return { ok: true, screening };
+}
+
+/**
+ * Submit a screening (once) and queue its processing
+ * Answers are the uploaded clips, or a video URL with optional question start/stop times.
+ * @param {Object} screening - Screening document
+ * @param {Object} [params]
+ * @param {string} [params.videoUrl] - URL of a single video answering all questions
+ * @param {Array} [params.questionTimings] - Start/stop time of each question in that video
+ * @returns {Promise<Object>} The submitted screening
+ * @throws {Error} With status 400 (nothing to submit, video URL not allowed, invalid timings) or 409 (already submitted)
+ */
+export async function submitScreening(screening, { videoUrl, questionTimings } = {}) {
+  const set = { submittedAt: new Date() };
+  if (videoUrl !== undefined) {
+    if (typeof videoUrl !== 'string' || !isAllowedVideoUrl(videoUrl)) {
+      throw requestError('videoUrl must be an http or https URL on the storage origin or an allowed origin', 400);
+    }
+    set.videoUrl = videoUrl;
+  }
+  if (questionTimings !== undefined) {
+    const validation = validateQuestionTimings(questionTimings, screening.screening_questions?.length || 0);
+    if (!validation.ok) {
+      throw requestError(`Invalid questionTimings: ${validation.errors.join('; ')}`, 400);
+    }
+    set.questionTimings = questionTimings;
+  }
+  if (!(set.videoUrl || screening.videoUrl) && !(screening.videoClips?.length > 0)) {
+    throw requestError('Upload an answer video before submitting', 400);
+  }
+
+  // Claiming submittedAt in the same operation makes submission one-time
+  const submitted = await Screening.findOneAndUpdate(
+    { _id: screening._id, submittedAt: null },
+    { $set: set },
+    { new: true }
+  );
+  if (!submitted) {
+    throw requestError('Screening was already submitted', 409);
+  }
+
+  await enqueueScreeningProcessing(submitted);
+  console.log(`[Screening Access] Screening ${submitted._id} submitted (${submitted.videoClips?.length || 0} clips${submitted.videoUrl ? ', video URL' : ''})`);
+  return submitted;
+}
+
+/**
+ * Queue the deadline reminders of a screening's current link
+ * Reminders that would be due already are skipped.
+ * @param {Object} screening - Screening document (with deadlineAt and accessTokenId)
+ * @returns {Promise<number>} Number of reminders queued
+ */
+export async function scheduleScreeningReminders(screening) {
+  let queued = 0;
+  for (const hoursBefore of SCREENING_ACCESS_CONFIG.reminderHoursBefore) {
+    const runAt = new Date(screening.deadlineAt.getTime() - hoursBefore * 60 * 60 * 1000);
+    if (runAt <= new Date()) continue;
+
+    await runWithOrg(screening.orgId, () => enqueueTask(
+      TASK_TYPES.SCREENING_REMINDER,
+      { screeningId: screening._id.toString(), tokenId: screening.accessTokenId, hoursBefore },
+      { runAt, key: `screening-reminder:${screening._id}:${screening.accessTokenId}:${hoursBefore}` }
+    ));
+    queued += 1;
+  }
+  return queued;
+}
+
+/**
+ * Remind an invited candidate that the screening deadline is approaching (SCREENING_REMINDER task)
+ * Nothing is sent if the screening was submitted, its link was replaced or the deadline has passed.
+ * @param {string} screeningId - Screening ID
+ * @param {Object} params
+ * @param {string} params.tokenId - accessTokenId of the link the reminder was queued for
+ * @param {number} params.hoursBefore - Hours before the deadline it was queued for
+ * @returns {Promise<boolean>} Whether a reminder was sent
+ */
+export async function sendScreeningReminder(screeningId, { tokenId, hoursBefore }) {
+  const screening = await Screening.findById(screeningId).populate('jobId');
+  if (!screening || screening.submittedAt || !screening.invite_sent_at
+    || screening.accessTokenId !== tokenId || screening.deadlineAt <= new Date()) {
+    return false;
+  }
+
+  const application = await Application.findById(screening.applicationId).populate('userId');
+  const user = application?.userId;
+  if (!user?.email) {
+    console.log(`[Screening Access] No reminder for screening ${screening._id}: candidate has no email address`);
+    return false;
+  }
+
+  const job = screening.jobId;
+  const company = await resolveCompanyProfile(job);
+  const hoursLeft = Math.max(1, Math.round((screening.deadlineAt.getTime() - Date.now()) / (60 * 60 * 1000)));
+  const html = `
+    <h2>Hello ${user.name},</h2>
+    <p>This is a reminder that your video screening for the ${job.role} position at ${company.name} closes in about ${hoursLeft} hours, on ${screening.deadlineAt.toUTCString()}.</p>
+    <p><a href="${screening.screening_link}">Complete your video screening</a></p>
+    <p>Best regards,<br>${company.name} HR Team</p>
+  `;
+  const result = await sendEmail({
+    to: user.email,
+    subject: `Reminder: your video screening for ${job.role} closes soon`,
+    html,
+    text: html.replace(/<[^>]*>/g, ''),
+  });
+  if (!result.ok) {
+    throw new Error(`Could not send screening reminder: ${result.error}`);
+  }
+
+  await Screening.updateOne({ _id: screening._id }, { $push: { remindersSentAt: new Date() } });
+  console.log(`[Screening Access] Sent ${hoursBefore}h reminder for screening ${screening._id}`);
+  return true;
+}
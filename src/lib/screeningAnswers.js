@@ -0,0 +1,158 @@
+/**
+ * Per-question answers of a video screening
+ * Splits the transcript into one answer per screening question, so VIDEO_SCORING grades each question on
+ * the right answer instead of guessing from one long transcript. Answers come from per-question clips
+ * (screeningVideos.js), or from one video with the start/stop time of each question recorded by the
+ * candidate's browser. Time limits (time_limit_sec) are enforced here: speech that starts after the limit
+ * (plus a short grace period) is left out of the answer, and the overrun is reported.
+ */
+
+export const SCREENING_ANSWER_CONFIG = {
+  // Speech this long after a question's time limit still counts, e.g. finishing a sentence
+  timeLimitGraceSec: parseInt(process.env.SCREENING_TIME_LIMIT_GRACE_SEC) || 5,
+};
+
+export const ANSWER_SOURCES = Object.freeze({
+  CLIP: 'clip', // Clip of the question (timestamps relative to the clip)
+  TIMESTAMPS: 'timestamps', // Part of the screening video between the recorded start and stop times
+  NONE: 'none', // Not answered
+});
+
+/**
+ * Round seconds to one decimal
+ */
+function roundSec(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Validate question start/stop times recorded for a single screening video
+ * @param {Array} timings - [{ questionIndex, startSec, endSec }], seconds from the start of the video
+ * @param {number} questionCount - Number of screening questions
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateQuestionTimings(timings, questionCount) {
+  const errors = [];
+  if (!Array.isArray(timings)) {
+    return { ok: false, errors: ['questionTimings must be an array'] };
+  }
+
+  const seen = new Set();
+  timings.forEach((timing, i) => {
+    const { questionIndex, startSec, endSec } = timing || {};
+    if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= questionCount) {
+      errors.push(`questionTimings[${i}].questionIndex must be an index of screening_questions (0-${questionCount - 1})`);
+    } else if (seen.has(questionIndex)) {
+      errors.push(`questionTimings[${i}]: question ${questionIndex} has more than one timing`);
+    }
+    seen.add(questionIndex);
+    if (typeof startSec !== 'number' || typeof endSec !== 'number' || startSec < 0 || endSec <= startSec) {
+      errors.push(`questionTimings[${i}] must have startSec >= 0 and endSec > startSec`);
+    }
+  });
+
+  const sorted = timings
+    .filter(timing => typeof timing?.startSec === 'number' && typeof timing?.endSec === 'number')
+    .sort((a, b) => a.startSec - b.startSec);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].startSec < sorted[i - 1].endSec) {
+      errors.push(`Questions ${sorted[i - 1].questionIndex} and ${sorted[i].questionIndex} overlap`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Assign transcript segments to questions by their recorded start/stop times
+ * Each segment goes to the question whose time window it overlaps most; segments outside every window
+ * (e.g. reading the next question aloud) are left out.
+ * @param {Array} segments - STT segments [{ start, end, text }]
+ * @param {Array} timings - [{ questionIndex, startSec, endSec }]
+ * @returns {Map<number, Array>} Segments by question index, in order
+ */
+export function alignSegmentsToQuestions(segments, timings) {
+  const aligned = new Map(timings.map(timing => [timing.questionIndex, []]));
+
+  for (const segment of segments) {
+    let best = null;
+    let bestOverlap = 0;
+    for (const timing of timings) {
+      const overlap = Math.min(segment.end, timing.endSec) - Math.max(segment.start, timing.startSec);
+      if (overlap > bestOverlap) {
+        best = timing;
+        bestOverlap = overlap;
+      }
+    }
+    if (best) {
+      aligned.get(best.questionIndex).push(segment);
+    }
+  }
+
+  return aligned;
+}
+
+/**
+ * Build one question's answer, leaving out speech that starts after the time limit
+ * @param {Object} question - Screening question ({ text, time_limit_sec })
+ * @param {number} questionIndex - Index into screening_questions
+ * @param {Object} recording
+ * @param {string} recording.source - ANSWER_SOURCES value
+ * @param {Array} recording.segments - Segments of the answer, on the same clock as startSec/endSec
+ * @param {number} recording.startSec - When the answer started
+ * @param {number} recording.endSec - When it stopped
+ * @returns {Object} Answer (see Screening.answers)
+ */
+export function buildAnswer(question, questionIndex, { source, segments, startSec, endSec }) {
+  const timeLimitSec = question?.time_limit_sec || null;
+  const durationSec = roundSec(endSec - startSec);
+  const cutoffSec = timeLimitSec ? startSec + timeLimitSec + SCREENING_ANSWER_CONFIG.timeLimitGraceSec : Infinity;
+  const counted = segments.filter(segment => segment.start < cutoffSec);
+
+  return {
+    questionIndex,
+    source,
+    startSec: roundSec(startSec),
+    endSec: roundSec(endSec),
+    durationSec,
+    timeLimitSec,
+    overrunSec: timeLimitSec ? Math.max(0, roundSec(durationSec - timeLimitSec)) : 0,
+    truncated: counted.length < segments.length,
+    text: counted.map(segment => segment.text.trim()).filter(Boolean).join(' '),
+  };
+}
+
+/**
+ * Build the answer to every screening question
+ * Clips take precedence over start/stop times; a question with neither has an empty 'none' answer.
+ * @param {Object} params
+ * @param {Array} params.questions - screening_questions
+ * @param {Array} [params.clips] - Transcribed clips [{ questionIndex, transcription: { segments, durationSec } }]
+ * @param {Array} [params.timings] - Start/stop times [{ questionIndex, startSec, endSec }] in the screening video
+ * @param {Array} [params.segments] - Segments of the screening video's transcript
+ * @returns {Array<Object>} One answer per question, in question order
+ */
+export function buildScreeningAnswers({ questions, clips = [], timings = [], segments = [] }) {
+  const aligned = alignSegmentsToQuestions(segments, timings);
+
+  return questions.map((question, questionIndex) => {
+    const clip = clips.find(existing => existing.questionIndex === questionIndex && existing.transcription);
+    if (clip) {
+      const clipSegments = clip.transcription.segments || [];
+      const endSec = clip.transcription.durationSec ?? clipSegments[clipSegments.length - 1]?.end ?? 0;
+      return buildAnswer(question, questionIndex, { source: ANSWER_SOURCES.CLIP, segments: clipSegments, startSec: 0, endSec });
+    }
+
+    const timing = timings.find(existing => existing.questionIndex === questionIndex);
+    if (timing) {
+      return buildAnswer(question, questionIndex, {
+        source: ANSWER_SOURCES.TIMESTAMPS,
+        segments: aligned.get(questionIndex),
+        startSec: timing.startSec,
+        endSec: timing.endSec,
+      });
+    }
+
+    return buildAnswer(question, questionIndex, { source: ANSWER_SOURCES.NONE, segments: [], startSec: 0, endSec: 0 });
+  });
+}
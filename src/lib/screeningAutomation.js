@@ -0,0 +1,241 @@
+/**
+ * Screening automation driven by job settings
+ * - autoCreateScreeningThreshold: when scoring finishes with a unifiedScore at or above it, a screening
+ *   with a screening link (see screeningAccess.js) is created for the application
+ * - autoInviteOnLevel1Approval + autoInviteThreshold: on level 1 approval with a unifiedScore at or above
+ *   the threshold, the candidate is emailed the screening link (creating the screening if needed)
+ * Everything these settings do, and invites they skip or fail to send, is recorded in
+ * Application.automationEvents.
+ */
+
+import Application from '../models/Application.js';
+import Screening from '../models/Screening.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { sendEmail } from './email.js';
+import { issueScreeningAccess, scheduleScreeningReminders } from './screeningAccess.js';
+
+export const AUTOMATION_ACTIONS = Object.freeze({
+  SCREENING_CREATED: 'screening_created',
+  INVITE_SENT: 'invite_sent',
+  INVITE_SKIPPED: 'invite_skipped',
+  INVITE_FAILED: 'invite_failed',
+});
+
+export const AUTOMATION_TRIGGERS = Object.freeze({
+  SCORING: 'scoring',
+  LEVEL1_APPROVAL: 'level1_approval',
+});
+
+/**
+ * Validate the automation settings of a job
+ * autoCreateScreeningThreshold may be null, which switches automatic screening creation off.
+ * @param {Object} settings - autoInviteOnLevel1Approval, autoInviteThreshold, autoCreateScreeningThreshold
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateAutomationSettings({ autoInviteOnLevel1Approval, autoInviteThreshold, autoCreateScreeningThreshold }) {
+  const errors = [];
+  const isScore = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+  if (typeof autoInviteOnLevel1Approval !== 'boolean') {
+    errors.push('autoInviteOnLevel1Approval must be true or false');
+  }
+  if (!isScore(autoInviteThreshold)) {
+    errors.push('autoInviteThreshold must be a number between 0 and 100');
+  }
+  if (autoCreateScreeningThreshold !== null && !isScore(autoCreateScreeningThreshold)) {
+    errors.push('autoCreateScreeningThreshold must be a number between 0 and 100, or null');
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Add an entry to an application's automation audit
+ * @param {Object} application - Application document
+ * @param {Object} event - action, trigger and optional screeningId, score, threshold, reason
+ * @returns {Promise<Object>} The entry
+ */
+async function recordAutomationEvent(application, event) {
+  const entry = { ...event, occurredAt: new Date() };
+  await Application.updateOne({ _id: application._id }, { $push: { automationEvents: entry } });
+
+  console.log(`[Screening Automation] Application ${application._id}: ${event.action} on ${event.trigger}${event.reason ? ` (${event.reason})` : ''}`);
+  return entry;
+}
+
+/**
+ * Get the application's screening, creating it (with a screening link) if it has none
+ * Questions are generated when the candidate opens the screening (GET /api/screenings/:id/questions).
+ * @param {Object} application - Application document
+ * @param {Object} job - The application's job
+ * @returns {Promise<{screening: Object, created: boolean}>}
+ */
+export async function findOrCreateScreening(application, job) {
+  const existing = await Screening.findOne({ applicationId: application._id });
+  if (existing) {
+    // Screenings created before signed screening links existed get one now
+    if (!existing.accessTokenId) {
+      issueScreeningAccess(existing);
+      await existing.save();
+    }
+    return { screening: existing, created: false };
+  }
+
+  const screening = new Screening({
+    applicationId: application._id,
+    jobId: job._id,
+    orgId: application.orgId,
+  });
+  issueScreeningAccess(screening);
+  await screening.save();
+  return { screening, created: true };
+}
+
+/**
+ * Create a screening once scoring finishes, if the unifiedScore reaches the job's autoCreateScreeningThreshold
+ * @param {Object} application - Scored application document
+ * @param {Object} job - The application's job
+ * @returns {Promise<Object|null>} The screening, or null below the threshold
+ */
+export async function autoCreateScreening(application, job) {
+  const threshold = job.settings?.autoCreateScreeningThreshold;
+  const score = application.unifiedScore;
+  if (threshold == null || score == null || score < threshold) {
+    return null;
+  }
+
+  const { screening, created } = await findOrCreateScreening(application, job);
+  if (created) {
+    await recordAutomationEvent(application, {
+      action: AUTOMATION_ACTIONS.SCREENING_CREATED,
+      trigger: AUTOMATION_TRIGGERS.SCORING,
+      screeningId: screening._id,
+      score,
+      threshold,
+    });
+  }
+  return screening;
+}
+
+/**
+ * Email the candidate their screening link and set invite_sent_at
+ * The link is issued again so the deadline runs from the invite, and deadline reminders are queued.
+ * The screening is claimed first, so concurrent calls send one invite; a failed send releases it.
+ * @param {Object} screening - Screening document
+ * @param {Object} params
+ * @param {Object} params.user - Candidate (name, email)
+ * @param {Object} params.job - The screening's job
+ * @returns {Promise<{ok: boolean, inviteSentAt?: Date, error?: string}>}
+ */
+export async function sendScreeningInvite(screening, { user, job }) {
+  const inviteSentAt = new Date();
+  const claimed = await Screening.findOneAndUpdate(
+    { _id: screening._id, invite_sent_at: null },
+    { $set: { invite_sent_at: inviteSentAt } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { ok: false, error: 'Invite was already sent' };
+  }
+
+  const { screeningLink, deadlineAt } = issueScreeningAccess(claimed);
+  await claimed.save();
+
+  const company = await resolveCompanyProfile(job);
+  const html = `
+    <h2>Hello ${user.name},</h2>
+    <p>Thank you for applying for the ${job.role} position at ${company.name}. As a next step, we'd like to get to know you through a short video screening.</p>
+    <p>You will answer a few questions on camera, each with a time limit. Please use a quiet place and a device with a working camera and microphone.</p>
+    <p><a href="${screeningLink}">Start your video screening</a></p>
+    <p>Please submit your answers by ${deadlineAt.toUTCString()}. The link can only be used to submit once.</p>
+    <p>Best regards,<br>${company.name} HR Team</p>
+  `;
+  const result = await sendEmail({
+    to: user.email,
+    subject: `Video screening for the ${job.role} position at ${company.name}`,
+    html,
+    text: html.replace(/<[^>]*>/g, ''),
+  });
+
+  if (!result.ok) {
+    await Screening.updateOne({ _id: screening._id, invite_sent_at: inviteSentAt }, { $unset: { invite_sent_at: '' } });
+    return { ok: false, error: result.error };
+  }
+
+  Object.assign(screening, {
+    invite_sent_at: inviteSentAt,
+    accessTokenId: claimed.accessTokenId,
+    deadlineAt,
+    screening_link: screeningLink,
+  });
+  await scheduleScreeningReminders(claimed);
+  return { ok: true, inviteSentAt };
+}
+
+/**
+ * Invite the candidate to the screening on level 1 approval, if the job's settings say so
+ * @param {Object} application - Approved application document
+ * @param {Object} job - The application's job
+ * @param {Object} user - The candidate
+ * @returns {Promise<Object|null>} { status: 'sent' | 'skipped' | 'failed', reason?, screeningId?, screeningLink?,
+ *   inviteSentAt? }, or null when autoInviteOnLevel1Approval is off
+ */
+export async function autoInviteOnApproval(application, job, user) {
+  if (!job.settings?.autoInviteOnLevel1Approval) {
+    return null;
+  }
+
+  const trigger = AUTOMATION_TRIGGERS.LEVEL1_APPROVAL;
+  const threshold = job.settings.autoInviteThreshold;
+  const score = application.unifiedScore;
+  const skip = async (reason, screening = null) => {
+    await recordAutomationEvent(application, {
+      action: AUTOMATION_ACTIONS.INVITE_SKIPPED,
+      trigger,
+      screeningId: screening?._id,
+      score,
+      threshold,
+      reason,
+    });
+    return { status: 'skipped', reason, screeningId: screening?._id || null };
+  };
+
+  if (score == null || score < threshold) {
+    return skip(`unifiedScore ${score ?? 'not available'} is below the invite threshold ${threshold}`);
+  }
+  if (!user?.email) {
+    return skip('Candidate has no email address');
+  }
+
+  const { screening, created } = await findOrCreateScreening(application, job);
+  if (created) {
+    await recordAutomationEvent(application, {
+      action: AUTOMATION_ACTIONS.SCREENING_CREATED,
+      trigger,
+      screeningId: screening._id,
+      score,
+      threshold,
+    });
+  }
+  if (screening.invite_sent_at) {
+    return skip(`Invite was already sent at ${screening.invite_sent_at.toISOString()}`, screening);
+  }
+
+  const result = await sendScreeningInvite(screening, { user, job });
+  await recordAutomationEvent(application, {
+    action: result.ok ? AUTOMATION_ACTIONS.INVITE_SENT : AUTOMATION_ACTIONS.INVITE_FAILED,
+    trigger,
+    screeningId: screening._id,
+    score,
+    threshold,
+    reason: result.error,
+  });
+
+  return {
+    status: result.ok ? 'sent' : 'failed',
+    reason: result.error || null,
+    screeningId: screening._id,
+    screeningLink: screening.screening_link,
+    inviteSentAt: result.inviteSentAt || null,
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Screening video processing
+ * Transcribes the screening video, or each per-question clip (stt.js), splits the transcript into one
+ * answer per question (screeningAnswers.js) and scores the answers against the screening questions
+ * (VIDEO_SCORING prompt). Runs as a SCREENING_PROCESSING background task, since transcribing a long video
+ * takes minutes. A retry after a scoring failure reuses the transcripts of the same videos.
+ */
+
+import Screening from '../models/Screening.js';
+import { transcribeVideo, transcribeVideoFile } from './stt.js';
+import { getPresignedUrl, isS3Url } from './storage.js';
+import { buildScreeningAnswers } from './screeningAnswers.js';
+import { callLLMJson } from './llm.js';
+import { resolveCompanyProfile } from './companyProfile.js';
+import { enqueueTask, TASK_TYPES } from './taskQueue.js';
+
+/**
+ * Set fields of a screening's processing status
+ * @param {string} screeningId - Screening ID
+ * @param {Object} fields - Fields of Screening.processingStatus to set
+ */
+export async function setProcessingStatus(screeningId, fields) {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`processingStatus.${key}`] = value;
+  }
+  await Screening.updateOne({ _id: screeningId }, { $set: update });
+}
+
+/**
+ * Queue the processing of a screening's video and mark it as queued
+ * @param {Object} screening - Screening document (with a videoUrl or answer clips)
+ * @param {Object} [options]
+ * @param {boolean} [options.retranscribe=false] - Transcribe again even if the video already has a transcript
+ * @returns {Promise<Object>} The task document
+ */
+export async function enqueueScreeningProcessing(screening, { retranscribe = false } = {}) {
+  await setProcessingStatus(screening._id, {
+    status: 'queued',
+    error: null,
+    attempts: 0,
+    queuedAt: new Date(),
+    startedAt: null,
+    completedAt: null,
+  });
+
+  return enqueueTask(
+    TASK_TYPES.SCREENING_PROCESSING,
+    { screeningId: screening._id.toString(), retranscribe },
+    { key: `screening-processing:${screening._id}` }
+  );
+}
+
+/**
+ * Transcribe an answer clip (from S3 through a presigned URL, or from local storage)
+ * @param {Object} clip - Entry of screening.videoClips
+ * @returns {Promise<Object>} Transcription (see stt.js)
+ */
+async function transcribeClip(clip) {
+  if (isS3Url(clip.location)) {
+    return transcribeVideo(await getPresignedUrl(clip.location));
+  }
+  return transcribeVideoFile(clip.location);
+}
+
+/**
+ * Transcribe and score a screening video, saving the results on the screening
+ * With per-question clips, each clip is transcribed and scored as that question's answer. With a single
+ * video, the transcript is split by the question start/stop times if they were recorded; otherwise the
+ * whole transcript is scored.
+ * @param {string} screeningId - Screening ID
+ * @param {Object} [options]
+ * @param {boolean} [options.retranscribe=false] - Transcribe again even if a video already has a transcript
+ *   (unless it was transcribed after processing was queued, i.e. by an earlier attempt)
+ * @returns {Promise<Object>} The updated screening
+ */
+export async function processScreeningVideo(screeningId, { retranscribe = false } = {}) {
+  const screening = await Screening.findById(screeningId).populate('jobId');
+  if (!screening) {
+    throw new Error(`Screening ${screeningId} not found`);
+  }
+  const clips = screening.videoClips || [];
+  if (!screening.videoUrl && clips.length === 0) {
+    throw new Error('Screening has no video');
+  }
+
+  const needsTranscription = (transcribedAt) => !transcribedAt
+    || (retranscribe && !(transcribedAt >= screening.processingStatus?.queuedAt));
+
+  // Score using the questions stored in the screening (set at upload time)
+  const questions = screening.screening_questions && screening.screening_questions.length > 0
+    ? screening.screening_questions
+    : screening.jobId.screening_questions || [];
+
+  let answers = [];
+  if (clips.length > 0) {
+    for (const clip of clips) {
+      if (!needsTranscription(clip.transcription?.transcribedAt)) continue;
+
+      const transcription = await transcribeClip(clip);
+      clip.transcription = {
+        provider: transcription.provider,
+        model: transcription.model,
+        language: transcription.language,
+        durationSec: transcription.durationSec,
+        transcript: transcription.transcript,
+        segments: transcription.segments,
+        transcribedAt: new Date(),
+      };
+      // Saved per clip, so a retry only transcribes the clips that are left
+      await screening.save();
+    }
+
+    screening.transcript = clips
+      .map(clip => `[Question ${clip.questionIndex + 1}] ${clip.transcription.transcript}`)
+      .join('\n\n');
+    answers = buildScreeningAnswers({ questions, clips });
+  } else {
+    const transcribed = screening.transcript && screening.transcription?.videoUrl === screening.videoUrl;
+    if (!transcribed || needsTranscription(screening.transcription.transcribedAt)) {
+      const transcription = await transcribeVideo(screening.videoUrl);
+      screening.transcript = transcription.transcript;
+      screening.transcription = {
+        videoUrl: screening.videoUrl,
+        provider: transcription.provider,
+        model: transcription.model,
+        language: transcription.language,
+        durationSec: transcription.durationSec,
+        segments: transcription.segments,
+        transcribedAt: new Date(),
+      };
+      await screening.save();
+    }
+
+    if (screening.questionTimings?.length > 0) {
+      answers = buildScreeningAnswers({
+        questions,
+        timings: screening.questionTimings,
+        segments: screening.transcription.segments,
+      });
+    }
+  }
+
+  const promptVersions = {};
+  const videoScoring = await callLLMJson('VIDEO_SCORING', {
+    transcript: screening.transcript,
+    screening_questions: questions,
+    answers: answers.length > 0 ? answers : undefined,
+  }, {
+    context: { applicationId: screening.applicationId, jobId: screening.jobId._id },
+    promptVersions,
+    companyProfile: await resolveCompanyProfile(screening.jobId),
+  });
+
+  screening.answers = answers;
+  screening.scoring = videoScoring;
+  screening.promptVersions = promptVersions;
+  await screening.save();
+
+  const overruns = answers.filter(answer => answer.overrunSec > 0).length;
+  console.log(`[Screening] Processed video of screening ${screening._id} (${answers.length > 0 ? `${answers.length} answers, ${overruns} over the time limit` : 'whole transcript'}, score ${videoScoring.overall_score})`);
+  return screening;
+}
@@ -0,0 +1,286 @@
+/**
+ * Screening answer videos
+ * Candidates upload one video per screening question, either in a single multipart request or as a
+ * resumable upload sent in chunks (VideoUpload). Only WebM and MP4 files are kept - the file's own header
+ * is checked, not just the declared type. Clips are stored like resumes (S3, or local storage as fallback,
+ * see storage.js). Reviewers play them through presigned S3 URLs, or short-lived signed links to the
+ * stream route for locally stored clips.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import VideoUpload from '../models/VideoUpload.js';
+import { saveFileFromPath, getPresignedUrl, isS3Url } from './storage.js';
+import { signSessionToken, verifySessionToken } from './auth.js';
+import { requestError } from './httpError.js';
+
+export const SCREENING_VIDEO_TYPES = Object.freeze({
+  'video/webm': '.webm',
+  'video/mp4': '.mp4',
+});
+
+export const VIDEO_UPLOAD_CONFIG = {
+  maxBytes: parseInt(process.env.SCREENING_VIDEO_MAX_BYTES) || 200 * 1024 * 1024, // 200MB
+  // Largest chunk of a resumable upload
+  maxChunkBytes: parseInt(process.env.SCREENING_VIDEO_CHUNK_MAX_BYTES) || 8 * 1024 * 1024, // 8MB
+  // A resumable upload must be finished within this time
+  uploadTtlMs: parseInt(process.env.SCREENING_VIDEO_UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  playbackTtlSeconds: parseInt(process.env.SCREENING_VIDEO_PLAYBACK_TTL_SECONDS) || 60 * 60, // 1 hour
+};
+
+// "typ" claim of playback links to locally stored clips
+export const PLAYBACK_TOKEN_TYPE = 'screening_video';
+
+const PARTIAL_UPLOAD_DIR = path.join(os.tmpdir(), 'hirewise-video-uploads');
+
+/**
+ * Video type of a MIME type, without codec parameters ("video/webm;codecs=vp9" -> "video/webm")
+ * @param {string} [mimeType]
+ * @returns {string|null} An allowed type, or null
+ */
+export function toVideoType(mimeType) {
+  const type = typeof mimeType === 'string' ? mimeType.split(';')[0].trim().toLowerCase() : '';
+  return SCREENING_VIDEO_TYPES[type] ? type : null;
+}
+
+/**
+ * Detect WebM or MP4 from the first bytes of a file
+ * @param {Buffer} header - At least the first 12 bytes
+ * @returns {string|null} 'video/webm', 'video/mp4' or null
+ */
+export function detectVideoType(header) {
+  // WebM (Matroska): EBML magic number
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    return 'video/webm';
+  }
+  // MP4 (ISO base media): "ftyp" box at offset 4
+  if (header.length >= 12 && header.toString('latin1', 4, 8) === 'ftyp') {
+    return 'video/mp4';
+  }
+  return null;
+}
+
+/**
+ * Parse a Content-Range request header ("bytes 0-1048575/5242880")
+ * @param {string} [header]
+ * @returns {{start: number, end: number, total: number}|null} end is inclusive
+ */
+export function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec((header || '').trim());
+  if (!match) return null;
+
+  const [start, end, total] = match.slice(1).map(Number);
+  if (end < start || end >= total) return null;
+  return { start, end, total };
+}
+
+/**
+ * Parse a question index for a screening
+ * @param {Object} screening - Screening document
+ * @param {string|number} value - Index from the request
+ * @returns {number|null} null if the screening has no such question
+ */
+export function parseQuestionIndex(screening, value) {
+  const index = Number(value);
+  const count = screening.screening_questions?.length || 0;
+  return Number.isInteger(index) && index >= 0 && index < count ? index : null;
+}
+
+/**
+ * Store a video file as the answer to a question, replacing an earlier clip for it
+ * The file is moved into storage; it is removed if it isn't a WebM or MP4 video.
+ * @param {Object} screening - Screening document
+ * @param {number} questionIndex - Index into screening_questions
+ * @param {string} filePath - Uploaded file
+ * @returns {Promise<Object>} The clip
+ * @throws {Error} With status 415 when the file isn't a WebM or MP4 video
+ */
+export async function attachVideoClip(screening, questionIndex, filePath) {
+  let mimeType;
+  let sizeBytes;
+  try {
+    const file = await fs.open(filePath, 'r');
+    try {
+      const { buffer } = await file.read(Buffer.alloc(12), 0, 12, 0);
+      mimeType = detectVideoType(buffer);
+      sizeBytes = (await file.stat()).size;
+    } finally {
+      await file.close();
+    }
+    if (!mimeType) {
+      throw requestError('The file is not a WebM or MP4 video', 415);
+    }
+  } catch (error) {
+    await fs.rm(filePath, { force: true });
+    throw error;
+  }
+
+  const location = await saveFileFromPath(filePath, {
+    folder: 'screening-videos',
+    filename: `${screening._id}-q${questionIndex}${SCREENING_VIDEO_TYPES[mimeType]}`,
+    contentType: mimeType,
+  });
+
+  const clip = { questionIndex, location, mimeType, sizeBytes, uploadedAt: new Date() };
+  screening.videoClips = [
+    ...(screening.videoClips || []).filter(existing => existing.questionIndex !== questionIndex),
+    clip,
+  ].sort((a, b) => a.questionIndex - b.questionIndex);
+  await screening.save();
+
+  console.log(`[Screening Videos] Stored ${mimeType} answer to question ${questionIndex} of screening ${screening._id} (${sizeBytes} bytes)`);
+  return clip;
+}
+
+/**
+ * Expire resumable uploads that weren't finished in time and delete their partial files
+ */
+async function expireUploads() {
+  const expired = await VideoUpload.find({ status: 'uploading', expiresAt: { $lt: new Date() } });
+  for (const upload of expired) {
+    await fs.rm(upload.tempPath, { force: true });
+    upload.status = 'expired';
+    await upload.save();
+  }
+}
+
+/**
+ * Start a resumable upload of a question's answer video
+ * @param {Object} screening - Screening document
+ * @param {number} questionIndex - Index into screening_questions
+ * @param {Object} params
+ * @param {string} params.mimeType - video/webm or video/mp4
+ * @param {number} params.totalBytes - Size of the whole file
+ * @returns {Promise<Object>} VideoUpload document
+ * @throws {Error} With status 400 or 415 for an invalid size or type
+ */
+export async function createVideoUpload(screening, questionIndex, { mimeType, totalBytes }) {
+  const type = toVideoType(mimeType);
+  if (!type) {
+    throw requestError('mimeType must be video/webm or video/mp4', 415);
+  }
+  if (!Number.isInteger(totalBytes) || totalBytes < 1 || totalBytes > VIDEO_UPLOAD_CONFIG.maxBytes) {
+    throw requestError(`totalBytes must be an integer between 1 and ${VIDEO_UPLOAD_CONFIG.maxBytes}`, 400);
+  }
+
+  await expireUploads();
+
+  const upload = new VideoUpload({
+    screeningId: screening._id,
+    questionIndex,
+    mimeType: type,
+    totalBytes,
+    expiresAt: new Date(Date.now() + VIDEO_UPLOAD_CONFIG.uploadTtlMs),
+    tempPath: '',
+  });
+  upload.tempPath = path.join(PARTIAL_UPLOAD_DIR, `${upload._id}${SCREENING_VIDEO_TYPES[type]}`);
+
+  await fs.mkdir(PARTIAL_UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(upload.tempPath, Buffer.alloc(0));
+  await upload.save();
+
+  console.log(`[Screening Videos] Started upload ${upload._id} for question ${questionIndex} of screening ${screening._id} (${totalBytes} bytes)`);
+  return upload;
+}
+
+/**
+ * Write a chunk of a resumable upload; the last chunk stores the video as the question's clip
+ * Chunks must arrive in order. A chunk that was already received (e.g. resent after a lost response) is
+ * rejected with the number of bytes received so far, so the client can continue from there.
+ * @param {Object} upload - VideoUpload document
+ * @param {Object} screening - The upload's screening
+ * @param {{start: number, end: number, total: number}} range - From the Content-Range header
+ * @param {Buffer} chunk - Request body
+ * @returns {Promise<{upload: Object, clip: Object|null}>} clip once the upload is complete
+ * @throws {Error} With status 400 (chunk doesn't match the range), 409 (out of order, details.receivedBytes)
+ *   or 410 (upload finished or expired)
+ */
+export async function appendVideoChunk(upload, screening, range, chunk) {
+  if (upload.status !== 'uploading' || upload.expiresAt <= new Date()) {
+    throw requestError(`Upload is ${upload.status === 'uploading' ? 'expired' : upload.status}`, 410);
+  }
+  if (range.total !== upload.totalBytes) {
+    throw requestError(`Content-Range total must be ${upload.totalBytes}`, 400);
+  }
+  if (chunk.length !== range.end - range.start + 1) {
+    throw requestError('Chunk size does not match Content-Range', 400);
+  }
+  if (range.start !== upload.receivedBytes) {
+    throw requestError(`Expected the chunk starting at byte ${upload.receivedBytes}`, 409, { receivedBytes: upload.receivedBytes });
+  }
+
+  // Positional write, so a chunk written twice by racing requests leaves the same bytes
+  const file = await fs.open(upload.tempPath, 'r+');
+  try {
+    await file.write(chunk, 0, chunk.length, range.start);
+  } finally {
+    await file.close();
+  }
+
+  const updated = await VideoUpload.findOneAndUpdate(
+    { _id: upload._id, status: 'uploading', receivedBytes: range.start },
+    { $set: { receivedBytes: range.end + 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await VideoUpload.findById(upload._id);
+    throw requestError('Chunk was already received', 409, { receivedBytes: current?.receivedBytes ?? 0 });
+  }
+  if (updated.receivedBytes < updated.totalBytes) {
+    return { upload: updated, clip: null };
+  }
+
+  const clip = await attachVideoClip(screening, updated.questionIndex, updated.tempPath);
+  updated.status = 'completed';
+  updated.completedAt = new Date();
+  await updated.save();
+  return { upload: updated, clip };
+}
+
+/**
+ * Get a playback URL for a clip: presigned for S3, a signed link to the stream route for local files
+ * @param {Object} screening - Screening document
+ * @param {Object} clip - Entry of screening.videoClips
+ * @param {string} baseUrl - API origin for stream links (e.g. https://api.example.com)
+ * @returns {Promise<{playbackUrl: string, expiresAt: Date}>}
+ */
+export async function getClipPlaybackUrl(screening, clip, baseUrl) {
+  const expiresIn = VIDEO_UPLOAD_CONFIG.playbackTtlSeconds;
+  if (isS3Url(clip.location)) {
+    return {
+      playbackUrl: await getPresignedUrl(clip.location, expiresIn),
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    };
+  }
+
+  const { token, expiresAt } = signSessionToken({
+    typ: PLAYBACK_TOKEN_TYPE,
+    sub: String(screening._id),
+    org: String(screening.orgId),
+    q: clip.questionIndex,
+  }, { expiresInSeconds: expiresIn });
+  return {
+    playbackUrl: `${baseUrl}/api/screenings/${screening._id}/questions/${clip.questionIndex}/video/stream?token=${token}`,
+    expiresAt,
+  };
+}
+
+/**
+ * Verify a playback link token
+ * @param {string} token - Token from the link
+ * @param {string} screeningId - Screening in the URL
+ * @param {number} questionIndex - Question in the URL
+ * @returns {{ok: boolean, orgId?: string, error?: string}}
+ */
+export function verifyPlaybackToken(token, screeningId, questionIndex) {
+  const verified = verifySessionToken(token);
+  if (!verified.ok) {
+    return { ok: false, error: verified.error };
+  }
+  const { typ, sub, org, q } = verified.claims;
+  if (typ !== PLAYBACK_TOKEN_TYPE || sub !== screeningId || q !== questionIndex) {
+    return { ok: false, error: 'Token is not valid for this video' };
+  }
+  return { ok: true, orgId: org };
+}
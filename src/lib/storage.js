@@ -1,4 +1,5 @@
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { PDFParse } from 'pdf-parse';
@@ -94,6 +95,72 @@ export async function saveUploadedFile(file) {
   return filepath;
 }
 
+/**
+ * Origin of the URLs of files stored in S3 (null when files are stored locally)
+ * @returns {string|null}
+ */
+export function getStorageOrigin() {
+  return s3Client && S3_CONFIG.bucket ? `https://${S3_CONFIG.bucket}.s3.${S3_CONFIG.region}.amazonaws.com` : null;
+}
+
+/**
+ * Check whether a stored file location is an S3 URL (otherwise it is a local file path)
+ * @param {string} location - Location returned by saveUploadedFile or saveFileFromPath
+ * @returns {boolean}
+ */
+export function isS3Url(location) {
+  return typeof location === 'string' && location.startsWith('https://') && location.includes('.s3.');
+}
+
+/**
+ * Save a file from disk to S3 (or local storage as fallback), for uploads too large to keep in memory
+ * The source file is removed once stored.
+ * @param {string} sourcePath - File to store
+ * @param {Object} options
+ * @param {string} options.folder - Folder (S3 key prefix), e.g. "screening-videos"
+ * @param {string} options.filename - File name to store it under
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<string>} - S3 URL or local file path
+ */
+export async function saveFileFromPath(sourcePath, { folder, filename, contentType }) {
+  const sanitizedFilename = `${Date.now()}-${filename.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+  if (s3Client && S3_CONFIG.bucket) {
+    try {
+      const s3Key = `${folder}/${sanitizedFilename}`;
+      const { size } = await fs.stat(sourcePath);
+      await s3Client.send(new PutObjectCommand({
+        Bucket: S3_CONFIG.bucket,
+        Key: s3Key,
+        Body: createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType,
+      }));
+      await fs.rm(sourcePath, { force: true });
+
+      const s3Url = `https://${S3_CONFIG.bucket}.s3.${S3_CONFIG.region}.amazonaws.com/${s3Key}`;
+      console.log(`[Storage] File uploaded to S3: ${s3Url}`);
+      return s3Url;
+    } catch (error) {
+      console.error('[Storage] Error uploading to S3, falling back to local storage:', error);
+    }
+  }
+
+  const directory = path.join(UPLOAD_DIR, folder);
+  await fs.mkdir(directory, { recursive: true });
+  const filepath = path.join(directory, sanitizedFilename);
+  try {
+    await fs.rename(sourcePath, filepath);
+  } catch (error) {
+    // The source is on another device (e.g. the OS temp directory)
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(sourcePath, filepath);
+    await fs.rm(sourcePath, { force: true });
+  }
+  console.log(`[Storage] File saved locally: ${filepath}`);
+  return filepath;
+}
+
 /**
  * Read file content as text (supports PDF and text files)
  * Supports both S3 URLs and local file paths
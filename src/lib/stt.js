@@ -1,26 +1,412 @@
 /**
- * STT (Speech-to-Text) stub
- * In production, replace with actual STT service (AWS Transcribe, Google Speech-to-Text, etc.)
+ * Speech-to-text for screening videos
+ * The video is downloaded, its audio extracted with ffmpeg, and transcribed by the provider selected with
+ * STT_PROVIDER:
+ * - local: whisper.cpp run as a subprocess (default, audio never leaves the server)
+ * - openai: the OpenAI transcription API
+ * - mock: a canned transcript for local development and tests
+ * Every provider returns timestamped segments with a confidence per segment and the detected language.
  */
 
-export async function transcribeVideo(videoUrl) {
-  console.log(`[STT] Transcribing video: ${videoUrl}`);
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import dotenv from 'dotenv';
+import { getStorageOrigin } from './storage.js';
+
+dotenv.config();
+
+const execFileAsync = promisify(execFile);
+
+export const STT_CONFIG = {
+  provider: process.env.STT_PROVIDER || 'local', // 'local', 'openai' or 'mock'
+  // Spoken language as an ISO 639-1 code, or 'auto' to detect it
+  language: process.env.STT_LANGUAGE || 'auto',
+  ffmpegBin: process.env.FFMPEG_BIN || 'ffmpeg',
+  whisperBin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+  whisperModel: process.env.WHISPER_CPP_MODEL, // e.g. /opt/whisper.cpp/models/ggml-base.bin
+  whisperThreads: parseInt(process.env.WHISPER_CPP_THREADS) || 4,
+  openaiModel: process.env.STT_OPENAI_MODEL || 'whisper-1',
+  // Longest a download, audio extraction or transcription may take
+  timeoutMs: parseInt(process.env.STT_TIMEOUT_MS) || 60 * 60 * 1000, // 1 hour
+  maxVideoBytes: parseInt(process.env.STT_MAX_VIDEO_BYTES) || 2 * 1024 * 1024 * 1024, // 2 GB
+  // Origins videos may be downloaded from besides the app's own S3 bucket, e.g. https://videos.example.com
+  videoUrlAllowlist: (process.env.STT_VIDEO_URL_ALLOWLIST || '').split(',').map(origin => origin.trim()).filter(Boolean),
+};
+
+// Addresses videos are never downloaded from: loopback, private, link-local (cloud metadata), and other
+// non-public ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Largest audio file the OpenAI transcription API accepts
+const OPENAI_MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+// Languages Whisper detects (ISO 639-1); OpenAI reports them by English name
+const WHISPER_LANGUAGES = ('en zh de es ru ko fr ja pt tr pl ca nl ar sv it id hi fi vi he uk el ms cs ro da hu ta no th ur '
+  + 'hr bg lt la mi ml cy sk te fa lv bn sr az sl kn et mk br eu is hy ne mn bs kk sq sw gl mr pa si km sn yo so af oc ka '
+  + 'be tg sd gu am yi lo uz fo ht ps tk nn mt sa lb my bo tl mg as tt haw ln ha ba jw su').split(' ');
+
+/**
+ * @typedef {Object} Transcription
+ * @property {string} transcript - Full text
+ * @property {Array<{start: number, end: number, text: string, confidence: number|null}>} segments - Seconds from
+ *   the start of the video; confidence 0-1
+ * @property {string|null} language - Detected (or configured) language, ISO 639-1
+ * @property {number|null} durationSec - Length of the audio
+ * @property {string} provider - Provider that produced it
+ * @property {string|null} model - Model used
+ */
+
+/**
+ * Round a confidence to 3 decimals, clamped to 0-1
+ */
+function toConfidence(value) {
+  if (typeof value !== 'number' || isNaN(value)) return null;
+  return Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+}
+
+/**
+ * ISO 639-1 code of a language reported by name or code (e.g. "english" -> "en")
+ * @param {string} [language]
+ * @returns {string|null}
+ */
+export function toLanguageCode(language) {
+  if (!language) return null;
+  const value = language.toLowerCase();
+  if (WHISPER_LANGUAGES.includes(value)) return value;
+
+  const names = new Intl.DisplayNames(['en'], { type: 'language' });
+  return WHISPER_LANGUAGES.find(code => names.of(code).toLowerCase() === value) || null;
+}
+
+/**
+ * Convert whisper.cpp full JSON output (-ojf) to a transcription
+ * Segment confidence is the mean probability of its text tokens.
+ * @param {Object} output - Parsed JSON file
+ * @returns {Omit<Transcription, 'provider' | 'model'>}
+ */
+export function parseWhisperCppOutput(output) {
+  const segments = (output.transcription || [])
+    .map(segment => {
+      // Special tokens ([_BEG_], [_TT_150], ...) carry no text
+      const tokens = (segment.tokens || []).filter(token => !/^\[_.*\]$/.test(token.text) && typeof token.p === 'number');
+      const confidence = tokens.length > 0 ? tokens.reduce((sum, token) => sum + token.p, 0) / tokens.length : null;
+      return {
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: segment.text.trim(),
+        confidence: toConfidence(confidence),
+      };
+    })
+    .filter(segment => segment.text);
+
+  return {
+    transcript: segments.map(segment => segment.text).join(' '),
+    segments,
+    language: toLanguageCode(output.result?.language),
+    durationSec: segments.length > 0 ? segments[segments.length - 1].end : 0,
+  };
+}
+
+/**
+ * Convert an OpenAI verbose_json transcription to a transcription
+ * Segment confidence is exp(avg_logprob), the mean token probability.
+ * @param {Object} response - API response
+ * @returns {Omit<Transcription, 'provider' | 'model'>}
+ */
+export function parseOpenAITranscription(response) {
+  const segments = (response.segments || [])
+    .map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim(),
+      confidence: toConfidence(Math.exp(segment.avg_logprob)),
+    }))
+    .filter(segment => segment.text);
+
+  return {
+    transcript: (response.text || segments.map(segment => segment.text).join(' ')).trim(),
+    segments,
+    language: toLanguageCode(response.language),
+    durationSec: response.duration ?? (segments.length > 0 ? segments[segments.length - 1].end : 0),
+  };
+}
+
+/**
+ * Run a command, turning a missing binary into a configuration error
+ */
+async function run(bin, args, envName) {
+  try {
+    return await execFileAsync(bin, args, { timeout: STT_CONFIG.timeoutMs, maxBuffer: 64 * 1024 * 1024 });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${bin} not found. Install it or set ${envName} to its path.`);
+    }
+    throw new Error(`${path.basename(bin)} failed: ${(error.stderr || error.message).toString().trim().slice(-500)}`);
+  }
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a video URL may be downloaded: http(s) on the app's own S3 bucket or an origin in
+ * STT_VIDEO_URL_ALLOWLIST (the address it resolves to is checked when downloading)
+ * @param {string} videoUrl - Video URL
+ * @returns {boolean}
+ */
+export function isAllowedVideoUrl(videoUrl) {
+  let url;
+  try {
+    url = new URL(videoUrl);
+  } catch {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    return false;
+  }
+  return [getStorageOrigin(), ...STT_CONFIG.videoUrlAllowlist].filter(Boolean).includes(url.origin);
+}
+
+/**
+ * dns.lookup that refuses hosts resolving to a non-public address
+ * Used as the connection's lookup, so the checked address is the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Video URL resolves to a non-public address: ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Request a URL (redirects are not followed, so they can't lead to another host)
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function requestVideo(url) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { lookup: publicLookup, signal: AbortSignal.timeout(STT_CONFIG.timeoutMs) }, resolve);
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Download a video to a file (allowed URLs only, see isAllowedVideoUrl; up to STT_MAX_VIDEO_BYTES)
+ */
+async function downloadVideo(videoUrl, file) {
+  if (!isAllowedVideoUrl(videoUrl)) {
+    throw new Error(`Video URL is not on an allowed origin (set STT_VIDEO_URL_ALLOWLIST): ${videoUrl}`);
+  }
+  const url = new URL(videoUrl);
+  // IP literals are connected to without a lookup
+  const literal = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(literal) && isPrivateAddress(literal)) {
+    throw new Error(`Video URL points to a non-public address: ${literal}`);
+  }
+
+  const response = await requestVideo(url);
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw new Error(`Could not download video: ${response.statusCode} ${response.statusMessage}`);
+  }
+  if (parseInt(response.headers['content-length']) > STT_CONFIG.maxVideoBytes) {
+    response.destroy();
+    throw new Error(`Video is larger than ${STT_CONFIG.maxVideoBytes} bytes`);
+  }
+
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(bytes > STT_CONFIG.maxVideoBytes ? new Error(`Video is larger than ${STT_CONFIG.maxVideoBytes} bytes`) : null, chunk);
+    },
+  });
+  await pipeline(response, limit, fs.createWriteStream(file));
+}
+
+/**
+ * Extract the audio track as mono 16 kHz (ffmpeg)
+ * @param {string} input - Video file
+ * @param {string} output - Audio file; the extension picks the format (.wav for whisper.cpp, .m4a to upload)
+ */
+async function extractAudio(input, output) {
+  const codec = output.endsWith('.wav') ? ['-c:a', 'pcm_s16le'] : ['-c:a', 'aac', '-b:a', '32k'];
+  await run(STT_CONFIG.ffmpegBin, ['-nostdin', '-y', '-i', input, '-vn', '-ac', '1', '-ar', '16000', ...codec, output], 'FFMPEG_BIN');
+}
+
+/**
+ * Transcribe with whisper.cpp
+ */
+async function transcribeLocal(videoFile, workDir) {
+  if (!STT_CONFIG.whisperModel) {
+    throw new Error('WHISPER_CPP_MODEL not configured. Set it to a whisper.cpp ggml model file.');
+  }
+
+  const audioFile = path.join(workDir, 'audio.wav');
+  await extractAudio(videoFile, audioFile);
+
+  const outputBase = path.join(workDir, 'transcript');
+  await run(STT_CONFIG.whisperBin, [
+    '-m', STT_CONFIG.whisperModel,
+    '-f', audioFile,
+    '-l', STT_CONFIG.language,
+    '-t', String(STT_CONFIG.whisperThreads),
+    '-ojf', // Full JSON output, with token probabilities
+    '-of', outputBase,
+    '-np',
+  ], 'WHISPER_CPP_BIN');
+
+  const output = JSON.parse(await fsPromises.readFile(`${outputBase}.json`, 'utf8'));
+  return { ...parseWhisperCppOutput(output), model: path.basename(STT_CONFIG.whisperModel) };
+}
+
+/**
+ * Transcribe with the OpenAI transcription API
+ */
+async function transcribeOpenAI(videoFile, workDir) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY in your .env file.');
+  }
 
-  // Simulate processing delay
-  await new Promise(resolve => setTimeout(resolve, 500));
+  const audioFile = path.join(workDir, 'audio.m4a');
+  await extractAudio(videoFile, audioFile);
+  const audio = await fsPromises.readFile(audioFile);
+  if (audio.length > OPENAI_MAX_AUDIO_BYTES) {
+    throw new Error(`Audio is ${audio.length} bytes, above the OpenAI limit of ${OPENAI_MAX_AUDIO_BYTES} bytes. Use STT_PROVIDER=local for long videos.`);
+  }
 
-  // Mock transcript
-  const transcript = `This is a mock transcript of the video interview. The candidate discussed their experience with Node.js and Express, their previous projects, and their motivation for joining the team. They provided detailed examples of challenging problems they solved and demonstrated strong communication skills.`;
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: 'audio/mp4' }), 'audio.m4a');
+  form.append('model', STT_CONFIG.openaiModel);
+  form.append('response_format', 'verbose_json');
+  form.append('timestamp_granularities[]', 'segment');
+  if (STT_CONFIG.language !== 'auto') {
+    form.append('language', STT_CONFIG.language);
+  }
 
+  const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+    body: form,
+    signal: AbortSignal.timeout(STT_CONFIG.timeoutMs),
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`OpenAI transcription API error: ${response.status} - ${errorText}`);
+  }
+
+  return { ...parseOpenAITranscription(await response.json()), model: STT_CONFIG.openaiModel };
+}
+
+/**
+ * Canned transcript (nothing is downloaded or transcribed)
+ */
+function transcribeMock() {
   const segments = [
-    { start: 0, end: 5, text: 'This is a mock transcript of the video interview.' },
-    { start: 5, end: 12, text: 'The candidate discussed their experience with Node.js and Express.' },
-    { start: 12, end: 20, text: 'They provided detailed examples of challenging problems they solved.' },
+    { start: 0, end: 5, text: 'This is a mock transcript of the video interview.', confidence: 1 },
+    { start: 5, end: 12, text: 'The candidate discussed their experience with Node.js and Express.', confidence: 1 },
+    { start: 12, end: 20, text: 'They provided detailed examples of challenging problems they solved.', confidence: 1 },
   ];
-
   return {
-    transcript,
+    transcript: segments.map(segment => segment.text).join(' '),
     segments,
+    language: 'en',
+    durationSec: 20,
+    model: null,
   };
 }
 
+const PROVIDERS = {
+  local: transcribeLocal,
+  openai: transcribeOpenAI,
+};
+
+/**
+ * Transcribe a video file with the configured provider
+ * @param {string} label - Video URL or file, for logs
+ * @param {function(string): Promise<string>} getVideoFile - Gets the video into the work directory, returns its path
+ * @returns {Promise<Transcription>}
+ */
+async function transcribe(label, getVideoFile) {
+  const provider = STT_CONFIG.provider;
+  console.log(`[STT] Transcribing video with ${provider}: ${label}`);
+
+  if (provider === 'mock') {
+    return { ...transcribeMock(), provider };
+  }
+  const transcribeWith = PROVIDERS[provider];
+  if (!transcribeWith) {
+    throw new Error(`Unknown STT_PROVIDER: ${provider} (use local, openai or mock)`);
+  }
+
+  const workDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'hirewise-stt-'));
+  try {
+    const videoFile = await getVideoFile(workDir);
+
+    const started = Date.now();
+    const result = await transcribeWith(videoFile, workDir);
+    console.log(`[STT] Transcribed ${Math.round(result.durationSec || 0)}s of audio in ${Math.round((Date.now() - started) / 1000)}s `
+      + `(${result.segments.length} segments, language: ${result.language || 'unknown'})`);
+
+    return { ...result, provider };
+  } finally {
+    await fsPromises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Transcribe a screening video
+ * Long videos take a while; call this from a background task, not inside a request.
+ * @param {string} videoUrl - URL of the video (see isAllowedVideoUrl)
+ * @returns {Promise<Transcription>}
+ */
+export async function transcribeVideo(videoUrl) {
+  return transcribe(videoUrl, async (workDir) => {
+    const videoFile = path.join(workDir, 'video');
+    await downloadVideo(videoUrl, videoFile);
+    return videoFile;
+  });
+}
+
+/**
+ * Transcribe a video stored on this server (e.g. a locally stored answer clip)
+ * Only pass paths the server chose; never a path from a request.
+ * @param {string} videoFile - Path of the video
+ * @returns {Promise<Transcription>}
+ */
+export async function transcribeVideoFile(videoFile) {
+  return transcribe(videoFile, async () => videoFile);
+}
@@ -0,0 +1,172 @@
+/**
+ * Background task handlers
+ * Registers the handler for every task type with the task queue. Must be called before startTaskWorker().
+ */
+
+import { registerTaskHandler, enqueueTask, TASK_TYPES } from './taskQueue.js';
+import {
+  processApplicationScoring,
+  processBatchResumeValidation,
+  markBatchResumeFailed,
+  setScoringStatus,
+} from './applicationScoring.js';
+import { matchJobToCandidates } from './candidateMatcher.js';
+import { runPromptEvaluation, markPromptEvaluationFailed } from './promptEvaluation.js';
+import { evaluatePhoneInterview, setEvaluationStatus } from './phoneInterviewScoring.js';
+import { retryPhoneInterview } from './phoneInterviews.js';
+import { processScreeningVideo, setProcessingStatus } from './screeningProcessing.js';
+import { sendScreeningReminder } from './screeningAccess.js';
+
+/**
+ * Queue LLM scoring for an application and mark it as queued
+ * @param {Object} application - Application document
+ * @param {Object} [links] - Candidate links to score (githubUrl, portfolioUrl, linkedinUrl)
+ * @returns {Promise<Object>} The task document
+ */
+export async function enqueueApplicationScoring(application, links = {}) {
+  await setScoringStatus(application._id, {
+    status: 'queued',
+    error: null,
+    attempts: 0,
+    queuedAt: new Date(),
+    startedAt: null,
+    completedAt: null,
+  });
+
+  return enqueueTask(
+    TASK_TYPES.APPLICATION_SCORING,
+    {
+      applicationId: application._id.toString(),
+      jobId: application.jobId.toString(),
+      userId: application.userId.toString(),
+      resumePath: application.resumePath,
+      githubUrl: links.githubUrl || null,
+      portfolioUrl: links.portfolioUrl || null,
+      linkedinUrl: links.linkedinUrl || null,
+    },
+    { key: `application-scoring:${application._id}` }
+  );
+}
+
+/**
+ * Register all task handlers
+ */
+export function registerTaskHandlers() {
+  registerTaskHandler(
+    TASK_TYPES.APPLICATION_SCORING,
+    async (payload, task) => {
+      const { applicationId, jobId, userId, resumePath, githubUrl, portfolioUrl, linkedinUrl } = payload;
+
+      await setScoringStatus(applicationId, {
+        status: 'running',
+        attempts: task.attempts,
+        startedAt: new Date(),
+      });
+
+      await processApplicationScoring(applicationId, jobId, userId, resumePath, githubUrl, portfolioUrl, linkedinUrl);
+
+      await setScoringStatus(applicationId, {
+        status: 'completed',
+        error: null,
+        completedAt: new Date(),
+      });
+    },
+    {
+      // Back in the queue until the next attempt; keep the error so the UI can show why
+      onRetry: (task, error) => setScoringStatus(task.payload.applicationId, {
+        status: 'queued',
+        error: error.message,
+      }),
+      onFailure: (task, error) => setScoringStatus(task.payload.applicationId, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date(),
+      }),
+    }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.BATCH_RESUME_VALIDATION,
+    (payload) => processBatchResumeValidation(payload.batchId, payload.index),
+    {
+      onFailure: (task, error) => markBatchResumeFailed(task.payload.batchId, task.payload.index, error),
+    }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.JOB_CANDIDATE_MATCHING,
+    (payload) => matchJobToCandidates(payload.jobId),
+    { maxAttempts: 3 }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.PROMPT_EVALUATION,
+    (payload) => runPromptEvaluation(payload.evaluationId),
+    {
+      maxAttempts: 3,
+      onFailure: (task, error) => markPromptEvaluationFailed(task.payload.evaluationId, error),
+    }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.PHONE_INTERVIEW_EVALUATION,
+    async (payload) => {
+      await setEvaluationStatus(payload.phoneInterviewId, { status: 'running' });
+      await evaluatePhoneInterview(payload.phoneInterviewId);
+    },
+    {
+      maxAttempts: 3,
+      onRetry: (task, error) => setEvaluationStatus(task.payload.phoneInterviewId, {
+        status: 'queued',
+        error: error.message,
+      }),
+      onFailure: (task, error) => setEvaluationStatus(task.payload.phoneInterviewId, {
+        status: 'failed',
+        error: error.message,
+      }),
+    }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.PHONE_INTERVIEW_RETRY,
+    (payload) => retryPhoneInterview(payload.phoneInterviewId),
+    { maxAttempts: 3 }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.SCREENING_PROCESSING,
+    async (payload, task) => {
+      await setProcessingStatus(payload.screeningId, {
+        status: 'running',
+        attempts: task.attempts,
+        startedAt: new Date(),
+      });
+
+      await processScreeningVideo(payload.screeningId, { retranscribe: payload.retranscribe });
+
+      await setProcessingStatus(payload.screeningId, {
+        status: 'completed',
+        error: null,
+        completedAt: new Date(),
+      });
+    },
+    {
+      maxAttempts: 3,
+      onRetry: (task, error) => setProcessingStatus(task.payload.screeningId, {
+        status: 'queued',
+        error: error.message,
+      }),
+      onFailure: (task, error) => setProcessingStatus(task.payload.screeningId, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date(),
+      }),
+    }
+  );
+
+  registerTaskHandler(
+    TASK_TYPES.SCREENING_REMINDER,
+    (payload) => sendScreeningReminder(payload.screeningId, payload),
+    { maxAttempts: 3 }
+  );
+}
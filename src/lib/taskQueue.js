@@ -0,0 +1,282 @@
+/**
+ * Durable background task queue backed by MongoDB
+ * Tasks survive process restarts: a worker claims a task by taking a lease on it, and any task
+ * whose lease expires (crash, deploy, restart) is picked up again by the next worker poll.
+ * Failed attempts are retried with exponential backoff until maxAttempts is reached.
+ */
+
+import os from 'os';
+import BackgroundTask from '../models/BackgroundTask.js';
+import { getCurrentOrgId, runWithOrg } from './orgScope.js';
+
+/**
+ * Task types handled by the worker (handlers are registered in taskHandlers.js)
+ */
+export const TASK_TYPES = Object.freeze({
+  APPLICATION_SCORING: 'application_scoring',
+  BATCH_RESUME_VALIDATION: 'batch_resume_validation',
+  JOB_CANDIDATE_MATCHING: 'job_candidate_matching',
+  PROMPT_EVALUATION: 'prompt_evaluation',
+  PHONE_INTERVIEW_EVALUATION: 'phone_interview_evaluation',
+  PHONE_INTERVIEW_RETRY: 'phone_interview_retry',
+  SCREENING_PROCESSING: 'screening_processing',
+  SCREENING_REMINDER: 'screening_reminder',
+});
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+const QUEUE_CONFIG = {
+  pollIntervalMs: parseInt(process.env.TASK_POLL_INTERVAL_MS) || 2000,
+  leaseMs: parseInt(process.env.TASK_LEASE_MS) || 5 * 60 * 1000, // 5 minutes
+  concurrency: parseInt(process.env.TASK_WORKER_CONCURRENCY) || 3,
+  backoffBaseMs: parseInt(process.env.TASK_BACKOFF_BASE_MS) || 30 * 1000, // 30s, 60s, 120s, ...
+  backoffMaxMs: parseInt(process.env.TASK_BACKOFF_MAX_MS) || 60 * 60 * 1000, // 1 hour
+};
+
+// Registered handlers keyed by task type
+const handlers = new Map();
+
+let workerRunning = false;
+let pollTimer = null;
+let activeTasks = 0;
+
+/**
+ * Register a handler for a task type
+ * @param {string} type - Task type
+ * @param {Function} handler - async (payload, task) => result
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Default max attempts for tasks of this type
+ * @param {Function} [options.onRetry] - async (task, error) => void, called when an attempt fails and will be retried
+ * @param {Function} [options.onFailure] - async (task, error) => void, called when the last attempt fails
+ */
+export function registerTaskHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, ...options });
+}
+
+/**
+ * Enqueue a task
+ * The task runs scoped to the organization it was enqueued from.
+ * @param {string} type - Task type (must have a registered handler to be processed)
+ * @param {Object} payload - JSON-serializable payload passed to the handler
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - Earliest time to run (defaults to now)
+ * @param {number} [options.maxAttempts] - Max attempts before the task is marked failed
+ * @param {string} [options.key] - De-duplication key; if a pending/running task with the same key exists it is returned instead
+ * @returns {Promise<Object>} The task document
+ */
+export async function enqueueTask(type, payload = {}, options = {}) {
+  const { runAt = new Date(), key } = options;
+  const maxAttempts = options.maxAttempts || handlers.get(type)?.maxAttempts || 5;
+
+  let task;
+  for (let attempt = 1; ; attempt++) {
+    if (key) {
+      const existing = await BackgroundTask.findOne({ key, status: { $in: ['pending', 'running'] } });
+      if (existing) {
+        console.log(`[TaskQueue] Task ${type} with key ${key} already queued (${existing._id})`);
+        return existing;
+      }
+    }
+
+    try {
+      task = await BackgroundTask.create({
+        type,
+        payload,
+        key,
+        runAt,
+        maxAttempts,
+        orgId: getCurrentOrgId(),
+      });
+      break;
+    } catch (error) {
+      // Another request queued the same key between the lookup and the insert: look it up again
+      // (it may have finished in the meantime, in which case the insert is retried)
+      if (!key || error.code !== 11000 || attempt === 3) throw error;
+    }
+  }
+
+  console.log(`[TaskQueue] Enqueued ${type} task ${task._id}`);
+
+  // Pick it up right away if this process runs a worker
+  if (workerRunning && runAt <= new Date()) {
+    setImmediate(pollTasks);
+  }
+
+  return task;
+}
+
+/**
+ * Calculate retry delay for a given attempt number (exponential backoff)
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelayMs(attempt) {
+  const delay = QUEUE_CONFIG.backoffBaseMs * Math.pow(2, Math.max(0, attempt - 1));
+  return Math.min(delay, QUEUE_CONFIG.backoffMaxMs);
+}
+
+/**
+ * Atomically claim the next runnable task (pending and due, or running with an expired lease)
+ */
+async function claimNextTask() {
+  const now = new Date();
+
+  return BackgroundTask.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', leaseExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'running',
+        leaseExpiresAt: new Date(now.getTime() + QUEUE_CONFIG.leaseMs),
+        lockedBy: WORKER_ID,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    {
+      sort: { runAt: 1 },
+      new: true,
+    }
+  );
+}
+
+/**
+ * Record the outcome of a claimed task, unless another worker reclaimed it after its lease expired
+ * @returns {Promise<boolean>} Whether this run still held the task
+ */
+async function finishTask(task, update) {
+  const result = await BackgroundTask.updateOne(
+    { _id: task._id, status: 'running', lockedBy: WORKER_ID, attempts: task.attempts },
+    { ...update, $unset: { leaseExpiresAt: 1, lockedBy: 1 } }
+  );
+  if (result.matchedCount === 0) {
+    console.log(`[TaskQueue] Lease lost for ${task.type} task ${task._id} (attempt ${task.attempts}); outcome not recorded`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Run a claimed task and record the outcome
+ */
+async function runTask(task) {
+  const registration = handlers.get(task.type);
+
+  // Keep the lease alive while the handler is running so long tasks are not picked up twice
+  const heartbeat = setInterval(() => {
+    BackgroundTask.updateOne(
+      { _id: task._id, lockedBy: WORKER_ID, status: 'running', attempts: task.attempts },
+      { $set: { leaseExpiresAt: new Date(Date.now() + QUEUE_CONFIG.leaseMs) } }
+    ).catch(error => {
+      console.error(`[TaskQueue] Error extending lease for task ${task._id}:`, error.message);
+    });
+  }, Math.max(1000, Math.floor(QUEUE_CONFIG.leaseMs / 3)));
+
+  try {
+    // A task can exceed maxAttempts when it was reclaimed after its lease expired on the last attempt
+    if (task.attempts > task.maxAttempts) {
+      throw new Error(`Task abandoned after ${task.maxAttempts} attempts (lease expired)`);
+    }
+
+    console.log(`[TaskQueue] Running ${task.type} task ${task._id} (attempt ${task.attempts}/${task.maxAttempts})`);
+    await registration.handler(task.payload || {}, task);
+
+    if (await finishTask(task, { $set: { status: 'completed', completedAt: new Date() } })) {
+      console.log(`[TaskQueue] Completed ${task.type} task ${task._id}`);
+    }
+  } catch (error) {
+    const finalAttempt = task.attempts >= task.maxAttempts;
+    console.error(`[TaskQueue] ${task.type} task ${task._id} failed (attempt ${task.attempts}/${task.maxAttempts}):`, error);
+
+    if (finalAttempt) {
+      const recorded = await finishTask(task, {
+        $set: { status: 'failed', lastError: error.message, failedAt: new Date() },
+      });
+
+      if (recorded && registration.onFailure) {
+        await registration.onFailure(task, error).catch(hookError => {
+          console.error(`[TaskQueue] onFailure hook error for task ${task._id}:`, hookError);
+        });
+      }
+    } else {
+      const retryAt = new Date(Date.now() + getRetryDelayMs(task.attempts));
+      const recorded = await finishTask(task, {
+        $set: { status: 'pending', lastError: error.message, runAt: retryAt },
+      });
+      if (recorded) {
+        console.log(`[TaskQueue] Retrying ${task.type} task ${task._id} at ${retryAt.toISOString()}`);
+
+        if (registration.onRetry) {
+          await registration.onRetry(task, error).catch(hookError => {
+            console.error(`[TaskQueue] onRetry hook error for task ${task._id}:`, hookError);
+          });
+        }
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Claim and start tasks until the concurrency limit is reached or no task is due
+ */
+async function pollTasks() {
+  if (!workerRunning) return;
+
+  try {
+    while (workerRunning && activeTasks < QUEUE_CONFIG.concurrency) {
+      const task = await claimNextTask();
+      if (!task) break;
+
+      activeTasks += 1;
+      runWithOrg(task.orgId || null, () => runTask(task))
+        .catch(error => {
+          console.error(`[TaskQueue] Unexpected error running task ${task._id}:`, error);
+        })
+        .finally(() => {
+          activeTasks -= 1;
+          // A slot freed up - look for more work right away
+          setImmediate(pollTasks);
+        });
+    }
+  } catch (error) {
+    console.error('[TaskQueue] Error polling tasks:', error);
+  }
+}
+
+/**
+ * Start the worker loop in this process
+ * Unfinished tasks from a previous run (pending, or running with an expired lease) are resumed automatically
+ */
+export function startTaskWorker() {
+  if (workerRunning) return;
+
+  workerRunning = true;
+  console.log(`[TaskQueue] Worker ${WORKER_ID} started (concurrency: ${QUEUE_CONFIG.concurrency}, handlers: ${Array.from(handlers.keys()).join(', ')})`);
+
+  const loop = async () => {
+    await pollTasks();
+    if (workerRunning) {
+      pollTimer = setTimeout(loop, QUEUE_CONFIG.pollIntervalMs);
+    }
+  };
+  loop();
+}
+
+/**
+ * Stop the worker loop (tasks already running are allowed to finish)
+ */
+export function stopTaskWorker() {
+  workerRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  console.log(`[TaskQueue] Worker ${WORKER_ID} stopped`);
+}
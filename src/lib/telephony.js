@@ -0,0 +1,92 @@
+/**
+ * Telephony providers for phone interview calls
+ * blandAi.js builds the call (prompt, webhook, metadata) and hands the Bland AI request payload to the
+ * provider selected with TELEPHONY_PROVIDER:
+ * - bland: the Bland AI API (default)
+ * - simulator: an in-process Bland AI stand-in for local development and tests (see telephonySimulator.js)
+ * Providers accept and return Bland AI's call payloads, so webhooks, status polling and recordings work the
+ * same with either.
+ */
+
+import dotenv from 'dotenv';
+import { simulatorProvider } from './telephonySimulator.js';
+
+dotenv.config();
+
+const BLAND_API_KEY = process.env.BLAND_API_KEY;
+const BLAND_API_URL = 'https://api.bland.ai/v1/calls';
+
+/**
+ * @typedef {Object} TelephonyProvider
+ * @property {string} name
+ * @property {(payload: Object, context: {questions: Array}) => Promise<Object>} createCall - Place or schedule
+ *   a call from a Bland AI request payload; resolves to Bland AI's response ({ call_id, status, message })
+ * @property {(callId: string) => Promise<Object>} getCall - Call details in Bland AI's format
+ * @property {(callId: string) => Promise<Object>} stopCall - Stop a scheduled or running call
+ */
+
+/**
+ * Send a request to the Bland AI calls API
+ */
+async function requestBland(path, method, body) {
+  if (!BLAND_API_KEY) {
+    throw new Error('BLAND_API_KEY not configured. Please set BLAND_API_KEY in your .env file.');
+  }
+
+  const response = await fetch(`${BLAND_API_URL}${path}`, {
+    method,
+    headers: {
+      'authorization': BLAND_API_KEY,
+      'Content-Type': 'application/json',
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Bland AI API error: ${response.status} - ${errorText}`);
+  }
+  return response.json();
+}
+
+/** @type {TelephonyProvider} */
+const blandProvider = {
+  name: 'bland',
+  createCall: payload => requestBland('', 'POST', payload),
+  getCall: callId => requestBland(`/${callId}`, 'GET'),
+  stopCall: callId => requestBland(`/${callId}/stop`, 'POST'),
+};
+
+const PROVIDERS = {
+  bland: blandProvider,
+  simulator: simulatorProvider,
+};
+
+const TELEPHONY_PROVIDER = process.env.TELEPHONY_PROVIDER || 'bland'; // 'bland' or 'simulator'
+
+/**
+ * Check the telephony configuration at startup
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function validateTelephonyConfig() {
+  const errors = [];
+  if (!PROVIDERS[TELEPHONY_PROVIDER]) {
+    errors.push(`TELEPHONY_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (TELEPHONY_PROVIDER === 'simulator' && process.env.NODE_ENV === 'production') {
+    errors.push('The telephony simulator cannot be used in production');
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Get the configured telephony provider
+ * @returns {TelephonyProvider}
+ */
+export function getTelephonyProvider() {
+  const provider = PROVIDERS[TELEPHONY_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown TELEPHONY_PROVIDER: ${TELEPHONY_PROVIDER}`);
+  }
+  return provider;
+}
@@ -0,0 +1,278 @@
+/**
+ * In-process Bland AI simulator (TELEPHONY_PROVIDER=simulator)
+ * Accepts Bland AI call payloads without calling anyone. Each call waits for its start_time, then moves
+ * through Bland AI's statuses on a timer and posts every change to the call's webhook, signed like Bland AI
+ * when BLAND_WEBHOOK_SECRET is set. Answered calls end with a synthetic transcript built from the interview
+ * questions. Calls complete unless told otherwise with simulateNextCall (or TELEPHONY_SIMULATOR_OUTCOME).
+ */
+
+import crypto from 'crypto';
+import { signWebhookBody, BLAND_WEBHOOK_CONFIG } from './blandWebhooks.js';
+
+export const TELEPHONY_SIMULATOR_CONFIG = {
+  // Delay before each status change (queued -> ringing -> in-progress)
+  stepMs: parseInt(process.env.TELEPHONY_SIMULATOR_STEP_MS) || 2000,
+  // How long an answered call lasts
+  callMs: parseInt(process.env.TELEPHONY_SIMULATOR_CALL_MS) || 10000,
+  // Outcome of calls that weren't given one with simulateNextCall
+  defaultOutcome: process.env.TELEPHONY_SIMULATOR_OUTCOME || 'completed',
+};
+
+/**
+ * How a simulated call ends
+ */
+export const SIMULATED_OUTCOMES = Object.freeze({
+  COMPLETED: 'completed',   // Answered, interview held, transcript and analysis delivered
+  NO_ANSWER: 'no_answer',   // Rings out
+  VOICEMAIL: 'voicemail',   // Picked up by voicemail
+  BUSY: 'busy',             // Line busy, never rings
+  FAILED: 'failed',         // Call drops with an error
+  API_ERROR: 'api_error',   // The call request itself is rejected
+});
+
+const SIMULATOR_FROM_NUMBER = '+15555550100';
+// setTimeout can't wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const calls = new Map();
+// Outcomes queued with simulateNextCall, by phone number ('*' for any number)
+const nextOutcomes = new Map();
+
+/**
+ * Make the next call to a number (or to any number) end with the given outcome
+ * @param {string} outcome - One of SIMULATED_OUTCOMES
+ * @param {Object} [options]
+ * @param {string} [options.phoneNumber] - E.164 number the outcome applies to (default: the next call to any number)
+ */
+export function simulateNextCall(outcome, { phoneNumber } = {}) {
+  if (!Object.values(SIMULATED_OUTCOMES).includes(outcome)) {
+    throw new Error(`outcome must be one of: ${Object.values(SIMULATED_OUTCOMES).join(', ')}`);
+  }
+  const key = phoneNumber || '*';
+  nextOutcomes.set(key, [...(nextOutcomes.get(key) || []), outcome]);
+}
+
+/**
+ * Forget all simulated calls and queued outcomes (pending status changes are not delivered)
+ */
+export function resetSimulator() {
+  for (const call of calls.values()) {
+    call.stopped = true;
+  }
+  calls.clear();
+  nextOutcomes.clear();
+}
+
+/**
+ * Take the outcome queued for a number, then for any number, then the default
+ */
+function takeOutcome(phoneNumber) {
+  for (const key of [phoneNumber, '*']) {
+    const queued = nextOutcomes.get(key);
+    if (queued?.length) {
+      return queued.shift();
+    }
+  }
+  return TELEPHONY_SIMULATOR_CONFIG.defaultOutcome;
+}
+
+/**
+ * Wait, in steps short enough for setTimeout (the timer doesn't keep the process alive)
+ */
+async function sleep(ms) {
+  let remaining = ms;
+  do {
+    const delay = Math.min(Math.max(remaining, 0), MAX_TIMER_MS);
+    await new Promise(resolve => setTimeout(resolve, delay).unref());
+    remaining -= delay;
+  } while (remaining > 0);
+}
+
+/**
+ * Candidate answer used in the synthetic transcript
+ */
+function simulatedAnswer(question) {
+  return `Sure. On "${question.text}": in my last role I started from the requirements, picked the simplest approach that worked, `
+    + 'measured the results and iterated with my team. I can go into more detail if that helps.';
+}
+
+/**
+ * Build the transcript of an answered call: greeting, each question with an answer, goodbye
+ * Messages are spread evenly over the call, in Bland AI's transcript format.
+ */
+function buildTranscript(call, answeredAt, endAt) {
+  const lines = [
+    ['assistant', call.firstSentence || 'Hi, this is Neo calling about your application. Is this a good time to talk?'],
+    ['user', 'Yes, this is a good time.'],
+  ];
+  for (const question of call.questions) {
+    lines.push(['assistant', question.text], ['user', simulatedAnswer(question)]);
+  }
+  lines.push(['assistant', "That's it from my side. Thank you for your time. You can hang up the call now."]);
+
+  const spacing = (endAt.getTime() - answeredAt.getTime()) / lines.length;
+  return lines.map(([user, text], index) => ({
+    id: index + 1,
+    user,
+    text,
+    created_at: new Date(answeredAt.getTime() + index * spacing).toISOString(),
+  }));
+}
+
+/**
+ * Status changes of a call for its outcome: [delay before the change, change]
+ */
+function buildSteps(call) {
+  const { stepMs, callMs } = TELEPHONY_SIMULATOR_CONFIG;
+  const ringing = [stepMs, () => ({ status: 'ringing', started_at: new Date().toISOString() })];
+  const ended = (status, fields = {}) => [stepMs, () => ({ status, completed: true, end_at: new Date().toISOString(), ...fields })];
+
+  switch (call.outcome) {
+    case SIMULATED_OUTCOMES.NO_ANSWER:
+      return [ringing, ended('no-answer', { answered_by: 'no-answer' })];
+    case SIMULATED_OUTCOMES.VOICEMAIL:
+      return [ringing, ended('voicemail', { answered_by: 'voicemail' })];
+    case SIMULATED_OUTCOMES.BUSY:
+      return [ended('busy', { error_message: 'Simulated busy line' })];
+    case SIMULATED_OUTCOMES.FAILED:
+      return [ringing, ended('failed', { error_message: 'Simulated call failure' })];
+    default:
+      return [
+        ringing,
+        [stepMs, () => ({ status: 'in-progress', answered_by: 'human', answered_at: new Date().toISOString() })],
+        [callMs, () => completeCall(call)],
+      ];
+  }
+}
+
+/**
+ * Fields of an answered call that just ended
+ */
+function completeCall(call) {
+  const answeredAt = new Date(call.data.answered_at);
+  const endAt = new Date();
+  const duration = Math.max(1, Math.round((endAt.getTime() - answeredAt.getTime()) / 1000));
+  const transcript = buildTranscript(call, answeredAt, endAt);
+
+  return {
+    status: 'completed',
+    completed: true,
+    end_at: endAt.toISOString(),
+    corrected_duration: duration,
+    call_length: duration / 60,
+    transcript,
+    concatenated_transcript: transcript.map(message => `${message.user}: ${message.text}`).join('\n'),
+    summary: `Simulated phone interview. The candidate answered all ${call.questions.length} questions.`,
+    analysis: {
+      technical_skills: [],
+      behavioral_traits: ['clear communication', 'structured thinking'],
+      communication_quality: 8,
+      overall_fit: 7,
+      strengths: ['Answered every question'],
+      concerns: ['Simulated call - answers are synthetic'],
+    },
+    recording_url: `https://recordings.simulator.invalid/${call.data.call_id}.mp3`,
+  };
+}
+
+/**
+ * Post the call's current state to its webhook
+ */
+async function deliverWebhook(call) {
+  if (!call.webhook) return;
+
+  const body = JSON.stringify(call.data);
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.BLAND_WEBHOOK_SECRET) {
+    headers[BLAND_WEBHOOK_CONFIG.signatureHeader] = signWebhookBody(body, process.env.BLAND_WEBHOOK_SECRET);
+  }
+
+  try {
+    const response = await fetch(call.webhook, { method: 'POST', headers, body });
+    if (!response.ok) {
+      console.warn(`[Telephony Simulator] Webhook for call ${call.data.call_id} (${call.data.status}) answered ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`[Telephony Simulator] Webhook for call ${call.data.call_id} failed:`, error.message);
+  }
+}
+
+/**
+ * Move a call through its status changes until it ends or is stopped
+ */
+async function runCall(call) {
+  await sleep(call.startAt.getTime() - Date.now());
+  for (const [delay, change] of buildSteps(call)) {
+    await sleep(delay);
+    if (call.stopped) return;
+    Object.assign(call.data, change());
+    await deliverWebhook(call);
+  }
+}
+
+/**
+ * Find a simulated call, failing like the Bland AI API for unknown IDs
+ */
+function findCall(callId) {
+  const call = calls.get(callId);
+  if (!call) {
+    throw new Error(`Bland AI API error: 404 - Call ${callId} not found`);
+  }
+  return call;
+}
+
+/** @type {import('./telephony.js').TelephonyProvider} */
+export const simulatorProvider = {
+  name: 'simulator',
+
+  async createCall(payload, { questions = [] } = {}) {
+    const outcome = takeOutcome(payload.phone_number);
+    if (outcome === SIMULATED_OUTCOMES.API_ERROR) {
+      throw new Error('Bland AI API error: 500 - Simulated API failure');
+    }
+
+    // "YYYY-MM-DD HH:MM:SS -HH:MM" -> "YYYY-MM-DDTHH:MM:SS-HH:MM"
+    const startAt = payload.start_time
+      ? new Date(payload.start_time.replace(' ', 'T').replace(' ', ''))
+      : new Date();
+    const callId = `sim-${crypto.randomUUID()}`;
+    const call = {
+      outcome,
+      startAt,
+      questions,
+      firstSentence: payload.first_sentence,
+      webhook: payload.webhook,
+      stopped: false,
+      data: {
+        call_id: callId,
+        to: payload.phone_number,
+        from: SIMULATOR_FROM_NUMBER,
+        status: payload.start_time ? 'scheduled' : 'queued',
+        completed: false,
+        created_at: new Date().toISOString(),
+        start_time: payload.start_time || null,
+        metadata: payload.metadata || {},
+      },
+    };
+    calls.set(callId, call);
+
+    runCall(call).catch(error => console.error(`[Telephony Simulator] Call ${callId} failed:`, error));
+    console.log(`[Telephony Simulator] Call ${callId} to ${payload.phone_number} at ${startAt.toISOString()} will end: ${outcome}`);
+
+    return { status: 'success', call_id: callId, message: 'Call successfully queued.' };
+  },
+
+  async getCall(callId) {
+    return { ...findCall(callId).data };
+  },
+
+  async stopCall(callId) {
+    const call = findCall(callId);
+    if (call.data.completed) {
+      throw new Error(`Bland AI API error: 400 - Call ${callId} already ended`);
+    }
+    call.stopped = true;
+    Object.assign(call.data, { status: 'canceled', completed: true, end_at: new Date().toISOString() });
+    return { status: 'success', message: 'Call stopped.' };
+  },
+};
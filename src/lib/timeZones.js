@@ -0,0 +1,108 @@
+/**
+ * Timezone helpers
+ * Local wall-clock times in IANA timezones (Intl, no timezone database of our own) and Bland AI
+ * start_time strings ("YYYY-MM-DD HH:MM:SS +HH:MM").
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Check an IANA timezone name (e.g. "Asia/Kolkata")
+ * @param {*} timeZone - Timezone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month 1-12, weekday 0 = Sunday
+ */
+export function getLocalParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type).value;
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')),
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')),
+    minute: parseInt(get('minute')),
+    second: parseInt(get('second')),
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+  };
+}
+
+/**
+ * UTC offset of a timezone at an instant, in minutes (e.g. 330 for Asia/Kolkata)
+ */
+function getOffsetMinutes(date, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0; // "GMT"
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Instant of a local wall-clock time in a timezone (overflowing days or minutes roll over)
+ * @param {Object} local - { year, month (1-12), day, hour, minute = 0 }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function fromLocalTime({ year, month, day, hour, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  // Offset changes (DST) between the guess and the result
+  instant = wallClock - getOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function formatLocalDate(date, timeZone) {
+  const local = getLocalParts(date, timeZone);
+  return `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+}
+
+/**
+ * Format an instant as a Bland AI start_time in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} "YYYY-MM-DD HH:MM:SS +HH:MM"
+ */
+export function formatStartTime(date, timeZone) {
+  const local = getLocalParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)}:${pad(local.second)} ` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
@@ -0,0 +1,71 @@
+import { authenticateToken } from '../lib/auth.js';
+import { hasPermission } from '../lib/permissions.js';
+import { runWithOrg } from '../lib/orgScope.js';
+
+/**
+ * Identify the caller from "Authorization: Bearer <session token or API key>"
+ * Sets req.auth and req.orgId and runs the rest of the request scoped to the caller's organization.
+ * Requests without credentials continue unscoped; protected routes reject them in requirePermission,
+ * candidate-facing routes scope themselves to the resource they access (scopeToResourceOrg).
+ */
+export async function authenticate(req, res, next) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return runWithOrg(null, next);
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authorization header must be "Bearer <token>"' });
+  }
+
+  try {
+    const result = await authenticateToken(token.trim());
+    if (!result.ok) {
+      return res.status(401).json({ error: 'Unauthorized', details: result.error });
+    }
+
+    req.auth = result.auth;
+    req.orgId = result.auth.orgId;
+    runWithOrg(req.orgId, next);
+  } catch (error) {
+    console.error('[Auth] Error authenticating request:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
+
+/**
+ * Require an authenticated caller with a permission
+ * @param {string} permission - Permission from PERMISSIONS
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(req.auth.permissions, permission)) {
+      return res.status(403).json({ error: `Missing permission: ${permission}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Require an authenticated caller (any permissions)
+ */
+export function requireAuthenticated(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Require a candidate portal session
+ */
+export function requireCandidate(req, res, next) {
+  if (req.auth?.type !== 'candidate') {
+    return res.status(401).json({ error: 'Candidate sign-in required' });
+  }
+  next();
+}
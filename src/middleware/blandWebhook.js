@@ -0,0 +1,89 @@
+import PhoneInterview from '../models/PhoneInterview.js';
+import { verifyWebhookSignature, claimWebhookDelivery, releaseWebhookDelivery, matchStoredCall, BLAND_WEBHOOK_CONFIG } from '../lib/blandWebhooks.js';
+import { processCallWebhook } from '../lib/phoneInterviews.js';
+
+/**
+ * Verify a Bland AI webhook before its handler runs
+ * Rejects unsigned or wrongly signed requests (401) and payloads without call_id (400), and answers
+ * duplicate deliveries with 200 without running the handler. A delivery whose handler doesn't answer
+ * 2xx is forgotten again so Bland AI's retry of it is processed.
+ */
+export async function verifyBlandWebhook(req, res, next) {
+  try {
+    const signature = verifyWebhookSignature(req.rawBody, req.get(BLAND_WEBHOOK_CONFIG.signatureHeader));
+    if (!signature.ok) {
+      console.warn(`[Webhook] Rejected Bland AI webhook for ${req.originalUrl}: ${signature.error}`);
+      return res.status(401).send(signature.error);
+    }
+
+    const callId = req.body?.call_id;
+    if (!callId) {
+      return res.status(400).send('call_id is required');
+    }
+
+    const delivery = await claimWebhookDelivery({ rawBody: req.rawBody, callId: String(callId), path: req.originalUrl });
+    if (delivery.duplicate) {
+      console.log(`[Webhook] Duplicate Bland AI webhook for call ${callId} ignored`);
+      return res.status(200).send('Duplicate delivery ignored');
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        releaseWebhookDelivery(delivery.deliveryId)
+          .catch(error => console.warn('[Webhook] Could not release webhook delivery:', error.message));
+      }
+    });
+    next();
+  } catch (error) {
+    console.error('[Webhook] Error verifying Bland AI webhook:', error);
+    res.status(500).send('Error');
+  }
+}
+
+/**
+ * Apply a verified Bland AI webhook to a phone interview
+ * Shared by POST /api/phone-interviews/:id/webhook and the webhook URLs of calls placed before phone
+ * interviews had their own collection (those look the interview up by call_id).
+ * @param {Function} findInterview - (req) => Promise<PhoneInterview|null>
+ */
+export function handlePhoneInterviewWebhook(findInterview) {
+  return async (req, res) => {
+    try {
+      const webhookData = req.body;
+
+      const interview = await findInterview(req);
+      if (!interview) {
+        console.error(`[Phone Interview] Webhook: no phone interview for ${req.originalUrl} (call ${webhookData.call_id})`);
+        return res.status(404).send('Phone interview not found');
+      }
+
+      // Only the call placed for this interview may update it
+      const callMatch = matchStoredCall(interview.callId, webhookData.call_id);
+      if (!callMatch.ok) {
+        console.warn(`[Phone Interview] Webhook for phone interview ${interview._id} rejected: ${callMatch.error}`);
+        return res.status(409).send(callMatch.error);
+      }
+
+      console.log(`[Phone Interview] Webhook received for phone interview ${interview._id}:`, {
+        status: webhookData.status,
+        call_id: webhookData.call_id,
+        has_recording: !!webhookData.recording_url,
+      });
+
+      await processCallWebhook(interview, webhookData);
+      console.log(`[Phone Interview] Webhook processed for phone interview ${interview._id}, status: ${interview.status}`);
+
+      res.status(200).send('OK');
+    } catch (error) {
+      console.error('[Phone Interview] Error processing webhook:', error);
+      res.status(500).send('Error');
+    }
+  };
+}
+
+/**
+ * Find the phone interview of a call placed before phone interviews had their own collection
+ */
+export function findPhoneInterviewByCall(req) {
+  return PhoneInterview.findOne({ callId: String(req.body.call_id) });
+}
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { runWithOrg } from '../lib/orgScope.js';
+
+/**
+ * Scope a candidate-facing request to the organization of the document it accesses
+ * These routes don't require credentials, so the organization comes from the document (e.g. the job
+ * applied to). Responds 404 when the document doesn't exist.
+ * @param {mongoose.Model} Model - Org-scoped model
+ * @param {string} param - Route parameter holding the document ID
+ */
+export function scopeToResourceOrg(Model, param) {
+  return async (req, res, next) => {
+    try {
+      const id = req.params[param];
+      const resource = mongoose.Types.ObjectId.isValid(id)
+        ? await runWithOrg(null, () => Model.findById(id).select('orgId').lean())
+        : null;
+      if (!resource) {
+        return res.status(404).json({ error: `${Model.modelName} not found` });
+      }
+
+      req.orgId = String(resource.orgId);
+      runWithOrg(req.orgId, next);
+    } catch (error) {
+      console.error(`[Org Scope] Error loading ${Model.modelName} ${req.params[param]}:`, error);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  };
+}
+
+/**
+ * Restore the request's org context
+ * Multipart parsing (multer) continues the request outside the org context; add this after upload middleware.
+ */
+export function restoreOrgContext(req, res, next) {
+  runWithOrg(req.orgId || null, next);
+}
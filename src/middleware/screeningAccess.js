@@ -0,0 +1,30 @@
+import { resolveScreeningAccess } from '../lib/screeningAccess.js';
+import { runWithOrg } from '../lib/orgScope.js';
+
+/**
+ * Resolve the screening link token in req.params.token and scope the request to its organization
+ * Sets req.screening. Responds 401 for invalid or replaced links, 410 after the deadline and 409 once the
+ * screening was submitted (unless allowSubmitted).
+ * @param {Object} [options]
+ * @param {boolean} [options.allowSubmitted=false] - Also allow submitted screenings (read-only routes)
+ */
+export function requireScreeningAccess({ allowSubmitted = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const access = await resolveScreeningAccess(req.params.token);
+      if (!access.ok) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      if (access.screening.submittedAt && !allowSubmitted) {
+        return res.status(409).json({ error: 'Screening was already submitted' });
+      }
+
+      req.screening = access.screening;
+      req.orgId = String(access.screening.orgId);
+      runWithOrg(req.orgId, next);
+    } catch (error) {
+      console.error('[Screening Access] Error resolving screening link:', error);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  };
+}
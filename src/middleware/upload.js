@@ -1,4 +1,6 @@
 import multer from 'multer';
+import os from 'os';
+import { VIDEO_UPLOAD_CONFIG, toVideoType } from '../lib/screeningVideos.js';
 
 // Configure multer for memory storage (we'll save files manually)
 const storage = multer.memoryStorage();
@@ -37,3 +39,18 @@ export const uploadMultiple = multer({
   },
 });
 
+// Screening video answers (webm/mp4), written to the OS temp directory since they can be large
+export const uploadVideo = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: {
+    fileSize: VIDEO_UPLOAD_CONFIG.maxBytes,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (toVideoType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only WebM and MP4 videos are allowed.'), false);
+    }
+  },
+});
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+
+// API key for integrations; the key itself is only shown once, at creation
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // SHA-256 of the key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // First characters of the key, to tell keys apart in listings
+  keyPrefix: {
+    type: String,
+    required: true,
+  },
+  // Permissions granted to the key
+  scopes: [{
+    type: String,
+    enum: Object.values(PERMISSIONS),
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// orgId field and per-organization query scoping
+apiKeySchema.plugin(orgScopePlugin);
+
+export default mongoose.model('ApiKey', apiKeySchema);
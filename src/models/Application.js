@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const applicationSchema = new mongoose.Schema({
   jobId: {
@@ -44,15 +45,65 @@ const applicationSchema = new mongoose.Schema({
     aiToolsCompatibilityAnalysis: {
       type: String,
     },
+    // Evaluation of the latest completed phone interview (see phoneInterviewScoring.js)
+    phoneInterviewScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    phoneInterviewAnalysis: {
+      type: String,
+    },
+  },
+  // Per-question detail behind scores.phoneInterviewScore
+  phoneInterviewEvaluation: {
+    phoneInterviewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PhoneInterview',
+    },
+    perQuestion: [{
+      questionIndex: Number,
+      question: String,
+      score: Number, // 0-100
+      notes: String,
+    }],
+    mustHaveSkills: [{
+      skill: String,
+      demonstrated: Boolean,
+      evidence: String,
+    }],
+    recommendation: String,
+    evaluatedAt: Date,
   },
   unifiedScore: {
     type: Number,
     min: 0,
     max: 100,
   },
+  // Progress of the background scoring task (scores stay at 0 until it completes)
+  scoringStatus: {
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    error: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+  },
   rawResumeLLM: {
     type: String,
   },
+  // Prompt version that produced each score, keyed by prompt name (0 = built-in template, see promptRegistry.js)
+  promptVersions: {
+    type: Map,
+    of: Number,
+  },
   // Extracted resume scoring details
   skillsMatched: [{
     type: String,
@@ -67,6 +118,26 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     enum: ['yes', 'maybe', 'no'],
   },
+  // Pipeline stage (see pipeline.js); level1_approved and rejected are kept in line with it
+  stage: {
+    type: String,
+    enum: ['applied', 'screened', 'phone_interview', 'video', 'onsite', 'offer', 'hired', 'rejected', 'withdrawn'],
+    default: 'applied',
+  },
+  stageUpdatedAt: {
+    type: Date,
+  },
+  stageHistory: [{
+    from: String,
+    to: String,
+    changedAt: Date,
+    changedByType: {
+      type: String,
+      enum: ['member', 'api_key', 'candidate', 'system'],
+    },
+    changedBy: mongoose.Schema.Types.ObjectId, // Member, ApiKey or User ID
+    reason: String,
+  }],
   level1_approved: {
     type: Boolean,
     default: false,
@@ -83,44 +154,36 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
-  // Link to JobCandidateMatch if this application came from a match
-  matchId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'JobCandidateMatch',
-  },
-  // Phone interview via Bland AI (stored in Application)
-  phoneInterview: {
-    callId: String, // Bland AI call ID
-    status: {
+  // What the job's automation settings did for this application (see screeningAutomation.js)
+  automationEvents: [{
+    _id: false,
+    action: {
       type: String,
-      enum: ['not_initiated', 'initiated', 'scheduled', 'ringing', 'in_progress', 'completed', 'failed', 'no_answer'],
-      default: 'not_initiated',
+      enum: ['screening_created', 'invite_sent', 'invite_skipped', 'invite_failed'],
     },
-    phoneNumber: String,
-    startedAt: Date,
-    scheduledStartTime: String, // Scheduled start time in format "YYYY-MM-DD HH:MM:SS -HH:MM"
-    completedAt: Date,
-    duration: Number, // Duration in seconds
-    recordingUrl: String,
-    transcript: String,
-    summary: String,
-    questions: [{ // Store questions used for the phone interview
-      text: String,
+    trigger: {
       type: String,
-    }],
-    analysis: {
-      technical_skills: [String],
-      behavioral_traits: [String],
-      communication_quality: Number,
-      overall_fit: Number,
-      strengths: [String],
-      concerns: [String],
+      enum: ['scoring', 'level1_approval'],
     },
-    error: String,
+    screeningId: mongoose.Schema.Types.ObjectId,
+    score: Number, // unifiedScore at the time
+    threshold: Number, // Job setting it was compared with
+    reason: String, // Why an invite was skipped or failed
+    occurredAt: Date,
+  }],
+  // Link to JobCandidateMatch if this application came from a match
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobCandidateMatch',
   },
 }, {
   timestamps: true,
 });
 
+applicationSchema.index({ jobId: 1, stage: 1 });
+
+// orgId field and per-organization query scoping
+applicationSchema.plugin(orgScopePlugin);
+
 export default mongoose.model('Application', applicationSchema);
 
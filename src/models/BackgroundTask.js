@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const backgroundTaskSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending',
+  },
+  // Optional de-duplication key: only one pending/running task per key
+  key: {
+    type: String,
+    trim: true,
+  },
+  // Organization the task was enqueued for; the handler runs scoped to it (absent for unscoped tasks)
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  // Earliest time the task may run (used for scheduling and retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // A running task whose lease has expired is considered abandoned (e.g. process restart) and is picked up again
+  leaseExpiresAt: {
+    type: Date,
+  },
+  lockedBy: {
+    type: String,
+  },
+  lastError: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  failedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for efficient task claiming
+backgroundTaskSchema.index({ status: 1, runAt: 1 });
+backgroundTaskSchema.index({ status: 1, leaseExpiresAt: 1 });
+// Only one pending/running task per de-duplication key, so concurrent enqueues of the same key can't both insert
+backgroundTaskSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $exists: true }, status: { $in: ['pending', 'running'] } } }
+);
+
+export default mongoose.model('BackgroundTask', backgroundTaskSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const batchResumeValidationSchema = new mongoose.Schema({
   jobId: {
@@ -28,6 +29,10 @@ const batchResumeValidationSchema = new mongoose.Schema({
       type: String,
       required: true,
     },
+    // Stored resume (S3 URL or local path) so the validation task can run after a restart
+    resumePath: {
+      type: String,
+    },
     applicationId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Application',
@@ -58,5 +63,8 @@ const batchResumeValidationSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// orgId field and per-organization query scoping
+batchResumeValidationSchema.plugin(orgScopePlugin);
+
 export default mongoose.model('BatchResumeValidation', batchResumeValidationSchema);
 
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const candidateSearchSchema = new mongoose.Schema({
   searchText: {
@@ -51,5 +52,8 @@ const candidateSearchSchema = new mongoose.Schema({
 candidateSearchSchema.index({ searchText: 'text' });
 candidateSearchSchema.index({ createdAt: -1 });
 
+// orgId field and per-organization query scoping
+candidateSearchSchema.plugin(orgScopePlugin);
+
 export default mongoose.model('CandidateSearch', candidateSearchSchema);
 
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// Company and regional context used in LLM prompts, emails, phone calls and phone number formatting.
+// Jobs reference a profile; jobs without one use the default profile (isDefault) or the built-in one.
+const companyProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Short description used in prompts, e.g. "leading Indian fintech company"
+  description: {
+    type: String,
+    trim: true,
+  },
+  industry: {
+    type: String,
+    trim: true,
+  },
+  // Domain knowledge candidates are evaluated on, e.g. "Indian payment systems (UPI, digital wallets, payment gateways)"
+  industryContext: {
+    type: String,
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Default job location, e.g. "Noida, Delhi NCR"
+  location: {
+    type: String,
+    trim: true,
+  },
+  // BCP 47 locale, e.g. "en-IN" (language conventions, number formatting, phone call language)
+  locale: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // ISO 4217 currency code, e.g. "INR"
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  // How compensation is written, e.g. "₹25,00,000 per annum or 25 LPA" (defaults to the locale's currency format)
+  compensationFormat: {
+    type: String,
+    trim: true,
+  },
+  // Tone for candidate communication, e.g. "warm and professional"
+  tone: {
+    type: String,
+    trim: true,
+  },
+  // Country calling code added to phone numbers without one, digits only (e.g. "91")
+  defaultCountryCallingCode: {
+    type: String,
+    required: true,
+    match: /^[1-9]\d{0,2}$/,
+  },
+  // IANA timezone of candidates without their own, e.g. "Asia/Kolkata" (phone interview calling windows)
+  timezone: {
+    type: String,
+    trim: true,
+  },
+  // Extra line the AI interviewer uses to introduce the company on calls
+  callIntroduction: {
+    type: String,
+    trim: true,
+  },
+  // Profile used for jobs without a companyProfileId (one per organization)
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+companyProfileSchema.index({ orgId: 1, isDefault: 1 });
+
+// orgId field and per-organization query scoping
+companyProfileSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('CompanyProfile', companyProfileSchema);
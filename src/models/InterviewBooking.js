@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// A phone interview slot a candidate booked with a recruiter (see interviewSlots.js)
+const interviewBookingSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Recruiter whose availability the slot comes from
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+    required: true,
+  },
+  phoneInterviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhoneInterview',
+  },
+  startAt: {
+    type: Date,
+    required: true,
+  },
+  endAt: {
+    type: Date,
+    required: true,
+  },
+  // Every minute (since the epoch) from startAt up to endAt; the unique index below keeps a recruiter's
+  // bookings from overlapping whatever their lengths
+  occupiedMinutes: {
+    type: [Number],
+    default: undefined,
+  },
+  // Slot date in the recruiter's timezone ("YYYY-MM-DD") and the booking's place in the job's daily capacity
+  // for that date (0 ... dailyCapacity - 1); the unique indexes below make reservations atomic
+  day: {
+    type: String,
+    required: true,
+  },
+  capacityIndex: {
+    type: Number,
+    required: true,
+  },
+  // ended: the slot has passed and the candidate booked again (after an unanswered or failed call)
+  status: {
+    type: String,
+    enum: ['booked', 'ended', 'canceled'],
+    default: 'booked',
+  },
+  canceledAt: Date,
+}, {
+  timestamps: true,
+});
+
+// A recruiter minute and a place in a day's capacity can only be held by one booked booking (bookings made
+// before occupiedMinutes existed are left out of the recruiter index)
+interviewBookingSchema.index(
+  { memberId: 1, occupiedMinutes: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked', occupiedMinutes: { $exists: true } } }
+);
+interviewBookingSchema.index({ jobId: 1, day: 1, capacityIndex: 1 }, { unique: true, partialFilterExpression: { status: 'booked' } });
+// An application holds at most one booked slot
+interviewBookingSchema.index({ applicationId: 1 }, { unique: true, partialFilterExpression: { status: 'booked' } });
+interviewBookingSchema.index({ phoneInterviewId: 1 });
+
+// orgId field and per-organization query scoping
+interviewBookingSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('InterviewBooking', interviewBookingSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const jobSchema = new mongoose.Schema({
   raw_jd: {
@@ -13,6 +14,11 @@ const jobSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Company/region context for prompts, emails and calls (defaults to the default company profile)
+  companyProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompanyProfile',
+  },
   role: {
     type: String,
     required: true,
@@ -56,6 +62,19 @@ const jobSchema = new mongoose.Schema({
     time_limit_sec: Number,
     type: String,
   }],
+  // Competencies reviewers rate on scorecards (see scorecards.js); no competencies = no scorecards
+  scorecardTemplate: {
+    competencies: [{
+      _id: false,
+      key: String, // Stable ID that ratings refer to
+      name: String,
+      description: String,
+      scaleMin: Number,
+      scaleMax: Number,
+      scaleLabels: [String], // Optional label per point, from scaleMin to scaleMax
+    }],
+    updatedAt: Date,
+  },
   settings: {
     autoInviteOnLevel1Approval: {
       type: Boolean,
@@ -69,6 +88,122 @@ const jobSchema = new mongoose.Schema({
       type: Number,
       default: 60,
     },
+    // Pipeline stages applications move through (empty = default pipeline, see pipeline.js)
+    pipelineStages: [{
+      type: String,
+    }],
+    // Share of unifiedScore taken by the phone interview score once it exists (0 = not used)
+    phoneInterviewWeight: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0,
+    },
+    // Retries of unanswered or failed phone interview calls (see callRetryPolicy.js)
+    callRetry: {
+      maxAttempts: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 3,
+      },
+      retryDelayMinutes: {
+        type: Number,
+        min: 1,
+        default: 120,
+      },
+      // Local hours [startHour, endHour) on the given weekdays (0 = Sunday) in the candidate's timezone
+      callingWindow: {
+        startHour: {
+          type: Number,
+          min: 0,
+          max: 23,
+          default: 9,
+        },
+        endHour: {
+          type: Number,
+          min: 1,
+          max: 24,
+          default: 19,
+        },
+        days: {
+          type: [Number],
+          default: [1, 2, 3, 4, 5],
+        },
+      },
+      // Slots offered in the follow-up email once all attempts are used
+      followUpSlots: {
+        type: Number,
+        min: 0,
+        max: 10,
+        default: 3,
+      },
+    },
+    // Phone interview slots candidates book themselves from recruiter availability (see interviewSlots.js)
+    interviewScheduling: {
+      // Candidates can only book when enabled
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Recruiters whose availability is offered (empty = every recruiter with availability)
+      recruiterIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+      }],
+      slotMinutes: {
+        type: Number,
+        min: 5,
+        max: 240,
+        default: 30,
+      },
+      // Booked slots per day across all recruiters
+      dailyCapacity: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: 8,
+      },
+      // Slots offered from minNoticeHours to horizonDays ahead
+      minNoticeHours: {
+        type: Number,
+        min: 0,
+        default: 12,
+      },
+      horizonDays: {
+        type: Number,
+        min: 1,
+        max: 60,
+        default: 14,
+      },
+    },
+    // Weights used to combine individual scores into unifiedScore (must sum to 1)
+    scoringWeights: {
+      resumeScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.4,
+      },
+      githubPortfolioScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.25,
+      },
+      compensationScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.15,
+      },
+      aiToolsCompatibilityScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.2,
+      },
+    },
   },
   status: {
     type: String,
@@ -79,5 +214,8 @@ const jobSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// orgId field and per-organization query scoping
+jobSchema.plugin(orgScopePlugin);
+
 export default mongoose.model('Job', jobSchema);
 
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const jobCandidateMatchSchema = new mongoose.Schema({
   jobId: {
@@ -60,5 +61,8 @@ const jobCandidateMatchSchema = new mongoose.Schema({
 jobCandidateMatchSchema.index({ jobId: 1, userId: 1 }, { unique: true });
 jobCandidateMatchSchema.index({ jobId: 1, matchScore: -1 });
 
+// orgId field and per-organization query scoping
+jobCandidateMatchSchema.plugin(orgScopePlugin);
+
 export default mongoose.model('JobCandidateMatch', jobCandidateMatchSchema);
 
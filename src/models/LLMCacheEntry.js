@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Cached LLM response keyed by a hash of prompt name, model, rendered prompt and temperature
+const llmCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  promptName: {
+    type: String,
+    required: true,
+  },
+  model: {
+    type: String,
+  },
+  // Provider that produced the response (may differ from the model's provider after failover)
+  provider: {
+    type: String,
+  },
+  response: {
+    type: String,
+    required: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  lastHitAt: {
+    type: Date,
+  },
+  // MongoDB removes the entry once this date has passed (TTL index below)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+llmCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+llmCacheEntrySchema.index({ promptName: 1 });
+
+export default mongoose.model('LLMCacheEntry', llmCacheEntrySchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// One record per callLLM invocation: every provider attempt made to answer it, token usage and the records it was made for
+const llmCallSchema = new mongoose.Schema({
+  promptName: {
+    type: String,
+    required: true,
+  },
+  // Prompt template version rendered (0 = built-in template in llm.js)
+  promptVersion: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failed'],
+    required: true,
+  },
+  // Provider and model that produced the response (last one tried if the call failed)
+  provider: {
+    type: String,
+  },
+  model: {
+    type: String,
+  },
+  // Provider chain configured for the prompt (first entry is the primary provider)
+  providerChain: [{
+    type: String,
+  }],
+  // True when the response came from (or the call ended on) a provider other than the primary
+  failedOver: {
+    type: Boolean,
+    default: false,
+  },
+  attempts: [{
+    provider: String,
+    model: String,
+    attempt: Number, // Attempt number for this provider (1-based)
+    status: {
+      type: String,
+      enum: ['success', 'error'],
+    },
+    httpStatus: Number,
+    error: String,
+    retryable: Boolean,
+    durationMs: Number,
+    startedAt: Date,
+  }],
+  totalDurationMs: {
+    type: Number,
+  },
+  // Served from the response cache (no provider attempts, no tokens)
+  cached: {
+    type: Boolean,
+    default: false,
+  },
+  // Token usage reported by the provider (Bedrock Converse `usage`, OpenAI `usage`)
+  inputTokens: {
+    type: Number,
+    default: 0,
+  },
+  outputTokens: {
+    type: Number,
+    default: 0,
+  },
+  // Records the call was made for (used to attribute cost)
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  error: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for failover and usage reporting
+llmCallSchema.index({ createdAt: -1 });
+llmCallSchema.index({ promptName: 1, createdAt: -1 });
+llmCallSchema.index({ jobId: 1, createdAt: -1 });
+llmCallSchema.index({ applicationId: 1 });
+llmCallSchema.index({ orgId: 1, createdAt: -1 });
+
+// orgId field and per-organization query scoping
+llmCallSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('LLMCall', llmCallSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+import { ROLES } from '../lib/permissions.js';
+
+// HR team member who signs in to the API (candidates are stored in User)
+const memberSchema = new mongoose.Schema({
+  // Login name, unique across the deployment
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    required: true,
+  },
+  // scrypt hash (see hashPassword in lib/auth.js); only loaded with select('+passwordHash')
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Inactive members can't sign in and their sessions stop working
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// orgId field and per-organization query scoping
+memberSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('Member', memberSchema);
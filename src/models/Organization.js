@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Tenant: a recruiting team whose jobs, candidates and applications are isolated from other organizations
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // URL-safe identifier
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]*$/,
+  },
+  // Organizations allowed to search and match this organization's candidates (one-way)
+  candidatePoolSharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  }],
+}, {
+  timestamps: true,
+});
+
+organizationSchema.index({ candidatePoolSharedWith: 1 });
+
+export default mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// AI phone interview via Bland AI (one document per call; see phoneInterviews.js)
+const phoneInterviewSchema = new mongoose.Schema({
+  // Candidate called
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Application, screening and job the call is for (none for calls to candidates found through search)
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+  },
+  screeningId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Screening',
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  // Company the call is made for (defaults to the job's or the default company profile)
+  companyProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompanyProfile',
+  },
+  callId: String, // Bland AI call ID
+  status: {
+    type: String,
+    enum: ['not_initiated', 'initiated', 'scheduled', 'ringing', 'in_progress', 'completed', 'failed', 'no_answer', 'canceled'],
+    default: 'not_initiated',
+  },
+  phoneNumber: String,
+  startedAt: Date,
+  scheduledStartTime: String, // Scheduled start time in format "YYYY-MM-DD HH:MM:SS -HH:MM"
+  offeredSlots: [String], // Start times the candidate can pick from in the portal (same format)
+  completedAt: Date,
+  canceledAt: Date,
+  duration: Number, // Duration in seconds
+  recordingUrl: String,
+  transcript: String,
+  summary: String,
+  questions: [{
+    text: String,
+    type: String,
+  }],
+  analysis: {
+    technical_skills: [String],
+    behavioral_traits: [String],
+    communication_quality: Number,
+    overall_fit: Number,
+    strengths: [String],
+    concerns: [String],
+  },
+  // LLM evaluation of the transcript against the questions and the job's must-have skills (see phoneInterviewScoring.js)
+  evaluation: {
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+    },
+    overallScore: Number, // 0-100
+    perQuestion: [{
+      questionIndex: Number,
+      question: String,
+      score: Number, // 0-100
+      notes: String,
+    }],
+    mustHaveSkills: [{
+      skill: String,
+      demonstrated: Boolean,
+      evidence: String,
+    }],
+    recommendation: String,
+    confidence: Number,
+    summary: String,
+    promptVersion: Number,
+    error: String,
+    evaluatedAt: Date,
+  },
+  error: String,
+  // Call attempt (retries of unanswered or failed calls count up, see callRetryPolicy.js)
+  attempt: {
+    type: Number,
+    default: 1,
+  },
+  // Unanswered or failed call this call retries
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhoneInterview',
+  },
+  // Scheduled call this call replaced (the old one is canceled)
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhoneInterview',
+  },
+  followUpSentAt: Date, // All attempts were used and the candidate was emailed new slots
+  // Where a migrated interview was embedded before (Application.phoneInterview, Screening.phoneInterview
+  // or User.phoneInterviewSummaries[index])
+  migratedFrom: {
+    source: String,
+    sourceId: mongoose.Schema.Types.ObjectId,
+    index: Number,
+  },
+}, {
+  timestamps: true,
+});
+
+phoneInterviewSchema.index({ callId: 1 });
+phoneInterviewSchema.index({ applicationId: 1, createdAt: -1 });
+phoneInterviewSchema.index({ userId: 1, createdAt: -1 });
+phoneInterviewSchema.index({ retryOf: 1 });
+
+// orgId field and per-organization query scoping
+phoneInterviewSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('PhoneInterview', phoneInterviewSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// A/B comparison of two prompt versions over a saved set of applications
+const promptEvaluationSchema = new mongoose.Schema({
+  promptName: {
+    type: String,
+    required: true,
+  },
+  versionA: {
+    type: Number,
+    required: true,
+  },
+  versionB: {
+    type: Number,
+    required: true,
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  // Applications whose resumes are scored with both versions
+  applicationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+  error: {
+    type: String,
+  },
+  results: [{
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+    },
+    scoreA: Number,
+    scoreB: Number,
+    recommendationA: String,
+    recommendationB: String,
+    error: String,
+  }],
+  // Score distributions per version and how they differ (see promptEvaluation.js)
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+promptEvaluationSchema.index({ promptName: 1, createdAt: -1 });
+
+// orgId field and per-organization query scoping
+promptEvaluationSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('PromptEvaluation', promptEvaluationSchema);
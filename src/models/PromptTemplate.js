@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// An organization's stored version of an LLM prompt template. Version 0 is reserved for the built-in template in llm.js.
+const promptTemplateSchema = new mongoose.Schema({
+  promptName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // User prompt with {{placeholders}} for payload fields, e.g. {{resumeText}} or {{job.role}}
+  template: {
+    type: String,
+    required: true,
+  },
+  // Replaces the default system prompt when set
+  systemPrompt: {
+    type: String,
+  },
+  // Replaces the prompt's default temperature when set
+  temperature: {
+    type: Number,
+    min: 0,
+    max: 2,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Only one active version per prompt; without one the built-in template is used
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft',
+  },
+  activatedAt: {
+    type: Date,
+  },
+  createdByType: {
+    type: String,
+    enum: ['member', 'api_key', 'candidate', 'system'],
+  },
+  createdBy: mongoose.Schema.Types.ObjectId, // Member or ApiKey ID
+}, {
+  timestamps: true,
+});
+
+// Each organization numbers its own versions
+promptTemplateSchema.index({ orgId: 1, promptName: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ orgId: 1, promptName: 1, status: 1 });
+
+// orgId field and per-organization query scoping
+promptTemplateSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
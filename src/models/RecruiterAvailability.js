@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// When a recruiter can take phone interviews (see interviewSlots.js); one document per member
+const recruiterAvailabilitySchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+    required: true,
+  },
+  // IANA timezone the working hours and blackout dates are in, e.g. "Asia/Kolkata"
+  timezone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Weekly working hours, e.g. { day: 1, start: "09:00", end: "13:00" } (day 0 = Sunday; several ranges per day allowed)
+  workingHours: [{
+    _id: false,
+    day: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true,
+    },
+    start: {
+      type: String,
+      required: true,
+    },
+    end: {
+      type: String,
+      required: true,
+    },
+  }],
+  // Days off ("YYYY-MM-DD" in the recruiter's timezone)
+  blackoutDates: [{
+    type: String,
+  }],
+}, {
+  timestamps: true,
+});
+
+recruiterAvailabilitySchema.index({ memberId: 1 }, { unique: true });
+
+// orgId field and per-organization query scoping
+recruiterAvailabilitySchema.plugin(orgScopePlugin);
+
+export default mongoose.model('RecruiterAvailability', recruiterAvailabilitySchema);
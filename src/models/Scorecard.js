@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// A reviewer's ratings of an application, or of its video screening, on the job's scorecard template
+// (see scorecards.js)
+const scorecardSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+  },
+  // Set for screening scorecards, null for application scorecards
+  screeningId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Screening',
+    default: null,
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+    required: true,
+  },
+  ratings: [{
+    _id: false,
+    competencyKey: String,
+    rating: Number, // On the competency's scale
+    notes: String,
+  }],
+  recommendation: {
+    type: String,
+    enum: ['yes', 'maybe', 'no'],
+  },
+  notes: {
+    type: String,
+  },
+  // Ratings on a 0-100 scale (mean of each rating's position on its competency's scale), set on submit
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // Drafts can be edited; submitted scorecards are final
+  status: {
+    type: String,
+    enum: ['draft', 'submitted'],
+    default: 'draft',
+  },
+  submittedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// One scorecard per reviewer for an application and for its screening
+scorecardSchema.index({ applicationId: 1, screeningId: 1, reviewerId: 1 }, { unique: true });
+scorecardSchema.index({ jobId: 1, status: 1 });
+
+// orgId field and per-organization query scoping
+scorecardSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('Scorecard', scorecardSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const screeningSchema = new mongoose.Schema({
   applicationId: {
@@ -14,6 +15,18 @@ const screeningSchema = new mongoose.Schema({
   screening_link: {
     type: String,
   },
+  // ID (jti) of the token in the current screening_link; older links stop working (see screeningAccess.js)
+  accessTokenId: {
+    type: String,
+  },
+  // Candidates can't open or submit the screening after this
+  deadlineAt: {
+    type: Date,
+  },
+  // Set once, when the candidate submits their answers
+  submittedAt: {
+    type: Date,
+  },
   screening_questions: [{
     text: String,
     time_limit_sec: Number,
@@ -22,9 +35,89 @@ const screeningSchema = new mongoose.Schema({
   videoUrl: {
     type: String,
   },
+  // Uploaded answer videos, one per question (questionIndex refers to screening_questions)
+  videoClips: [{
+    _id: false,
+    questionIndex: Number,
+    location: String, // S3 URL or local file path (see storage.js)
+    mimeType: String,
+    sizeBytes: Number,
+    uploadedAt: Date,
+    // Speech-to-text of the clip (timestamps relative to the clip), set by video processing
+    transcription: {
+      provider: String,
+      model: String,
+      language: String,
+      durationSec: Number,
+      transcript: String,
+      segments: [{
+        _id: false,
+        start: Number,
+        end: Number,
+        text: String,
+        confidence: Number,
+      }],
+      transcribedAt: Date,
+    },
+  }],
+  // When each question started and stopped in videoUrl, recorded by the candidate's browser
+  questionTimings: [{
+    _id: false,
+    questionIndex: Number,
+    startSec: Number, // Seconds from the start of the video
+    endSec: Number,
+  }],
   transcript: {
     type: String,
   },
+  // Speech-to-text details of the transcript (see stt.js)
+  transcription: {
+    videoUrl: String, // Video the transcript belongs to
+    provider: String,
+    model: String,
+    language: String, // ISO 639-1
+    durationSec: Number,
+    segments: [{
+      _id: false,
+      start: Number, // Seconds from the start of the video
+      end: Number,
+      text: String,
+      confidence: Number, // 0-1
+    }],
+    transcribedAt: Date,
+  },
+  // Answer to each question, taken from its clip or from the transcript between its start/stop times
+  // (see screeningAnswers.js); scoring grades each question on these
+  answers: [{
+    _id: false,
+    questionIndex: Number,
+    source: {
+      type: String,
+      enum: ['clip', 'timestamps', 'none'],
+    },
+    startSec: Number,
+    endSec: Number,
+    durationSec: Number,
+    timeLimitSec: Number,
+    overrunSec: Number, // How far the answer went past time_limit_sec
+    truncated: Boolean, // Speech after the time limit (and grace period) was left out of text
+    text: String,
+  }],
+  // Progress of the background video processing task (transcription, then scoring)
+  processingStatus: {
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+    },
+    error: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+  },
   scoring: {
     per_question: [{
       question_index: Number,
@@ -38,38 +131,24 @@ const screeningSchema = new mongoose.Schema({
     overall_recommendation: String,
     two_line_summary: String,
   },
+  // Prompt version that produced the scoring, keyed by prompt name (0 = built-in template, see promptRegistry.js)
+  promptVersions: {
+    type: Map,
+    of: Number,
+  },
   invite_sent_at: {
     type: Date,
   },
-  // Phone interview via Bland AI
-  phoneInterview: {
-    callId: String, // Bland AI call ID
-    status: {
-      type: String,
-      enum: ['not_initiated', 'initiated', 'scheduled', 'ringing', 'in_progress', 'completed', 'failed', 'no_answer'],
-      default: 'not_initiated',
-    },
-    phoneNumber: String,
-    startedAt: Date,
-    scheduledStartTime: String, // Scheduled start time in format "YYYY-MM-DD HH:MM:SS -HH:MM"
-    completedAt: Date,
-    duration: Number, // Duration in seconds
-    recordingUrl: String,
-    transcript: String,
-    summary: String,
-    analysis: {
-      technical_skills: [String],
-      behavioral_traits: [String],
-      communication_quality: Number,
-      overall_fit: Number,
-      strengths: [String],
-      concerns: [String],
-    },
-    error: String,
-  },
+  // Deadline reminders sent to the candidate
+  remindersSentAt: [{
+    type: Date,
+  }],
 }, {
   timestamps: true,
 });
 
+// orgId field and per-organization query scoping
+screeningSchema.plugin(orgScopePlugin);
+
 export default mongoose.model('Screening', screeningSchema);
 
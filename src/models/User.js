@@ -1,10 +1,10 @@
 import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
 
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
-    unique: true,
     lowercase: true,
     trim: true,
   },
@@ -17,6 +17,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // IANA timezone, e.g. "Asia/Kolkata" (phone interview calls are planned in it; see callRetryPolicy.js)
+  timezone: {
+    type: String,
+    trim: true,
+  },
   resumePath: {
     type: String, // Can be S3 URL or local path (for backward compatibility)
   },
@@ -74,43 +79,27 @@ const userSchema = new mongoose.Schema({
   lastJobSwitchDate: {
     type: String, // YYYY-MM format
   },
-  // Phone interview summaries (for users without applications, e.g., from AI search)
-  phoneInterviewSummaries: [{
-    callId: String, // Bland AI call ID
-    status: {
-      type: String,
-      enum: ['not_initiated', 'initiated', 'scheduled', 'ringing', 'in_progress', 'completed', 'failed', 'no_answer'],
-      default: 'not_initiated',
-    },
-    phoneNumber: String,
-    startedAt: Date,
-    scheduledStartTime: String, // Scheduled start time in format "YYYY-MM-DD HH:MM:SS -HH:MM"
-    completedAt: Date,
-    duration: Number, // Duration in seconds
-    recordingUrl: String,
-    transcript: String,
-    summary: String,
-    questions: [{
-      text: String,
-      type: String,
-    }],
-    analysis: {
-      technical_skills: [String],
-      behavioral_traits: [String],
-      communication_quality: Number,
-      overall_fit: Number,
-      strengths: [String],
-      concerns: [String],
-    },
-    error: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-  }],
+  // Candidate portal magic link (SHA-256 of the single-use token, see candidatePortal.js)
+  portalTokenHash: {
+    type: String,
+    select: false,
+  },
+  portalTokenExpiresAt: {
+    type: Date,
+  },
+  portalTokenIssuedAt: {
+    type: Date,
+  },
 }, {
   timestamps: true,
 });
 
+// orgId field and per-organization query scoping
+userSchema.plugin(orgScopePlugin);
+
+// Email is unique within an organization (the same candidate can exist in several organizations)
+userSchema.index({ orgId: 1, email: 1 }, { unique: true });
+userSchema.index({ portalTokenHash: 1 }, { sparse: true });
+
 export default mongoose.model('User', userSchema);
 
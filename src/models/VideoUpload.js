@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { orgScopePlugin } from '../lib/orgScope.js';
+
+// A resumable upload of a screening answer video, sent in chunks (see screeningVideos.js)
+const videoUploadSchema = new mongoose.Schema({
+  screeningId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Screening',
+    required: true,
+  },
+  questionIndex: {
+    type: Number,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  totalBytes: {
+    type: Number,
+    required: true,
+  },
+  receivedBytes: {
+    type: Number,
+    default: 0,
+  },
+  // Chunks received so far are appended to this file on the server that created the upload
+  tempPath: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'expired'],
+    default: 'uploading',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  completedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+videoUploadSchema.index({ status: 1, expiresAt: 1 });
+
+// orgId field and per-organization query scoping
+videoUploadSchema.plugin(orgScopePlugin);
+
+export default mongoose.model('VideoUpload', videoUploadSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Webhook delivery that was accepted for processing, used to drop duplicate and replayed deliveries
+const webhookDeliverySchema = new mongoose.Schema({
+  // SHA-256 of the provider name and raw request body
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  callId: {
+    type: String,
+  },
+  path: {
+    type: String,
+  },
+  // MongoDB removes the entry once this date has passed (TTL index below)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -1,6 +1,10 @@
 import express from 'express';
-import { callLLM } from '../lib/llm.js';
-import { parseJsonSafely } from '../lib/parseJsonSafely.js';
+import mongoose from 'mongoose';
+import { callLLMJson } from '../lib/llm.js';
+import LLMCall from '../models/LLMCall.js';
+import { getPriceTable, calculateLLMCost, getModelPrice } from '../lib/llmPricing.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
 
 const router = express.Router();
 
@@ -22,7 +26,7 @@ const router = express.Router();
  *   ...
  * ]
  */
-router.post('/check-criteria', async (req, res) => {
+router.post('/check-criteria', requirePermission(PERMISSIONS.CANDIDATES_SEARCH), async (req, res) => {
   try {
     const { text } = req.body;
 
@@ -35,27 +39,20 @@ router.post('/check-criteria', async (req, res) => {
     console.log(`[Analysis] Checking criteria for text (${text.length} characters)`);
 
     // Call LLM to check criteria
-    const llmResponse = await callLLM('CRITERIA_CHECK', { text });
-    const parsed = parseJsonSafely(llmResponse);
-
-    if (!parsed.ok) {
-      console.error('[Analysis] Failed to parse LLM response:', parsed.error);
+    let criteria;
+    try {
+      criteria = await callLLMJson('CRITERIA_CHECK', { text });
+    } catch (error) {
+      console.error('[Analysis] Failed to parse LLM response:', error.message);
       return res.status(500).json({ 
         error: 'Failed to analyze criteria',
-        details: parsed.error 
-      });
-    }
-
-    // Validate response structure
-    if (!Array.isArray(parsed.json)) {
-      return res.status(500).json({ 
-        error: 'Invalid response format: expected array' 
+        details: error.message 
       });
     }
 
     // Ensure all 5 labels are present
     const expectedLabels = ['Location', 'Job Title', 'Years of Experience', 'Industry', 'Skills'];
-    const responseLabels = parsed.json.map(item => item.label);
+    const responseLabels = criteria.map(item => item.label);
 
     // Check if all expected labels are present
     const missingLabels = expectedLabels.filter(label => !responseLabels.includes(label));
@@ -65,7 +62,7 @@ router.post('/check-criteria', async (req, res) => {
 
     // Ensure response has correct structure
     const result = expectedLabels.map(label => {
-      const found = parsed.json.find(item => item.label === label);
+      const found = criteria.find(item => item.label === label);
       if (found) {
         return {
           label: found.label,
@@ -91,5 +88,266 @@ router.post('/check-criteria', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analysis/llm-failover
+ * Report how often LLM calls needed retries or failed over to a secondary provider
+ *
+ * Query params:
+ * - days: Look-back window in days (default 7)
+ * - promptName: Only include calls for this prompt
+ *
+ * Response:
+ * {
+ *   "since": "...",
+ *   "totalCalls": 120,
+ *   "failedCalls": 2,
+ *   "retriedCalls": 9,
+ *   "failedOverCalls": 4,
+ *   "failoverRate": 3.33,
+ *   "byPrompt": [{ "promptName": "RESUME_SCORING", "totalCalls": 40, "failedCalls": 0, "retriedCalls": 5, "failedOverCalls": 3 }],
+ *   "byProvider": [{ "provider": "bedrock", "attempts": 130, "errors": 12, "errorsByStatus": { "429": 10, "other": 2 } }]
+ * }
+ */
+router.get('/llm-failover', requirePermission(PERMISSIONS.ANALYSIS_READ), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Cache hits never reach a provider
+    const match = { createdAt: { $gte: since }, cached: { $ne: true } };
+    if (req.query.promptName) {
+      match.promptName = req.query.promptName;
+    }
+
+    const byPrompt = await LLMCall.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$promptName',
+          totalCalls: { $sum: 1 },
+          failedCalls: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          retriedCalls: { $sum: { $cond: [{ $gt: [{ $size: '$attempts' }, 1] }, 1, 0] } },
+          failedOverCalls: { $sum: { $cond: ['$failedOver', 1, 0] } },
+        },
+      },
+      { $sort: { totalCalls: -1 } },
+    ]);
+
+    const providerAttempts = await LLMCall.aggregate([
+      { $match: match },
+      { $unwind: '$attempts' },
+      {
+        $group: {
+          _id: {
+            provider: '$attempts.provider',
+            status: '$attempts.status',
+            httpStatus: { $ifNull: ['$attempts.httpStatus', null] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const providers = {};
+    for (const row of providerAttempts) {
+      const { provider, status, httpStatus } = row._id;
+      providers[provider] = providers[provider] || { provider, attempts: 0, errors: 0, errorsByStatus: {} };
+      providers[provider].attempts += row.count;
+      if (status === 'error') {
+        // Errors without an HTTP status are timeouts, network or configuration errors
+        const key = httpStatus ? String(httpStatus) : 'other';
+        providers[provider].errors += row.count;
+        providers[provider].errorsByStatus[key] = (providers[provider].errorsByStatus[key] || 0) + row.count;
+      }
+    }
+
+    const totals = byPrompt.reduce((acc, row) => ({
+      totalCalls: acc.totalCalls + row.totalCalls,
+      failedCalls: acc.failedCalls + row.failedCalls,
+      retriedCalls: acc.retriedCalls + row.retriedCalls,
+      failedOverCalls: acc.failedOverCalls + row.failedOverCalls,
+    }), { totalCalls: 0, failedCalls: 0, retriedCalls: 0, failedOverCalls: 0 });
+
+    res.json({
+      since,
+      ...totals,
+      failoverRate: totals.totalCalls > 0
+        ? Math.round((totals.failedOverCalls / totals.totalCalls) * 10000) / 100
+        : 0,
+      byPrompt: byPrompt.map(({ _id, ...row }) => ({ promptName: _id, ...row })),
+      byProvider: Object.values(providers),
+    });
+  } catch (error) {
+    console.error('[Analysis] Error building LLM failover report:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Round a USD amount for reporting
+ */
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Add one aggregated usage row to a report bucket
+ */
+function addUsage(buckets, key, fields, row, cost) {
+  if (!buckets.has(key)) {
+    buckets.set(key, { ...fields, calls: 0, failedCalls: 0, cachedCalls: 0, inputTokens: 0, outputTokens: 0, cost: 0, totalDurationMs: 0 });
+  }
+  const bucket = buckets.get(key);
+  bucket.calls += row.calls;
+  bucket.failedCalls += row.failedCalls;
+  bucket.cachedCalls += row.cachedCalls;
+  bucket.inputTokens += row.inputTokens;
+  bucket.outputTokens += row.outputTokens;
+  bucket.cost += cost;
+  bucket.totalDurationMs += row.totalDurationMs;
+}
+
+/**
+ * Format report buckets (rounded cost, average latency), most expensive first
+ */
+function formatUsage(buckets) {
+  return Array.from(buckets.values())
+    .map(({ totalDurationMs, ...bucket }) => ({
+      ...bucket,
+      cost: roundCost(bucket.cost),
+      avgLatencyMs: bucket.calls > 0 ? Math.round(totalDurationMs / bucket.calls) : 0,
+    }))
+    .sort((a, b) => b.cost - a.cost);
+}
+
+/**
+ * GET /api/analysis/llm-usage
+ * Aggregate LLM token usage and cost per job, per prompt and per day
+ * Cost is calculated with the price table in lib/llmPricing.js (override with LLM_PRICE_TABLE)
+ *
+ * Query params:
+ * - days: Look-back window in days (default 30)
+ * - jobId: Only include calls made for this job
+ * - applicationId: Only include calls made for this application
+ *
+ * Response:
+ * {
+ *   "since": "...",
+ *   "currency": "USD",
+ *   "totals": { "calls": 800, "failedCalls": 3, "cachedCalls": 120, "inputTokens": 2400000, "outputTokens": 310000, "cost": 9.87, "avgLatencyMs": 4200 },
+ *   "applications": { "count": 95, "totalCost": 8.12, "averageCost": 0.0855 },
+ *   "byJob": [{ "jobId": "...", "calls": 120, ... }],
+ *   "byPrompt": [{ "promptName": "RESUME_SCORING", "calls": 95, ... }],
+ *   "byDay": [{ "date": "2025-01-01", "calls": 40, ... }],
+ *   "unpricedModels": []
+ * }
+ */
+router.get('/llm-usage', requirePermission(PERMISSIONS.ANALYSIS_READ), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const match = { createdAt: { $gte: since } };
+    if (req.query.jobId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.jobId)) {
+        return res.status(400).json({ error: 'Invalid jobId' });
+      }
+      match.jobId = new mongoose.Types.ObjectId(req.query.jobId);
+    }
+    if (req.query.applicationId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.applicationId)) {
+        return res.status(400).json({ error: 'Invalid applicationId' });
+      }
+      match.applicationId = new mongoose.Types.ObjectId(req.query.applicationId);
+    }
+
+    // Group by model as well so each row can be priced
+    const rows = await LLMCall.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            model: '$model',
+            promptName: '$promptName',
+            jobId: { $ifNull: ['$jobId', null] },
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          },
+          calls: { $sum: 1 },
+          failedCalls: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          cachedCalls: { $sum: { $cond: ['$cached', 1, 0] } },
+          inputTokens: { $sum: { $ifNull: ['$inputTokens', 0] } },
+          outputTokens: { $sum: { $ifNull: ['$outputTokens', 0] } },
+          totalDurationMs: { $sum: { $ifNull: ['$totalDurationMs', 0] } },
+        },
+      },
+    ]);
+
+    const priceTable = getPriceTable();
+    const totals = new Map();
+    const byJob = new Map();
+    const byPrompt = new Map();
+    const byDay = new Map();
+    const unpricedModels = new Set();
+
+    for (const row of rows) {
+      const { model, promptName, jobId, date } = row._id;
+      if (model && !getModelPrice(model, priceTable)) {
+        unpricedModels.add(model);
+      }
+      const cost = calculateLLMCost(model, row.inputTokens, row.outputTokens, priceTable);
+
+      addUsage(totals, 'all', {}, row, cost);
+      addUsage(byJob, String(jobId), { jobId }, row, cost);
+      addUsage(byPrompt, promptName, { promptName }, row, cost);
+      addUsage(byDay, date, { date }, row, cost);
+    }
+
+    // Cost per application (calls made while scoring an application)
+    const applicationRows = await LLMCall.aggregate([
+      { $match: { ...match, applicationId: { $ne: null } } },
+      {
+        $group: {
+          _id: { applicationId: '$applicationId', model: '$model' },
+          inputTokens: { $sum: { $ifNull: ['$inputTokens', 0] } },
+          outputTokens: { $sum: { $ifNull: ['$outputTokens', 0] } },
+        },
+      },
+    ]);
+
+    const applicationIds = new Set();
+    let applicationCost = 0;
+    for (const row of applicationRows) {
+      applicationIds.add(String(row._id.applicationId));
+      applicationCost += calculateLLMCost(row._id.model, row.inputTokens, row.outputTokens, priceTable);
+    }
+
+    const [overall] = formatUsage(totals);
+
+    res.json({
+      since,
+      currency: 'USD',
+      totals: overall || { calls: 0, failedCalls: 0, cachedCalls: 0, inputTokens: 0, outputTokens: 0, cost: 0, avgLatencyMs: 0 },
+      applications: {
+        count: applicationIds.size,
+        totalCost: roundCost(applicationCost),
+        averageCost: applicationIds.size > 0 ? roundCost(applicationCost / applicationIds.size) : 0,
+      },
+      byJob: formatUsage(byJob),
+      byPrompt: formatUsage(byPrompt),
+      byDay: formatUsage(byDay).sort((a, b) => a.date.localeCompare(b.date)),
+      unpricedModels: Array.from(unpricedModels),
+    });
+  } catch (error) {
+    console.error('[Analysis] Error building LLM usage report:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      details: error.message 
+    });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,190 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import Member from '../models/Member.js';
+import { loginMember, generateApiKey } from '../lib/auth.js';
+import { PERMISSIONS, validateApiKeyScopes } from '../lib/permissions.js';
+import { requirePermission, requireAuthenticated } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Format an API key for API responses (the key itself is never returned after creation)
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    createdBy: apiKey.createdBy,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey.createdAt,
+  };
+}
+
+/**
+ * POST /api/auth/login
+ * Sign in and get a session token
+ *
+ * Request body:
+ * {
+ *   "email": "recruiter@example.com",
+ *   "password": "..."
+ * }
+ *
+ * Response:
+ * {
+ *   "token": "...",       // Send as "Authorization: Bearer <token>"
+ *   "expiresAt": "...",
+ *   "member": { "id": "...", "email": "...", "name": "...", "role": "recruiter", "orgId": "..." }
+ * }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    const session = await loginMember(email, password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    console.log(`[Auth] ${session.member.email} signed in`);
+    res.json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      member: {
+        id: session.member._id,
+        email: session.member.email,
+        name: session.member.name,
+        role: session.member.role,
+        orgId: session.member.orgId,
+      },
+    });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the caller (member or API key) and its permissions
+ */
+router.get('/me', requireAuthenticated, async (req, res) => {
+  try {
+    const member = req.auth.memberId ? await Member.findById(req.auth.memberId).lean() : null;
+
+    res.json({
+      type: req.auth.type,
+      orgId: req.auth.orgId,
+      role: req.auth.role || null,
+      permissions: req.auth.permissions,
+      member: member ? { id: member._id, email: member.email, name: member.name } : null,
+      apiKeyId: req.auth.apiKeyId || null,
+    });
+  } catch (error) {
+    console.error('Error fetching current member:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the organization's API keys
+ */
+router.get('/api-keys', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 }).lean();
+    res.json({ apiKeys: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key
+ *
+ * Request body:
+ * {
+ *   "name": "ATS sync",
+ *   "scopes": ["jobs:read", "applications:read"],  // Permissions, at most those of the caller
+ *   "expiresAt": "2027-01-01T00:00:00Z"            // Optional
+ * }
+ *
+ * The response contains the key; it can't be retrieved again.
+ */
+router.post('/api-keys', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'name is required and must be a non-empty string' });
+    }
+    const scopeCheck = validateApiKeyScopes(scopes, req.auth.permissions);
+    if (!scopeCheck.ok) {
+      return res.status(400).json({ error: 'Invalid scopes', details: scopeCheck.errors });
+    }
+    let expiry;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt must be a future date' });
+      }
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      keyHash,
+      keyPrefix,
+      scopes: [...new Set(scopes)],
+      createdBy: req.auth.memberId,
+      expiresAt: expiry,
+    });
+    console.log(`[Auth] Created API key ${apiKey.keyPrefix}... (${apiKey.name})`);
+
+    res.status(201).json({ ...formatApiKey(apiKey), key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid API key ID' });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      console.log(`[Auth] Revoked API key ${apiKey.keyPrefix}... (${apiKey.name})`);
+    }
+
+    res.json(formatApiKey(apiKey));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,133 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Member from '../models/Member.js';
+import RecruiterAvailability from '../models/RecruiterAvailability.js';
+import { validateAvailability } from '../lib/interviewSlots.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Format a recruiter's availability for API responses
+ */
+function formatAvailability(availability) {
+  return {
+    memberId: availability.memberId,
+    timezone: availability.timezone,
+    workingHours: availability.workingHours,
+    blackoutDates: availability.blackoutDates,
+    updatedAt: availability.updatedAt,
+  };
+}
+
+/**
+ * Resolve the :memberId parameter ("me" is the signed-in member)
+ * @returns {string|null}
+ */
+function resolveMemberId(req) {
+  const memberId = req.params.memberId === 'me' ? req.auth.memberId : req.params.memberId;
+  return memberId && mongoose.Types.ObjectId.isValid(memberId) ? memberId : null;
+}
+
+/**
+ * GET /api/availability
+ * List the availability of every recruiter who has set it
+ */
+router.get('/', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const availabilities = await RecruiterAvailability.find().sort({ createdAt: 1 });
+    res.json({ availabilities: availabilities.map(formatAvailability) });
+  } catch (error) {
+    console.error('Error listing availability:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/availability/:memberId
+ * Get a recruiter's availability (":memberId" can be "me")
+ */
+router.get('/:memberId', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const memberId = resolveMemberId(req);
+    if (!memberId) {
+      return res.status(400).json({ error: 'Invalid member ID' });
+    }
+
+    const availability = await RecruiterAvailability.findOne({ memberId });
+    if (!availability) {
+      return res.status(404).json({ error: 'No availability set for this member' });
+    }
+    res.json(formatAvailability(availability));
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/availability/:memberId
+ * Set a recruiter's availability (":memberId" can be "me")
+ *
+ * Request body:
+ * {
+ *   "timezone": "Asia/Kolkata",
+ *   "workingHours": [                              // day: 0 = Sunday ... 6 = Saturday
+ *     { "day": 1, "start": "09:00", "end": "13:00" },
+ *     { "day": 1, "start": "14:00", "end": "18:00" }
+ *   ],
+ *   "blackoutDates": ["2025-01-26"]                // Optional, days off in the recruiter's timezone
+ * }
+ */
+router.put('/:memberId', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const { timezone, workingHours, blackoutDates = [] } = req.body;
+
+    const memberId = resolveMemberId(req);
+    if (!memberId) {
+      return res.status(400).json({ error: 'Invalid member ID' });
+    }
+    const validation = validateAvailability({ timezone, workingHours, blackoutDates });
+    if (!validation.ok) {
+      return res.status(400).json({ error: 'Invalid availability', details: validation.errors });
+    }
+    if (!await Member.exists({ _id: memberId })) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const availability = await RecruiterAvailability.findOne({ memberId }) || new RecruiterAvailability({ memberId });
+    availability.set({ timezone, workingHours, blackoutDates: [...new Set(blackoutDates)].sort() });
+    await availability.save();
+    console.log(`[Availability] Updated availability of member ${memberId}`);
+
+    res.json(formatAvailability(availability));
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/availability/:memberId
+ * Remove a recruiter's availability (booked interviews are kept)
+ */
+router.delete('/:memberId', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const memberId = resolveMemberId(req);
+    if (!memberId) {
+      return res.status(400).json({ error: 'Invalid member ID' });
+    }
+
+    const result = await RecruiterAvailability.deleteOne({ memberId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'No availability set for this member' });
+    }
+    res.json({ message: 'Availability removed' });
+  } catch (error) {
+    console.error('Error removing availability:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
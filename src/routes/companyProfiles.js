@@ -0,0 +1,184 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CompanyProfile from '../models/CompanyProfile.js';
+import Job from '../models/Job.js';
+import {
+  COMPANY_PROFILE_FIELDS,
+  DEFAULT_COMPANY_PROFILE,
+  validateCompanyProfileFields,
+  setDefaultCompanyProfile,
+  clearCompanyProfileCache,
+} from '../lib/companyProfile.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+
+const router = express.Router();
+
+/**
+ * Pick the settable profile fields from a request body
+ */
+function pickProfileFields(body) {
+  return Object.fromEntries(COMPANY_PROFILE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]]));
+}
+
+/**
+ * GET /api/company-profiles
+ * List company profiles (builtinDefault is used when no profile is marked as default)
+ */
+router.get('/', requirePermission(PERMISSIONS.COMPANY_PROFILES_READ), async (req, res) => {
+  try {
+    const profiles = await CompanyProfile.find().sort({ isDefault: -1, name: 1 }).lean();
+    res.json({
+      profiles,
+      builtinDefault: profiles.some(profile => profile.isDefault) ? null : DEFAULT_COMPANY_PROFILE,
+    });
+  } catch (error) {
+    console.error('Error listing company profiles:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/company-profiles
+ * Create a company profile
+ *
+ * Request body:
+ * {
+ *   "name": "Acme",
+ *   "description": "US healthtech company",        // Optional - used in prompts
+ *   "industry": "healthtech",                      // Optional
+ *   "industryContext": "HIPAA and EHR integrations", // Optional - domain knowledge candidates are evaluated on
+ *   "country": "United States",
+ *   "location": "Austin, TX",                      // Optional - default job location
+ *   "locale": "en-US",
+ *   "currency": "USD",
+ *   "compensationFormat": "$120,000 per year",     // Optional - defaults to the locale's currency format
+ *   "tone": "friendly and concise",                // Optional
+ *   "defaultCountryCallingCode": "1",
+ *   "callIntroduction": "...",                     // Optional - extra line in the phone interview greeting
+ *   "isDefault": true                              // Optional - use for jobs without a companyProfileId
+ * }
+ */
+router.post('/', requirePermission(PERMISSIONS.COMPANY_PROFILES_WRITE), async (req, res) => {
+  try {
+    const fields = pickProfileFields(req.body);
+    const validation = validateCompanyProfileFields(fields);
+    if (!validation.ok) {
+      return res.status(400).json({ error: 'Invalid company profile', details: validation.errors });
+    }
+
+    let profile = await CompanyProfile.create(fields);
+    if (req.body.isDefault === true) {
+      profile = await setDefaultCompanyProfile(profile._id);
+    }
+
+    res.status(201).json(profile);
+  } catch (error) {
+    console.error('Error creating company profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/company-profiles/:id
+ */
+router.get('/:id', requirePermission(PERMISSIONS.COMPANY_PROFILES_READ), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid company profile ID' });
+    }
+
+    const profile = await CompanyProfile.findById(req.params.id).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Company profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching company profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * PATCH /api/company-profiles/:id
+ * Update profile fields (same fields as POST, all optional)
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.COMPANY_PROFILES_WRITE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid company profile ID' });
+    }
+
+    const fields = pickProfileFields(req.body);
+    const validation = validateCompanyProfileFields(fields, { partial: true });
+    if (!validation.ok) {
+      return res.status(400).json({ error: 'Invalid company profile', details: validation.errors });
+    }
+
+    const profile = await CompanyProfile.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+    if (!profile) {
+      return res.status(404).json({ error: 'Company profile not found' });
+    }
+
+    clearCompanyProfileCache();
+    res.json(profile);
+  } catch (error) {
+    console.error('Error updating company profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/company-profiles/:id/default
+ * Make a profile the default (used by jobs without a companyProfileId and by calls without a job)
+ */
+router.post('/:id/default', requirePermission(PERMISSIONS.COMPANY_PROFILES_WRITE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid company profile ID' });
+    }
+
+    const profile = await setDefaultCompanyProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Company profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error setting default company profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/company-profiles/:id
+ * Delete a profile that no job references
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.COMPANY_PROFILES_WRITE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid company profile ID' });
+    }
+
+    const jobCount = await Job.countDocuments({ companyProfileId: req.params.id });
+    if (jobCount > 0) {
+      return res.status(409).json({ error: `Company profile is used by ${jobCount} job(s)` });
+    }
+
+    const profile = await CompanyProfile.findByIdAndDelete(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Company profile not found' });
+    }
+
+    clearCompanyProfileCache();
+    res.json({ message: 'Company profile deleted', id: profile._id });
+  } catch (error) {
+    console.error('Error deleting company profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
@@ -4,11 +4,15 @@ import Application from '../models/Application.js';
 import Screening from '../models/Screening.js';
 import User from '../models/User.js';
 import JobCandidateMatch from '../models/JobCandidateMatch.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { getTelephonyProvider } from '../lib/telephony.js';
+import { simulateNextCall } from '../lib/telephonySimulator.js';
 
 const router = express.Router();
 
 // GET /debug/jobs - Get all jobs
-router.get('/jobs', async (req, res) => {
+router.get('/jobs', requirePermission(PERMISSIONS.DEBUG), async (req, res) => {
   try {
     const jobs = await Job.find({});
     res.json(jobs);
@@ -19,7 +23,7 @@ router.get('/jobs', async (req, res) => {
 });
 
 // GET /debug/applications - Get all applications
-router.get('/applications', async (req, res) => {
+router.get('/applications', requirePermission(PERMISSIONS.DEBUG), async (req, res) => {
   try {
     const applications = await Application.find({})
       .populate('jobId')
@@ -32,7 +36,7 @@ router.get('/applications', async (req, res) => {
 });
 
 // GET /debug/screenings - Get all screenings
-router.get('/screenings', async (req, res) => {
+router.get('/screenings', requirePermission(PERMISSIONS.DEBUG), async (req, res) => {
   try {
     const screenings = await Screening.find({})
       .populate('applicationId')
@@ -45,7 +49,7 @@ router.get('/screenings', async (req, res) => {
 });
 
 // GET /debug/users - Get all users
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.DEBUG), async (req, res) => {
   try {
     const users = await User.find({});
     res.json(users);
@@ -56,7 +60,7 @@ router.get('/users', async (req, res) => {
 });
 
 // GET /debug/matches - Get all job-candidate matches
-router.get('/matches', async (req, res) => {
+router.get('/matches', requirePermission(PERMISSIONS.DEBUG), async (req, res) => {
   try {
     const matches = await JobCandidateMatch.find({})
       .populate('jobId', 'role company_name')
@@ -68,5 +72,26 @@ router.get('/matches', async (req, res) => {
   }
 });
 
+// POST /debug/telephony-simulator/next-call - Choose how the next simulated call ends
+// Body: { "outcome": "no_answer", "phoneNumber": "+919876543210" } (phoneNumber optional)
+router.post('/telephony-simulator/next-call', requirePermission(PERMISSIONS.DEBUG), async (req, res) => {
+  try {
+    if (getTelephonyProvider().name !== 'simulator') {
+      return res.status(409).json({ error: 'The telephony simulator is not enabled (TELEPHONY_PROVIDER=simulator)' });
+    }
+
+    const { outcome, phoneNumber } = req.body;
+    try {
+      simulateNextCall(outcome, { phoneNumber });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ message: `The next simulated call${phoneNumber ? ` to ${phoneNumber}` : ''} will end: ${outcome}` });
+  } catch (error) {
+    console.error('Error configuring telephony simulator:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 export default router;
 
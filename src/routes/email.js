@@ -1,6 +1,8 @@
 import express from 'express';
 import User from '../models/User.js';
 import { sendEmail } from '../lib/email.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
 
 const router = express.Router();
 
@@ -20,7 +22,7 @@ const router = express.Router();
  *   "replyTo": "reply@example.com"   // Optional
  * }
  */
-router.post('/send', async (req, res) => {
+router.post('/send', requirePermission(PERMISSIONS.EMAILS_SEND), async (req, res) => {
   try {
     const { to, userId, subject, html, text, cc, bcc, replyTo } = req.body;
 
@@ -113,7 +115,7 @@ router.post('/send', async (req, res) => {
  *   "text": "Plain text content"
  * }
  */
-router.post('/send-bulk', async (req, res) => {
+router.post('/send-bulk', requirePermission(PERMISSIONS.EMAILS_SEND), async (req, res) => {
   try {
     const { recipients, userIds, subject, html, text } = req.body;
 
@@ -1,14 +1,53 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Job from '../models/Job.js';
+import CompanyProfile from '../models/CompanyProfile.js';
 import { enhanceJD } from '../lib/jdEnhancer.js';
 import { matchJobToCandidates, getJobMatches } from '../lib/candidateMatcher.js';
-import { callLLM } from '../lib/llm.js';
-import { parseJsonSafely } from '../lib/parseJsonSafely.js';
+import { callLLMJson } from '../lib/llm.js';
+import {
+  getScoringWeights,
+  validateScoringWeights,
+  getPhoneInterviewWeight,
+  validatePhoneInterviewWeight,
+  recomputeUnifiedScoresForJob,
+} from '../lib/scoring.js';
+import { getCallRetryPolicy, validateCallRetryPolicy } from '../lib/callRetryPolicy.js';
+import { getInterviewScheduling, validateInterviewScheduling, getOpenSlots } from '../lib/interviewSlots.js';
+import { validatePipelineStages } from '../lib/pipeline.js';
+import { validateAutomationSettings } from '../lib/screeningAutomation.js';
+import { setScorecardTemplate, getScorecardAgreement } from '../lib/scorecards.js';
+import { enqueueTask, TASK_TYPES } from '../lib/taskQueue.js';
+import { getActor } from '../lib/auth.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Answer a request error from scorecards.js (errors with a status), or rethrow
+ */
+function sendRequestError(res, error) {
+  if (!error.status) throw error;
+  res.status(error.status).json({ error: error.message, details: error.details });
+}
+
+/**
+ * Check that a company profile ID refers to an existing profile
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateCompanyProfileId(companyProfileId) {
+  if (!mongoose.Types.ObjectId.isValid(companyProfileId)) {
+    return 'companyProfileId must be a valid ID';
+  }
+  if (!(await CompanyProfile.exists({ _id: companyProfileId }))) {
+    return 'Company profile not found';
+  }
+  return null;
+}
+
 // POST /api/jobs/extract-fields - Extract job fields from raw text
-router.post('/extract-fields', async (req, res) => {
+router.post('/extract-fields', requirePermission(PERMISSIONS.JOBS_WRITE), async (req, res) => {
   try {
     const { text } = req.body;
 
@@ -19,19 +58,17 @@ router.post('/extract-fields', async (req, res) => {
     console.log('[Jobs] Extracting job fields from text...');
     
     // Call LLM to extract job fields
-    const llmResponse = await callLLM('JOB_FIELD_EXTRACTION', { text });
-    const parsed = parseJsonSafely(llmResponse);
-
-    if (!parsed.ok) {
-      console.error('[Jobs] Failed to parse LLM response:', parsed.error);
+    let extractedFields;
+    try {
+      extractedFields = await callLLMJson('JOB_FIELD_EXTRACTION', { text });
+    } catch (error) {
+      console.error('[Jobs] Failed to parse LLM response:', error.message);
       return res.status(500).json({ 
         error: 'Failed to extract job fields', 
-        details: parsed.error 
+        details: error.message 
       });
     }
 
-    const extractedFields = parsed.json;
-
     // Validate and format the response
     const response = {
       company_name: extractedFields.company_name || null,
@@ -58,7 +95,7 @@ router.post('/extract-fields', async (req, res) => {
 });
 
 // POST /api/jobs - Create job and enhance JD
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.JOBS_WRITE), async (req, res) => {
   try {
     const {
       raw_jd,
@@ -71,16 +108,25 @@ router.post('/', async (req, res) => {
       budget_info,
       must_have_skills,
       nice_to_have,
+      companyProfileId, // Optional - defaults to the default company profile
     } = req.body;
 
     if (!raw_jd || !company_name || !role) {
       return res.status(400).json({ error: 'raw_jd, company_name, and role are required' });
     }
 
+    if (companyProfileId) {
+      const profileError = await validateCompanyProfileId(companyProfileId);
+      if (profileError) {
+        return res.status(400).json({ error: profileError });
+      }
+    }
+
     // Create job draft
     const job = new Job({
       raw_jd,
       company_name,
+      companyProfileId: companyProfileId || undefined,
       role,
       team,
       seniority,
@@ -114,9 +160,9 @@ router.post('/', async (req, res) => {
 
     await job.save();
 
-    // Automatically match job to existing candidates (async, don't wait)
-    matchJobToCandidates(job._id).catch(error => {
-      console.error('Error matching candidates to job:', error);
+    // Automatically match job to existing candidates (background task, don't wait)
+    await enqueueTask(TASK_TYPES.JOB_CANDIDATE_MATCHING, { jobId: job._id.toString() }, {
+      key: `job-candidate-matching:${job._id}`,
     });
 
     res.status(201).json(job);
@@ -127,7 +173,7 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/jobs/:id - Get job by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.JOBS_READ), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     
@@ -143,9 +189,20 @@ router.get('/:id', async (req, res) => {
 });
 
 // PATCH /api/jobs/:id/settings - Update job settings
-router.patch('/:id/settings', async (req, res) => {
+router.patch('/:id/settings', requirePermission(PERMISSIONS.JOBS_WRITE), async (req, res) => {
   try {
-    const { autoInviteOnLevel1Approval, autoInviteThreshold, autoCreateScreeningThreshold } = req.body;
+    const {
+      autoInviteOnLevel1Approval,
+      autoInviteThreshold,
+      autoCreateScreeningThreshold,
+      scoringWeights,
+      phoneInterviewWeight, // null switches phone interview scores back out of unifiedScore
+      callRetry, // null switches the job back to the default call retry policy
+      interviewScheduling, // null switches candidate booking off and restores the defaults
+      pipelineStages, // null switches the job back to the default pipeline
+      recomputeScores,
+      companyProfileId, // null switches the job back to the default company profile
+    } = req.body;
 
     const job = await Job.findById(req.params.id);
     
@@ -153,27 +210,249 @@ router.patch('/:id/settings', async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    if (autoInviteOnLevel1Approval !== undefined) {
-      job.settings.autoInviteOnLevel1Approval = autoInviteOnLevel1Approval;
+    // Scoring weights may be partial - merge with current weights, then validate the full set
+    let weightsChanged = false;
+    if (scoringWeights !== undefined) {
+      if (!scoringWeights || typeof scoringWeights !== 'object' || Array.isArray(scoringWeights)) {
+        return res.status(400).json({ error: 'scoringWeights must be an object' });
+      }
+
+      const currentWeights = getScoringWeights(job);
+      const newWeights = { ...currentWeights, ...scoringWeights };
+      const validation = validateScoringWeights(newWeights);
+      if (!validation.ok) {
+        return res.status(400).json({ error: 'Invalid scoringWeights', details: validation.errors });
+      }
+
+      weightsChanged = Object.keys(newWeights).some(key => newWeights[key] !== currentWeights[key]);
+      job.settings.scoringWeights = newWeights;
+    }
+
+    if (phoneInterviewWeight !== undefined) {
+      const newWeight = phoneInterviewWeight ?? 0;
+      const validation = validatePhoneInterviewWeight(newWeight);
+      if (!validation.ok) {
+        return res.status(400).json({ error: 'Invalid phoneInterviewWeight', details: validation.errors });
+      }
+
+      weightsChanged = weightsChanged || newWeight !== getPhoneInterviewWeight(job);
+      job.settings.phoneInterviewWeight = newWeight;
+    }
+
+    // Call retry policy may be partial too (callingWindow included)
+    if (callRetry !== undefined) {
+      if (callRetry !== null && (typeof callRetry !== 'object' || Array.isArray(callRetry))) {
+        return res.status(400).json({ error: 'callRetry must be an object' });
+      }
+
+      const currentPolicy = getCallRetryPolicy(callRetry === null ? null : job);
+      const newPolicy = {
+        ...currentPolicy,
+        ...callRetry,
+        callingWindow: { ...currentPolicy.callingWindow, ...callRetry?.callingWindow },
+      };
+      const validation = validateCallRetryPolicy(newPolicy);
+      if (!validation.ok) {
+        return res.status(400).json({ error: 'Invalid callRetry', details: validation.errors });
+      }
+      job.settings.callRetry = newPolicy;
     }
-    if (autoInviteThreshold !== undefined) {
-      job.settings.autoInviteThreshold = autoInviteThreshold;
+
+    // Interview scheduling may be partial too
+    if (interviewScheduling !== undefined) {
+      if (interviewScheduling !== null && (typeof interviewScheduling !== 'object' || Array.isArray(interviewScheduling))) {
+        return res.status(400).json({ error: 'interviewScheduling must be an object' });
+      }
+
+      const newScheduling = { ...getInterviewScheduling(interviewScheduling === null ? null : job), ...interviewScheduling };
+      const validation = validateInterviewScheduling(newScheduling);
+      if (!validation.ok) {
+        return res.status(400).json({ error: 'Invalid interviewScheduling', details: validation.errors });
+      }
+      job.settings.interviewScheduling = newScheduling;
     }
-    if (autoCreateScreeningThreshold !== undefined) {
-      job.settings.autoCreateScreeningThreshold = autoCreateScreeningThreshold;
+
+    if (pipelineStages !== undefined) {
+      if (pipelineStages !== null) {
+        const validation = validatePipelineStages(pipelineStages);
+        if (!validation.ok) {
+          return res.status(400).json({ error: 'Invalid pipelineStages', details: validation.errors });
+        }
+      }
+      job.settings.pipelineStages = pipelineStages || [];
     }
 
+    if (companyProfileId !== undefined) {
+      if (companyProfileId !== null) {
+        const profileError = await validateCompanyProfileId(companyProfileId);
+        if (profileError) {
+          return res.status(400).json({ error: profileError });
+        }
+      }
+      job.companyProfileId = companyProfileId || undefined;
+    }
+
+    // Screening automation (see screeningAutomation.js); null switches automatic screening creation off
+    const automation = {
+      autoInviteOnLevel1Approval: autoInviteOnLevel1Approval ?? job.settings.autoInviteOnLevel1Approval,
+      autoInviteThreshold: autoInviteThreshold ?? job.settings.autoInviteThreshold,
+      autoCreateScreeningThreshold: autoCreateScreeningThreshold === undefined
+        ? job.settings.autoCreateScreeningThreshold
+        : autoCreateScreeningThreshold,
+    };
+    const automationValidation = validateAutomationSettings(automation);
+    if (!automationValidation.ok) {
+      return res.status(400).json({ error: 'Invalid automation settings', details: automationValidation.errors });
+    }
+    Object.assign(job.settings, automation);
+
     await job.save();
 
-    res.json(job);
+    // Existing applications keep their old unifiedScore until recomputed (no LLM calls needed)
+    let scoreRecompute = null;
+    if (recomputeScores === true) {
+      scoreRecompute = await recomputeUnifiedScoresForJob(job);
+    } else if (weightsChanged) {
+      scoreRecompute = {
+        pending: true,
+        recomputeScoresUrl: `/api/jobs/${job._id}/recompute-scores`,
+      };
+    }
+
+    res.json(scoreRecompute ? { ...job.toJSON(), scoreRecompute } : job);
   } catch (error) {
     console.error('Error updating job settings:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
+// GET /api/jobs/:id/scorecard-template - Competencies reviewers rate on the job's scorecards
+router.get('/:id/scorecard-template', requirePermission(PERMISSIONS.JOBS_READ), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('scorecardTemplate');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      jobId: job._id,
+      competencies: job.scorecardTemplate?.competencies || [],
+      updatedAt: job.scorecardTemplate?.updatedAt || null,
+    });
+  } catch (error) {
+    console.error('Error fetching scorecard template:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// PUT /api/jobs/:id/scorecard-template - Replace the job's scorecard template
+// Body: { "competencies": [{ "key": "system_design", "name": "System design", "description": "...",
+//   "scaleMin": 1, "scaleMax": 5, "scaleLabels": ["Poor", "Weak", "OK", "Good", "Excellent"] }] }
+// Scales default to 1-5; an empty list switches scorecards off. Submitted scorecards keep their score.
+router.put('/:id/scorecard-template', requirePermission(PERMISSIONS.JOBS_WRITE), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    try {
+      setScorecardTemplate(job, req.body?.competencies);
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+    await job.save();
+
+    res.json({
+      jobId: job._id,
+      competencies: job.scorecardTemplate.competencies,
+      updatedAt: job.scorecardTemplate.updatedAt,
+    });
+  } catch (error) {
+    console.error('Error updating scorecard template:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/jobs/:id/scorecard-agreement - Submitted reviewer scores compared with the AI unifiedScore
+// (per application, per reviewer and overall)
+// Blind review: members only see applications and screenings they have submitted their own scorecard for
+router.get('/:id/scorecard-agreement', requirePermission(PERMISSIONS.ANALYSIS_READ), async (req, res) => {
+  try {
+    const actor = getActor(req.auth);
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      jobId: job._id,
+      jobTitle: job.role,
+      ...(await getScorecardAgreement(job, actor.type === 'member' ? actor.id : null)),
+    });
+  } catch (error) {
+    console.error('Error building scorecard agreement:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/jobs/:id/interview-slots - Open phone interview slots from recruiter availability
+// Query: from, to (ISO dates, optional; always within the job's minNoticeHours ... horizonDays)
+router.get('/:id/interview-slots', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const slots = await getOpenSlots(job, { from, to });
+    res.json({
+      jobId: job._id,
+      interviewScheduling: getInterviewScheduling(job),
+      slots: slots.map(slot => ({
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        recruiterIds: slot.recruiters.map(recruiter => recruiter.memberId),
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing interview slots:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/jobs/:id/recompute-scores - Recompute unifiedScore for all applications using the job's current weights
+router.post('/:id/recompute-scores', requirePermission(PERMISSIONS.JOBS_WRITE), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = await recomputeUnifiedScoresForJob(job);
+
+    res.json({
+      message: 'Unified scores recomputed',
+      jobId: job._id,
+      scoringWeights: getScoringWeights(job),
+      phoneInterviewWeight: getPhoneInterviewWeight(job),
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error recomputing scores:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // POST /api/jobs/:id/match-candidates - Manually trigger candidate matching
-router.post('/:id/match-candidates', async (req, res) => {
+router.post('/:id/match-candidates', requirePermission(PERMISSIONS.JOBS_WRITE), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     
@@ -194,7 +473,7 @@ router.post('/:id/match-candidates', async (req, res) => {
 });
 
 // GET /api/jobs/:id/matches - Get matched candidates for a job
-router.get('/:id/matches', async (req, res) => {
+router.get('/:id/matches', requirePermission(PERMISSIONS.CANDIDATES_READ), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     
@@ -0,0 +1,148 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Member from '../models/Member.js';
+import { hashPassword, validatePassword } from '../lib/auth.js';
+import { PERMISSIONS, ROLES } from '../lib/permissions.js';
+import { runWithOrg } from '../lib/orgScope.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const VALID_ROLES = Object.values(ROLES);
+
+/**
+ * Format a member for API responses
+ */
+function formatMember(member) {
+  return {
+    id: member._id,
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    isActive: member.isActive,
+    lastLoginAt: member.lastLoginAt,
+    createdAt: member.createdAt,
+  };
+}
+
+/**
+ * GET /api/members
+ * List the organization's members
+ */
+router.get('/', requirePermission(PERMISSIONS.MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const members = await Member.find().sort({ name: 1 }).lean();
+    res.json({ members: members.map(formatMember) });
+  } catch (error) {
+    console.error('Error listing members:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/members
+ * Add a member to the organization
+ *
+ * Request body:
+ * {
+ *   "email": "recruiter@example.com",
+ *   "name": "Jane Doe",
+ *   "role": "recruiter",   // admin, recruiter, hiring_manager or interviewer
+ *   "password": "..."      // At least 10 characters
+ * }
+ */
+router.post('/', requirePermission(PERMISSIONS.MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const { email, name, role, password } = req.body;
+
+    if (typeof email !== 'string' || typeof name !== 'string' || !email.trim() || !name.trim()) {
+      return res.status(400).json({ error: 'email and name are required' });
+    }
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${VALID_ROLES.join(', ')}` });
+    }
+    const passwordCheck = validatePassword(password);
+    if (!passwordCheck.ok) {
+      return res.status(400).json({ error: 'Invalid password', details: passwordCheck.errors });
+    }
+
+    // Member emails are unique across organizations
+    if (await runWithOrg(null, () => Member.exists({ email: email.toLowerCase().trim() }))) {
+      return res.status(409).json({ error: `A member with email ${email} already exists` });
+    }
+
+    const member = await Member.create({
+      email,
+      name,
+      role,
+      passwordHash: await hashPassword(password),
+    });
+    console.log(`[Members] Added ${member.email} as ${member.role}`);
+
+    res.status(201).json(formatMember(member));
+  } catch (error) {
+    console.error('Error creating member:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * PATCH /api/members/:id
+ * Change a member's name, role, active flag or password
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const { name, role, isActive, password } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid member ID' });
+    }
+
+    const member = await Member.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Keep admins from locking themselves out
+    const isSelf = req.auth.memberId === String(member._id);
+    if (isSelf && ((role !== undefined && role !== member.role) || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot change your own role or deactivate yourself' });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+      }
+      member.name = name;
+    }
+    if (role !== undefined) {
+      if (!VALID_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${VALID_ROLES.join(', ')}` });
+      }
+      member.role = role;
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ error: 'isActive must be a boolean' });
+      }
+      member.isActive = isActive;
+    }
+    if (password !== undefined) {
+      const passwordCheck = validatePassword(password);
+      if (!passwordCheck.ok) {
+        return res.status(400).json({ error: 'Invalid password', details: passwordCheck.errors });
+      }
+      member.passwordHash = await hashPassword(password);
+    }
+
+    await member.save();
+    console.log(`[Members] Updated ${member.email} (role: ${member.role}, active: ${member.isActive})`);
+
+    res.json(formatMember(member));
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import Organization from '../models/Organization.js';
+import Member from '../models/Member.js';
+import { resolveOrganization } from '../lib/organizations.js';
+import { hashPassword, validatePassword } from '../lib/auth.js';
+import { ROLES } from '../lib/permissions.js';
+import { runWithOrg } from '../lib/orgScope.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+
+const router = express.Router();
+
+/**
+ * Format an organization for API responses
+ */
+function formatOrganization(org) {
+  return {
+    id: org._id,
+    name: org.name,
+    slug: org.slug,
+    candidatePoolSharedWith: org.candidatePoolSharedWith,
+    createdAt: org.createdAt,
+    updatedAt: org.updatedAt,
+  };
+}
+
+/**
+ * POST /api/organizations
+ * Create an organization with its first admin
+ *
+ * Request body:
+ * {
+ *   "name": "Acme Recruiting",
+ *   "slug": "acme",  // Lowercase letters, digits and dashes
+ *   "admin": { "email": "admin@acme.com", "name": "Jane Doe", "password": "..." }
+ * }
+ */
+router.post('/', requirePermission(PERMISSIONS.ORGANIZATIONS_CREATE), async (req, res) => {
+  try {
+    const { name, slug, admin } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'name is required and must be a non-empty string' });
+    }
+    if (!slug || typeof slug !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(slug.trim())) {
+      return res.status(400).json({ error: 'slug is required and may only contain lowercase letters, digits and dashes' });
+    }
+    if (!admin || typeof admin.email !== 'string' || typeof admin.name !== 'string' || !admin.email.trim() || !admin.name.trim()) {
+      return res.status(400).json({ error: 'admin.email and admin.name are required' });
+    }
+    const passwordCheck = validatePassword(admin.password);
+    if (!passwordCheck.ok) {
+      return res.status(400).json({ error: 'Invalid admin password', details: passwordCheck.errors });
+    }
+
+    const existing = await Organization.findOne({ slug: slug.trim() });
+    if (existing) {
+      return res.status(409).json({ error: `Organization slug already in use: ${slug}` });
+    }
+    // Member emails are unique across organizations
+    if (await runWithOrg(null, () => Member.exists({ email: admin.email.toLowerCase().trim() }))) {
+      return res.status(409).json({ error: `A member with email ${admin.email} already exists` });
+    }
+
+    const org = await Organization.create({ name: name.trim(), slug: slug.trim() });
+    const member = await Member.create({
+      orgId: org._id,
+      email: admin.email,
+      name: admin.name,
+      role: ROLES.ADMIN,
+      passwordHash: await hashPassword(admin.password),
+    });
+    console.log(`[Organizations] Created organization ${org.slug} (${org._id}) with admin ${member.email}`);
+
+    res.status(201).json({
+      ...formatOrganization(org),
+      admin: { id: member._id, email: member.email, name: member.name, role: member.role },
+    });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/organizations/current
+ * Get the caller's organization, with the organizations that share their candidate pool with it
+ */
+router.get('/current', requirePermission(PERMISSIONS.ORGANIZATION_READ), async (req, res) => {
+  try {
+    const org = await Organization.findById(req.orgId).populate('candidatePoolSharedWith', 'name slug');
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const sharedWithUs = await Organization.find({ candidatePoolSharedWith: org._id }).select('name slug').lean();
+
+    res.json({
+      ...formatOrganization(org),
+      candidatePoolSharedBy: sharedWithUs,
+    });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * PATCH /api/organizations/current/candidate-pool
+ * Set which organizations may search and match the caller's candidates (one-way; replaces the current list)
+ *
+ * Request body:
+ * {
+ *   "sharedWith": ["partner-org", "64f0..."]  // Organization IDs or slugs; [] stops sharing
+ * }
+ */
+router.patch('/current/candidate-pool', requirePermission(PERMISSIONS.ORGANIZATION_MANAGE), async (req, res) => {
+  try {
+    const { sharedWith } = req.body;
+
+    if (!Array.isArray(sharedWith)) {
+      return res.status(400).json({ error: 'sharedWith must be an array of organization IDs or slugs' });
+    }
+
+    const org = await Organization.findById(req.orgId);
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const targetIds = [];
+    for (const idOrSlug of sharedWith) {
+      const target = await resolveOrganization(typeof idOrSlug === 'string' ? idOrSlug : '');
+      if (!target) {
+        return res.status(400).json({ error: `Organization not found: ${idOrSlug}` });
+      }
+      if (target._id.equals(org._id)) {
+        return res.status(400).json({ error: 'An organization cannot share its candidate pool with itself' });
+      }
+      if (!targetIds.some(id => id.equals(target._id))) {
+        targetIds.push(target._id);
+      }
+    }
+
+    org.candidatePoolSharedWith = targetIds;
+    await org.save();
+    console.log(`[Organizations] ${org.slug} shares its candidate pool with ${targetIds.length} organization(s)`);
+
+    res.json(formatOrganization(org));
+  } catch (error) {
+    console.error('Error updating candidate pool sharing:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,398 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PhoneInterview from '../models/PhoneInterview.js';
+import { getCallRecording, parseStartTime } from '../lib/blandAi.js';
+import {
+  PHONE_INTERVIEW_STATUSES,
+  resolveInterviewTarget,
+  schedulePhoneInterview,
+  offerInterviewSlots,
+  reschedulePhoneInterview,
+  cancelPhoneInterview,
+  syncCallStatus,
+} from '../lib/phoneInterviews.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { verifyBlandWebhook, handlePhoneInterviewWebhook } from '../middleware/blandWebhook.js';
+import { enqueuePhoneInterviewEvaluation } from '../lib/phoneInterviewScoring.js';
+
+const router = express.Router();
+
+// Filters accepted by GET /api/phone-interviews
+const ID_FILTERS = ['userId', 'applicationId', 'screeningId', 'jobId'];
+
+/**
+ * Answer a request error from phoneInterviews.js (errors with a status), or rethrow
+ */
+function sendRequestError(res, error) {
+  if (!error.status) throw error;
+  res.status(error.status).json({ error: error.message, details: error.details });
+}
+
+/**
+ * Format a phone interview for API responses
+ */
+function formatPhoneInterview(interview) {
+  return {
+    id: interview._id,
+    userId: interview.userId,
+    applicationId: interview.applicationId || null,
+    screeningId: interview.screeningId || null,
+    jobId: interview.jobId || null,
+    companyProfileId: interview.companyProfileId || null,
+    callId: interview.callId || null,
+    status: interview.status,
+    phoneNumber: interview.phoneNumber || null,
+    startedAt: interview.startedAt || null,
+    scheduledStartTime: interview.scheduledStartTime || null,
+    offeredSlots: interview.offeredSlots || [],
+    completedAt: interview.completedAt || null,
+    canceledAt: interview.canceledAt || null,
+    duration: interview.duration ?? null,
+    recordingUrl: interview.recordingUrl || null,
+    transcript: interview.transcript || null,
+    summary: interview.summary || null,
+    questions: interview.questions || [],
+    analysis: interview.analysis || null,
+    evaluation: interview.evaluation?.status ? interview.evaluation : null,
+    error: interview.error || null,
+    attempt: interview.attempt || 1,
+    retryOf: interview.retryOf || null,
+    rescheduledFrom: interview.rescheduledFrom || null,
+    followUpSentAt: interview.followUpSentAt || null,
+    statusUrl: `/api/phone-interviews/${interview._id}/status`,
+    createdAt: interview.createdAt,
+    updatedAt: interview.updatedAt,
+  };
+}
+
+/**
+ * Validate offered slots ("YYYY-MM-DD HH:MM:SS -HH:MM" start times in the future)
+ * @returns {string|null} Error message
+ */
+function validateSlots(slots) {
+  if (!Array.isArray(slots)) {
+    return 'slots must be an array of "YYYY-MM-DD HH:MM:SS -HH:MM" start times';
+  }
+  for (const slot of slots) {
+    let slotDate;
+    try {
+      slotDate = parseStartTime(slot);
+    } catch (error) {
+      return error.message;
+    }
+    if (slotDate <= new Date()) {
+      return `Slot is in the past: ${slot}`;
+    }
+  }
+  return null;
+}
+
+// GET /api/phone-interviews - List phone interviews
+// Query: userId, applicationId, screeningId, jobId, status (comma-separated), limit, page
+router.get('/', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
+  try {
+    const { status, limit = 50, page = 1 } = req.query;
+
+    const query = {};
+    for (const field of ID_FILTERS) {
+      if (req.query[field]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+          return res.status(400).json({ error: `Invalid ${field}` });
+        }
+        query[field] = req.query[field];
+      }
+    }
+    if (status) {
+      const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+      const unknown = statuses.filter(s => !Object.values(PHONE_INTERVIEW_STATUSES).includes(s));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown status: ${unknown.join(', ')}`, statuses: Object.values(PHONE_INTERVIEW_STATUSES) });
+      }
+      query.status = { $in: statuses };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [interviews, total] = await Promise.all([
+      PhoneInterview.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      PhoneInterview.countDocuments(query),
+    ]);
+
+    res.json({
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      phoneInterviews: interviews.map(formatPhoneInterview),
+    });
+  } catch (error) {
+    console.error('Error listing phone interviews:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/phone-interviews
+ * Schedule (or start right away) an AI phone interview, or offer slots the candidate picks from in the portal
+ *
+ * Request body (one of applicationId, screeningId or userId):
+ * {
+ *   "applicationId": "...",                     // Interview for an application (uses its screening questions)
+ *   "screeningId": "...",                       // Same, given the screening
+ *   "userId": "...",                            // Candidate without an application (e.g. found through search)
+ *   "start_time": "2025-01-15 10:00:00 +05:30", // Optional, call now when omitted
+ *   "slots": ["2025-01-15 10:00:00 +05:30"],    // Optional, offer slots instead of scheduling ([] withdraws the offer)
+ *   "companyProfileId": "..."                   // Optional, defaults to the job's company profile
+ * }
+ */
+router.post('/', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const { applicationId, screeningId, userId, start_time, slots, companyProfileId } = req.body;
+
+    for (const [field, value] of Object.entries({ applicationId, screeningId, userId, companyProfileId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+    }
+    if (start_time) {
+      try {
+        parseStartTime(start_time);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    if (slots !== undefined) {
+      const slotsError = validateSlots(slots);
+      if (slotsError) {
+        return res.status(400).json({ error: slotsError });
+      }
+    }
+
+    let target;
+    try {
+      target = await resolveInterviewTarget({ applicationId, screeningId, userId });
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    if (slots !== undefined) {
+      let interview;
+      try {
+        interview = await offerInterviewSlots(target, slots);
+      } catch (error) {
+        return sendRequestError(res, error);
+      }
+      return res.json({
+        message: 'Phone interview slots offered',
+        phoneInterview: formatPhoneInterview(interview),
+      });
+    }
+
+    let result;
+    try {
+      result = await schedulePhoneInterview(target, { startTime: start_time || null, companyProfileId });
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    res.status(201).json({
+      message: start_time ? 'Phone interview call scheduled' : 'Phone interview call initiated',
+      emailSent: !!target.user.email,
+      phoneInterview: formatPhoneInterview(result.interview),
+    });
+  } catch (error) {
+    console.error('Error scheduling phone interview:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/phone-interviews/:id - Get a phone interview
+router.get('/:id', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
+  try {
+    const interview = mongoose.Types.ObjectId.isValid(req.params.id) ? await PhoneInterview.findById(req.params.id) : null;
+    if (!interview) {
+      return res.status(404).json({ error: 'Phone interview not found' });
+    }
+    res.json(formatPhoneInterview(interview));
+  } catch (error) {
+    console.error('Error fetching phone interview:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/phone-interviews/:id/status - Refresh the call status from Bland AI (for polling)
+router.get('/:id/status', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
+  try {
+    const interview = mongoose.Types.ObjectId.isValid(req.params.id) ? await PhoneInterview.findById(req.params.id) : null;
+    if (!interview) {
+      return res.status(404).json({ error: 'Phone interview not found' });
+    }
+    if (!interview.callId) {
+      return res.status(400).json({ error: 'No phone call placed for this phone interview' });
+    }
+
+    try {
+      await syncCallStatus(interview);
+    } catch (error) {
+      console.error('[Phone Interview] Error fetching call status from Bland AI:', error);
+      // Return stored status even if fetch fails
+    }
+
+    res.json(formatPhoneInterview(interview));
+  } catch (error) {
+    console.error('Error getting phone interview status:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/phone-interviews/:id/webhook - Bland AI webhook for call updates (signed, see blandWebhooks.js)
+router.post('/:id/webhook', verifyBlandWebhook, handlePhoneInterviewWebhook(req => (
+  mongoose.Types.ObjectId.isValid(req.params.id) ? PhoneInterview.findById(req.params.id) : null
+)));
+
+// GET /api/phone-interviews/:id/recording - Get the call recording URL
+router.get('/:id/recording', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
+  try {
+    const interview = mongoose.Types.ObjectId.isValid(req.params.id) ? await PhoneInterview.findById(req.params.id) : null;
+    if (!interview) {
+      return res.status(404).json({ error: 'Phone interview not found' });
+    }
+    if (!interview.callId) {
+      return res.status(400).json({ error: 'No phone call placed for this phone interview' });
+    }
+
+    // Try to get recording from stored data first
+    if (interview.recordingUrl) {
+      return res.json({
+        phoneInterviewId: interview._id,
+        callId: interview.callId,
+        recordingUrl: interview.recordingUrl,
+        status: interview.status,
+      });
+    }
+
+    // If not stored, fetch from Bland AI
+    try {
+      const recordingData = await getCallRecording(interview.callId);
+      if (recordingData.recordingUrl) {
+        interview.recordingUrl = recordingData.recordingUrl;
+        await interview.save();
+      }
+
+      res.json({
+        phoneInterviewId: interview._id,
+        callId: interview.callId,
+        recordingUrl: recordingData.recordingUrl,
+        status: interview.status,
+        message: recordingData.message || null,
+      });
+    } catch (error) {
+      console.error('[Phone Interview] Error fetching recording:', error);
+      res.status(500).json({
+        error: 'Error fetching recording',
+        details: error.message,
+        status: interview.status,
+      });
+    }
+  } catch (error) {
+    console.error('Error getting recording:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/phone-interviews/:id/evaluate - Grade (or re-grade) the call transcript in the background
+router.post('/:id/evaluate', requirePermission(PERMISSIONS.SCREENINGS_WRITE), async (req, res) => {
+  try {
+    const interview = mongoose.Types.ObjectId.isValid(req.params.id) ? await PhoneInterview.findById(req.params.id) : null;
+    if (!interview) {
+      return res.status(404).json({ error: 'Phone interview not found' });
+    }
+    if (!interview.transcript) {
+      return res.status(400).json({ error: 'Phone interview has no transcript to evaluate' });
+    }
+    if (['queued', 'running'].includes(interview.evaluation?.status)) {
+      return res.status(409).json({ error: 'Phone interview evaluation already in progress', status: interview.evaluation.status });
+    }
+
+    await enqueuePhoneInterviewEvaluation(interview);
+
+    res.status(202).json({
+      message: 'Phone interview evaluation queued',
+      phoneInterviewId: interview._id,
+      statusUrl: `/api/phone-interviews/${interview._id}`,
+    });
+  } catch (error) {
+    console.error('Error queueing phone interview evaluation:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/phone-interviews/:id/reschedule
+ * Move a scheduled call to another time (the Bland AI call is stopped and a new one scheduled)
+ *
+ * Request body:
+ * {
+ *   "start_time": "2025-01-16 15:00:00 +05:30" // Optional, defaults to the next calling window in the candidate's timezone
+ * }
+ */
+router.post('/:id/reschedule', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const { start_time } = req.body;
+
+    const interview = mongoose.Types.ObjectId.isValid(req.params.id) ? await PhoneInterview.findById(req.params.id) : null;
+    if (!interview) {
+      return res.status(404).json({ error: 'Phone interview not found' });
+    }
+    if (start_time) {
+      try {
+        if (parseStartTime(start_time) <= new Date()) {
+          return res.status(400).json({ error: `start_time is in the past: ${start_time}` });
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    let rescheduled;
+    try {
+      rescheduled = await reschedulePhoneInterview(interview, start_time || null);
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    res.json({
+      message: 'Phone interview rescheduled',
+      phoneInterview: formatPhoneInterview(rescheduled),
+    });
+  } catch (error) {
+    console.error('Error rescheduling phone interview:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/phone-interviews/:id/cancel - Cancel a scheduled or running call (or withdraw offered slots)
+router.post('/:id/cancel', requirePermission(PERMISSIONS.INTERVIEWS_SCHEDULE), async (req, res) => {
+  try {
+    const interview = mongoose.Types.ObjectId.isValid(req.params.id) ? await PhoneInterview.findById(req.params.id) : null;
+    if (!interview) {
+      return res.status(404).json({ error: 'Phone interview not found' });
+    }
+
+    try {
+      await cancelPhoneInterview(interview);
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    res.json({
+      message: 'Phone interview canceled',
+      phoneInterview: formatPhoneInterview(interview),
+    });
+  } catch (error) {
+    console.error('Error canceling phone interview:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
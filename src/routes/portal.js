@@ -0,0 +1,483 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import Screening from '../models/Screening.js';
+import { sendMagicLinks, redeemMagicLink } from '../lib/candidatePortal.js';
+import PhoneInterview from '../models/PhoneInterview.js';
+import { resolveInterviewTarget, schedulePhoneInterview, findLatestPhoneInterview } from '../lib/phoneInterviews.js';
+import { parseStartTime } from '../lib/blandAi.js';
+import { PIPELINE_STAGES, FINAL_STAGES } from '../lib/pipeline.js';
+import { saveUploadedFile, readFileAsText } from '../lib/storage.js';
+import { formatPhoneNumber } from '../lib/phoneFormatter.js';
+import { isValidTimeZone, formatStartTime } from '../lib/timeZones.js';
+import { getCandidateTimeZone } from '../lib/callRetryPolicy.js';
+import { getInterviewScheduling, getOpenSlots as getOpenInterviewSlots, bookInterviewSlot } from '../lib/interviewSlots.js';
+import { resolveCompanyProfile } from '../lib/companyProfile.js';
+import { upload } from '../middleware/upload.js';
+import { requireCandidate } from '../middleware/auth.js';
+import { restoreOrgContext } from '../middleware/orgScope.js';
+
+const router = express.Router();
+
+// Profile fields candidates may change themselves
+const EDITABLE_PROFILE_FIELDS = ['phone', 'timezone', 'githubUrl', 'portfolioUrl', 'compensationExpectation'];
+const URL_FIELDS = ['githubUrl', 'portfolioUrl'];
+
+// A candidate can only pick a slot while no call is pending
+const SLOT_PICKABLE_STATUSES = ['not_initiated', 'failed', 'no_answer'];
+
+/**
+ * Candidate-facing profile (no scores, tags or internal notes)
+ */
+function formatProfile(user) {
+  return {
+    name: user.name,
+    email: user.email,
+    phone: user.phone || null,
+    timezone: user.timezone || null,
+    githubUrl: user.githubUrl || null,
+    portfolioUrl: user.portfolioUrl || null,
+    linkedinUrl: user.linkedinUrl || null,
+    compensationExpectation: user.compensationExpectation || null,
+    hasResume: !!(user.resumeS3Url || user.resumePath),
+    updatedAt: user.updatedAt,
+  };
+}
+
+/**
+ * Candidate-facing application status (internal stage names like onsite aren't exposed)
+ * @returns {string} submitted, under_review, shortlisted, offer, hired, not_selected or withdrawn
+ */
+function getCandidateStatus(application) {
+  const stage = application.stage || PIPELINE_STAGES.APPLIED;
+  if (stage === PIPELINE_STAGES.REJECTED) return 'not_selected';
+  if (stage === PIPELINE_STAGES.WITHDRAWN) return 'withdrawn';
+  if (stage === PIPELINE_STAGES.HIRED) return 'hired';
+  if (stage === PIPELINE_STAGES.OFFER) return 'offer';
+  if (stage !== PIPELINE_STAGES.APPLIED) return 'shortlisted';
+  if (['queued', 'running'].includes(application.scoringStatus?.status)) return 'submitted';
+  return 'under_review';
+}
+
+/**
+ * Open slots offered for a phone interview (future ones only)
+ */
+function getOpenSlots(phoneInterview) {
+  const now = new Date();
+  return (phoneInterview?.offeredSlots || []).filter(slot => {
+    try {
+      return parseStartTime(slot) > now;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Candidate-facing view of an application (no scores, analysis or other candidates' data)
+ */
+function formatApplication(application, screening, phoneInterview) {
+  const job = application.jobId;
+  const phoneStatus = phoneInterview?.status || 'not_initiated';
+  const openSlots = SLOT_PICKABLE_STATUSES.includes(phoneStatus) ? getOpenSlots(phoneInterview) : [];
+
+  return {
+    applicationId: application._id,
+    job: job ? { role: job.role, company: job.company_name, location: job.location || null } : null,
+    status: getCandidateStatus(application),
+    submittedAt: application.createdAt,
+    phoneInterview: screening || phoneInterview ? {
+      status: phoneStatus,
+      scheduledStartTime: phoneInterview?.scheduledStartTime || null,
+      openSlots,
+    } : null,
+    videoScreening: screening ? {
+      status: screening.videoUrl ? 'submitted' : 'pending',
+      questionsCount: screening.screening_questions?.length || 0,
+    } : null,
+  };
+}
+
+/**
+ * Load one of the signed-in candidate's applications with its screening and latest phone interview
+ */
+async function findCandidateApplication(req, applicationId) {
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) return null;
+
+  const application = await Application.findOne({ _id: applicationId, userId: req.auth.userId }).populate('jobId');
+  if (!application) return null;
+
+  const [screening, phoneInterview] = await Promise.all([
+    Screening.findOne({ applicationId: application._id }),
+    findLatestPhoneInterview({ applicationId: application._id }),
+  ]);
+  return { application, screening, phoneInterview };
+}
+
+/**
+ * POST /api/portal/magic-link
+ * Email a sign-in link to a candidate
+ *
+ * Request body:
+ * {
+ *   "email": "candidate@example.com"
+ * }
+ *
+ * Always responds 202 so the endpoint can't be used to find out who applied.
+ */
+router.post('/magic-link', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    await sendMagicLinks(email);
+    res.status(202).json({ message: 'If we have applications for this email, a sign-in link is on its way' });
+  } catch (error) {
+    console.error('[Portal] Error sending magic link:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/portal/session
+ * Exchange a magic link token for a candidate session token
+ *
+ * Request body:
+ * {
+ *   "token": "..."  // From the magic link
+ * }
+ *
+ * Response:
+ * {
+ *   "token": "...",  // Send as "Authorization: Bearer <token>" to the other /api/portal routes
+ *   "expiresAt": "..."
+ * }
+ */
+router.post('/session', async (req, res) => {
+  try {
+    const session = await redeemMagicLink(req.body.token);
+    if (!session) {
+      return res.status(401).json({ error: 'This link is invalid, expired or was already used' });
+    }
+
+    res.json({ token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('[Portal] Error redeeming magic link:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/portal/me
+ * Get the candidate's profile
+ */
+router.get('/me', requireCandidate, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    res.json(formatProfile(user));
+  } catch (error) {
+    console.error('[Portal] Error fetching profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * PATCH /api/portal/me
+ * Update contact details
+ *
+ * Request body (all optional, null clears a field):
+ * {
+ *   "phone": "+91 98765 43210",
+ *   "timezone": "Asia/Kolkata",
+ *   "githubUrl": "https://github.com/jane",
+ *   "portfolioUrl": "https://jane.dev",
+ *   "compensationExpectation": "30 LPA"
+ * }
+ */
+router.patch('/me', requireCandidate, async (req, res) => {
+  try {
+    const updates = {};
+    const errors = [];
+
+    for (const field of EDITABLE_PROFILE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value === null || value === '') {
+        updates[field] = null;
+        continue;
+      }
+      if (typeof value !== 'string' || value.length > 500) {
+        errors.push(`${field} must be a string of at most 500 characters`);
+        continue;
+      }
+      if (URL_FIELDS.includes(field) && !/^https?:\/\/\S+$/i.test(value.trim())) {
+        errors.push(`${field} must be an http(s) URL`);
+        continue;
+      }
+      if (field === 'timezone' && !isValidTimeZone(value.trim())) {
+        errors.push('timezone must be an IANA timezone (e.g. Asia/Kolkata)');
+        continue;
+      }
+      updates[field] = value.trim();
+    }
+
+    if (updates.phone) {
+      const company = await resolveCompanyProfile();
+      try {
+        formatPhoneNumber(updates.phone, company.defaultCountryCallingCode);
+      } catch (error) {
+        errors.push(`phone is not a valid phone number: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid profile update', details: errors });
+    }
+
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    Object.assign(user, updates);
+    await user.save();
+    console.log(`[Portal] User ${user._id} updated ${Object.keys(updates).join(', ') || 'nothing'}`);
+
+    res.json(formatProfile(user));
+  } catch (error) {
+    console.error('[Portal] Error updating profile:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/portal/me/resume
+ * Upload a new resume (multipart/form-data, field "resume")
+ * Existing applications keep the resume they were submitted and scored with.
+ */
+router.post('/me/resume', requireCandidate, upload.single('resume'), restoreOrgContext, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Resume file is required' });
+    }
+
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const resumePathOrUrl = await saveUploadedFile(req.file);
+    const isS3Url = resumePathOrUrl && resumePathOrUrl.startsWith('https://') && resumePathOrUrl.includes('.s3.');
+    const resumeText = await readFileAsText(resumePathOrUrl);
+
+    user.resumePath = resumePathOrUrl;
+    user.resumeS3Url = isS3Url ? resumePathOrUrl : null;
+    if (resumeText && resumeText.trim().length > 0) {
+      user.resumeText = resumeText;
+    }
+    await user.save();
+    console.log(`[Portal] User ${user._id} uploaded a new resume`);
+
+    res.json(formatProfile(user));
+  } catch (error) {
+    console.error('[Portal] Error uploading resume:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/portal/applications
+ * List the candidate's applications
+ */
+router.get('/applications', requireCandidate, async (req, res) => {
+  try {
+    const applications = await Application.find({ userId: req.auth.userId })
+      .populate('jobId', 'role company_name location')
+      .sort({ createdAt: -1 });
+
+    const applicationIds = applications.map(app => app._id);
+    const [screenings, phoneInterviews] = await Promise.all([
+      Screening.find({ applicationId: { $in: applicationIds } }),
+      PhoneInterview.find({ applicationId: { $in: applicationIds } }).sort({ createdAt: -1 }),
+    ]);
+    const screeningByApplication = new Map(screenings.map(screening => [String(screening.applicationId), screening]));
+    // Latest phone interview per application (sorted newest first)
+    const phoneInterviewByApplication = new Map();
+    for (const interview of phoneInterviews) {
+      const key = String(interview.applicationId);
+      if (!phoneInterviewByApplication.has(key)) phoneInterviewByApplication.set(key, interview);
+    }
+
+    res.json({
+      applications: applications.map(app => formatApplication(
+        app,
+        screeningByApplication.get(String(app._id)),
+        phoneInterviewByApplication.get(String(app._id)),
+      )),
+    });
+  } catch (error) {
+    console.error('[Portal] Error listing applications:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/portal/applications/:id
+ * Get one of the candidate's applications
+ */
+router.get('/applications/:id', requireCandidate, async (req, res) => {
+  try {
+    const found = await findCandidateApplication(req, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json(formatApplication(found.application, found.screening, found.phoneInterview));
+  } catch (error) {
+    console.error('[Portal] Error fetching application:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/portal/applications/:id/interview-slot
+ * Pick one of the offered phone interview slots; the AI phone interview is scheduled for it
+ *
+ * Request body:
+ * {
+ *   "slot": "2025-01-15 10:00:00 +05:30"  // One of phoneInterview.openSlots
+ * }
+ */
+router.post('/applications/:id/interview-slot', requireCandidate, async (req, res) => {
+  try {
+    const { slot } = req.body;
+
+    const found = await findCandidateApplication(req, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { application, screening, phoneInterview } = found;
+    if (FINAL_STAGES.includes(application.stage)) {
+      return res.status(409).json({ error: 'This application is no longer active' });
+    }
+    if (!phoneInterview || !SLOT_PICKABLE_STATUSES.includes(phoneInterview.status)) {
+      return res.status(409).json({ error: 'No phone interview slots are open for this application' });
+    }
+    if (!getOpenSlots(phoneInterview).includes(slot)) {
+      return res.status(400).json({ error: 'slot must be one of the open slots', openSlots: getOpenSlots(phoneInterview) });
+    }
+
+    let booked;
+    try {
+      const target = await resolveInterviewTarget({ applicationId: application._id });
+      ({ interview: booked } = await schedulePhoneInterview(target, { startTime: slot, interview: phoneInterview, notify: false }));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+    console.log(`[Portal] User ${req.auth.userId} booked phone interview slot ${slot} for application ${application._id}`);
+
+    res.json(formatApplication(application, screening, booked));
+  } catch (error) {
+    console.error('[Portal] Error booking interview slot:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/portal/applications/:id/booking-slots
+ * Open phone interview slots the candidate can book (jobs with interview booking enabled)
+ * Start times are shown in the candidate's timezone.
+ */
+router.get('/applications/:id/booking-slots', requireCandidate, async (req, res) => {
+  try {
+    const found = await findCandidateApplication(req, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { application, phoneInterview } = found;
+    const job = application.jobId;
+    const bookable = job && getInterviewScheduling(job).enabled && !FINAL_STAGES.includes(application.stage)
+      && (!phoneInterview || SLOT_PICKABLE_STATUSES.includes(phoneInterview.status));
+    if (!bookable) {
+      return res.json({ slots: [] });
+    }
+
+    const [user, company] = await Promise.all([User.findById(req.auth.userId), resolveCompanyProfile(job)]);
+    const timeZone = getCandidateTimeZone(user, company);
+    const slots = await getOpenInterviewSlots(job);
+
+    res.json({
+      timezone: timeZone,
+      slots: slots.map(slot => ({
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        startTime: formatStartTime(slot.startAt, timeZone),
+      })),
+    });
+  } catch (error) {
+    console.error('[Portal] Error listing booking slots:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/portal/applications/:id/interview-booking
+ * Book one of the open slots; the AI phone interview is scheduled for it and a calendar invite is emailed
+ *
+ * Request body:
+ * {
+ *   "startAt": "2025-01-15T04:30:00.000Z"  // startAt of one of the booking slots
+ * }
+ */
+router.post('/applications/:id/interview-booking', requireCandidate, async (req, res) => {
+  try {
+    const startAt = new Date(req.body.startAt);
+    if (!req.body.startAt || isNaN(startAt.getTime())) {
+      return res.status(400).json({ error: 'startAt must be an ISO date' });
+    }
+
+    const found = await findCandidateApplication(req, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { application, screening, phoneInterview } = found;
+    if (FINAL_STAGES.includes(application.stage)) {
+      return res.status(409).json({ error: 'This application is no longer active' });
+    }
+    if (phoneInterview && !SLOT_PICKABLE_STATUSES.includes(phoneInterview.status)) {
+      return res.status(409).json({ error: `Phone interview is already ${phoneInterview.status}` });
+    }
+
+    let booked;
+    try {
+      ({ interview: booked } = await bookInterviewSlot({ application, job: application.jobId, startAt }));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+    console.log(`[Portal] User ${req.auth.userId} booked phone interview at ${startAt.toISOString()} for application ${application._id}`);
+
+    res.status(201).json(formatApplication(application, screening, booked));
+  } catch (error) {
+    console.error('[Portal] Error booking interview:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
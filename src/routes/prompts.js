@@ -0,0 +1,269 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import PromptTemplate from '../models/PromptTemplate.js';
+import PromptEvaluation from '../models/PromptEvaluation.js';
+import { PROMPT_OUTPUT_SCHEMAS } from '../lib/llmSchemas.js';
+import {
+  BUILTIN_PROMPT_VERSION,
+  createPromptVersion,
+  activatePromptVersion,
+  promptVersionExists,
+} from '../lib/promptRegistry.js';
+import { EVALUATION_PROMPTS } from '../lib/promptEvaluation.js';
+import { enqueueTask, TASK_TYPES } from '../lib/taskQueue.js';
+import { requirePermission } from '../middleware/auth.js';
+import { getActor } from '../lib/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+
+const router = express.Router();
+
+const MAX_EVALUATION_APPLICATIONS = 100;
+
+/**
+ * Parse a version number from a request (0 = built-in template)
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
+
+/**
+ * GET /api/prompts
+ * List every prompt with its active version (0 = built-in template in llm.js)
+ */
+router.get('/', requirePermission(PERMISSIONS.PROMPTS_READ), async (req, res) => {
+  try {
+    const active = await PromptTemplate.find({ status: 'active' }).select('promptName version activatedAt').lean();
+    const activeByPrompt = new Map(active.map(template => [template.promptName, template]));
+
+    res.json(Object.keys(PROMPT_OUTPUT_SCHEMAS).map(promptName => ({
+      promptName,
+      activeVersion: activeByPrompt.get(promptName)?.version ?? BUILTIN_PROMPT_VERSION,
+      activatedAt: activeByPrompt.get(promptName)?.activatedAt || null,
+      evaluable: Boolean(EVALUATION_PROMPTS[promptName]),
+    })));
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/prompts/evaluations
+ * Score a saved set of applications with two prompt versions and compare the score distributions (runs in the background)
+ *
+ * Request body:
+ * {
+ *   "promptName": "RESUME_SCORING",
+ *   "versionA": 0,
+ *   "versionB": 2,
+ *   "jobId": "...",
+ *   "applicationIds": ["..."], // Optional - defaults to the job's latest applications with resume text
+ *   "limit": 20                // Used when applicationIds is not given (max 100)
+ * }
+ *
+ * Poll GET /api/prompts/evaluations/:id for results.
+ */
+router.post('/evaluations', requirePermission(PERMISSIONS.PROMPTS_WRITE), async (req, res) => {
+  try {
+    const { promptName = 'RESUME_SCORING', jobId, applicationIds, limit = 20 } = req.body;
+    const versionA = parseVersion(req.body.versionA);
+    const versionB = parseVersion(req.body.versionB);
+
+    if (!EVALUATION_PROMPTS[promptName]) {
+      return res.status(400).json({ error: `promptName must be one of: ${Object.keys(EVALUATION_PROMPTS).join(', ')}` });
+    }
+    if (versionA === null || versionB === null || versionA === versionB) {
+      return res.status(400).json({ error: 'versionA and versionB must be different version numbers' });
+    }
+    for (const version of [versionA, versionB]) {
+      if (!(await promptVersionExists(promptName, version))) {
+        return res.status(404).json({ error: `Prompt version ${promptName} v${version} not found` });
+      }
+    }
+
+    if (!jobId || !mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'jobId is required and must be a valid ID' });
+    }
+    const job = await Job.findById(jobId).select('_id');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    let applications;
+    if (applicationIds !== undefined) {
+      if (!Array.isArray(applicationIds) || applicationIds.length === 0 || applicationIds.length > MAX_EVALUATION_APPLICATIONS
+        || !applicationIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ error: `applicationIds must be an array of 1-${MAX_EVALUATION_APPLICATIONS} valid IDs` });
+      }
+      applications = await Application.find({ _id: { $in: applicationIds }, resumeText: { $nin: [null, ''] } }).select('_id');
+    } else {
+      const count = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_EVALUATION_APPLICATIONS);
+      applications = await Application.find({ jobId, resumeText: { $nin: [null, ''] } })
+        .sort({ createdAt: -1 })
+        .limit(count)
+        .select('_id');
+    }
+
+    if (applications.length === 0) {
+      return res.status(400).json({ error: 'No applications with resume text to evaluate' });
+    }
+
+    const evaluation = await PromptEvaluation.create({
+      promptName,
+      versionA,
+      versionB,
+      jobId,
+      applicationIds: applications.map(application => application._id),
+    });
+
+    await enqueueTask(TASK_TYPES.PROMPT_EVALUATION, { evaluationId: evaluation._id.toString() });
+
+    res.status(202).json({
+      message: 'Prompt evaluation queued',
+      evaluationId: evaluation._id,
+      applications: applications.length,
+      statusUrl: `/api/prompts/evaluations/${evaluation._id}`,
+    });
+  } catch (error) {
+    console.error('Error creating prompt evaluation:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/prompts/evaluations/:id
+ * Evaluation status, per-application scores and the comparison summary (once completed)
+ */
+router.get('/evaluations/:id', requirePermission(PERMISSIONS.PROMPTS_READ), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid evaluation ID' });
+    }
+
+    const evaluation = await PromptEvaluation.findById(req.params.id).lean();
+    if (!evaluation) {
+      return res.status(404).json({ error: 'Prompt evaluation not found' });
+    }
+
+    res.json({
+      ...evaluation,
+      progress: {
+        scored: evaluation.results.length,
+        total: evaluation.applicationIds.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching prompt evaluation:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * GET /api/prompts/:promptName/versions
+ * List stored versions of a prompt (newest first)
+ */
+router.get('/:promptName/versions', requirePermission(PERMISSIONS.PROMPTS_READ), async (req, res) => {
+  try {
+    const { promptName } = req.params;
+    if (!PROMPT_OUTPUT_SCHEMAS[promptName]) {
+      return res.status(404).json({ error: `Unknown prompt: ${promptName}` });
+    }
+
+    const versions = await PromptTemplate.find({ promptName }).sort({ version: -1 }).lean();
+    res.json({
+      promptName,
+      builtinVersion: BUILTIN_PROMPT_VERSION,
+      activeVersion: versions.find(template => template.status === 'active')?.version ?? BUILTIN_PROMPT_VERSION,
+      versions,
+    });
+  } catch (error) {
+    console.error('Error listing prompt versions:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/prompts/:promptName/versions
+ * Store a new draft version of a prompt
+ *
+ * Request body:
+ * {
+ *   "template": "Score this resume against the job...\n\nJOB:\n{{job}}\n\nRESUME:\n{{resumeText}}",
+ *   "systemPrompt": "...",   // Optional - replaces the default system prompt
+ *   "temperature": 0.2,      // Optional - replaces the prompt's default temperature
+ *   "description": "Stricter skills matching"
+ * }
+ *
+ * Placeholders are payload fields passed to callLLM ({{resumeText}}, {{job.role}}); objects are inserted as JSON.
+ * The response must still match the prompt's output schema (llmSchemas.js).
+ * The version records the member or API key that created it.
+ */
+router.post('/:promptName/versions', requirePermission(PERMISSIONS.PROMPTS_WRITE), async (req, res) => {
+  try {
+    const { promptName } = req.params;
+    const { template, systemPrompt, temperature, description } = req.body;
+
+    if (!PROMPT_OUTPUT_SCHEMAS[promptName]) {
+      return res.status(404).json({ error: `Unknown prompt: ${promptName}` });
+    }
+    if (!template || typeof template !== 'string' || template.trim().length === 0) {
+      return res.status(400).json({ error: 'template is required and must be a non-empty string' });
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      return res.status(400).json({ error: 'temperature must be a number between 0 and 2' });
+    }
+
+    const actor = getActor(req.auth);
+    const promptTemplate = await createPromptVersion(promptName, {
+      template,
+      systemPrompt,
+      temperature,
+      description,
+      createdByType: actor.type,
+      createdBy: actor.id,
+    });
+
+    res.status(201).json(promptTemplate);
+  } catch (error) {
+    console.error('Error creating prompt version:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+/**
+ * POST /api/prompts/:promptName/versions/:version/activate
+ * Make a version the one callLLM uses (version 0 switches back to the built-in template)
+ */
+router.post('/:promptName/versions/:version/activate', requirePermission(PERMISSIONS.PROMPTS_WRITE), async (req, res) => {
+  try {
+    const { promptName } = req.params;
+    const version = parseVersion(req.params.version);
+
+    if (!PROMPT_OUTPUT_SCHEMAS[promptName]) {
+      return res.status(404).json({ error: `Unknown prompt: ${promptName}` });
+    }
+    if (version === null) {
+      return res.status(400).json({ error: 'version must be a non-negative integer' });
+    }
+    if (!(await promptVersionExists(promptName, version))) {
+      return res.status(404).json({ error: `Prompt version ${promptName} v${version} not found` });
+    }
+
+    const promptTemplate = await activatePromptVersion(promptName, version);
+
+    res.json({
+      message: `${promptName} v${version} is now active`,
+      promptName,
+      activeVersion: version,
+      template: promptTemplate,
+    });
+  } catch (error) {
+    console.error('Error activating prompt version:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+export default router;
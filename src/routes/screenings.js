@@ -1,18 +1,89 @@
 import express from 'express';
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
 import Screening from '../models/Screening.js';
 import Job from '../models/Job.js';
 import Application from '../models/Application.js';
-import User from '../models/User.js';
-import { transcribeVideo } from '../lib/stt.js';
-import { callLLM } from '../lib/llm.js';
+import VideoUpload from '../models/VideoUpload.js';
+import { enqueueScreeningProcessing } from '../lib/screeningProcessing.js';
+import { issueScreeningAccess, submitScreening, scheduleScreeningReminders } from '../lib/screeningAccess.js';
+import { resolveCompanyProfile } from '../lib/companyProfile.js';
+import { validateQuestionTimings } from '../lib/screeningAnswers.js';
+import { isAllowedVideoUrl } from '../lib/stt.js';
+import { callLLMJson } from '../lib/llm.js';
 import { parseJsonSafely } from '../lib/parseJsonSafely.js';
-import { makeBlandAICall, getCallStatus, getCallRecording } from '../lib/blandAi.js';
-import { formatPhoneNumber } from '../lib/phoneFormatter.js';
+import { findLatestPhoneInterview } from '../lib/phoneInterviews.js';
+import { saveScorecard, getScorecards, formatScorecard } from '../lib/scorecards.js';
+import { getActor } from '../lib/auth.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { verifyBlandWebhook, handlePhoneInterviewWebhook, findPhoneInterviewByCall } from '../middleware/blandWebhook.js';
+import { restoreOrgContext } from '../middleware/orgScope.js';
+import { requireScreeningAccess } from '../middleware/screeningAccess.js';
+import { uploadVideo } from '../middleware/upload.js';
+import { runWithOrg } from '../lib/orgScope.js';
+import {
+  VIDEO_UPLOAD_CONFIG,
+  parseQuestionIndex,
+  parseContentRange,
+  attachVideoClip,
+  createVideoUpload,
+  appendVideoChunk,
+  getClipPlaybackUrl,
+  verifyPlaybackToken,
+} from '../lib/screeningVideos.js';
 
 const router = express.Router();
 
+/**
+ * Answer a request error from screeningVideos.js, screeningAccess.js or scorecards.js (errors with a status), or rethrow
+ */
+function sendRequestError(res, error) {
+  if (!error.status) throw error;
+  res.status(error.status).json({ error: error.message, details: error.details });
+}
+
+/**
+ * Parse the multipart "video" field, answering 413/400 for files that are too large or not videos
+ */
+function receiveVideo(req, res, next) {
+  uploadVideo.single('video')(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+  });
+}
+
+/**
+ * Format an answer video for candidates (without its storage location)
+ */
+function formatVideoClip(clip) {
+  return {
+    questionIndex: clip.questionIndex,
+    mimeType: clip.mimeType,
+    sizeBytes: clip.sizeBytes,
+    uploadedAt: clip.uploadedAt,
+  };
+}
+
+/**
+ * Format a resumable video upload for API responses
+ */
+function formatVideoUpload(upload, token) {
+  return {
+    uploadId: upload._id,
+    questionIndex: upload.questionIndex,
+    mimeType: upload.mimeType,
+    totalBytes: upload.totalBytes,
+    receivedBytes: upload.receivedBytes,
+    status: upload.status,
+    expiresAt: upload.expiresAt,
+    maxChunkBytes: VIDEO_UPLOAD_CONFIG.maxChunkBytes,
+    chunkUrl: `/api/screenings/access/${token}/video-uploads/${upload._id}`,
+  };
+}
+
 // GET /api/screenings/by-application/:applicationId - Get screening by application ID
-router.get('/by-application/:applicationId', async (req, res) => {
+router.get('/by-application/:applicationId', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
   try {
     const { applicationId } = req.params;
     
@@ -24,15 +95,22 @@ router.get('/by-application/:applicationId', async (req, res) => {
       return res.status(404).json({ error: 'Screening not found for this application' });
     }
 
+    const phoneInterview = await findLatestPhoneInterview({ applicationId: screening.applicationId._id });
+
     res.json({
       screeningId: screening._id,
       applicationId: screening.applicationId._id,
       jobId: screening.jobId._id,
-      status: screening.phoneInterview?.status || 'not_initiated',
-      scheduledStartTime: screening.phoneInterview?.scheduledStartTime || null,
-      callId: screening.phoneInterview?.callId || null,
-      scheduleCallUrl: `/api/screenings/${screening._id}/schedule-call`,
-      scheduleCallByApplicationUrl: `/api/screenings/by-application/${applicationId}/schedule-call`,
+      screeningLink: screening.screening_link || null,
+      deadlineAt: screening.deadlineAt || null,
+      inviteSentAt: screening.invite_sent_at || null,
+      submittedAt: screening.submittedAt || null,
+      phoneInterviewId: phoneInterview?._id || null,
+      status: phoneInterview?.status || 'not_initiated',
+      scheduledStartTime: phoneInterview?.scheduledStartTime || null,
+      callId: phoneInterview?.callId || null,
+      scheduleCallUrl: '/api/phone-interviews', // POST with { screeningId } or { applicationId }
+      statusUrl: phoneInterview ? `/api/phone-interviews/${phoneInterview._id}/status` : null,
     });
   } catch (error) {
     console.error('Error fetching screening by application:', error);
@@ -40,773 +118,518 @@ router.get('/by-application/:applicationId', async (req, res) => {
   }
 });
 
-// POST /api/screenings/by-application/:applicationId/schedule-call - Schedule call using application ID
-router.post('/by-application/:applicationId/schedule-call', async (req, res) => {
-  try {
-    const { applicationId } = req.params;
-    const { start_time } = req.body; // Optional: "YYYY-MM-DD HH:MM:SS -HH:MM" format
-
-    // Find screening by application ID
-    const screening = await Screening.findOne({ applicationId })
-      .populate('applicationId')
-      .populate('jobId');
-    
-    if (!screening) {
-      return res.status(404).json({ error: 'Screening not found for this application' });
-    }
-
-    const application = screening.applicationId;
-    const job = screening.jobId;
-    const user = await User.findById(application.userId);
-
-    if (!user || !user.phone) {
-      return res.status(400).json({ error: 'Candidate phone number not found' });
-    }
-
-    // Format phone number to E.164 format (required by Bland AI)
-    let phoneNumber;
-    try {
-      phoneNumber = formatPhoneNumber(user.phone, '91'); // Default to India (+91)
-    } catch (error) {
-      return res.status(400).json({ 
-        error: 'Invalid phone number format', 
-        details: error.message,
-        provided: user.phone 
-      });
-    }
+/**
+ * Get the screening's questions, generating them if it has none yet
+ * Questions are generated with the LLM from the job requirements and the candidate's profile, falling
+ * back to the job's default questions, and stored on the screening.
+ * @param {Object} screening - Screening document with jobId populated
+ * @returns {Promise<Array>} The questions
+ */
+async function ensureScreeningQuestions(screening) {
+  if (screening.screening_questions && screening.screening_questions.length > 0) {
+    return screening.screening_questions;
+  }
 
-    // Get or generate screening questions (technical and behavioral only)
-    let questions = screening.screening_questions;
-    if (!questions || questions.length === 0) {
-      // Generate questions on the spot
-      const questionsResponse = await callLLM('SCREENING_QUESTIONS', {
-        job,
-        candidateInfo: {
-          name: user.name,
-          skills: application.skillsMatched || user.tags || [],
-        },
-      });
-      const parsed = parseJsonSafely(questionsResponse);
-      questions = parsed.ok ? parsed.json.screening_questions : [];
-      screening.screening_questions = questions;
-      await screening.save();
+  const job = screening.jobId;
+
+  // Get candidate info if available (from application)
+  const application = await Application.findOne({ 
+    _id: screening.applicationId 
+  }).populate('userId');
+  
+  let candidateInfo = null;
+  if (application && application.userId) {
+    const user = application.userId;
+    // Extract skills from resume analysis if available
+    let skills = [];
+    if (application.rawResumeLLM) {
+      try {
+        const resumeParsed = parseJsonSafely(application.rawResumeLLM);
+        if (resumeParsed.ok && resumeParsed.json.skills_matched) {
+          skills = resumeParsed.json.skills_matched;
+        }
+      } catch (e) {
+        // Ignore parsing errors
+      }
     }
-
-    // Initialize phone interview
-    screening.phoneInterview = {
-      status: start_time ? 'scheduled' : 'initiated',
-      phoneNumber: phoneNumber,
-      startedAt: start_time ? null : new Date(),
-      scheduledStartTime: start_time || null,
+    
+    candidateInfo = {
+      name: user.name,
+      skills: skills.length > 0 ? skills : user.tags || [],
     };
-    await screening.save();
+  }
 
-    // Make Bland AI call (with optional start_time for scheduling)
-    const callResult = await makeBlandAICall({
-      phoneNumber,
-      candidateName: user.name,
+  // Use dedicated LLM prompt to generate questions on the spot
+  let questions = [];
+  try {
+    const generated = await callLLMJson('SCREENING_QUESTIONS', {
       job,
-      application,
-      questions,
-      screeningId: screening._id.toString(),
-      startTime: start_time || null,
-    });
+      candidateInfo,
+    }, { context: { jobId: job._id } });
+    questions = generated.screening_questions;
+  } catch (error) {
+    console.error('[Screening] Failed to generate screening questions:', error.message);
+    // Fallback to job's default questions if LLM fails
+    questions = job.screening_questions || [];
+  }
 
-    // Update screening with call ID
-    screening.phoneInterview.callId = callResult.callId;
-    screening.phoneInterview.status = start_time ? 'scheduled' : 'ringing';
-    if (start_time) {
-      screening.phoneInterview.scheduledStartTime = start_time;
-    }
-    await screening.save();
+  // Store questions in screening
+  screening.screening_questions = questions;
+  await screening.save();
+  return screening.screening_questions;
+}
+
+// GET /api/screenings/access/:token - Open a screening from its link (candidate-facing)
+// Returns the questions (generated if not set yet), the deadline and the answers uploaded so far
+router.get('/access/:token', requireScreeningAccess({ allowSubmitted: true }), async (req, res) => {
+  try {
+    const screening = await req.screening.populate('jobId');
+    const questions = screening.submittedAt ? screening.screening_questions : await ensureScreeningQuestions(screening);
+    const company = await resolveCompanyProfile(screening.jobId);
 
     res.json({
-      message: start_time ? 'Phone interview call scheduled' : 'Phone interview call initiated',
-      callId: callResult.callId,
-      status: callResult.status,
-      phoneNumber: phoneNumber,
       screeningId: screening._id,
-      applicationId: application._id,
-      startTime: start_time || null,
-      checkStatusUrl: `/api/screenings/${screening._id}/phone-call-status`,
+      role: screening.jobId.role,
+      company: screening.jobId.company_name || company.name,
+      status: screening.submittedAt ? 'submitted' : 'open',
+      deadlineAt: screening.deadlineAt || null,
+      submittedAt: screening.submittedAt || null,
+      questions,
+      videoClips: (screening.videoClips || []).map(formatVideoClip),
+      maxVideoBytes: VIDEO_UPLOAD_CONFIG.maxBytes,
     });
   } catch (error) {
-    console.error('Error scheduling/initiating phone call:', error);
+    console.error('Error opening screening:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// GET /api/screenings/:id/questions - Get screening questions (generates on the spot if not set)
-router.get('/:id/questions', async (req, res) => {
+// POST /api/screenings/access/:token/questions/:index/video - Upload the answer video to a question (multipart field "video")
+router.post('/access/:token/questions/:index/video', requireScreeningAccess(), receiveVideo, restoreOrgContext, async (req, res) => {
   try {
-    const screening = await Screening.findById(req.params.id).populate('jobId');
-    
-    if (!screening) {
-      return res.status(404).json({ error: 'Screening not found' });
-    }
-
-    // If questions already exist, return them
-    if (screening.screening_questions && screening.screening_questions.length > 0) {
-      return res.json({
-        screeningId: screening._id,
-        questions: screening.screening_questions,
-      });
+    if (!req.file) {
+      return res.status(400).json({ error: 'A video file is required (field "video")' });
     }
 
-    // Generate questions on the spot using LLM based on job requirements
-    const job = screening.jobId;
-    
-    // Get candidate info if available (from application)
-    const application = await Application.findOne({ 
-      _id: screening.applicationId 
-    }).populate('userId');
-    
-    let candidateInfo = null;
-    if (application && application.userId) {
-      const user = application.userId;
-      // Extract skills from resume analysis if available
-      let skills = [];
-      if (application.rawResumeLLM) {
-        try {
-          const resumeParsed = parseJsonSafely(application.rawResumeLLM);
-          if (resumeParsed.ok && resumeParsed.json.skills_matched) {
-            skills = resumeParsed.json.skills_matched;
-          }
-        } catch (e) {
-          // Ignore parsing errors
-        }
-      }
-      
-      candidateInfo = {
-        name: user.name,
-        skills: skills.length > 0 ? skills : user.tags || [],
-      };
+    const screening = req.screening;
+    const questionIndex = parseQuestionIndex(screening, req.params.index);
+    if (questionIndex === null) {
+      await fs.rm(req.file.path, { force: true });
+      return res.status(404).json({ error: 'Question not found' });
     }
 
-    // Use dedicated LLM prompt to generate questions on the spot
-    const questionsResponse = await callLLM('SCREENING_QUESTIONS', {
-      job,
-      candidateInfo,
-    });
-
-    // Parse the response
-    const parsed = parseJsonSafely(questionsResponse);
-    
-    let questions = [];
-    if (parsed.ok && parsed.json.screening_questions) {
-      questions = parsed.json.screening_questions;
-    } else {
-      // Fallback to job's default questions if LLM fails
-      questions = job.screening_questions || [];
+    let clip;
+    try {
+      clip = await attachVideoClip(screening, questionIndex, req.file.path);
+    } catch (error) {
+      return sendRequestError(res, error);
     }
 
-    // Store questions in screening
-    screening.screening_questions = questions;
-    await screening.save();
-
-    res.json({
-      screeningId: screening._id,
-      questions,
-    });
+    res.status(201).json({ screeningId: screening._id, clip: formatVideoClip(clip) });
   } catch (error) {
-    console.error('Error getting/generating questions:', error);
+    console.error('Error uploading screening video:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// POST /api/screenings/:id/upload-video - Store video URL and questions (if provided)
-router.post('/:id/upload-video', async (req, res) => {
+// POST /api/screenings/access/:token/questions/:index/video/uploads - Start a resumable upload of a question's answer video
+// Body: { "mimeType": "video/webm", "totalBytes": 52428800 }; send the file in order to chunkUrl
+router.post('/access/:token/questions/:index/video/uploads', requireScreeningAccess(), async (req, res) => {
   try {
-    const { videoUrl, questions } = req.body;
-
-    if (!videoUrl) {
-      return res.status(400).json({ error: 'videoUrl is required' });
+    const screening = req.screening;
+    const questionIndex = parseQuestionIndex(screening, req.params.index);
+    if (questionIndex === null) {
+      return res.status(404).json({ error: 'Question not found' });
     }
 
-    const screening = await Screening.findById(req.params.id).populate('jobId');
-    
-    if (!screening) {
-      return res.status(404).json({ error: 'Screening not found' });
+    let upload;
+    try {
+      upload = await createVideoUpload(screening, questionIndex, {
+        mimeType: req.body?.mimeType,
+        totalBytes: req.body?.totalBytes,
+      });
+    } catch (error) {
+      return sendRequestError(res, error);
     }
 
-    // If questions are provided, store them (this ensures questions are set at upload time)
-    if (questions && Array.isArray(questions) && questions.length > 0) {
-      screening.screening_questions = questions;
-    } else if (!screening.screening_questions || screening.screening_questions.length === 0) {
-      // If no questions provided and none exist, generate them on the spot
-      const job = screening.jobId;
-      
-      // Get candidate info if available
-      const application = await Application.findOne({ 
-        _id: screening.applicationId 
-      }).populate('userId');
-      
-      let candidateInfo = null;
-      if (application && application.userId) {
-        const user = application.userId;
-        let skills = [];
-        if (application.rawResumeLLM) {
-          try {
-            const resumeParsed = parseJsonSafely(application.rawResumeLLM);
-            if (resumeParsed.ok && resumeParsed.json.skills_matched) {
-              skills = resumeParsed.json.skills_matched;
-            }
-          } catch (e) {
-            // Ignore parsing errors
-          }
-        }
-        candidateInfo = {
-          name: user.name,
-          skills: skills.length > 0 ? skills : user.tags || [],
-        };
-      }
-
-      const questionsResponse = await callLLM('SCREENING_QUESTIONS', {
-        job,
-        candidateInfo,
-      });
+    res.status(201).json(formatVideoUpload(upload, req.params.token));
+  } catch (error) {
+    console.error('Error starting screening video upload:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-      const parsed = parseJsonSafely(questionsResponse);
-      if (parsed.ok && parsed.json.screening_questions) {
-        screening.screening_questions = parsed.json.screening_questions;
-      } else {
-        // Fallback to job's default questions
-        screening.screening_questions = job.screening_questions || [];
-      }
-    }
+/**
+ * Load the resumable upload in the URL (must belong to the screening), or answer 404
+ */
+async function findVideoUpload(req, res) {
+  const upload = mongoose.Types.ObjectId.isValid(req.params.uploadId)
+    ? await VideoUpload.findOne({ _id: req.params.uploadId, screeningId: req.screening._id })
+    : null;
+  if (!upload) {
+    res.status(404).json({ error: 'Upload not found' });
+  }
+  return upload;
+}
 
-    screening.videoUrl = videoUrl;
-    await screening.save();
+// GET /api/screenings/access/:token/video-uploads/:uploadId - Get progress of a resumable upload (to resume after an interruption)
+router.get('/access/:token/video-uploads/:uploadId', requireScreeningAccess(), async (req, res) => {
+  try {
+    const upload = await findVideoUpload(req, res);
+    if (!upload) return;
 
-    res.json({ 
-      message: 'Video URL saved', 
-      screening: {
-        _id: screening._id,
-        videoUrl: screening.videoUrl,
-        questions: screening.screening_questions,
-      },
-    });
+    res.json(formatVideoUpload(upload, req.params.token));
   } catch (error) {
-    console.error('Error saving video URL:', error);
+    console.error('Error fetching screening video upload:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// POST /api/screenings/:id/process - Process video (STT + scoring)
-router.post('/:id/process', async (req, res) => {
+// PUT /api/screenings/access/:token/video-uploads/:uploadId - Send the next chunk of a resumable upload
+// Body: raw bytes; header: Content-Range: bytes <start>-<end>/<total>
+router.put('/access/:token/video-uploads/:uploadId', requireScreeningAccess(), express.raw({ type: () => true, limit: VIDEO_UPLOAD_CONFIG.maxChunkBytes }), async (req, res) => {
   try {
-    const screening = await Screening.findById(req.params.id).populate('jobId');
-    
-    if (!screening) {
-      return res.status(404).json({ error: 'Screening not found' });
+    const range = parseContentRange(req.get('Content-Range'));
+    if (!range) {
+      return res.status(400).json({ error: 'Content-Range header is required (bytes <start>-<end>/<total>)' });
     }
-
-    if (!screening.videoUrl) {
-      return res.status(400).json({ error: 'No video URL found. Upload video first.' });
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Chunk body is required' });
     }
 
-    // Transcribe video
-    const transcription = await transcribeVideo(screening.videoUrl);
-    screening.transcript = transcription.transcript;
+    const upload = await findVideoUpload(req, res);
+    if (!upload) return;
 
-    // Score video using questions stored in screening (set at upload time)
-    const questions = screening.screening_questions && screening.screening_questions.length > 0
-      ? screening.screening_questions
-      : screening.jobId.screening_questions || [];
+    let result;
+    try {
+      result = await appendVideoChunk(upload, req.screening, range, req.body);
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
 
-    const videoLLMResponse = await callLLM('VIDEO_SCORING', {
-      transcript: transcription.transcript,
-      screening_questions: questions,
+    res.status(result.clip ? 201 : 200).json({
+      ...formatVideoUpload(result.upload, req.params.token),
+      clip: result.clip ? formatVideoClip(result.clip) : null,
     });
+  } catch (error) {
+    console.error('Error receiving screening video chunk:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-    const videoParsed = parseJsonSafely(videoLLMResponse);
-    
-    if (!videoParsed.ok) {
-      return res.status(500).json({ 
-        error: 'Failed to parse video scoring', 
-        details: videoParsed.error 
+// POST /api/screenings/access/:token/submit - Submit the answers (once) and queue video processing
+// Body (optional): { "videoUrl": "https://...", "questionTimings": [...] } when all questions were recorded
+// in one video stored elsewhere; otherwise the uploaded clips are submitted
+router.post('/access/:token/submit', requireScreeningAccess(), async (req, res) => {
+  try {
+    let screening;
+    try {
+      screening = await submitScreening(req.screening, {
+        videoUrl: req.body?.videoUrl,
+        questionTimings: req.body?.questionTimings,
       });
+    } catch (error) {
+      return sendRequestError(res, error);
     }
 
-    screening.scoring = videoParsed.json;
-    await screening.save();
-
-    res.json({ 
-      message: 'Video processed successfully',
-      screening,
+    res.json({
+      message: 'Screening submitted',
+      screeningId: screening._id,
+      status: 'submitted',
+      submittedAt: screening.submittedAt,
     });
   } catch (error) {
-    console.error('Error processing video:', error);
+    console.error('Error submitting screening:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// POST /api/screenings/:id/schedule-call - Schedule/initiate phone interview via Bland AI with optional start_time
-router.post('/:id/schedule-call', async (req, res) => {
+// POST /api/screenings/:id/access - Issue a new screening link (the previous link stops working)
+// Body (optional): { "deadlineAt": "2026-11-01T18:00:00Z" } (default: SCREENING_DEADLINE_DAYS from now)
+router.post('/:id/access', requirePermission(PERMISSIONS.SCREENINGS_WRITE), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { start_time } = req.body; // Optional: "YYYY-MM-DD HH:MM:SS -HH:MM" format
-
-    const screening = await Screening.findById(id)
-      .populate('applicationId')
-      .populate('jobId');
-    
+    const screening = await Screening.findById(req.params.id);
     if (!screening) {
       return res.status(404).json({ error: 'Screening not found' });
     }
-
-    const application = screening.applicationId;
-    const job = screening.jobId;
-    const user = await User.findById(application.userId);
-
-    if (!user || !user.phone) {
-      return res.status(400).json({ error: 'Candidate phone number not found' });
-    }
-
-    // Format phone number to E.164 format (required by Bland AI)
-    let phoneNumber;
-    try {
-      phoneNumber = formatPhoneNumber(user.phone, '91'); // Default to India (+91)
-    } catch (error) {
-      return res.status(400).json({ 
-        error: 'Invalid phone number format', 
-        details: error.message,
-        provided: user.phone 
-      });
+    if (screening.submittedAt) {
+      return res.status(409).json({ error: 'Screening was already submitted' });
     }
 
-    // Get or generate screening questions (technical and behavioral only)
-    let questions = screening.screening_questions;
-    if (!questions || questions.length === 0) {
-      // Generate questions on the spot
-      const questionsResponse = await callLLM('SCREENING_QUESTIONS', {
-        job,
-        candidateInfo: {
-          name: user.name,
-          skills: application.skillsMatched || user.tags || [],
-        },
-      });
-      const parsed = parseJsonSafely(questionsResponse);
-      questions = parsed.ok ? parsed.json.screening_questions : [];
-      screening.screening_questions = questions;
-      await screening.save();
+    let deadlineAt;
+    if (req.body?.deadlineAt !== undefined) {
+      deadlineAt = new Date(req.body.deadlineAt);
+      if (Number.isNaN(deadlineAt.getTime()) || deadlineAt <= new Date()) {
+        return res.status(400).json({ error: 'deadlineAt must be a future ISO 8601 date' });
+      }
     }
 
-    // Initialize phone interview
-    screening.phoneInterview = {
-      status: start_time ? 'scheduled' : 'initiated',
-      phoneNumber: phoneNumber,
-      startedAt: start_time ? null : new Date(),
-      scheduledStartTime: start_time || null,
-    };
+    const access = issueScreeningAccess(screening, { deadlineAt });
     await screening.save();
-
-    // Make Bland AI call (with optional start_time for scheduling)
-    const callResult = await makeBlandAICall({
-      phoneNumber,
-      candidateName: user.name,
-      job,
-      application,
-      questions,
-      screeningId: screening._id.toString(),
-      startTime: start_time || null,
-    });
-
-    // Update screening with call ID
-    screening.phoneInterview.callId = callResult.callId;
-    screening.phoneInterview.status = start_time ? 'scheduled' : 'ringing';
-    if (start_time) {
-      screening.phoneInterview.scheduledStartTime = start_time;
+    // Invited candidates are reminded before the new deadline too
+    if (screening.invite_sent_at) {
+      await scheduleScreeningReminders(screening);
     }
-    await screening.save();
 
     res.json({
-      message: start_time ? 'Phone interview call scheduled' : 'Phone interview call initiated',
-      callId: callResult.callId,
-      status: callResult.status,
-      phoneNumber: phoneNumber,
       screeningId: screening._id,
-      startTime: start_time || null,
-      checkStatusUrl: `/api/screenings/${screening._id}/phone-call-status`,
+      screening_link: access.screeningLink,
+      deadlineAt: access.deadlineAt,
     });
   } catch (error) {
-    console.error('Error scheduling/initiating phone call:', error);
+    console.error('Error issuing screening link:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// POST /api/screenings/:id/initiate-phone-call - Initiate phone interview via Bland AI (immediate call, for backward compatibility)
-router.post('/:id/initiate-phone-call', async (req, res) => {
+// GET /api/screenings/:id/scorecards - Reviewer scorecards of the screening
+// Blind review: until the caller submits their own scorecard, only their own is returned (blind: true)
+router.get('/:id/scorecards', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
   try {
-    const { id } = req.params;
-    const screening = await Screening.findById(id)
-      .populate('applicationId')
-      .populate('jobId');
-    
-    if (!screening) {
-      return res.status(404).json({ error: 'Screening not found' });
+    const actor = getActor(req.auth);
+    let result;
+    try {
+      result = await getScorecards({ screeningId: req.params.id }, actor.type === 'member' ? actor.id : null);
+    } catch (error) {
+      return sendRequestError(res, error);
     }
 
-    const application = screening.applicationId;
-    const job = screening.jobId;
-    const user = await User.findById(application.userId);
+    res.json({
+      screeningId: req.params.id,
+      blind: result.blind,
+      scorecards: result.scorecards.map(formatScorecard),
+      summary: result.summary,
+    });
+  } catch (error) {
+    console.error('Error fetching scorecards:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-    if (!user || !user.phone) {
-      return res.status(400).json({ error: 'Candidate phone number not found' });
+// PUT /api/screenings/:id/scorecards/mine - Save the caller's scorecard for the screening
+// Body: same as PUT /api/applications/:id/scorecards/mine
+router.put('/:id/scorecards/mine', requirePermission(PERMISSIONS.SCORECARDS_SUBMIT), async (req, res) => {
+  try {
+    const actor = getActor(req.auth);
+    if (actor.type !== 'member') {
+      return res.status(403).json({ error: 'Scorecards are filled in by members' });
     }
 
-    // Format phone number to E.164 format (required by Bland AI)
-    let phoneNumber;
+    let scorecard;
     try {
-      phoneNumber = formatPhoneNumber(user.phone, '91'); // Default to India (+91)
+      scorecard = await saveScorecard({ screeningId: req.params.id }, actor.id, { ...req.body, submit: req.body?.submit === true });
     } catch (error) {
-      return res.status(400).json({ 
-        error: 'Invalid phone number format', 
-        details: error.message,
-        provided: user.phone 
-      });
+      return sendRequestError(res, error);
     }
 
-    // Get or generate screening questions (technical and behavioral only)
-    let questions = screening.screening_questions;
-    if (!questions || questions.length === 0) {
-      // Generate questions on the spot
-      const questionsResponse = await callLLM('SCREENING_QUESTIONS', {
-        job,
-        candidateInfo: {
-          name: user.name,
-          skills: application.skillsMatched || user.tags || [],
-        },
-      });
-      const parsed = parseJsonSafely(questionsResponse);
-      questions = parsed.ok ? parsed.json.screening_questions : [];
-      screening.screening_questions = questions;
-      await screening.save();
-    }
-
-    // Initialize phone interview
-    screening.phoneInterview = {
-      status: 'initiated',
-      phoneNumber: phoneNumber,
-      startedAt: new Date(),
-    };
-    await screening.save();
-
-    // Make Bland AI call
-    const callResult = await makeBlandAICall({
-      phoneNumber,
-      candidateName: user.name,
-      job,
-      application,
-      questions,
-      screeningId: screening._id.toString(),
-    });
+    res.json(formatScorecard(scorecard));
+  } catch (error) {
+    console.error('Error saving scorecard:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-    // Update screening with call ID
-    screening.phoneInterview.callId = callResult.callId;
-    screening.phoneInterview.status = 'ringing';
-    await screening.save();
+// GET /api/screenings/:id/questions - Get screening questions (generates on the spot if not set)
+// Candidates open their screening with GET /api/screenings/access/:token instead
+router.get('/:id/questions', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
+  try {
+    const screening = await Screening.findById(req.params.id).populate('jobId');
+    
+    if (!screening) {
+      return res.status(404).json({ error: 'Screening not found' });
+    }
 
     res.json({
-      message: 'Phone interview call initiated',
-      callId: callResult.callId,
-      status: callResult.status,
-      phoneNumber: phoneNumber,
       screeningId: screening._id,
-      checkStatusUrl: `/api/screenings/${screening._id}/phone-call-status`,
+      questions: await ensureScreeningQuestions(screening),
     });
   } catch (error) {
-    console.error('Error initiating phone call:', error);
+    console.error('Error getting/generating questions:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// GET /api/screenings/:id/phone-call-status - Get phone call status
-router.get('/:id/phone-call-status', async (req, res) => {
+// POST /api/screenings/:id/upload-video - Store video URL and questions (if provided)
+// Candidates submit with POST /api/screenings/access/:token/submit instead
+router.post('/:id/upload-video', requirePermission(PERMISSIONS.SCREENINGS_WRITE), async (req, res) => {
   try {
-    const { id } = req.params;
-    const screening = await Screening.findById(id);
+    const { videoUrl, questions, questionTimings } = req.body;
 
+    if (!videoUrl) {
+      return res.status(400).json({ error: 'videoUrl is required' });
+    }
+    if (typeof videoUrl !== 'string' || !isAllowedVideoUrl(videoUrl)) {
+      return res.status(400).json({ error: 'videoUrl must be an http or https URL on the storage origin or an allowed origin' });
+    }
+
+    const screening = await Screening.findById(req.params.id).populate('jobId');
+    
     if (!screening) {
       return res.status(404).json({ error: 'Screening not found' });
     }
 
-    if (!screening.phoneInterview || !screening.phoneInterview.callId) {
-      return res.status(400).json({ error: 'No phone call initiated for this screening' });
+    // If questions are provided, store them (this ensures questions are set at upload time)
+    if (questions && Array.isArray(questions) && questions.length > 0) {
+      screening.screening_questions = questions;
+    } else {
+      // If no questions provided and none exist, generate them on the spot
+      await ensureScreeningQuestions(screening);
     }
 
-    // Get latest status from Bland AI (including recording URL if available)
-    try {
-      const callStatus = await getCallStatus(screening.phoneInterview.callId);
-      
-      // Update screening with latest status
-      if (callStatus.status) {
-        screening.phoneInterview.status = mapBlandStatusToInternal(callStatus.status);
-      }
-      
-      // Recording URL is available when call is completed
-      if (callStatus.recording_url) {
-        screening.phoneInterview.recordingUrl = callStatus.recording_url;
-        console.log(`[Screening] Recording URL retrieved: ${callStatus.recording_url}`);
-      }
-      
-      if (callStatus.transcript) {
-        screening.phoneInterview.transcript = callStatus.transcript;
-      }
-      
-      if (callStatus.summary) {
-        screening.phoneInterview.summary = callStatus.summary;
-      }
-      
-      if (callStatus.analysis) {
-        screening.phoneInterview.analysis = callStatus.analysis;
+    // Start/stop time of each question in the video, so scoring can tell the answers apart
+    if (questionTimings !== undefined) {
+      const validation = validateQuestionTimings(questionTimings, screening.screening_questions.length);
+      if (!validation.ok) {
+        return res.status(400).json({ error: 'Invalid questionTimings', details: validation.errors });
       }
-      
-      if (callStatus.duration) {
-        screening.phoneInterview.duration = callStatus.duration;
-      }
-      
-      if (callStatus.status === 'completed' || callStatus.status === 'ended') {
-        screening.phoneInterview.status = 'completed';
-        screening.phoneInterview.completedAt = new Date();
-        
-        // If recording URL not in status, try to fetch it explicitly
-        if (!screening.phoneInterview.recordingUrl) {
-          try {
-            const { getCallRecording } = await import('../lib/blandAi.js');
-            const recordingData = await getCallRecording(screening.phoneInterview.callId);
-            if (recordingData.recordingUrl) {
-              screening.phoneInterview.recordingUrl = recordingData.recordingUrl;
-              console.log(`[Screening] Recording URL fetched explicitly: ${recordingData.recordingUrl}`);
-            }
-          } catch (recordingError) {
-            console.warn(`[Screening] Could not fetch recording URL:`, recordingError.message);
-          }
-        }
-        
-        // If we have analysis, update screening scoring
-        if (callStatus.analysis) {
-          screening.scoring = {
-            overall_score: callStatus.analysis.overall_fit || 0,
-            communication: callStatus.analysis.communication_quality || 0,
-            technical_depth: calculateTechnicalScore(callStatus.analysis.technical_skills || []),
-            overall_recommendation: callStatus.analysis.overall_fit >= 7 ? 'yes' : 
-                                   callStatus.analysis.overall_fit >= 5 ? 'maybe' : 'no',
-            two_line_summary: callStatus.summary || '',
-            analysis: callStatus.analysis,
-          };
-        }
-      }
-      
-      await screening.save();
-    } catch (error) {
-      console.error('[Screening] Error fetching call status from Bland AI:', error);
-      // Continue with stored status if API call fails
+      screening.questionTimings = questionTimings;
     }
 
-    res.json({
-      screeningId: screening._id,
-      phoneInterview: screening.phoneInterview,
+    screening.videoUrl = videoUrl;
+    await screening.save();
+
+    res.json({ 
+      message: 'Video URL saved', 
+      screening: {
+        _id: screening._id,
+        videoUrl: screening.videoUrl,
+        questions: screening.screening_questions,
+        questionTimings: screening.questionTimings,
+      },
     });
   } catch (error) {
-    console.error('Error getting phone call status:', error);
+    console.error('Error saving video URL:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// POST /api/screenings/:id/webhook - Bland AI webhook for call updates
-// According to Bland AI API docs, webhook receives call status updates
-router.post('/:id/webhook', async (req, res) => {
+// GET /api/screenings/:id/videos - List the answer videos with playback URLs for reviewers
+router.get('/:id/videos', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
   try {
-    const { id } = req.params;
-    const webhookData = req.body;
-
-    console.log(`[Screening] Webhook received for screening ${id}:`, {
-      status: webhookData.status,
-      call_id: webhookData.call_id,
-      has_recording: !!webhookData.recording_url,
-    });
-
-    const screening = await Screening.findById(id);
-    
+    const screening = await Screening.findById(req.params.id).select('orgId screening_questions videoClips');
     if (!screening) {
-      console.error(`[Screening] Webhook: Screening ${id} not found`);
-      return res.status(404).send('Screening not found');
+      return res.status(404).json({ error: 'Screening not found' });
     }
 
-    // Update phone interview status from webhook data
-    if (screening.phoneInterview) {
-      // Map Bland AI status to internal status
-      if (webhookData.status) {
-        screening.phoneInterview.status = mapBlandStatusToInternal(webhookData.status);
-      }
-      
-      // Update call ID if provided
-      if (webhookData.call_id) {
-        screening.phoneInterview.callId = webhookData.call_id;
-      }
-      
-      // Get recording URL when call completes
-      if (webhookData.recording_url) {
-        screening.phoneInterview.recordingUrl = webhookData.recording_url;
-        console.log(`[Screening] Recording URL received: ${webhookData.recording_url}`);
-      }
-      
-      // Update transcript if available
-      if (webhookData.transcript) {
-        screening.phoneInterview.transcript = webhookData.transcript;
-      }
-      
-      // Update summary if available
-      if (webhookData.summary) {
-        screening.phoneInterview.summary = webhookData.summary;
-      }
-      
-      // Update analysis if available
-      if (webhookData.analysis) {
-        screening.phoneInterview.analysis = webhookData.analysis;
-      }
-      
-      // Update duration if available
-      if (webhookData.duration) {
-        screening.phoneInterview.duration = webhookData.duration;
-      }
-      
-      // When call is completed, fetch full details including recording
-      if (webhookData.status === 'completed' || webhookData.status === 'ended') {
-        screening.phoneInterview.status = 'completed';
-        screening.phoneInterview.completedAt = new Date();
-        
-        // Fetch full call details to ensure we have recording URL
-        if (webhookData.call_id) {
-          try {
-            const { getCallStatus } = await import('../lib/blandAi.js');
-            const fullCallData = await getCallStatus(webhookData.call_id);
-            
-            // Update with complete data
-            if (fullCallData.recording_url) {
-              screening.phoneInterview.recordingUrl = fullCallData.recording_url;
-            }
-            if (fullCallData.transcript) {
-              screening.phoneInterview.transcript = fullCallData.transcript;
-            }
-            if (fullCallData.summary) {
-              screening.phoneInterview.summary = fullCallData.summary;
-            }
-            if (fullCallData.analysis) {
-              screening.phoneInterview.analysis = fullCallData.analysis;
-            }
-            
-            console.log(`[Screening] Full call data fetched for ${id}, recording: ${fullCallData.recording_url ? 'available' : 'not available'}`);
-          } catch (fetchError) {
-            console.error(`[Screening] Error fetching full call data:`, fetchError);
-            // Continue with webhook data if fetch fails
-          }
-        }
-        
-        // Update screening scoring if analysis available
-        const analysis = webhookData.analysis || screening.phoneInterview.analysis;
-        if (analysis) {
-          screening.scoring = {
-            overall_score: analysis.overall_fit || 0,
-            communication: analysis.communication_quality || 0,
-            technical_depth: calculateTechnicalScore(analysis.technical_skills || []),
-            overall_recommendation: analysis.overall_fit >= 7 ? 'yes' : 
-                                   analysis.overall_fit >= 5 ? 'maybe' : 'no',
-            two_line_summary: webhookData.summary || screening.phoneInterview.summary || '',
-            analysis: analysis,
-          };
-        }
-      }
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const videos = await Promise.all((screening.videoClips || []).map(async (clip) => {
+      const { playbackUrl, expiresAt } = await getClipPlaybackUrl(screening, clip, baseUrl);
+      return {
+        ...formatVideoClip(clip),
+        question: screening.screening_questions[clip.questionIndex] || null,
+        playbackUrl,
+        playbackUrlExpiresAt: expiresAt,
+      };
+    }));
+
+    res.json({ screeningId: screening._id, videos });
+  } catch (error) {
+    console.error('Error listing screening videos:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/screenings/:id/questions/:index/video/stream?token=... - Play a locally stored answer video
+// The token comes from the playbackUrl of GET /:id/videos; S3 clips are played from presigned URLs instead
+router.get('/:id/questions/:index/video/stream', async (req, res) => {
+  try {
+    const verified = verifyPlaybackToken(req.query.token, req.params.id, Number(req.params.index));
+    if (!verified.ok) {
+      return res.status(401).json({ error: verified.error });
     }
 
-    await screening.save();
-    console.log(`[Screening] Webhook processed successfully for screening ${id}`);
+    const screening = await runWithOrg(verified.orgId, () => Screening.findById(req.params.id).select('videoClips'));
+    const clip = screening?.videoClips.find(existing => existing.questionIndex === Number(req.params.index));
+    if (!clip) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
 
-    res.status(200).send('OK');
+    // sendFile answers Range requests, so players can seek
+    res.type(clip.mimeType);
+    res.sendFile(clip.location, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 500).json({ error: 'Video file not available' });
+      }
+    });
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).send('Error');
+    console.error('Error streaming screening video:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// GET /api/screenings/:id/recording - Get call recording URL
-router.get('/:id/recording', async (req, res) => {
+// POST /api/screenings/:id/process - Transcribe and score the video in the background
+// Body (optional): { "retranscribe": true } transcribes again even if the video already has a transcript
+router.post('/:id/process', requirePermission(PERMISSIONS.SCREENINGS_WRITE), async (req, res) => {
   try {
-    const { id } = req.params;
-    const screening = await Screening.findById(id);
-
+    const screening = await Screening.findById(req.params.id);
+    
     if (!screening) {
       return res.status(404).json({ error: 'Screening not found' });
     }
 
-    if (!screening.phoneInterview || !screening.phoneInterview.callId) {
-      return res.status(400).json({ error: 'No phone call initiated for this screening' });
+    if (!screening.videoUrl && !(screening.videoClips?.length > 0)) {
+      return res.status(400).json({ error: 'No video found. Upload video first.' });
     }
 
-    // Try to get recording from stored data first
-    if (screening.phoneInterview.recordingUrl) {
-      return res.json({
-        screeningId: screening._id,
-        callId: screening.phoneInterview.callId,
-        recordingUrl: screening.phoneInterview.recordingUrl,
-        status: screening.phoneInterview.status,
-      });
+    if (['queued', 'running'].includes(screening.processingStatus?.status)) {
+      return res.status(409).json({ error: `Video processing is already ${screening.processingStatus.status}` });
     }
 
-    // If not stored, fetch from Bland AI
-    try {
-      const recordingData = await getCallRecording(screening.phoneInterview.callId);
-      
-      // Update screening if recording URL is available
-      if (recordingData.recordingUrl) {
-        screening.phoneInterview.recordingUrl = recordingData.recordingUrl;
-        await screening.save();
-      }
+    await enqueueScreeningProcessing(screening, { retranscribe: req.body?.retranscribe === true });
 
-      res.json({
-        screeningId: screening._id,
-        callId: screening.phoneInterview.callId,
-        recordingUrl: recordingData.recordingUrl,
-        status: recordingData.status,
-        message: recordingData.message || null,
-      });
-    } catch (error) {
-      console.error('[Screening] Error fetching recording:', error);
-      res.status(500).json({ 
-        error: 'Error fetching recording', 
-        details: error.message,
-        status: screening.phoneInterview.status,
-      });
-    }
+    res.status(202).json({
+      message: 'Video processing queued',
+      screeningId: screening._id,
+      processingStatus: 'queued',
+      processingStatusUrl: `/api/screenings/${screening._id}/processing-status`,
+    });
   } catch (error) {
-    console.error('Error getting recording:', error);
+    console.error('Error queueing video processing:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// Helper function to map Bland AI status to internal status
-function mapBlandStatusToInternal(blandStatus) {
-  const statusMap = {
-    'initiated': 'initiated',
-    'ringing': 'ringing',
-    'in-progress': 'in_progress',
-    'completed': 'completed',
-    'ended': 'completed',
-    'failed': 'failed',
-    'no-answer': 'no_answer',
-    'busy': 'failed',
-    'voicemail': 'no_answer',
-  };
-  return statusMap[blandStatus] || 'initiated';
-}
+// GET /api/screenings/:id/processing-status - Get progress of the video processing task and its results
+router.get('/:id/processing-status', requirePermission(PERMISSIONS.SCREENINGS_READ), async (req, res) => {
+  try {
+    const screening = await Screening.findById(req.params.id)
+      .select('processingStatus transcript transcription answers scoring');
+    if (!screening) {
+      return res.status(404).json({ error: 'Screening not found' });
+    }
 
-// Helper function to calculate technical score from skills
-function calculateTechnicalScore(technicalSkills) {
-  // Simple scoring: more skills = higher score (max 10)
-  if (!technicalSkills || technicalSkills.length === 0) return 0;
-  return Math.min(10, Math.round((technicalSkills.length / 5) * 10));
-}
+    const status = screening.processingStatus?.status || null;
+    const transcription = screening.transcription?.transcribedAt ? screening.transcription : null;
+    res.json({
+      screeningId: screening._id,
+      processingStatus: status,
+      error: screening.processingStatus?.error || null,
+      attempts: screening.processingStatus?.attempts || 0,
+      queuedAt: screening.processingStatus?.queuedAt || null,
+      startedAt: screening.processingStatus?.startedAt || null,
+      completedAt: screening.processingStatus?.completedAt || null,
+      transcription: transcription ? {
+        provider: transcription.provider,
+        model: transcription.model,
+        language: transcription.language,
+        durationSec: transcription.durationSec,
+        segments: transcription.segments,
+        transcribedAt: transcription.transcribedAt,
+      } : null,
+      transcript: transcription || status === 'completed' ? screening.transcript : null,
+      // Per-question answers with time-limit overruns (empty when the whole transcript was scored)
+      answers: status === 'completed' ? screening.answers : [],
+      scoring: status === 'completed' ? screening.scoring : null,
+    });
+  } catch (error) {
+    console.error('Error fetching video processing status:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/screenings/:id/webhook - Bland AI webhook of calls placed before phone interviews moved to
+// /api/phone-interviews (the interview is found by call_id)
+router.post('/:id/webhook', verifyBlandWebhook, handlePhoneInterviewWebhook(findPhoneInterviewByCall));
 
 export default router;
 
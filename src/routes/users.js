@@ -3,48 +3,31 @@ import fs from 'fs/promises';
 import path from 'path';
 import User from '../models/User.js';
 import CandidateSearch from '../models/CandidateSearch.js';
-import { callLLM } from '../lib/llm.js';
-import { parseJsonSafely } from '../lib/parseJsonSafely.js';
+import { callLLMJson } from '../lib/llm.js';
 import { fetchGitHubData, formatGitHubDataForLLM } from '../lib/github.js';
-import { makeBlandAICall, getCallStatus } from '../lib/blandAi.js';
-import { formatPhoneNumber } from '../lib/phoneFormatter.js';
-import { sendEmail } from '../lib/email.js';
+import { resolveCompanyProfile } from '../lib/companyProfile.js';
 import { readFileAsText } from '../lib/storage.js';
+import { calculateUnifiedScore } from '../lib/scoring.js';
+import { isValidTimeZone } from '../lib/timeZones.js';
+import { getCandidatePoolOrgIds } from '../lib/organizations.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { verifyBlandWebhook, handlePhoneInterviewWebhook, findPhoneInterviewByCall } from '../middleware/blandWebhook.js';
 
 const router = express.Router();
 
 /**
- * Calculate unified score from individual scores (same as in applications)
- * @param {Object} scores - Object containing individual scores
- * @returns {Number} Unified score (0-100)
+ * Find a candidate in the caller's candidate pool (own candidates and candidates shared with the organization)
  */
-function calculateUnifiedScore(scores) {
-  const weights = {
-    resumeScore: 0.4,
-    githubPortfolioScore: 0.25,
-    compensationScore: 0.15,
-    aiToolsCompatibilityScore: 0.2,
-  };
-
-  const resumeScore = scores.resumeScore || 0;
-  const githubPortfolioScore = scores.githubPortfolioScore || 0;
-  const compensationScore = scores.compensationScore || 0;
-  const aiToolsCompatibilityScore = scores.aiToolsCompatibilityScore || 0;
-
-  const unified = (
-    resumeScore * weights.resumeScore +
-    githubPortfolioScore * weights.githubPortfolioScore +
-    compensationScore * weights.compensationScore +
-    aiToolsCompatibilityScore * weights.aiToolsCompatibilityScore
-  );
-
-  return Math.round(unified * 100) / 100; // Round to 2 decimal places
+async function findPoolCandidate(req, userId) {
+  const poolOrgIds = await getCandidatePoolOrgIds(req.orgId);
+  return User.findOne({ _id: userId, orgId: { $in: poolOrgIds } });
 }
 
 // GET /api/users/:id/resume - Download user's resume (must come before /:id route)
-router.get('/:id/resume', async (req, res) => {
+router.get('/:id/resume', requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await findPoolCandidate(req, req.params.id);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -124,451 +107,12 @@ router.get('/:id/resume', async (req, res) => {
   }
 });
 
-// POST /api/users/:userId/schedule-call - Schedule phone interview for a user (without application)
-// This is for users found through AI search who don't have an application yet
-router.post('/:userId/schedule-call', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { start_time } = req.body; // Optional: "YYYY-MM-DD HH:MM:SS -HH:MM" format
-
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (!user.phone) {
-      return res.status(400).json({ error: 'Candidate phone number not found' });
-    }
-
-    // Format phone number to E.164 format (required by Bland AI)
-    let phoneNumber;
-    try {
-      phoneNumber = formatPhoneNumber(user.phone, '91'); // Default to India (+91)
-    } catch (error) {
-      return res.status(400).json({ 
-        error: 'Invalid phone number format', 
-        details: error.message,
-        provided: user.phone 
-      });
-    }
-
-    // Generate questions based on resume only (no job context)
-    let questions = [];
-    
-    // Check if user has stored questions from a previous call
-    if (user.phoneInterviewSummaries && user.phoneInterviewSummaries.length > 0) {
-      const lastCall = user.phoneInterviewSummaries[user.phoneInterviewSummaries.length - 1];
-      if (lastCall.questions && lastCall.questions.length > 0) {
-        questions = lastCall.questions;
-      }
-    }
-
-    // If no stored questions, generate based on resume
-    if (questions.length === 0) {
-      if (!user.resumeText || user.resumeText.trim().length === 0) {
-        return res.status(400).json({ 
-          error: 'Resume text not available. Cannot generate interview questions without resume.' 
-        });
-      }
-
-      // Generate questions based on resume only (no job)
-      const questionsResponse = await callLLM('SCREENING_QUESTIONS', {
-        candidateInfo: {
-          name: user.name,
-          skills: user.tags || [],
-        },
-        resumeText: user.resumeText, // Pass resume text for generic questions
-      });
-      const parsed = parseJsonSafely(questionsResponse);
-      questions = parsed.ok ? parsed.json.screening_questions : [];
-    }
-
-    // Create new phone interview summary entry
-    const phoneInterviewSummary = {
-      status: start_time ? 'scheduled' : 'initiated',
-      phoneNumber: phoneNumber,
-      startedAt: start_time ? null : new Date(),
-      scheduledStartTime: start_time || null,
-      questions: questions,
-    };
-
-    // Add to user's phone interview summaries array
-    if (!user.phoneInterviewSummaries) {
-      user.phoneInterviewSummaries = [];
-    }
-    user.phoneInterviewSummaries.push(phoneInterviewSummary);
-    await user.save();
-
-    // Make Bland AI call (with optional start_time for scheduling)
-    const callResult = await makeBlandAICall({
-      phoneNumber,
-      candidateName: user.name,
-      user: user, // Pass user instead of application
-      questions,
-      userId: user._id.toString(),
-      startTime: start_time || null,
-    });
-
-    // Update the last phone interview summary with call ID
-    const lastSummary = user.phoneInterviewSummaries[user.phoneInterviewSummaries.length - 1];
-    lastSummary.callId = callResult.callId;
-    lastSummary.status = start_time ? 'scheduled' : 'ringing';
-    if (start_time) {
-      lastSummary.scheduledStartTime = start_time;
-    }
-    await user.save();
-
-    // Send email notification about the phone interview (async - don't wait)
-    if (user.email) {
-      (async () => {
-        try {
-          // Generate email content using LLM (generic, no job context)
-          const emailLLMResponse = await callLLM('PHONE_INTERVIEW_EMAIL', {
-            candidateName: user.name,
-            role: 'Potential Role', // Generic since no specific job
-            company: 'Paytm',
-            phoneNumber: phoneNumber,
-            scheduledStartTime: start_time,
-            questions: questions,
-          });
-
-          const emailParsed = parseJsonSafely(emailLLMResponse);
-          
-          if (emailParsed.ok) {
-            const emailData = emailParsed.json;
-            
-            // Send email
-            const emailResult = await sendEmail({
-              to: user.email,
-              subject: emailData.subject || `Phone Interview Invitation - Paytm`,
-              html: emailData.html_snippet || emailData.plain_text,
-              text: emailData.plain_text || emailData.html_snippet?.replace(/<[^>]*>/g, ''),
-            });
-
-            if (emailResult.ok) {
-              console.log(`[User] Phone interview email sent to ${user.email} for user ${user._id}`);
-            } else {
-              console.error(`[User] Failed to send phone interview email:`, emailResult.error);
-            }
-          } else {
-            console.error('[User] Failed to parse phone interview email response:', emailParsed.error);
-            // Fallback email
-            const fallbackSubject = start_time 
-              ? `Phone Interview Scheduled - Paytm`
-              : `Phone Interview Invitation - Paytm`;
-            
-            const fallbackHtml = `
-              <h2>Hello ${user.name},</h2>
-              <p>Congratulations! We came across your profile and would like to have a conversation with you.</p>
-              <p>We would like to invite you for an AI-based phone interview.</p>
-              ${start_time ? `<p><strong>Scheduled Time:</strong> ${start_time}</p>` : '<p>You will receive a call shortly at: <strong>' + phoneNumber + '</strong></p>'}
-              <p><strong>What to expect:</strong></p>
-              <ul>
-                <li>An AI interviewer named "Neo" will call you</li>
-                <li>The interview will take approximately 5-10 minutes</li>
-                <li>You'll be asked technical and behavioral questions based on your resume</li>
-                <li>Please answer naturally and be patient if there are brief pauses</li>
-              </ul>
-              <p>We look forward to speaking with you!</p>
-              <p>Best regards,<br>Paytm HR Team</p>
-            `;
-            
-            await sendEmail({
-              to: user.email,
-              subject: fallbackSubject,
-              html: fallbackHtml,
-              text: fallbackHtml.replace(/<[^>]*>/g, ''),
-            });
-          }
-        } catch (error) {
-          console.error(`[User] Error sending phone interview email:`, error);
-        }
-      })();
-    }
-
-    res.json({
-      message: start_time ? 'Phone interview call scheduled' : 'Phone interview call initiated',
-      callId: callResult.callId,
-      status: callResult.status,
-      phoneNumber: phoneNumber,
-      userId: user._id,
-      startTime: start_time || null,
-      emailSent: user.email ? true : false,
-      checkStatusUrl: `/api/users/${user._id}/phone-call-status`,
-    });
-  } catch (error) {
-    console.error('Error scheduling/initiating phone call:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
-  }
-});
-
-// GET /api/users/:userId/phone-call-status - Get phone call status for a user
-router.get('/:userId/phone-call-status', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (!user.phoneInterviewSummaries || user.phoneInterviewSummaries.length === 0) {
-      return res.status(404).json({ error: 'No phone interviews found for this user' });
-    }
-
-    // Get the most recent phone interview
-    const lastInterview = user.phoneInterviewSummaries[user.phoneInterviewSummaries.length - 1];
-
-    if (!lastInterview.callId) {
-      return res.status(400).json({ error: 'No phone call initiated for this user' });
-    }
-
-    // Helper function to map Bland AI status to internal status
-    function mapBlandStatusToInternal(blandStatus) {
-      const statusMap = {
-        'initiated': 'initiated',
-        'ringing': 'ringing',
-        'answered': 'in_progress',
-        'in-progress': 'in_progress',
-        'completed': 'completed',
-        'ended': 'completed',
-        'failed': 'failed',
-        'no-answer': 'no_answer',
-        'busy': 'failed',
-        'voicemail': 'failed',
-      };
-      return statusMap[blandStatus] || 'in_progress';
-    }
-
-    // Get latest status from Bland AI (including recording URL if available)
-    try {
-      const callStatus = await getCallStatus(lastInterview.callId);
-      
-      // Update user's phone interview summary with latest status
-      if (callStatus.status) {
-        lastInterview.status = mapBlandStatusToInternal(callStatus.status);
-      }
-      
-      if (callStatus.recording_url) {
-        lastInterview.recordingUrl = callStatus.recording_url;
-        console.log(`[User] Recording URL retrieved: ${callStatus.recording_url}`);
-      }
-      
-      if (callStatus.transcript) {
-        lastInterview.transcript = callStatus.transcript;
-      }
-      
-      if (callStatus.summary) {
-        lastInterview.summary = callStatus.summary;
-      }
-      
-      if (callStatus.analysis) {
-        lastInterview.analysis = callStatus.analysis;
-      }
-      
-      if (callStatus.duration) {
-        lastInterview.duration = callStatus.duration;
-      }
-      
-      if (callStatus.status === 'completed' || callStatus.status === 'ended') {
-        lastInterview.status = 'completed';
-        lastInterview.completedAt = new Date();
-        
-        // If recording URL not in status, try to fetch it explicitly
-        if (!lastInterview.recordingUrl) {
-          try {
-            const { getCallRecording } = await import('../lib/blandAi.js');
-            const recordingData = await getCallRecording(lastInterview.callId);
-            if (recordingData.recordingUrl) {
-              lastInterview.recordingUrl = recordingData.recordingUrl;
-              console.log(`[User] Recording URL fetched explicitly: ${recordingData.recordingUrl}`);
-            }
-          } catch (recordingError) {
-            console.warn(`[User] Could not fetch recording URL:`, recordingError.message);
-          }
-        }
-      }
-      
-      await user.save();
-    } catch (error) {
-      console.error('[User] Error fetching call status from Bland AI:', error);
-      // Return stored status even if fetch fails
-    }
-
-    res.json({
-      userId: user._id,
-      phoneInterview: lastInterview,
-      totalInterviews: user.phoneInterviewSummaries.length,
-    });
-  } catch (error) {
-    console.error('Error getting phone call status:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
-  }
-});
-
-// POST /api/users/:userId/phone-call-webhook - Webhook handler for user-based phone calls (from Bland AI)
-router.post('/:userId/phone-call-webhook', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const webhookData = req.body;
-
-    console.log(`[User] Webhook received for user ${userId}:`, JSON.stringify(webhookData, null, 2));
-
-    const user = await User.findById(userId);
-    if (!user) {
-      console.error(`[User] User ${userId} not found for webhook`);
-      return res.status(404).send('User not found');
-    }
-
-    // Get the phone interview summary - match by call_id if provided, otherwise use most recent
-    if (!user.phoneInterviewSummaries || user.phoneInterviewSummaries.length === 0) {
-      console.error(`[User] No phone interview summaries found for user ${userId}`);
-      return res.status(400).send('No phone interview found');
-    }
-
-    // Try to find interview by call_id if provided
-    let lastInterview = null;
-    if (webhookData.call_id) {
-      lastInterview = user.phoneInterviewSummaries.find(
-        summary => summary.callId === webhookData.call_id || summary.callId === webhookData.call_id?.toString()
-      );
-    }
-    
-    // Fallback to most recent if no match found
-    if (!lastInterview) {
-      lastInterview = user.phoneInterviewSummaries[user.phoneInterviewSummaries.length - 1];
-      console.log(`[User] No matching call_id found, using most recent interview`);
-    }
-
-    // Helper function to map Bland AI status to internal status
-    function mapBlandStatusToInternal(blandStatus) {
-      const statusMap = {
-        'initiated': 'initiated',
-        'ringing': 'ringing',
-        'answered': 'in_progress',
-        'in-progress': 'in_progress',
-        'completed': 'completed',
-        'ended': 'completed',
-        'failed': 'failed',
-        'no-answer': 'no_answer',
-        'busy': 'failed',
-        'voicemail': 'failed',
-      };
-      return statusMap[blandStatus] || 'in_progress';
-    }
-
-    // Map Bland AI status to internal status
-    if (webhookData.status) {
-      lastInterview.status = mapBlandStatusToInternal(webhookData.status);
-    }
-    
-    // Update call ID if provided
-    if (webhookData.call_id) {
-      lastInterview.callId = webhookData.call_id;
-    }
-    
-    // Get recording URL when call completes
-    if (webhookData.recording_url) {
-      lastInterview.recordingUrl = webhookData.recording_url;
-      console.log(`[User] Recording URL received: ${webhookData.recording_url}`);
-    }
-    
-    // Update transcript if available (handle both string and array formats)
-    if (webhookData.transcript) {
-      if (Array.isArray(webhookData.transcript)) {
-        // Convert transcript array to formatted string
-        const transcriptText = webhookData.transcript
-          .map(msg => {
-            const speaker = msg.user === 'assistant' ? 'Interviewer' : 'Candidate';
-            const timestamp = msg.created_at ? new Date(msg.created_at).toISOString() : '';
-            return `[${timestamp}] ${speaker}: ${msg.text || ''}`;
-          })
-          .join('\n\n');
-        lastInterview.transcript = transcriptText;
-      } else {
-        lastInterview.transcript = webhookData.transcript;
-      }
-    }
-    
-    // Update summary if available
-    if (webhookData.summary) {
-      lastInterview.summary = webhookData.summary;
-    }
-    
-    // Update analysis if available (handle both object and string formats)
-    if (webhookData.analysis) {
-      if (typeof webhookData.analysis === 'object') {
-        lastInterview.analysis = {
-          technical_skills: webhookData.analysis.technical_skills || [],
-          behavioral_traits: webhookData.analysis.behavioral_traits || [],
-          communication_quality: webhookData.analysis.communication_quality || null,
-          overall_fit: webhookData.analysis.overall_fit || null,
-          strengths: webhookData.analysis.strengths || [],
-          concerns: webhookData.analysis.concerns || [],
-        };
-      } else {
-        // If analysis is a string, try to parse it or store as summary
-        lastInterview.summary = webhookData.analysis;
-      }
-    }
-    
-    // Update duration if available (handle corrected_duration as well)
-    if (webhookData.duration) {
-      lastInterview.duration = parseInt(webhookData.duration, 10);
-    } else if (webhookData.corrected_duration) {
-      lastInterview.duration = parseInt(webhookData.corrected_duration, 10);
-    }
-    
-    // Update completedAt if end_at is provided
-    if (webhookData.end_at) {
-      lastInterview.completedAt = new Date(webhookData.end_at);
-    }
-    
-    // When call is completed, fetch full details including recording
-    if (webhookData.status === 'completed' || webhookData.status === 'ended') {
-      lastInterview.status = 'completed';
-      lastInterview.completedAt = new Date();
-      
-      // Fetch full call details to ensure we have recording URL
-      if (webhookData.call_id) {
-        try {
-          const { getCallStatus } = await import('../lib/blandAi.js');
-          const fullCallData = await getCallStatus(webhookData.call_id);
-          
-          // Update with complete data
-          if (fullCallData.recording_url) {
-            lastInterview.recordingUrl = fullCallData.recording_url;
-          }
-          if (fullCallData.transcript) {
-            lastInterview.transcript = fullCallData.transcript;
-          }
-          if (fullCallData.summary) {
-            lastInterview.summary = fullCallData.summary;
-          }
-          if (fullCallData.analysis) {
-            lastInterview.analysis = fullCallData.analysis;
-          }
-          
-          console.log(`[User] Full call data fetched for user ${userId}, recording: ${fullCallData.recording_url ? 'available' : 'not available'}`);
-        } catch (fetchError) {
-          console.error(`[User] Error fetching full call data:`, fetchError);
-        }
-      }
-    }
-
-    await user.save();
-    console.log(`[User] Webhook processed successfully for user ${userId}`);
-
-    res.status(200).send('OK');
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).send('Error');
-  }
-});
+// POST /api/users/:userId/phone-call-webhook - Bland AI webhook of calls placed before phone interviews moved to
+// /api/phone-interviews (the interview is found by call_id)
+router.post('/:userId/phone-call-webhook', verifyBlandWebhook, handlePhoneInterviewWebhook(findPhoneInterviewByCall));
 
 // GET /api/users/searches - Get all searches (with pagination) - MUST come before /:id route
-router.get('/searches', async (req, res) => {
+router.get('/searches', requirePermission(PERMISSIONS.CANDIDATES_READ), async (req, res) => {
   try {
     const { limit = 50, page = 1, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
@@ -576,9 +120,10 @@ router.get('/searches', async (req, res) => {
     const sort = {};
     sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
+    const poolOrgIds = await getCandidatePoolOrgIds(req.orgId);
     const searches = await CandidateSearch.find()
-      .populate('shortlistedUsers', 'name email')
-      .populate('rejectedUsers', 'name email')
+      .populate({ path: 'shortlistedUsers', select: 'name email', match: { orgId: { $in: poolOrgIds } } })
+      .populate({ path: 'rejectedUsers', select: 'name email', match: { orgId: { $in: poolOrgIds } } })
       .sort(sort)
       .limit(parseInt(limit))
       .skip(skip)
@@ -613,7 +158,8 @@ router.get('/searches', async (req, res) => {
  * {
  *   "query": "Find React developers with Node.js experience",
  *   "limit": 50,  // Optional, defaults to 50
- *   "skip": 0     // Optional, defaults to 0
+ *   "skip": 0,    // Optional, defaults to 0
+ *   "companyProfileId": "..." // Optional, company context for scoring (defaults to the default company profile)
  * }
  * 
  * Response:
@@ -626,9 +172,10 @@ router.get('/searches', async (req, res) => {
  *   "results": [ ... candidate objects ... ]
  * }
  */
-router.post('/search', async (req, res) => {
+router.post('/search', requirePermission(PERMISSIONS.CANDIDATES_SEARCH), async (req, res) => {
   try {
-    const { query, limit = 50, skip = 0 } = req.body;
+    // bypassCache: re-run LLM scoring instead of reusing cached responses for unchanged resumes/queries
+    const { query, limit = 50, skip = 0, bypassCache = false, companyProfileId } = req.body;
 
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
       return res.status(400).json({ 
@@ -638,25 +185,21 @@ router.post('/search', async (req, res) => {
 
     console.log(`[CandidateSearch] Searching for: "${query}"`);
 
-    // Call LLM to extract search criteria from natural language query
-    const llmResponse = await callLLM('CANDIDATE_SEARCH', { searchQuery: query });
-    const parsed = parseJsonSafely(llmResponse);
+    const company = await resolveCompanyProfile(companyProfileId);
 
-    if (!parsed.ok) {
-      console.error('[CandidateSearch] Failed to parse LLM response:', parsed.error);
+    // Call LLM to extract search criteria from natural language query
+    let extracted;
+    try {
+      extracted = await callLLMJson('CANDIDATE_SEARCH', { searchQuery: query }, { bypassCache, companyProfile: company });
+    } catch (error) {
+      console.error('[CandidateSearch] Failed to parse LLM response:', error.message);
       return res.status(500).json({ 
         error: 'Failed to extract search criteria',
-        details: parsed.error 
+        details: error.message 
       });
     }
 
-    const { searchCriteria, explanation } = parsed.json;
-
-    if (!searchCriteria || typeof searchCriteria !== 'object') {
-      return res.status(500).json({ 
-        error: 'Invalid search criteria format from LLM' 
-      });
-    }
+    const { searchCriteria, explanation } = extracted;
 
     console.log('[CandidateSearch] Extracted criteria:', JSON.stringify(searchCriteria, null, 2));
 
@@ -820,6 +363,9 @@ router.post('/search', async (req, res) => {
       console.log('[CandidateSearch] No criteria extracted, searching all candidates');
     }
 
+    // Only search the organization's candidate pool (its own candidates and pools shared with it)
+    finalQuery.orgId = { $in: await getCandidatePoolOrgIds(req.orgId) };
+
     console.log('[CandidateSearch] Final MongoDB query:', JSON.stringify(finalQuery, null, 2));
 
     // Execute search
@@ -869,7 +415,7 @@ router.post('/search', async (req, res) => {
         // Create a mock job object for scoring (using search criteria)
         const mockJob = {
           role: searchCriteria.role || 'Position',
-          company_name: 'Paytm',
+          company_name: company.name,
           must_have_skills: searchCriteria.tags || [],
           nice_to_have: [],
           enhanced_jd: query,
@@ -879,23 +425,18 @@ router.post('/search', async (req, res) => {
         if (user.resumeText && user.resumeText.trim().length > 0) {
           // Candidate search scoring (for match score and skills)
           scoringPromises.push(
-            callLLM('CANDIDATE_SEARCH_SCORING', {
+            callLLMJson('CANDIDATE_SEARCH_SCORING', {
               resumeText: user.resumeText,
               searchCriteria,
               searchQuery: query,
-            })
-              .then(scoringResponse => {
-                const scoringParsed = parseJsonSafely(scoringResponse);
-                if (scoringParsed.ok) {
-                  matchScore = scoringParsed.json.match_score || 0;
-                  skillsMatched = scoringParsed.json.skills_matched || [];
-                  skillsMissing = scoringParsed.json.skills_missing || [];
-                  topReasons = scoringParsed.json.top_reasons || [];
-                  recommendedAction = scoringParsed.json.recommended_action || null;
-                  console.log(`[CandidateSearch] Match score for ${user.name}: ${matchScore}`);
-                } else {
-                  console.error(`[CandidateSearch] Failed to parse match scoring for ${user.name}:`, scoringParsed.error);
-                }
+            }, { context: { userId: user._id }, bypassCache, companyProfile: company })
+              .then(scoringResult => {
+                matchScore = scoringResult.match_score;
+                skillsMatched = scoringResult.skills_matched;
+                skillsMissing = scoringResult.skills_missing;
+                topReasons = scoringResult.top_reasons;
+                recommendedAction = scoringResult.recommended_action;
+                console.log(`[CandidateSearch] Match score for ${user.name}: ${matchScore}`);
               })
               .catch(error => {
                 console.error(`[CandidateSearch] Error in match scoring for ${user.name}:`, error);
@@ -904,18 +445,13 @@ router.post('/search', async (req, res) => {
 
           // Resume scoring (for resume score - same as in applications)
           scoringPromises.push(
-            callLLM('RESUME_SCORING', {
+            callLLMJson('RESUME_SCORING', {
               resumeText: user.resumeText,
               job: mockJob,
-            })
-              .then(resumeScoringResponse => {
-                const resumeParsed = parseJsonSafely(resumeScoringResponse);
-                if (resumeParsed.ok) {
-                  resumeScore = resumeParsed.json.match_score || 0;
-                  console.log(`[CandidateSearch] Resume score for ${user.name}: ${resumeScore}`);
-                } else {
-                  console.error(`[CandidateSearch] Failed to parse resume scoring for ${user.name}:`, resumeParsed.error);
-                }
+            }, { context: { userId: user._id }, bypassCache, companyProfile: company })
+              .then(resumeResult => {
+                resumeScore = resumeResult.match_score;
+                console.log(`[CandidateSearch] Resume score for ${user.name}: ${resumeScore}`);
               })
               .catch(error => {
                 console.error(`[CandidateSearch] Error in resume scoring for ${user.name}:`, error);
@@ -940,20 +476,15 @@ router.post('/search', async (req, res) => {
 
         if (githubDataFormatted || finalPortfolioUrl) {
           scoringPromises.push(
-            callLLM('GITHUB_PORTFOLIO_SCORING', {
+            callLLMJson('GITHUB_PORTFOLIO_SCORING', {
               githubData: githubDataFormatted,
               portfolioUrl: finalPortfolioUrl,
               job: mockJob,
-            })
-              .then(githubLLMResponse => {
-                const githubParsed = parseJsonSafely(githubLLMResponse);
-                if (githubParsed.ok) {
-                  githubPortfolioScore = githubParsed.json.score || 0;
-                  githubPortfolioSummary = githubParsed.json.summary || '';
-                  console.log(`[CandidateSearch] GitHub/Portfolio scored for ${user.name}: ${githubPortfolioScore}`);
-                } else {
-                  console.error(`[CandidateSearch] Failed to parse GitHub/Portfolio response for ${user.name}:`, githubParsed.error);
-                }
+            }, { context: { userId: user._id }, bypassCache, companyProfile: company })
+              .then(githubResult => {
+                githubPortfolioScore = githubResult.score;
+                githubPortfolioSummary = githubResult.summary;
+                console.log(`[CandidateSearch] GitHub/Portfolio scored for ${user.name}: ${githubPortfolioScore}`);
               })
               .catch(error => {
                 console.error(`[CandidateSearch] Error processing GitHub/Portfolio for ${user.name}:`, error);
@@ -966,19 +497,14 @@ router.post('/search', async (req, res) => {
         const budgetInfo = searchCriteria.budgetInfo || searchCriteria.budget || searchCriteria.compensationQuery;
         if (user.compensationExpectation && budgetInfo) {
           scoringPromises.push(
-            callLLM('COMPENSATION_ANALYSIS', {
+            callLLMJson('COMPENSATION_ANALYSIS', {
               compensationExpectation: user.compensationExpectation,
               budget_info: budgetInfo,
-            })
-              .then(compLLMResponse => {
-                const compParsed = parseJsonSafely(compLLMResponse);
-                if (compParsed.ok) {
-                  compensationScore = compParsed.json.score || 0;
-                  compensationAnalysis = compParsed.json.analysis || '';
-                  console.log(`[CandidateSearch] Compensation analyzed for ${user.name}: ${compensationScore}`);
-                } else {
-                  console.error(`[CandidateSearch] Failed to parse compensation response for ${user.name}:`, compParsed.error);
-                }
+            }, { context: { userId: user._id }, bypassCache, companyProfile: company })
+              .then(compResult => {
+                compensationScore = compResult.score;
+                compensationAnalysis = compResult.analysis;
+                console.log(`[CandidateSearch] Compensation analyzed for ${user.name}: ${compensationScore}`);
               })
               .catch(error => {
                 console.error(`[CandidateSearch] Error analyzing compensation for ${user.name}:`, error);
@@ -989,21 +515,16 @@ router.post('/search', async (req, res) => {
         // AI Tools Compatibility scoring (analyze resume, GitHub, and portfolio for AI/ML tools usage)
         if (user.resumeText || githubDataFormatted || finalPortfolioUrl) {
           scoringPromises.push(
-            callLLM('AI_TOOLS_COMPATIBILITY', {
+            callLLMJson('AI_TOOLS_COMPATIBILITY', {
               resumeText: user.resumeText || '',
               githubData: githubDataFormatted || '',
               portfolioUrl: finalPortfolioUrl || '',
               parsedResume: user.parsedResume || null,
-            })
-              .then(aiLLMResponse => {
-                const aiParsed = parseJsonSafely(aiLLMResponse);
-                if (aiParsed.ok) {
-                  aiToolsCompatibilityScore = aiParsed.json.score || 0;
-                  aiToolsCompatibilityAnalysis = aiParsed.json.analysis || '';
-                  console.log(`[CandidateSearch] AI Tools Compatibility Score for ${user.name}: ${aiToolsCompatibilityScore}`);
-                } else {
-                  console.error(`[CandidateSearch] Failed to parse AI Tools Compatibility response for ${user.name}:`, aiParsed.error);
-                }
+            }, { context: { userId: user._id }, bypassCache, companyProfile: company })
+              .then(aiResult => {
+                aiToolsCompatibilityScore = aiResult.score;
+                aiToolsCompatibilityAnalysis = aiResult.analysis;
+                console.log(`[CandidateSearch] AI Tools Compatibility Score for ${user.name}: ${aiToolsCompatibilityScore}`);
               })
               .catch(error => {
                 console.error(`[CandidateSearch] Error analyzing AI tools compatibility for ${user.name}:`, error);
@@ -1014,7 +535,7 @@ router.post('/search', async (req, res) => {
         // Wait for all scoring operations to complete
         await Promise.all(scoringPromises);
 
-        // Calculate unified score
+        // Calculate unified score (no job context, so default weights apply)
         const scores = {
           resumeScore,
           githubPortfolioScore,
@@ -1124,7 +645,7 @@ router.post('/search', async (req, res) => {
 });
 
 // POST /api/users/search/:searchId/shortlist - Add user to shortlist for a search
-router.post('/search/:searchId/shortlist', async (req, res) => {
+router.post('/search/:searchId/shortlist', requirePermission(PERMISSIONS.CANDIDATES_WRITE), async (req, res) => {
   try {
     const { searchId } = req.params;
     const { userId } = req.body;
@@ -1139,7 +660,7 @@ router.post('/search/:searchId/shortlist', async (req, res) => {
     }
 
     // Check if user exists
-    const user = await User.findById(userId);
+    const user = await findPoolCandidate(req, userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -1169,7 +690,7 @@ router.post('/search/:searchId/shortlist', async (req, res) => {
 });
 
 // POST /api/users/search/:searchId/reject - Add user to rejected list for a search
-router.post('/search/:searchId/reject', async (req, res) => {
+router.post('/search/:searchId/reject', requirePermission(PERMISSIONS.CANDIDATES_WRITE), async (req, res) => {
   try {
     const { searchId } = req.params;
     const { userId } = req.body;
@@ -1184,7 +705,7 @@ router.post('/search/:searchId/reject', async (req, res) => {
     }
 
     // Check if user exists
-    const user = await User.findById(userId);
+    const user = await findPoolCandidate(req, userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -1214,14 +735,15 @@ router.post('/search/:searchId/reject', async (req, res) => {
 });
 
 // GET /api/users/search/:searchId - Get search details with shortlisted and rejected users
-router.get('/search/:searchId', async (req, res) => {
+router.get('/search/:searchId', requirePermission(PERMISSIONS.CANDIDATES_READ), async (req, res) => {
   try {
     const { searchId } = req.params;
     const { status } = req.query; // Query param: 'shortlisted' or 'rejected'
 
+    const poolOrgIds = await getCandidatePoolOrgIds(req.orgId);
     const candidateSearch = await CandidateSearch.findById(searchId)
-      .populate('shortlistedUsers', 'name email phone tags')
-      .populate('rejectedUsers', 'name email phone tags');
+      .populate({ path: 'shortlistedUsers', select: 'name email phone tags', match: { orgId: { $in: poolOrgIds } } })
+      .populate({ path: 'rejectedUsers', select: 'name email phone tags', match: { orgId: { $in: poolOrgIds } } });
 
     if (!candidateSearch) {
       return res.status(404).json({ error: 'Search not found' });
@@ -1262,9 +784,9 @@ router.get('/search/:searchId', async (req, res) => {
 });
 
 // GET /api/users/:id - Get user profile (MUST come after all /search* routes)
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.CANDIDATES_READ), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await findPoolCandidate(req, req.params.id);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -1278,9 +800,13 @@ router.get('/:id', async (req, res) => {
 });
 
 // PATCH /api/users/:id - Update user info (MUST come after all /search* routes)
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requirePermission(PERMISSIONS.CANDIDATES_WRITE), async (req, res) => {
   try {
-    const { githubUrl, portfolioUrl, compensationExpectation, name, phone, isHired } = req.body;
+    const { githubUrl, portfolioUrl, compensationExpectation, name, phone, timezone, isHired } = req.body;
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone (e.g. Asia/Kolkata)' });
+    }
 
     const user = await User.findById(req.params.id);
     
@@ -1293,6 +819,7 @@ router.patch('/:id', async (req, res) => {
     if (compensationExpectation !== undefined) user.compensationExpectation = compensationExpectation;
     if (name !== undefined) user.name = name;
     if (phone !== undefined) user.phone = phone;
+    if (timezone !== undefined) user.timezone = timezone || undefined;
     if (isHired !== undefined) {
       user.isHired = isHired;
       if (isHired && !user.hiredAt) {
@@ -10,6 +10,23 @@ import usersRouter from './routes/users.js';
 import debugRouter from './routes/debug.js';
 import analysisRouter from './routes/analysis.js';
 import emailRouter from './routes/email.js';
+import promptsRouter from './routes/prompts.js';
+import companyProfilesRouter from './routes/companyProfiles.js';
+import organizationsRouter from './routes/organizations.js';
+import authRouter from './routes/auth.js';
+import membersRouter from './routes/members.js';
+import portalRouter from './routes/portal.js';
+import phoneInterviewsRouter from './routes/phoneInterviews.js';
+import availabilityRouter from './routes/availability.js';
+import { authenticate } from './middleware/auth.js';
+import { ensureDefaultOrganization } from './lib/organizations.js';
+import { validateAuthConfig, ensureBootstrapAdmin } from './lib/auth.js';
+import { backfillApplicationStages } from './lib/pipeline.js';
+import { migrateEmbeddedPhoneInterviews } from './lib/phoneInterviews.js';
+import { validateWebhookConfig } from './lib/blandWebhooks.js';
+import { validateTelephonyConfig } from './lib/telephony.js';
+import { registerTaskHandlers } from './lib/taskHandlers.js';
+import { startTaskWorker } from './lib/taskQueue.js';
 
 dotenv.config();
 
@@ -18,9 +35,13 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
+// Identify the caller and scope the request to their organization (routes check permissions)
+app.use(['/api', '/debug'], authenticate);
+
 // Routes
 app.use('/api/jobs', jobsRouter);
 app.use('/api/apply', applicationsRouter);
@@ -29,7 +50,22 @@ app.use('/api/screenings', screeningsRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/analysis', analysisRouter);
 app.use('/api/email', emailRouter);
-app.use('/debug', debugRouter);
+app.use('/api/prompts', promptsRouter);
+app.use('/api/company-profiles', companyProfilesRouter);
+app.use('/api/organizations', organizationsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/members', membersRouter);
+app.use('/api/portal', portalRouter);
+app.use('/api/phone-interviews', phoneInterviewsRouter);
+app.use('/api/availability', availabilityRouter);
+
+// Debug routes (admin only) are off in production unless DEBUG_ROUTES_ENABLED=true
+const debugRoutesEnabled = process.env.DEBUG_ROUTES_ENABLED
+  ? process.env.DEBUG_ROUTES_ENABLED === 'true'
+  : process.env.NODE_ENV !== 'production';
+if (debugRoutesEnabled) {
+  app.use('/debug', debugRouter);
+}
 
 // Health check
 app.get('/health', (req, res) => {
@@ -47,7 +83,36 @@ app.use((err, req, res, next) => {
 // Start server
 async function startServer() {
   try {
+    const authConfig = validateAuthConfig();
+    if (!authConfig.ok) {
+      throw new Error(`Invalid auth configuration: ${authConfig.errors.join('; ')}`);
+    }
+    const webhookConfig = validateWebhookConfig();
+    if (!webhookConfig.ok) {
+      throw new Error(`Invalid webhook configuration: ${webhookConfig.errors.join('; ')}`);
+    }
+    const telephonyConfig = validateTelephonyConfig();
+    if (!telephonyConfig.ok) {
+      throw new Error(`Invalid telephony configuration: ${telephonyConfig.errors.join('; ')}`);
+    }
+
     await connectDB();
+
+    // Create the default organization and assign data that predates organizations to it
+    await ensureDefaultOrganization();
+    await ensureBootstrapAdmin();
+
+    // Give applications from before pipeline stages a stage
+    await backfillApplicationStages();
+
+    // Move phone interviews embedded in applications, screenings and users into their own collection
+    await migrateEmbeddedPhoneInterviews();
+
+    // Start the background task worker (also resumes tasks left unfinished by a previous run)
+    if (process.env.TASK_WORKER_DISABLED !== 'true') {
+      registerTaskHandlers();
+      startTaskWorker();
+    }
     
     // Verify email connection (non-blocking, with timeout)
     // Skip verification in cloud environments if SENDGRID_SKIP_VERIFY is set
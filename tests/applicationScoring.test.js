@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// LLM results per prompt; a prompt mapped to an Error fails
+const llmResults = {};
+
+jest.unstable_mockModule('../src/lib/llm.js', () => ({
+  callLLMJson: jest.fn(async (promptName) => {
+    if (llmResults[promptName] instanceof Error) throw llmResults[promptName];
+    return llmResults[promptName];
+  }),
+}));
+jest.unstable_mockModule('../src/lib/embeddings.js', () => ({
+  extractTagsFromResume: jest.fn().mockResolvedValue([]),
+}));
+jest.unstable_mockModule('../src/lib/storage.js', () => ({
+  readFileAsText: jest.fn().mockResolvedValue('Senior engineer, 8 years of Node.js'),
+}));
+jest.unstable_mockModule('../src/lib/github.js', () => ({
+  fetchGitHubData: jest.fn(),
+  formatGitHubDataForLLM: jest.fn(),
+}));
+jest.unstable_mockModule('../src/lib/companyProfile.js', () => ({
+  resolveCompanyProfile: jest.fn().mockResolvedValue({ name: 'Acme', locale: 'en-US', timezone: 'UTC' }),
+}));
+jest.unstable_mockModule('../src/lib/screeningAutomation.js', () => ({
+  autoCreateScreening: jest.fn().mockResolvedValue(null),
+}));
+
+const { processApplicationScoring } = await import('../src/lib/applicationScoring.js');
+const { default: Job } = await import('../src/models/Job.js');
+const { default: User } = await import('../src/models/User.js');
+const { default: Application } = await import('../src/models/Application.js');
+
+describe('processApplicationScoring', () => {
+  const spies = [];
+  let application;
+
+  beforeEach(() => {
+    Object.assign(llmResults, {
+      RESUME_SUMMARY: { summary: 'Backend engineer' },
+      RESUME_PARSER: { name: 'Candidate' },
+      RESUME_SCORING: { match_score: 90, skills_matched: [], skills_missing: [], top_reasons: [], recommended_action: 'yes' },
+      COMPENSATION_ANALYSIS: { score: 80, analysis: 'Within budget' },
+      AI_TOOLS_COMPATIBILITY: { score: 70, analysis: 'Uses Copilot' },
+    });
+    application = { _id: new mongoose.Types.ObjectId(), save: jest.fn().mockResolvedValue() };
+    spies.push(
+      jest.spyOn(Job, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), budget_info: '30-40 LPA' }),
+      jest.spyOn(User, 'findById').mockResolvedValue({ email: 'candidate@example.com', compensationExpectation: '35 LPA', save: jest.fn() }),
+      jest.spyOn(Application, 'findById').mockResolvedValue(application),
+    );
+  });
+
+  afterEach(() => {
+    spies.splice(0).forEach(spy => spy.mockRestore());
+  });
+
+  test('should store the unified score of every component', async () => {
+    await processApplicationScoring(application._id, 'job', 'user', 'resume.pdf');
+
+    expect(application.scores).toMatchObject({ resumeScore: 90, compensationScore: 80, aiToolsCompatibilityScore: 70 });
+    // 90 × 0.4 + 80 × 0.15 + 70 × 0.2 (no GitHub/portfolio)
+    expect(application.unifiedScore).toBe(62);
+  });
+
+  test('should fail the attempt instead of counting a failed component as 0', async () => {
+    llmResults.COMPENSATION_ANALYSIS = new Error('LLM timed out');
+
+    await expect(processApplicationScoring(application._id, 'job', 'user', 'resume.pdf')).rejects.toThrow('LLM timed out');
+    expect(application.scores).toBeUndefined();
+    expect(application.unifiedScore).toBeUndefined();
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  signSessionToken,
+  verifySessionToken,
+  hashPassword,
+  verifyPassword,
+  generateApiKey,
+  hashApiKey,
+  API_KEY_PREFIX,
+} from '../src/lib/auth.js';
+import { PERMISSIONS, ROLES, getRolePermissions, hasPermission, validateApiKeyScopes } from '../src/lib/permissions.js';
+
+const secret = 'test-secret-that-is-long-enough-for-hs256';
+
+describe('auth', () => {
+  test('should sign and verify session tokens', () => {
+    const { token, expiresAt } = signSessionToken({ sub: 'member-1', org: 'org-1' }, { secret, expiresInSeconds: 60 });
+    const result = verifySessionToken(token, { secret });
+
+    expect(result.ok).toBe(true);
+    expect(result.claims).toMatchObject({ sub: 'member-1', org: 'org-1' });
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should reject tampered, foreign and expired tokens', () => {
+    const { token } = signSessionToken({ sub: 'member-1', org: 'org-1' }, { secret });
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'member-2', org: 'org-1', exp: 9999999999 })).toString('base64url');
+
+    expect(verifySessionToken(`${header}.${forged}.${signature}`, { secret })).toMatchObject({ ok: false, error: 'Invalid token signature' });
+    expect(verifySessionToken(token, { secret: 'another-secret' }).ok).toBe(false);
+    expect(verifySessionToken('not-a-token', { secret }).ok).toBe(false);
+
+    const expired = signSessionToken({ sub: 'member-1' }, { secret, expiresInSeconds: -1 });
+    expect(verifySessionToken(expired.token, { secret })).toMatchObject({ ok: false, error: 'Token expired' });
+  });
+
+  test('should hash and verify passwords', async () => {
+    const hash = await hashPassword('correct horse battery');
+
+    expect(hash).not.toContain('correct horse battery');
+    expect(await verifyPassword('correct horse battery', hash)).toBe(true);
+    expect(await verifyPassword('wrong password', hash)).toBe(false);
+  });
+
+  test('should generate API keys that are stored as hashes', () => {
+    const { key, keyHash, keyPrefix } = generateApiKey();
+
+    expect(key.startsWith(API_KEY_PREFIX)).toBe(true);
+    expect(key.startsWith(keyPrefix)).toBe(true);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(keyHash).not.toContain(key);
+  });
+
+  test('should enforce the role permission matrix', () => {
+    const interviewer = getRolePermissions(ROLES.INTERVIEWER);
+    const recruiter = getRolePermissions(ROLES.RECRUITER);
+
+    expect(hasPermission(interviewer, PERMISSIONS.RESUMES_READ)).toBe(true);
+    expect(hasPermission(interviewer, PERMISSIONS.APPLICATIONS_DECIDE)).toBe(false);
+    expect(hasPermission(recruiter, PERMISSIONS.APPLICATIONS_DECIDE)).toBe(true);
+    expect(hasPermission(recruiter, PERMISSIONS.DEBUG)).toBe(false);
+    expect(hasPermission(getRolePermissions(ROLES.ADMIN), PERMISSIONS.DEBUG)).toBe(true);
+    expect(getRolePermissions('unknown')).toEqual([]);
+  });
+
+  test('should not let API keys exceed their creator\'s permissions', () => {
+    const recruiter = getRolePermissions(ROLES.RECRUITER);
+
+    expect(validateApiKeyScopes([PERMISSIONS.JOBS_READ], recruiter).ok).toBe(true);
+    expect(validateApiKeyScopes([PERMISSIONS.MEMBERS_MANAGE], recruiter).ok).toBe(false);
+    expect(validateApiKeyScopes(['jobs:delete'], recruiter).errors).toEqual(['Unknown permission: jobs:delete']);
+    expect(validateApiKeyScopes([], recruiter).ok).toBe(false);
+  });
+});
@@ -0,0 +1,14 @@
+import { parseStartTime } from '../src/lib/blandAi.js';
+
+describe('blandAi', () => {
+  test('should parse Bland AI start times with their UTC offset', () => {
+    expect(parseStartTime('2025-01-15 10:00:00 +05:30').toISOString()).toBe('2025-01-15T04:30:00.000Z');
+    expect(parseStartTime('2025-01-15 10:00:00 -05:00').toISOString()).toBe('2025-01-15T15:00:00.000Z');
+  });
+
+  test('should reject malformed start times', () => {
+    expect(() => parseStartTime('2025-01-15T10:00:00Z')).toThrow('Invalid start_time format');
+    expect(() => parseStartTime('2025-13-45 10:00:00 +05:30')).toThrow('Invalid start_time date');
+    expect(() => parseStartTime(undefined)).toThrow('Invalid start_time format');
+  });
+});
@@ -0,0 +1,47 @@
+import { signWebhookBody, verifyWebhookSignature, matchStoredCall, canUpdateCallStatus } from '../src/lib/blandWebhooks.js';
+
+const secret = 'whsec-test-secret';
+const body = Buffer.from(JSON.stringify({ call_id: 'call-1', status: 'completed' }));
+
+describe('blandWebhooks', () => {
+  test('should accept correctly signed bodies', () => {
+    const signature = signWebhookBody(body, secret);
+
+    expect(verifyWebhookSignature(body, signature, { secret }).ok).toBe(true);
+    expect(verifyWebhookSignature(body, `sha256=${signature.toUpperCase()}`, { secret }).ok).toBe(true);
+  });
+
+  test('should reject missing, wrong and tampered signatures', () => {
+    const signature = signWebhookBody(body, secret);
+    const tampered = Buffer.from(JSON.stringify({ call_id: 'call-1', status: 'failed' }));
+
+    expect(verifyWebhookSignature(body, undefined, { secret })).toEqual({ ok: false, error: 'Missing webhook signature' });
+    expect(verifyWebhookSignature(body, signWebhookBody(body, 'other-secret'), { secret }).ok).toBe(false);
+    expect(verifyWebhookSignature(tampered, signature, { secret })).toEqual({ ok: false, error: 'Invalid webhook signature' });
+    expect(verifyWebhookSignature(body, 'abc', { secret }).ok).toBe(false);
+  });
+
+  test('should only accept unsigned webhooks without a secret outside production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    try {
+      process.env.NODE_ENV = 'development';
+      expect(verifyWebhookSignature(body, undefined, { secret: null }).ok).toBe(true);
+      process.env.NODE_ENV = 'production';
+      expect(verifyWebhookSignature(body, undefined, { secret: null }).ok).toBe(false);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  test('should match the payload call against the stored call', () => {
+    expect(matchStoredCall('call-1', 'call-1').ok).toBe(true);
+    expect(matchStoredCall('call-1', 'call-2').ok).toBe(false);
+    expect(matchStoredCall(undefined, 'call-1').ok).toBe(false);
+  });
+
+  test('should keep the status of finished calls', () => {
+    expect(canUpdateCallStatus('ringing')).toBe(true);
+    expect(canUpdateCallStatus('completed')).toBe(false);
+    expect(canUpdateCallStatus('canceled')).toBe(false);
+  });
+});
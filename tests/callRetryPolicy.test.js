@@ -0,0 +1,63 @@
+import {
+  DEFAULT_CALL_RETRY_POLICY,
+  getCallRetryPolicy,
+  validateCallRetryPolicy,
+  getCandidateTimeZone,
+  nextCallingTime,
+  getCallingTimes,
+} from '../src/lib/callRetryPolicy.js';
+import { formatStartTime } from '../src/lib/timeZones.js';
+
+describe('callRetryPolicy', () => {
+  const window = DEFAULT_CALL_RETRY_POLICY.callingWindow;
+
+  test('should keep times inside the calling window', () => {
+    // Wednesday 11:00 in Kolkata
+    const inside = new Date('2025-01-15T05:30:00Z');
+
+    expect(nextCallingTime(inside, window, 'Asia/Kolkata')).toEqual(inside);
+  });
+
+  test('should move times after hours and on weekends to the next calling day', () => {
+    // Friday 19:30 in Kolkata -> Monday 09:00
+    const next = nextCallingTime(new Date('2025-01-17T14:00:00Z'), window, 'Asia/Kolkata');
+
+    expect(next.toISOString()).toBe('2025-01-20T03:30:00.000Z');
+    expect(formatStartTime(next, 'Asia/Kolkata')).toBe('2025-01-20 09:00:00 +05:30');
+  });
+
+  test('should follow daylight saving time changes', () => {
+    // Sunday March 9th 2025 (DST starts in New York) -> Monday 09:00 EDT
+    const next = nextCallingTime(new Date('2025-03-09T05:00:00Z'), window, 'America/New_York');
+
+    expect(formatStartTime(next, 'America/New_York')).toBe('2025-03-10 09:00:00 -04:00');
+  });
+
+  test('should offer times on consecutive calling days', () => {
+    const times = getCallingTimes(new Date('2025-01-16T20:00:00Z'), window, 'UTC', 3);
+
+    expect(times.map(time => time.toISOString())).toEqual([
+      '2025-01-17T09:00:00.000Z',
+      '2025-01-20T09:00:00.000Z',
+      '2025-01-21T09:00:00.000Z',
+    ]);
+  });
+
+  test('should merge job settings with defaults and validate them', () => {
+    const policy = getCallRetryPolicy({ settings: { callRetry: { maxAttempts: 5, callingWindow: { startHour: 10 } } } });
+
+    expect(policy.maxAttempts).toBe(5);
+    expect(policy.callingWindow).toEqual({ startHour: 10, endHour: 19, days: [1, 2, 3, 4, 5] });
+    expect(validateCallRetryPolicy(policy).ok).toBe(true);
+
+    const invalid = validateCallRetryPolicy({ ...policy, callingWindow: { startHour: 18, endHour: 9, days: [7] } });
+    expect(invalid.ok).toBe(false);
+    expect(invalid.errors).toHaveLength(2);
+  });
+
+  test('should use the candidate timezone, then the company one', () => {
+    expect(getCandidateTimeZone({ timezone: 'Europe/Berlin' }, { timezone: 'Asia/Kolkata' })).toBe('Europe/Berlin');
+    expect(getCandidateTimeZone({ timezone: 'Not/AZone' }, { timezone: 'Asia/Kolkata' })).toBe('Asia/Kolkata');
+    expect(getCandidateTimeZone(null, null)).toBe('UTC');
+  });
+});
@@ -0,0 +1,57 @@
+import {
+  DEFAULT_COMPANY_PROFILE,
+  validateCompanyProfileFields,
+  getCompensationFormat,
+  buildCompanySystemContext,
+  resolveCompanyProfile,
+} from '../src/lib/companyProfile.js';
+
+const usProfile = {
+  name: 'Acme',
+  country: 'United States',
+  locale: 'en-US',
+  currency: 'USD',
+  defaultCountryCallingCode: '1',
+};
+
+describe('companyProfile', () => {
+  test('should accept a complete profile', () => {
+    expect(validateCompanyProfileFields(usProfile)).toEqual({ ok: true, errors: [] });
+  });
+
+  test('should reject missing fields, bad currency and calling codes with "+"', () => {
+    const result = validateCompanyProfileFields({ ...usProfile, name: '', currency: 'DOLLARS', defaultCountryCallingCode: '+1' });
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toHaveLength(3);
+  });
+
+  test('should only check present fields for partial updates', () => {
+    expect(validateCompanyProfileFields({ tone: 'friendly' }, { partial: true }).ok).toBe(true);
+    expect(validateCompanyProfileFields({ tone: 'friendly' }).ok).toBe(false);
+  });
+
+  test('should derive the compensation format from locale and currency', () => {
+    expect(getCompensationFormat(usProfile)).toBe('$100,000 per annum');
+    expect(getCompensationFormat({ ...usProfile, locale: 'en-IN', currency: 'INR' })).toBe('₹1,00,000 per annum');
+  });
+
+  test('should keep company details out of the built-in profile', () => {
+    expect(DEFAULT_COMPANY_PROFILE).toMatchObject({ description: '', industry: '', industryContext: '', callIntroduction: '' });
+    expect(buildCompanySystemContext(DEFAULT_COMPANY_PROFILE)).toContain('- Company: our company');
+  });
+
+  test('should build system context from the profile', () => {
+    const context = buildCompanySystemContext(usProfile);
+
+    expect(context).toContain('- Currency: Always use USD ($)');
+    expect(context).toContain('- Phone format: +1-XXXXXXXXXX');
+    expect(context).not.toContain('Paytm');
+  });
+
+  test('should use a populated profile, or the built-in profile without a database connection', async () => {
+    expect(await resolveCompanyProfile({ companyProfileId: usProfile })).toMatchObject({ name: 'Acme' });
+    expect(await resolveCompanyProfile({ role: 'Engineer' })).toBe(DEFAULT_COMPANY_PROFILE);
+    expect(await resolveCompanyProfile(null)).toBe(DEFAULT_COMPANY_PROFILE);
+  });
+});
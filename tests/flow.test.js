@@ -1,9 +1,9 @@
-import * as llmModule from '../src/lib/llm.js';
+import { jest } from '@jest/globals';
 import { parseJsonSafely } from '../src/lib/parseJsonSafely.js';
+import { calculateUnifiedScore } from '../src/lib/scoring.js';
 
-// Mock the LLM module
+// Stands in for callLLM: these tests check the response contracts the flow relies on
 const mockCallLLM = jest.fn();
-llmModule.callLLM = mockCallLLM;
 
 describe('Application Flow', () => {
   test('should score resume and calculate unified score', async () => {
@@ -39,9 +39,15 @@ describe('Application Flow', () => {
     expect(resumeParsed.json.match_score).toBe(85);
     expect(resumeParsed.json.recommended_action).toBe('yes');
 
-    // Calculate unified score (simplified - resume only for this test)
-    const resumeScore = resumeParsed.json.match_score;
-    const unifiedScore = resumeScore * 0.5; // 50% weight
+    // Calculate unified score with the default weights
+    const unifiedScore = calculateUnifiedScore({
+      resumeScore: resumeParsed.json.match_score,
+      githubPortfolioScore: 70,
+      compensationScore: 80,
+      aiToolsCompatibilityScore: 75,
+    });
+
+    expect(unifiedScore).toBe(78.5);
 
     expect(unifiedScore).toBeGreaterThan(mockJob.settings.autoCreateScreeningThreshold);
   });
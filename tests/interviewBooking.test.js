@@ -0,0 +1,192 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// Everything after the booking insert is mocked; the bookings collection is an in-memory stand-in that
+// enforces InterviewBooking's unique indexes the way MongoDB does
+jest.unstable_mockModule('../src/lib/phoneInterviews.js', () => ({
+  resolveInterviewTarget: jest.fn(async ({ applicationId }) => ({
+    job: { role: 'Engineer' },
+    user: { name: 'Candidate', email: null, phone: '+15555550100' },
+    applicationId,
+  })),
+  findLatestPhoneInterview: jest.fn().mockResolvedValue(null),
+  schedulePhoneInterview: jest.fn(async () => ({ interview: { _id: new mongoose.Types.ObjectId() } })),
+}));
+jest.unstable_mockModule('../src/lib/companyProfile.js', () => ({
+  resolveCompanyProfile: jest.fn().mockResolvedValue({ name: 'Acme', locale: 'en-US', timezone: 'UTC' }),
+}));
+jest.unstable_mockModule('../src/lib/email.js', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ ok: true }),
+}));
+
+const { bookInterviewSlot, getOccupiedMinutes } = await import('../src/lib/interviewSlots.js');
+const { default: InterviewBooking } = await import('../src/models/InterviewBooking.js');
+const { default: RecruiterAvailability } = await import('../src/models/RecruiterAvailability.js');
+const { runWithOrg } = await import('../src/lib/orgScope.js');
+const { schedulePhoneInterview } = await import('../src/lib/phoneInterviews.js');
+
+const orgId = new mongoose.Types.ObjectId().toString();
+const memberId = new mongoose.Types.ObjectId();
+
+/**
+ * Whether a document is covered by a partial index
+ */
+function matchesPartialFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => (
+    condition?.$exists !== undefined ? (doc[field] !== undefined) === condition.$exists : doc[field] === condition
+  ));
+}
+
+/**
+ * Index keys of a document (one per array element for multikey indexes)
+ */
+function indexKeys(doc, fields) {
+  return fields.reduce((keys, field) => {
+    const values = Array.isArray(doc[field]) ? doc[field] : [doc[field]];
+    return keys.flatMap(key => values.map(value => [...key, String(value)]));
+  }, [[]]).map(key => key.join('|'));
+}
+
+function createBookingsCollection() {
+  const uniqueIndexes = InterviewBooking.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), partialFilter: options.partialFilterExpression }));
+  const docs = [];
+
+  return {
+    docs,
+    async insertOne(doc) {
+      // Let the other request run up to its own insert first
+      await new Promise(resolve => setImmediate(resolve));
+      for (const { fields, partialFilter } of uniqueIndexes) {
+        if (!matchesPartialFilter(doc, partialFilter)) continue;
+        const keys = new Set(indexKeys(doc, fields));
+        const duplicate = docs.some(existing => matchesPartialFilter(existing, partialFilter)
+          && indexKeys(existing, fields).some(key => keys.has(key)));
+        if (duplicate) {
+          throw Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            keyPattern: Object.fromEntries(fields.map(field => [field, 1])),
+          });
+        }
+      }
+      docs.push(doc);
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    async updateOne() {
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    },
+    // Only the update that ends an application's past bookings is needed here
+    async updateMany(filter, update) {
+      const matched = docs.filter(doc => String(doc.applicationId) === String(filter.applicationId)
+        && doc.status === filter.status && doc.endAt <= filter.endAt.$lte);
+      matched.forEach(doc => Object.assign(doc, update.$set));
+      return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+    },
+  };
+}
+
+function makeJob(slotMinutes) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    settings: { interviewScheduling: { enabled: true, slotMinutes, dailyCapacity: 8, minNoticeHours: 0, horizonDays: 14 } },
+  };
+}
+
+function makeApplication() {
+  return { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+}
+
+describe('interview booking', () => {
+  let collection;
+  const spies = [];
+  // Next midnight UTC
+  const nextMidnight = new Date(Math.ceil(Date.now() / 86400000) * 86400000);
+  const at = (hours, minutes) => new Date(nextMidnight.getTime() + (hours * 60 + minutes) * 60000);
+
+  beforeEach(() => {
+    collection = createBookingsCollection();
+    const availability = {
+      memberId,
+      timezone: 'UTC',
+      workingHours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '09:00', end: '17:00' })),
+      blackoutDates: [],
+    };
+    spies.push(
+      jest.spyOn(RecruiterAvailability, 'find').mockResolvedValue([availability]),
+      // Both requests read the bookings before either has inserted (the race the index has to settle)
+      jest.spyOn(InterviewBooking, 'find').mockReturnValue({ select: async () => [] }),
+      jest.spyOn(InterviewBooking.collection, 'insertOne').mockImplementation(collection.insertOne),
+      jest.spyOn(InterviewBooking.collection, 'updateOne').mockImplementation(collection.updateOne),
+      jest.spyOn(InterviewBooking.collection, 'updateMany').mockImplementation(collection.updateMany),
+    );
+    schedulePhoneInterview.mockClear();
+  });
+
+  afterEach(() => {
+    spies.splice(0).forEach(spy => spy.mockRestore());
+  });
+
+  test('should cover every minute of the slot', () => {
+    const minutes = getOccupiedMinutes(at(10, 0), at(10, 30));
+    expect(minutes).toHaveLength(30);
+    expect(minutes[0]).toBe(at(10, 0).getTime() / 60000);
+    expect(minutes[29]).toBe(at(10, 29).getTime() / 60000);
+  });
+
+  test('should let only one of two concurrent overlapping bookings of different lengths through', async () => {
+    // 10:00-10:30 from a job with 30 minute slots and 09:45-10:30 from a job with 45 minute slots
+    const results = await runWithOrg(orgId, () => Promise.allSettled([
+      bookInterviewSlot({ application: makeApplication(), job: makeJob(30), startAt: at(10, 0) }),
+      bookInterviewSlot({ application: makeApplication(), job: makeJob(45), startAt: at(9, 45) }),
+    ]));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason).toMatchObject({ status: 409, message: 'This slot was just booked by someone else' });
+    expect(collection.docs).toHaveLength(1);
+  });
+
+  test('should book back-to-back slots of different lengths', async () => {
+    // 10:00-10:30 and 10:30-11:15 only touch
+    const results = await runWithOrg(orgId, () => Promise.all([
+      bookInterviewSlot({ application: makeApplication(), job: makeJob(30), startAt: at(10, 0) }),
+      bookInterviewSlot({ application: makeApplication(), job: makeJob(45), startAt: at(10, 30) }),
+    ]));
+
+    expect(results.map(({ booking }) => booking.endAt.getTime())).toEqual([at(10, 30).getTime(), at(11, 15).getTime()]);
+    expect(collection.docs).toHaveLength(2);
+  });
+
+  test('should book one slot and place one call when the same application books twice at once', async () => {
+    const application = makeApplication();
+    const job = makeJob(30);
+    const results = await runWithOrg(orgId, () => Promise.allSettled([
+      bookInterviewSlot({ application, job, startAt: at(10, 0) }),
+      bookInterviewSlot({ application, job, startAt: at(14, 0) }),
+    ]));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason).toMatchObject({ status: 409, message: 'An interview slot is already booked for this application' });
+    expect(collection.docs).toHaveLength(1);
+    expect(schedulePhoneInterview).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let an application book again once its booked slot has passed', async () => {
+    const application = makeApplication();
+    collection.docs.push({
+      _id: new mongoose.Types.ObjectId(),
+      applicationId: application._id,
+      memberId,
+      status: 'booked',
+      startAt: new Date(Date.now() - 90 * 60000),
+      endAt: new Date(Date.now() - 60 * 60000),
+    });
+
+    const { booking } = await runWithOrg(orgId, () => bookInterviewSlot({ application, job: makeJob(30), startAt: at(10, 0) }));
+
+    expect(booking.startAt).toEqual(at(10, 0));
+    expect(collection.docs.map(doc => doc.status)).toEqual(['ended', 'booked']);
+  });
+});
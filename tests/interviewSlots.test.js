@@ -0,0 +1,82 @@
+import {
+  DEFAULT_INTERVIEW_SCHEDULING,
+  getInterviewScheduling,
+  validateInterviewScheduling,
+  validateAvailability,
+  buildAvailabilitySlots,
+} from '../src/lib/interviewSlots.js';
+import { buildCalendarEvent } from '../src/lib/icalendar.js';
+
+describe('interviewSlots', () => {
+  const availability = {
+    memberId: 'member-1',
+    timezone: 'Asia/Kolkata',
+    // Monday 09:00-10:00 and Wednesday 14:00-15:00
+    workingHours: [
+      { day: 1, start: '09:00', end: '10:00' },
+      { day: 3, start: '14:00', end: '15:00' },
+    ],
+    blackoutDates: [],
+  };
+
+  test('should cut working hours into slots in the recruiter timezone', () => {
+    // Monday January 13th to Thursday January 16th 2025
+    const slots = buildAvailabilitySlots(availability, {
+      from: new Date('2025-01-12T18:30:00Z'),
+      to: new Date('2025-01-15T18:30:00Z'),
+      slotMinutes: 30,
+    });
+
+    expect(slots.map(slot => slot.startAt.toISOString())).toEqual([
+      '2025-01-13T03:30:00.000Z',
+      '2025-01-13T04:00:00.000Z',
+      '2025-01-15T08:30:00.000Z',
+      '2025-01-15T09:00:00.000Z',
+    ]);
+    expect(slots[0]).toMatchObject({ memberId: 'member-1', day: '2025-01-13' });
+    expect(slots[0].endAt.toISOString()).toBe('2025-01-13T04:00:00.000Z');
+  });
+
+  test('should skip blackout dates and slots that do not fit', () => {
+    const slots = buildAvailabilitySlots({ ...availability, blackoutDates: ['2025-01-13'] }, {
+      from: new Date('2025-01-12T18:30:00Z'),
+      to: new Date('2025-01-15T18:30:00Z'),
+      slotMinutes: 45,
+    });
+
+    expect(slots.map(slot => slot.startAt.toISOString())).toEqual(['2025-01-15T08:30:00.000Z']);
+  });
+
+  test('should validate availability and scheduling settings', () => {
+    expect(validateAvailability(availability).ok).toBe(true);
+    expect(validateAvailability({
+      timezone: 'Mars/Base',
+      workingHours: [{ day: 7, start: '10:00', end: '09:00' }],
+      blackoutDates: ['26-01-2025'],
+    }).errors).toHaveLength(4);
+
+    expect(validateInterviewScheduling(getInterviewScheduling(null)).ok).toBe(true);
+    expect(getInterviewScheduling({ settings: { interviewScheduling: { enabled: true, slotMinutes: 45 } } }))
+      .toEqual({ ...DEFAULT_INTERVIEW_SCHEDULING, recruiterIds: [], enabled: true, slotMinutes: 45 });
+    expect(validateInterviewScheduling({ ...DEFAULT_INTERVIEW_SCHEDULING, slotMinutes: 1 }).ok).toBe(false);
+  });
+});
+
+describe('icalendar', () => {
+  test('should build an escaped, folded event with CRLF line endings', () => {
+    const ics = buildCalendarEvent({
+      uid: 'booking-1@hirewise',
+      startAt: new Date('2025-01-15T04:30:00Z'),
+      endAt: new Date('2025-01-15T05:00:00Z'),
+      summary: 'Phone interview; Backend, Acme',
+      description: 'x'.repeat(100),
+    });
+    const lines = ics.split('\r\n');
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toContain('DTSTART:20250115T043000Z');
+    expect(lines).toContain('SUMMARY:Phone interview\\; Backend\\, Acme');
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics).toContain(`DESCRIPTION:${'x'.repeat(63)}\r\n ${'x'.repeat(37)}`);
+  });
+});
@@ -0,0 +1,44 @@
+import { validateJsonSchema } from '../src/lib/jsonSchema.js';
+import { PROMPT_OUTPUT_SCHEMAS } from '../src/lib/llmSchemas.js';
+
+describe('validateJsonSchema', () => {
+  const schema = PROMPT_OUTPUT_SCHEMAS.RESUME_SCORING;
+
+  test('should accept a valid resume scoring response', () => {
+    const result = validateJsonSchema({
+      match_score: 82,
+      confidence: 0.9,
+      skills_matched: ['node.js'],
+      skills_missing: [],
+      recommended_action: 'yes',
+      top_reasons: ['Strong backend experience'],
+    }, schema);
+
+    expect(result).toEqual({ ok: true, errors: [] });
+  });
+
+  test('should report missing fields, wrong types and out-of-range values', () => {
+    const result = validateJsonSchema({
+      match_score: 120,
+      skills_matched: 'node.js',
+      skills_missing: [],
+      recommended_action: 'definitely',
+    }, schema);
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      '$.top_reasons is required',
+      '$.match_score must be <= 100 (got 120)',
+      '$.skills_matched must be array (got string)',
+      '$.recommended_action must be one of "yes", "maybe", "no" (got "definitely")',
+    ]));
+  });
+
+  test('should validate array items and nullable types', () => {
+    const criteria = PROMPT_OUTPUT_SCHEMAS.CRITERIA_CHECK;
+    expect(validateJsonSchema([{ label: 'Skills', containsCriteria: 'yes' }], criteria).errors)
+      .toEqual(['$[0].containsCriteria must be boolean (got string)']);
+
+    expect(validateJsonSchema({ role: null }, PROMPT_OUTPUT_SCHEMAS.JOB_FIELD_EXTRACTION).ok).toBe(true);
+  });
+});
@@ -0,0 +1,16 @@
+import { getMockResponse } from '../src/lib/llmMock.js';
+import { validateJsonSchema } from '../src/lib/jsonSchema.js';
+import { PROMPT_OUTPUT_SCHEMAS } from '../src/lib/llmSchemas.js';
+
+describe('llmMock', () => {
+  test('should have a fixture matching the output schema for every prompt', () => {
+    for (const [promptName, schema] of Object.entries(PROMPT_OUTPUT_SCHEMAS)) {
+      const result = validateJsonSchema(JSON.parse(getMockResponse(promptName)), schema);
+      expect({ promptName, errors: result.errors }).toEqual({ promptName, errors: [] });
+    }
+  });
+
+  test('should throw for prompts without a fixture', () => {
+    expect(() => getMockResponse('UNKNOWN_PROMPT')).toThrow('No mock LLM fixture for UNKNOWN_PROMPT');
+  });
+});
@@ -0,0 +1,18 @@
+import { calculateLLMCost, getModelPrice } from '../src/lib/llmPricing.js';
+
+describe('llmPricing', () => {
+  test('should match Bedrock and OpenAI model IDs to the most specific price', () => {
+    expect(getModelPrice('us.anthropic.claude-3-5-haiku-20241022-v1:0')).toEqual({ input: 0.8, output: 4 });
+    expect(getModelPrice('gpt-4o-mini')).toEqual({ input: 0.15, output: 0.6 });
+    expect(getModelPrice('gpt-4o')).toEqual({ input: 2.5, output: 10 });
+    expect(getModelPrice('unknown-model')).toBeNull();
+  });
+
+  test('should calculate cost per 1M tokens', () => {
+    const priceTable = { 'test-model': { input: 2, output: 10 } };
+
+    // 1000 * 2 / 1M + 500 * 10 / 1M
+    expect(calculateLLMCost('test-model', 1000, 500, priceTable)).toBeCloseTo(0.007);
+    expect(calculateLLMCost('other-model', 1000, 500, priceTable)).toBe(0);
+  });
+});
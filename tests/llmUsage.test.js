@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import LLMCall from '../src/models/LLMCall.js';
+import router from '../src/routes/analysis.js';
+import { runWithOrg } from '../src/lib/orgScope.js';
+import { PERMISSIONS } from '../src/lib/permissions.js';
+
+const orgA = new mongoose.Types.ObjectId().toString();
+const orgB = new mongoose.Types.ObjectId().toString();
+
+// Usage rows (already grouped the way /llm-usage groups them) of each org's calls
+const usageRows = {
+  [orgA]: [{
+    _id: { model: 'gpt-4o', promptName: 'RESUME_SCORING', jobId: null, date: '2025-01-01' },
+    calls: 40, failedCalls: 2, cachedCalls: 0, inputTokens: 400000, outputTokens: 40000, totalDurationMs: 80000,
+  }],
+  [orgB]: [{
+    _id: { model: 'gpt-4o', promptName: 'JD_ENHANCER', jobId: null, date: '2025-01-01' },
+    calls: 3, failedCalls: 0, cachedCalls: 1, inputTokens: 3000, outputTokens: 600, totalDurationMs: 4500,
+  }],
+};
+
+/**
+ * Call a GET route's handlers in order and resolve with the response
+ */
+function callRoute(path, req) {
+  const layer = router.stack.find(entry => entry.route?.path === path && entry.route.methods.get);
+  const handlers = layer.route.stack.map(entry => entry.handle);
+
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const next = (index) => (error) => {
+      if (error) return reject(error);
+      Promise.resolve(handlers[index](req, res, next(index + 1))).catch(reject);
+    };
+    next(0)();
+  });
+}
+
+describe('LLM usage per organization', () => {
+  let aggregateSpy;
+
+  beforeEach(() => {
+    // The collection sees the pipeline after orgScopePlugin has run; without an org $match every org's rows come back
+    aggregateSpy = jest.spyOn(LLMCall.collection, 'aggregate').mockImplementation((pipeline) => {
+      const orgId = pipeline[0].$match.orgId;
+      const rows = orgId ? usageRows[String(orgId)] || [] : Object.values(usageRows).flat();
+      return { toArray: async () => (pipeline.some(stage => stage.$match?.applicationId) ? [] : rows) };
+    });
+  });
+
+  afterEach(() => {
+    aggregateSpy.mockRestore();
+  });
+
+  test("should leave other organizations' calls out of /llm-usage", async () => {
+    const req = { query: {}, auth: { permissions: [PERMISSIONS.ANALYSIS_READ] } };
+    const { status, body } = await runWithOrg(orgB, () => callRoute('/llm-usage', req));
+
+    expect(status).toBe(200);
+    expect(body.totals).toMatchObject({ calls: 3, cachedCalls: 1, inputTokens: 3000, outputTokens: 600 });
+    expect(body.byPrompt.map(row => row.promptName)).toEqual(['JD_ENHANCER']);
+    for (const [pipeline] of aggregateSpy.mock.calls) {
+      expect(pipeline[0]).toEqual({ $match: { orgId: new mongoose.Types.ObjectId(orgB) } });
+    }
+  });
+
+  test('should record calls under the current organization', async () => {
+    const call = new LLMCall({ promptName: 'RESUME_SCORING', status: 'success' });
+    await runWithOrg(orgA, () => call.validate());
+    expect(String(call.orgId)).toBe(orgA);
+
+    await expect(new LLMCall({ promptName: 'RESUME_SCORING', status: 'success' }).validate()).rejects.toThrow(/orgId/);
+  });
+});
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { runWithOrg, getCurrentOrgId, scopeFilter, orgScopePlugin } from '../src/lib/orgScope.js';
+
+const orgA = new mongoose.Types.ObjectId().toString();
+const orgB = new mongoose.Types.ObjectId().toString();
+
+const noteSchema = new mongoose.Schema({ text: String });
+noteSchema.plugin(orgScopePlugin);
+const Note = mongoose.model('OrgScopeTestNote', noteSchema);
+
+describe('orgScope', () => {
+  test('should expose the current org only inside runWithOrg', async () => {
+    expect(getCurrentOrgId()).toBeNull();
+
+    await runWithOrg(orgA, async () => {
+      await Promise.resolve();
+      expect(getCurrentOrgId()).toBe(orgA);
+      runWithOrg(null, () => expect(getCurrentOrgId()).toBeNull());
+    });
+
+    expect(getCurrentOrgId()).toBeNull();
+  });
+
+  test('should add the org to filters unless they already have an orgId condition', () => {
+    expect(scopeFilter({ isHired: false }, orgA)).toEqual({ isHired: false, orgId: orgA });
+    expect(scopeFilter({ orgId: { $in: [orgA, orgB] } }, orgA)).toEqual({ orgId: { $in: [orgA, orgB] } });
+    expect(scopeFilter({ isHired: false }, null)).toEqual({ isHired: false });
+  });
+
+  test('should stamp new documents with the current org and require one outside a context', async () => {
+    const note = new Note({ text: 'hello' });
+    await runWithOrg(orgB, () => note.validate());
+    expect(String(note.orgId)).toBe(orgB);
+
+    await expect(new Note({ text: 'orphan' }).validate()).rejects.toThrow(/orgId/);
+  });
+});
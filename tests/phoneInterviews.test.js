@@ -0,0 +1,56 @@
+import PhoneInterview from '../src/models/PhoneInterview.js';
+import { mapBlandStatusToInternal, applyCallUpdate } from '../src/lib/phoneInterviews.js';
+
+describe('phoneInterviews', () => {
+  test('should map Bland AI statuses to phone interview statuses', () => {
+    expect(mapBlandStatusToInternal('answered')).toBe('in_progress');
+    expect(mapBlandStatusToInternal('ended')).toBe('completed');
+    expect(mapBlandStatusToInternal('voicemail')).toBe('no_answer');
+    expect(mapBlandStatusToInternal('busy')).toBe('failed');
+    expect(mapBlandStatusToInternal('something-new')).toBe('initiated');
+  });
+
+  test('should complete the interview from the call data', () => {
+    const interview = new PhoneInterview({ userId: '507f1f77bcf86cd799439011', callId: 'call-1', status: 'in_progress' });
+
+    const { completedNow } = applyCallUpdate(interview, {
+      status: 'completed',
+      end_at: '2025-01-15T10:10:00Z',
+      corrected_duration: '312',
+      summary: 'Strong backend candidate',
+      transcript: [
+        { user: 'assistant', text: 'Tell me about yourself', created_at: '2025-01-15T10:00:00Z' },
+        { user: 'user', text: 'I build APIs', created_at: '2025-01-15T10:00:05Z' },
+      ],
+      analysis: { technical_skills: ['node', 'mongodb', 'redis'], communication_quality: 8, overall_fit: 7 },
+    });
+
+    expect(completedNow).toBe(true);
+    expect(interview.status).toBe('completed');
+    expect(interview.completedAt.toISOString()).toBe('2025-01-15T10:10:00.000Z');
+    expect(interview.duration).toBe(312);
+    expect(interview.transcript).toContain('Interviewer: Tell me about yourself');
+    expect(interview.transcript).toContain('Candidate: I build APIs');
+    expect(interview.analysis.communication_quality).toBe(8);
+    expect(interview.evaluation?.status).toBeUndefined();
+  });
+
+  test('should flag calls that end unanswered once', () => {
+    const interview = new PhoneInterview({ userId: '507f1f77bcf86cd799439011', callId: 'call-1', status: 'ringing' });
+
+    expect(applyCallUpdate(interview, { status: 'no-answer' }).unreachedNow).toBe(true);
+    expect(interview.status).toBe('no_answer');
+    expect(applyCallUpdate(interview, { status: 'voicemail' }).unreachedNow).toBe(false);
+  });
+
+  test('should keep the status of finished interviews', () => {
+    const canceled = new PhoneInterview({ userId: '507f1f77bcf86cd799439011', callId: 'call-1', status: 'canceled' });
+
+    const { completedNow } = applyCallUpdate(canceled, { status: 'completed', recording_url: 'https://example.com/rec.mp3' });
+
+    expect(completedNow).toBe(false);
+    expect(canceled.status).toBe('canceled');
+    expect(canceled.completedAt).toBeUndefined();
+    expect(canceled.recordingUrl).toBe('https://example.com/rec.mp3');
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import Application from '../src/models/Application.js';
+import {
+  PIPELINE_STAGES,
+  DEFAULT_PIPELINE_STAGES,
+  getPipelineStages,
+  getAllowedTransitions,
+  transitionApplication,
+  validatePipelineStages,
+} from '../src/lib/pipeline.js';
+
+const actor = { type: 'member', id: '507f1f77bcf86cd799439011' };
+
+function newApplication(stage = PIPELINE_STAGES.APPLIED) {
+  return { stage, stageHistory: [], level1_approved: false, rejected: false };
+}
+
+// Stored applications by ID; findOneAndUpdate applies the update when _id and stage match, like MongoDB
+const stored = new Map();
+
+function storeApplication(stage = PIPELINE_STAGES.APPLIED) {
+  const application = new Application(newApplication(stage));
+  stored.set(String(application._id), application.toObject());
+  return application;
+}
+
+/**
+ * Load a fresh copy of a stored application (what a separate request would see)
+ */
+function loadApplication(id) {
+  const doc = stored.get(String(id));
+  return Application.hydrate({ ...doc, stageHistory: doc.stageHistory.map(entry => ({ ...entry })) });
+}
+
+describe('pipeline', () => {
+  let findOneAndUpdateSpy;
+
+  beforeEach(() => {
+    findOneAndUpdateSpy = jest.spyOn(Application, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      // Let a concurrent move run up to its own update first
+      await new Promise(resolve => setImmediate(resolve));
+      const doc = stored.get(String(filter._id));
+      const stages = filter.stage.$in || [filter.stage];
+      if (!doc || !stages.includes(doc.stage ?? null)) return null;
+
+      Object.assign(doc, update.$set);
+      doc.stageHistory = [...doc.stageHistory, update.$push.stageHistory];
+      return { _id: doc._id, stageHistory: doc.stageHistory.map(entry => ({ ...entry })) };
+    });
+  });
+
+  afterEach(() => {
+    findOneAndUpdateSpy.mockRestore();
+    stored.clear();
+  });
+
+  test('should validate job pipeline stages', () => {
+    expect(validatePipelineStages(['applied', 'screened', 'onsite', 'offer']).ok).toBe(true);
+    expect(validatePipelineStages(['screened', 'onsite']).errors).toEqual(['pipelineStages must start with applied']);
+    expect(validatePipelineStages(['applied', 'onsite', 'screened']).ok).toBe(false);
+    expect(validatePipelineStages(['applied', 'hired']).ok).toBe(false);
+    expect(validatePipelineStages([]).ok).toBe(false);
+  });
+
+  test('should fall back to the default pipeline', () => {
+    expect(getPipelineStages({ settings: { pipelineStages: [] } })).toEqual([...DEFAULT_PIPELINE_STAGES]);
+    expect(getPipelineStages({ settings: { pipelineStages: ['applied', 'onsite'] } })).toEqual(['applied', 'onsite']);
+  });
+
+  test('should allow one step forward or back, rejecting and withdrawing', () => {
+    const stages = ['applied', 'screened', 'onsite', 'offer'];
+
+    expect(getAllowedTransitions(newApplication('applied'), stages)).toEqual(['screened', 'rejected', 'withdrawn']);
+    expect(getAllowedTransitions(newApplication('onsite'), stages)).toEqual(['screened', 'offer', 'rejected', 'withdrawn']);
+    expect(getAllowedTransitions(newApplication('offer'), stages)).toEqual(['onsite', 'hired', 'rejected', 'withdrawn']);
+    expect(getAllowedTransitions(newApplication('hired'), stages)).toEqual([]);
+    // A stage the job no longer uses still moves to its neighbours
+    expect(getAllowedTransitions(newApplication('video'), stages)).toEqual(['screened', 'onsite', 'rejected', 'withdrawn']);
+  });
+
+  test('should record history and keep the older flags in line', async () => {
+    const stages = [...DEFAULT_PIPELINE_STAGES];
+    const application = storeApplication();
+
+    expect((await transitionApplication(application, 'screened', { stages, actor, reason: ' Good fit ' })).ok).toBe(true);
+    expect(application.level1_approved).toBe(true);
+    expect(application.stageHistory[0]).toMatchObject({ from: 'applied', to: 'screened', changedByType: 'member', reason: 'Good fit' });
+    // The move is saved, not left for the next save
+    expect(stored.get(String(application._id))).toMatchObject({ stage: 'screened', level1_approved: true });
+    expect(application.isModified('stage')).toBe(false);
+
+    expect((await transitionApplication(application, 'rejected', { stages, actor, reason: 'Salary mismatch' })).ok).toBe(true);
+    expect(application).toMatchObject({ stage: 'rejected', rejected: true, level1_approved: false, rejectionReason: 'Salary mismatch' });
+
+    // Reopened in the stage it was rejected from
+    expect(getAllowedTransitions(application, stages)).toEqual(['screened']);
+    expect((await transitionApplication(application, 'screened', { stages, actor })).ok).toBe(true);
+    expect(application).toMatchObject({ rejected: false, rejectionReason: null, level1_approved: true });
+    expect(application.stageHistory).toHaveLength(3);
+    expect(stored.get(String(application._id)).stageHistory).toHaveLength(3);
+  });
+
+  test('should refuse moves that are not allowed', async () => {
+    const application = storeApplication();
+    const result = await transitionApplication(application, 'offer', { stages: [...DEFAULT_PIPELINE_STAGES], actor });
+
+    expect(result.ok).toBe(false);
+    expect(result.allowed).toEqual(['screened', 'rejected', 'withdrawn']);
+    expect(application.stage).toBe('applied');
+    expect(application.stageHistory).toHaveLength(0);
+    expect((await transitionApplication(application, 'archived', { stages: [...DEFAULT_PIPELINE_STAGES], actor })).error).toMatch('Unknown stage');
+    expect(findOneAndUpdateSpy).not.toHaveBeenCalled();
+  });
+
+  test('should save only one of two concurrent moves from the same stage', async () => {
+    const stages = [...DEFAULT_PIPELINE_STAGES];
+    const { _id } = storeApplication('screened');
+
+    // Two requests load the application in the same stage and both moves pass validation
+    const [advance, reject] = await Promise.all([
+      transitionApplication(loadApplication(_id), 'phone_interview', { stages, actor }),
+      transitionApplication(loadApplication(_id), 'rejected', { stages, actor, reason: 'Not a fit' }),
+    ]);
+
+    expect(advance.ok).toBe(true);
+    expect(reject).toMatchObject({ ok: false, conflict: true });
+    expect(reject.error).toMatch('moved out of screened');
+    const saved = stored.get(String(_id));
+    expect(saved.stage).toBe('phone_interview');
+    expect(saved.stageHistory).toEqual([expect.objectContaining({ from: 'screened', to: 'phone_interview' })]);
+  });
+});
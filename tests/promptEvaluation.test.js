@@ -0,0 +1,40 @@
+import { summarizeScores, compareEvaluationResults } from '../src/lib/promptEvaluation.js';
+import { renderPromptTemplate } from '../src/lib/promptRegistry.js';
+
+describe('promptEvaluation', () => {
+  test('should summarize a score distribution', () => {
+    const summary = summarizeScores([40, 90, 60, 70]);
+
+    expect(summary).toMatchObject({ count: 4, mean: 65, median: 65, min: 40, max: 90, stdDev: 18.03 });
+    expect(summary.histogram).toEqual({ '0-19': 0, '20-39': 0, '40-59': 1, '60-79': 2, '80-100': 1 });
+    expect(summarizeScores([]).mean).toBeNull();
+  });
+
+  test('should compare versions on applications scored by both', () => {
+    const summary = compareEvaluationResults([
+      { scoreA: 60, scoreB: 70, recommendationA: 'maybe', recommendationB: 'yes' },
+      { scoreA: 80, scoreB: 76, recommendationA: 'yes', recommendationB: 'yes' },
+      { scoreA: 50, error: 'Invalid RESUME_SCORING response from LLM' },
+    ]);
+
+    expect(summary).toMatchObject({
+      compared: 2,
+      failed: 1,
+      meanDelta: 3,
+      meanAbsoluteDelta: 7,
+      recommendationAgreement: 0.5,
+    });
+    expect(summary.versionA.mean).toBe(70);
+    expect(summary.versionB.mean).toBe(73);
+  });
+});
+
+describe('renderPromptTemplate', () => {
+  test('should fill placeholders from the payload', () => {
+    const rendered = renderPromptTemplate('Role: {{ job.role }}\nSkills: {{job.must_have_skills}}\nNotes: {{notes}}', {
+      job: { role: 'Backend Engineer', must_have_skills: ['Node.js'] },
+    });
+
+    expect(rendered).toBe('Role: Backend Engineer\nSkills: [\n  "Node.js"\n]\nNotes: ');
+  });
+});
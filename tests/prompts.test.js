@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import PromptTemplate from '../src/models/PromptTemplate.js';
+import router from '../src/routes/prompts.js';
+import { runWithOrg } from '../src/lib/orgScope.js';
+import { PERMISSIONS } from '../src/lib/permissions.js';
+
+const orgId = new mongoose.Types.ObjectId().toString();
+
+/**
+ * Call a POST route's handlers in order and resolve with the response
+ */
+function callRoute(path, req) {
+  const layer = router.stack.find(entry => entry.route?.path === path && entry.route.methods.post);
+  const handlers = layer.route.stack.map(entry => entry.handle);
+
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const next = (index) => (error) => {
+      if (error) return reject(error);
+      Promise.resolve(handlers[index](req, res, next(index + 1))).catch(reject);
+    };
+    next(0)();
+  });
+}
+
+describe('prompt versions', () => {
+  const spies = [];
+
+  beforeEach(() => {
+    spies.push(
+      jest.spyOn(PromptTemplate, 'findOne').mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => null }) }) }),
+      jest.spyOn(PromptTemplate.collection, 'insertOne').mockImplementation(async doc => ({ acknowledged: true, insertedId: doc._id })),
+    );
+  });
+
+  afterEach(() => {
+    spies.splice(0).forEach(spy => spy.mockRestore());
+  });
+
+  test('should record the caller as the creator and ignore createdBy in the body', async () => {
+    const memberId = new mongoose.Types.ObjectId();
+    const req = {
+      params: { promptName: 'RESUME_SCORING' },
+      body: { template: 'Score {{resumeText}}', createdBy: 'someone-else@example.com' },
+      auth: { type: 'session', memberId, permissions: [PERMISSIONS.PROMPTS_WRITE] },
+    };
+    const { status, body } = await runWithOrg(orgId, () => callRoute('/:promptName/versions', req));
+
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ version: 1, status: 'draft', createdByType: 'member', createdBy: memberId });
+  });
+});
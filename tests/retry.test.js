@@ -0,0 +1,40 @@
+import { getBackoffDelayMs, parseRetryAfterMs, isRetryableStatus } from '../src/lib/retry.js';
+
+describe('retry', () => {
+  test('should grow backoff exponentially with jitter', () => {
+    const options = { baseMs: 1000, maxMs: 30000 };
+
+    expect(getBackoffDelayMs(1, { ...options, random: () => 0 })).toBe(500);
+    expect(getBackoffDelayMs(1, { ...options, random: () => 1 })).toBe(1000);
+    expect(getBackoffDelayMs(3, { ...options, random: () => 1 })).toBe(4000);
+    expect(getBackoffDelayMs(10, { ...options, random: () => 1 })).toBe(30000);
+  });
+
+  test('should keep jittered delays within [ceiling / 2, ceiling]', () => {
+    for (let attempt = 1; attempt <= 8; attempt++) {
+      const ceiling = Math.min(30000, 1000 * Math.pow(2, attempt - 1));
+      for (let i = 0; i < 50; i++) {
+        const delay = getBackoffDelayMs(attempt, { baseMs: 1000, maxMs: 30000 });
+        expect(delay).toBeGreaterThanOrEqual(ceiling / 2);
+        expect(delay).toBeLessThanOrEqual(ceiling);
+      }
+    }
+  });
+
+  test('should parse Retry-After in seconds or as an HTTP date', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+
+    expect(parseRetryAfterMs('2', now)).toBe(2000);
+    expect(parseRetryAfterMs('Wed, 01 Jan 2025 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfterMs(null, now)).toBeNull();
+    expect(parseRetryAfterMs('soon', now)).toBeNull();
+  });
+
+  test('should only retry throttling, timeouts and server errors', () => {
+    expect(isRetryableStatus(429)).toBe(true);
+    expect(isRetryableStatus(503)).toBe(true);
+    expect(isRetryableStatus(408)).toBe(true);
+    expect(isRetryableStatus(400)).toBe(false);
+    expect(isRetryableStatus(401)).toBe(false);
+  });
+});
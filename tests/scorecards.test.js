@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import {
+  validateScorecardTemplate,
+  setScorecardTemplate,
+  validateScorecardRatings,
+  computeScorecardScore,
+  summarizeScorecards,
+  buildAgreementReport,
+} from '../src/lib/scorecards.js';
+
+const competencies = [
+  { key: 'system_design', name: 'System design', scaleMin: 1, scaleMax: 5 },
+  { key: 'communication', name: 'Communication', scaleMin: 0, scaleMax: 10 },
+];
+
+describe('scorecards', () => {
+  test('should validate templates and default scales to 1-5', () => {
+    const result = validateScorecardTemplate([
+      { key: 'System Design', name: 'System design', scaleMin: 1, scaleMax: 5 },
+      { key: 'coding', name: '', scaleMin: 3, scaleMax: 3 },
+      { key: 'coding', name: 'Coding', scaleMin: 1, scaleMax: 3, scaleLabels: ['Low', 'High'] },
+    ]);
+    expect(result.ok).toBe(false);
+    expect(result.errors).toHaveLength(5);
+
+    const job = {};
+    setScorecardTemplate(job, [{ key: 'coding', name: ' Coding ' }]);
+    expect(job.scorecardTemplate.competencies).toEqual([
+      { key: 'coding', name: 'Coding', description: undefined, scaleMin: 1, scaleMax: 5, scaleLabels: [] },
+    ]);
+    expect(() => setScorecardTemplate(job, 'coding')).toThrow('Invalid scorecard template');
+  });
+
+  test('should require every competency to submit and score ratings on 0-100', () => {
+    const ratings = [{ competencyKey: 'system_design', rating: 4 }];
+    expect(validateScorecardRatings(competencies, ratings).ok).toBe(true);
+    expect(validateScorecardRatings(competencies, ratings, { complete: true }).errors).toEqual(['Missing ratings for: communication']);
+    expect(validateScorecardRatings(competencies, [{ competencyKey: 'communication', rating: 11 }]).ok).toBe(false);
+
+    // (4 - 1) / 4 = 75%, 5 / 10 = 50%
+    expect(computeScorecardScore(competencies, [...ratings, { competencyKey: 'communication', rating: 5 }])).toBe(62.5);
+  });
+
+  test('should compare human scores and recommendations with the AI scoring', () => {
+    const summary = summarizeScorecards(
+      [{ score: 80, recommendation: 'yes' }, { score: 60, recommendation: 'yes' }, { score: 40, recommendation: 'no' }],
+      { unifiedScore: 72, recommendedAction: 'yes' }
+    );
+
+    expect(summary).toMatchObject({
+      reviewers: 3,
+      humanScore: 60,
+      aiScore: 72,
+      difference: -12,
+      withinTolerance: true,
+      recommendations: { yes: 2, maybe: 0, no: 1 },
+      humanRecommendation: 'yes',
+      recommendationAgrees: true,
+    });
+  });
+
+  test('should aggregate agreement per application and per reviewer', () => {
+    const [first, second, third] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const alice = { _id: new mongoose.Types.ObjectId(), name: 'Alice' };
+    const applications = [
+      { _id: first, unifiedScore: 80, recommendedAction: 'yes' },
+      { _id: second, unifiedScore: 70, recommendedAction: 'yes' },
+      { _id: third, unifiedScore: 30, recommendedAction: 'no' },
+    ];
+    const report = buildAgreementReport([
+      { applicationId: first, reviewerId: alice, score: 90, recommendation: 'yes' },
+      { applicationId: second, reviewerId: alice, score: 40, recommendation: 'no' },
+      { applicationId: third, reviewerId: alice, score: 20, recommendation: 'no' },
+    ], applications);
+
+    expect(report.overall).toMatchObject({
+      applications: 3,
+      compared: 3,
+      meanDifference: -10,
+      meanAbsoluteDifference: 16.7,
+      agreementRate: 0.67,
+      recommendationAgreementRate: 0.67,
+    });
+    expect(report.overall.correlation).toBeGreaterThan(0.8);
+    expect(report.reviewers).toEqual([expect.objectContaining({ name: 'Alice', scorecards: 3, agreementRate: 0.67 })]);
+  });
+
+  test("should keep other reviewers' scorecards out of the agreement report until the caller has submitted", () => {
+    const [first, second] = [1, 2].map(() => new mongoose.Types.ObjectId());
+    const screening = new mongoose.Types.ObjectId();
+    const alice = { _id: new mongoose.Types.ObjectId(), name: 'Alice' };
+    const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob' };
+    const applications = [
+      { _id: first, unifiedScore: 80, recommendedAction: 'yes' },
+      { _id: second, unifiedScore: 70, recommendedAction: 'yes' },
+    ];
+    const scorecards = [
+      { applicationId: first, screeningId: null, reviewerId: alice, score: 90, recommendation: 'yes' },
+      { applicationId: first, screeningId: null, reviewerId: bob, score: 70, recommendation: 'yes' },
+      { applicationId: first, screeningId: screening, reviewerId: alice, score: 20, recommendation: 'no' },
+      { applicationId: second, screeningId: null, reviewerId: alice, score: 40, recommendation: 'no' },
+    ];
+
+    // Bob only submitted for the first application, not for its screening or the second application
+    const report = buildAgreementReport(scorecards, applications, { reviewerId: String(bob._id) });
+    expect(report.overall).toMatchObject({ applications: 1, scorecards: 2 });
+    expect(report.applications).toEqual([expect.objectContaining({ applicationId: first, reviewers: 2, humanScore: 80 })]);
+    expect(report.reviewers.map(reviewer => reviewer.name)).toEqual(['Alice', 'Bob']);
+    expect(report.reviewers[0].scorecards).toBe(1);
+
+    // A caller who hasn't submitted anything sees nothing
+    const empty = buildAgreementReport(scorecards, applications, { reviewerId: String(new mongoose.Types.ObjectId()) });
+    expect(empty.overall).toMatchObject({ applications: 0, scorecards: 0, compared: 0 });
+    expect(empty.reviewers).toEqual([]);
+
+    // Without a reviewer (API keys) every submitted scorecard is included
+    expect(buildAgreementReport(scorecards, applications).overall).toMatchObject({ applications: 2, scorecards: 4 });
+  });
+});
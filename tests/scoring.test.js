@@ -0,0 +1,103 @@
+import {
+  DEFAULT_SCORING_WEIGHTS,
+  calculateUnifiedScore,
+  getScoringWeights,
+  validateScoringWeights,
+  getPhoneInterviewWeight,
+  validatePhoneInterviewWeight,
+} from '../src/lib/scoring.js';
+
+describe('scoring', () => {
+  test('should calculate unified score with default weights', () => {
+    const scores = {
+      resumeScore: 80,
+      githubPortfolioScore: 60,
+      compensationScore: 100,
+      aiToolsCompatibilityScore: 50,
+    };
+
+    // 80*0.4 + 60*0.25 + 100*0.15 + 50*0.2 = 32 + 15 + 15 + 10
+    expect(calculateUnifiedScore(scores)).toBe(72);
+  });
+
+  test('should treat missing scores as zero', () => {
+    expect(calculateUnifiedScore({ resumeScore: 90 })).toBe(36);
+  });
+
+  test('should apply custom weights and round to 2 decimals', () => {
+    const weights = {
+      resumeScore: 0.5,
+      githubPortfolioScore: 0,
+      compensationScore: 0.35,
+      aiToolsCompatibilityScore: 0.15,
+    };
+    const scores = { resumeScore: 77, githubPortfolioScore: 100, compensationScore: 33, aiToolsCompatibilityScore: 41 };
+
+    // 38.5 + 0 + 11.55 + 6.15
+    expect(calculateUnifiedScore(scores, weights)).toBe(56.2);
+  });
+
+  test('should blend in the phone interview score once it exists', () => {
+    const scores = { resumeScore: 80, githubPortfolioScore: 60, compensationScore: 100, aiToolsCompatibilityScore: 50 };
+
+    // 72*0.75 + 90*0.25
+    expect(calculateUnifiedScore({ ...scores, phoneInterviewScore: 90 }, DEFAULT_SCORING_WEIGHTS, 0.25)).toBe(76.5);
+    expect(calculateUnifiedScore(scores, DEFAULT_SCORING_WEIGHTS, 0.25)).toBe(72);
+    expect(calculateUnifiedScore({ ...scores, phoneInterviewScore: 90 })).toBe(72);
+  });
+
+  test('should read and validate the phone interview weight', () => {
+    expect(getPhoneInterviewWeight({ settings: { phoneInterviewWeight: 0.3 } })).toBe(0.3);
+    expect(getPhoneInterviewWeight(null)).toBe(0);
+    expect(validatePhoneInterviewWeight(0.3).ok).toBe(true);
+    expect(validatePhoneInterviewWeight(1.5).ok).toBe(false);
+    expect(validatePhoneInterviewWeight('0.3').ok).toBe(false);
+  });
+
+  test('should merge job weights with defaults', () => {
+    const job = { settings: { scoringWeights: { resumeScore: 0.6, githubPortfolioScore: 0.05 } } };
+
+    expect(getScoringWeights(job)).toEqual({
+      ...DEFAULT_SCORING_WEIGHTS,
+      resumeScore: 0.6,
+      githubPortfolioScore: 0.05,
+    });
+    expect(getScoringWeights(null)).toEqual(DEFAULT_SCORING_WEIGHTS);
+  });
+
+  test('should accept weights summing to 1', () => {
+    const result = validateScoringWeights({
+      resumeScore: 0.1,
+      githubPortfolioScore: 0.2,
+      compensationScore: 0.3,
+      aiToolsCompatibilityScore: 0.4,
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.errors).toHaveLength(0);
+  });
+
+  test('should reject weights not summing to 1', () => {
+    const result = validateScoringWeights({ ...DEFAULT_SCORING_WEIGHTS, resumeScore: 0.5 });
+
+    expect(result.ok).toBe(false);
+    expect(result.errors[0]).toContain('sum to 1');
+  });
+
+  test('should reject unknown, missing and out of range weights', () => {
+    const result = validateScoringWeights({
+      resumeScore: 1.2,
+      githubPortfolioScore: -0.2,
+      compensationScore: 0,
+      cultureScore: 0.5,
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('cultureScore'),
+      'resumeScore must be between 0 and 1',
+      'githubPortfolioScore must be between 0 and 1',
+      'aiToolsCompatibilityScore must be a number',
+    ]));
+  });
+});
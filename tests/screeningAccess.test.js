@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import {
+  SCREENING_ACCESS_CONFIG,
+  SCREENING_TOKEN_TYPE,
+  issueScreeningAccess,
+  submitScreening,
+} from '../src/lib/screeningAccess.js';
+import { STT_CONFIG } from '../src/lib/stt.js';
+import { verifySessionToken } from '../src/lib/auth.js';
+
+describe('screeningAccess', () => {
+  const newScreening = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    orgId: new mongoose.Types.ObjectId(),
+    screening_questions: [{ text: 'Tell us about yourself', time_limit_sec: 60 }],
+    videoClips: [],
+  });
+
+  test('should issue a signed link that expires at the deadline', () => {
+    const screening = newScreening();
+    const deadlineAt = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+    const { token, screeningLink } = issueScreeningAccess(screening, { deadlineAt });
+
+    expect(screeningLink).toBe(`${SCREENING_ACCESS_CONFIG.baseUrl}/${token}`);
+    expect(screening.screening_link).toBe(screeningLink);
+    expect(screening.deadlineAt).toBe(deadlineAt);
+
+    const { ok, claims } = verifySessionToken(token);
+    expect(ok).toBe(true);
+    expect(claims).toMatchObject({ typ: SCREENING_TOKEN_TYPE, sub: String(screening._id), jti: screening.accessTokenId });
+    expect(Math.abs(claims.exp * 1000 - deadlineAt.getTime())).toBeLessThan(2000);
+  });
+
+  test('should give a reissued link a new token ID, revoking the old one', () => {
+    const screening = newScreening();
+    issueScreeningAccess(screening);
+    const firstTokenId = screening.accessTokenId;
+    issueScreeningAccess(screening);
+
+    expect(screening.accessTokenId).not.toBe(firstTokenId);
+    expect(screening.deadlineAt.getTime()).toBeGreaterThan(Date.now() + (SCREENING_ACCESS_CONFIG.deadlineDays - 1) * 24 * 60 * 60 * 1000);
+  });
+
+  test('should refuse to submit without an answer video', async () => {
+    const screening = newScreening();
+    await expect(submitScreening(screening)).rejects.toMatchObject({ status: 400 });
+    await expect(submitScreening(screening, { videoUrl: 'file:///etc/passwd' })).rejects.toMatchObject({ status: 400 });
+
+    const allowlist = STT_CONFIG.videoUrlAllowlist;
+    STT_CONFIG.videoUrlAllowlist = ['https://example.com'];
+    try {
+      await expect(submitScreening(screening, {
+        videoUrl: 'https://example.com/answers.webm',
+        questionTimings: [{ questionIndex: 3, startSec: 0, endSec: 10 }],
+      })).rejects.toMatchObject({ status: 400, message: expect.stringMatching(/questionTimings/) });
+    } finally {
+      STT_CONFIG.videoUrlAllowlist = allowlist;
+    }
+  });
+
+  test('should refuse video URLs outside the storage origin and the allowlist', async () => {
+    const screening = newScreening();
+    for (const videoUrl of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:27017/', 'https://example.com/answers.webm']) {
+      await expect(submitScreening(screening, { videoUrl })).rejects.toMatchObject({ status: 400, message: expect.stringMatching(/allowed origin/) });
+    }
+  });
+});
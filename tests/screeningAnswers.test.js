@@ -0,0 +1,77 @@
+import {
+  validateQuestionTimings,
+  alignSegmentsToQuestions,
+  buildScreeningAnswers,
+} from '../src/lib/screeningAnswers.js';
+
+const questions = [
+  { text: 'Tell us about a system you designed', time_limit_sec: 60, type: 'video' },
+  { text: 'How do you handle on-call incidents?', time_limit_sec: 30, type: 'video' },
+  { text: 'Why this role?', time_limit_sec: 30, type: 'video' },
+];
+
+describe('screeningAnswers', () => {
+  test('should reject overlapping, duplicate and out-of-range question timings', () => {
+    expect(validateQuestionTimings([
+      { questionIndex: 0, startSec: 0, endSec: 50 },
+      { questionIndex: 1, startSec: 55, endSec: 80 },
+    ], 3)).toEqual({ ok: true, errors: [] });
+
+    const result = validateQuestionTimings([
+      { questionIndex: 0, startSec: 0, endSec: 50 },
+      { questionIndex: 0, startSec: 40, endSec: 60 },
+      { questionIndex: 3, startSec: 70, endSec: 65 },
+    ], 3);
+    expect(result.ok).toBe(false);
+    expect(result.errors).toHaveLength(4);
+    expect(validateQuestionTimings('0-50', 3).ok).toBe(false);
+  });
+
+  test('should assign each segment to the question it overlaps most', () => {
+    const aligned = alignSegmentsToQuestions([
+      { start: 0, end: 4, text: 'Reading the question.' },
+      { start: 5, end: 20, text: 'I designed a billing pipeline.' },
+      { start: 48, end: 56, text: 'That is all.' },
+      { start: 56, end: 70, text: 'On call I first stabilize.' },
+    ], [
+      { questionIndex: 0, startSec: 5, endSec: 52 },
+      { questionIndex: 1, startSec: 55, endSec: 80 },
+    ]);
+
+    expect(aligned.get(0).map(segment => segment.text)).toEqual(['I designed a billing pipeline.', 'That is all.']);
+    expect(aligned.get(1).map(segment => segment.text)).toEqual(['On call I first stabilize.']);
+  });
+
+  test('should cut speech after the time limit and report the overrun', () => {
+    const answers = buildScreeningAnswers({
+      questions,
+      timings: [
+        { questionIndex: 0, startSec: 0, endSec: 50 },
+        { questionIndex: 1, startSec: 50, endSec: 100 },
+      ],
+      segments: [
+        { start: 1, end: 45, text: 'I designed a billing pipeline.' },
+        { start: 51, end: 75, text: 'On call I first stabilize.' },
+        { start: 86, end: 99, text: 'Then I write a postmortem.' },
+      ],
+    });
+
+    expect(answers[0]).toMatchObject({ source: 'timestamps', durationSec: 50, overrunSec: 0, truncated: false, text: 'I designed a billing pipeline.' });
+    expect(answers[1]).toMatchObject({ source: 'timestamps', durationSec: 50, timeLimitSec: 30, overrunSec: 20, truncated: true, text: 'On call I first stabilize.' });
+    expect(answers[2]).toMatchObject({ source: 'none', text: '' });
+  });
+
+  test('should prefer transcribed clips over timings', () => {
+    const answers = buildScreeningAnswers({
+      questions,
+      clips: [{
+        questionIndex: 1,
+        transcription: { durationSec: 28, segments: [{ start: 0.5, end: 27, text: ' Page, mitigate, then review.' }] },
+      }],
+      timings: [{ questionIndex: 1, startSec: 0, endSec: 10 }],
+      segments: [{ start: 0, end: 10, text: 'Ignored.' }],
+    });
+
+    expect(answers[1]).toMatchObject({ source: 'clip', startSec: 0, endSec: 28, overrunSec: 0, text: 'Page, mitigate, then review.' });
+  });
+});
@@ -0,0 +1,27 @@
+import {
+  validateAutomationSettings,
+  autoInviteOnApproval,
+} from '../src/lib/screeningAutomation.js';
+
+describe('screeningAutomation', () => {
+  test('should validate automation settings', () => {
+    expect(validateAutomationSettings({
+      autoInviteOnLevel1Approval: true,
+      autoInviteThreshold: 70,
+      autoCreateScreeningThreshold: null,
+    })).toEqual({ ok: true, errors: [] });
+
+    const result = validateAutomationSettings({
+      autoInviteOnLevel1Approval: 'yes',
+      autoInviteThreshold: 120,
+      autoCreateScreeningThreshold: '60',
+    });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toHaveLength(3);
+  });
+
+  test('should do nothing on approval when auto-invite is off', async () => {
+    const job = { settings: { autoInviteOnLevel1Approval: false, autoInviteThreshold: 70 } };
+    await expect(autoInviteOnApproval({ unifiedScore: 90 }, job, { email: 'a@example.com' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  detectVideoType,
+  parseContentRange,
+  parseQuestionIndex,
+  getClipPlaybackUrl,
+  verifyPlaybackToken,
+} from '../src/lib/screeningVideos.js';
+
+describe('screeningVideos', () => {
+  test('should recognize WebM and MP4 files by their first bytes', () => {
+    const webm = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0xf7, 0x81]);
+    const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypisom')]);
+
+    expect(detectVideoType(webm)).toBe('video/webm');
+    expect(detectVideoType(mp4)).toBe('video/mp4');
+    expect(detectVideoType(Buffer.from('%PDF-1.7 ....'))).toBeNull();
+    expect(detectVideoType(Buffer.alloc(0))).toBeNull();
+  });
+
+  test('should parse Content-Range headers of upload chunks', () => {
+    expect(parseContentRange('bytes 0-1048575/5242880')).toEqual({ start: 0, end: 1048575, total: 5242880 });
+    expect(parseContentRange('bytes 10-5/100')).toBeNull();
+    expect(parseContentRange('bytes 0-100/100')).toBeNull();
+    expect(parseContentRange('bytes */100')).toBeNull();
+    expect(parseContentRange(undefined)).toBeNull();
+  });
+
+  test('should only accept indexes of existing questions', () => {
+    const screening = { screening_questions: [{ text: 'A' }, { text: 'B' }] };
+    expect(parseQuestionIndex(screening, '1')).toBe(1);
+    expect(parseQuestionIndex(screening, '2')).toBeNull();
+    expect(parseQuestionIndex(screening, '-1')).toBeNull();
+    expect(parseQuestionIndex(screening, '0.5')).toBeNull();
+  });
+
+  test('should sign playback links to local clips for one question only', async () => {
+    const screening = { _id: '665f1c2b9d3e4a0012345678', orgId: '665f1c2b9d3e4a0087654321' };
+    const clip = { questionIndex: 1, location: '/srv/tmp_uploads/screening-videos/answer.webm' };
+
+    const { playbackUrl, expiresAt } = await getClipPlaybackUrl(screening, clip, 'http://localhost:3000');
+    expect(playbackUrl).toMatch(/^http:\/\/localhost:3000\/api\/screenings\/665f1c2b9d3e4a0012345678\/questions\/1\/video\/stream\?token=/);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const token = new URL(playbackUrl).searchParams.get('token');
+    expect(verifyPlaybackToken(token, screening._id, 1)).toEqual({ ok: true, orgId: screening.orgId });
+    expect(verifyPlaybackToken(token, screening._id, 0).ok).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// Poll often so the worker picks up tasks made due by a test without waiting 2s
+process.env.TASK_POLL_INTERVAL_MS = '10';
+
+const {
+  enqueueTask,
+  getRetryDelayMs,
+  registerTaskHandler,
+  startTaskWorker,
+  stopTaskWorker,
+} = await import('../src/lib/taskQueue.js');
+const { default: BackgroundTask } = await import('../src/models/BackgroundTask.js');
+
+const TEST_TASK = 'test_task';
+
+/**
+ * Whether a stored task matches a query (only the operators the queue uses)
+ */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(branch => matches(doc, branch));
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$in') return operand.includes(value);
+        if (operator === '$exists') return (value !== undefined) === operand;
+        if (operator === '$lt') return value !== undefined && value < operand;
+        if (operator === '$lte') return value !== undefined && value <= operand;
+        throw new Error(`Unsupported operator ${operator}`);
+      });
+    }
+    return String(value) === String(condition);
+  });
+}
+
+function applyUpdate(doc, { $set = {}, $inc = {}, $unset = {} }) {
+  Object.assign(doc, $set);
+  for (const [field, amount] of Object.entries($inc)) doc[field] = (doc[field] || 0) + amount;
+  for (const field of Object.keys($unset)) delete doc[field];
+}
+
+/**
+ * In-memory stand-in for the backgroundtasks collection that enforces BackgroundTask's unique indexes
+ */
+function createTaskStore() {
+  const uniqueIndexes = BackgroundTask.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), partialFilter: options.partialFilterExpression }));
+  const docs = [];
+  const indexKey = (doc, fields) => fields.map(field => String(doc[field])).join('|');
+
+  return {
+    docs,
+    async insertOne(doc) {
+      // Let a concurrent enqueue run up to its own insert first
+      await new Promise(resolve => setImmediate(resolve));
+      for (const { fields, partialFilter } of uniqueIndexes) {
+        if (!matches(doc, partialFilter)) continue;
+        if (docs.some(existing => matches(existing, partialFilter) && indexKey(existing, fields) === indexKey(doc, fields))) {
+          throw Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            keyPattern: Object.fromEntries(fields.map(field => [field, 1])),
+          });
+        }
+      }
+      docs.push(doc);
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    async findOne(filter) {
+      const doc = docs.find(existing => matches(existing, filter));
+      return doc ? { ...doc } : null;
+    },
+    async findOneAndUpdate(filter, update) {
+      const doc = docs.filter(existing => matches(existing, filter)).sort((a, b) => a.runAt - b.runAt)[0];
+      if (!doc) return null;
+      applyUpdate(doc, update);
+      return { ...doc };
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find(existing => matches(existing, filter));
+      if (doc) applyUpdate(doc, update);
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+  };
+}
+
+/**
+ * Resolve once the condition holds (the worker runs on its own timers)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the task queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('taskQueue', () => {
+  test('should double the retry delay after each failed attempt', () => {
+    // Default base delay is 30s
+    expect(getRetryDelayMs(1)).toBe(30 * 1000);
+    expect(getRetryDelayMs(2)).toBe(60 * 1000);
+    expect(getRetryDelayMs(3)).toBe(120 * 1000);
+  });
+
+  test('should cap the retry delay', () => {
+    expect(getRetryDelayMs(20)).toBe(60 * 60 * 1000);
+  });
+});
+
+describe('task worker', () => {
+  let store;
+  let handler;
+  let onFailure;
+  const spies = [];
+
+  beforeEach(() => {
+    store = createTaskStore();
+    handler = jest.fn().mockResolvedValue();
+    onFailure = jest.fn().mockResolvedValue();
+    registerTaskHandler(TEST_TASK, handler, { onFailure });
+    spies.push(
+      jest.spyOn(BackgroundTask.collection, 'insertOne').mockImplementation(store.insertOne),
+      jest.spyOn(BackgroundTask, 'findOne').mockImplementation(store.findOne),
+      jest.spyOn(BackgroundTask, 'findOneAndUpdate').mockImplementation(store.findOneAndUpdate),
+      jest.spyOn(BackgroundTask, 'updateOne').mockImplementation(store.updateOne),
+    );
+  });
+
+  afterEach(() => {
+    stopTaskWorker();
+    spies.splice(0).forEach(spy => spy.mockRestore());
+  });
+
+  test('should run due tasks under a lease and leave tasks that are not due yet', async () => {
+    let storedDuringRun;
+    handler.mockImplementation(async () => {
+      storedDuringRun = { ...store.docs[0] };
+    });
+    await enqueueTask(TEST_TASK, { n: 1 });
+    await enqueueTask(TEST_TASK, { n: 2 }, { runAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    startTaskWorker();
+    await waitFor(() => store.docs[0].status === 'completed');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0]).toEqual({ n: 1 });
+    expect(storedDuringRun).toMatchObject({ status: 'running', attempts: 1, lockedBy: expect.any(String) });
+    expect(storedDuringRun.leaseExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    // The lease is released once the outcome is recorded
+    expect(store.docs[0]).not.toHaveProperty('lockedBy');
+    expect(store.docs[0]).not.toHaveProperty('leaseExpiresAt');
+    expect(store.docs[1]).toMatchObject({ status: 'pending', attempts: 0 });
+  });
+
+  test('should retry a failed attempt with backoff and mark the task failed after the last attempt', async () => {
+    handler.mockRejectedValue(new Error('LLM timed out'));
+    await enqueueTask(TEST_TASK, {}, { maxAttempts: 2 });
+    const task = store.docs[0];
+
+    startTaskWorker();
+    await waitFor(() => task.attempts === 1 && task.status === 'pending');
+    expect(task.lastError).toBe('LLM timed out');
+    expect(task.runAt.getTime() - Date.now()).toBeGreaterThan(getRetryDelayMs(1) - 1000);
+    expect(onFailure).not.toHaveBeenCalled();
+
+    // Once the backoff has passed the task runs again
+    task.runAt = new Date(Date.now() - 1);
+    await waitFor(() => task.status === 'failed');
+    expect(task.attempts).toBe(2);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(onFailure).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reclaim a running task whose lease expired, but not one whose lease is still held', async () => {
+    const running = (leaseExpiresAt) => ({
+      _id: new mongoose.Types.ObjectId(),
+      type: TEST_TASK,
+      payload: {},
+      status: 'running',
+      attempts: 1,
+      maxAttempts: 5,
+      runAt: new Date(Date.now() - 60 * 1000),
+      lockedBy: 'other-worker',
+      leaseExpiresAt,
+    });
+    const abandoned = running(new Date(Date.now() - 1000));
+    const held = running(new Date(Date.now() + 60 * 1000));
+    store.docs.push(abandoned, held);
+
+    startTaskWorker();
+    await waitFor(() => abandoned.status === 'completed');
+
+    expect(abandoned.attempts).toBe(2);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(held).toMatchObject({ status: 'running', attempts: 1, lockedBy: 'other-worker' });
+  });
+
+  test('should queue a key once, even when it is enqueued twice at the same time', async () => {
+    const [first, second] = await Promise.all([
+      enqueueTask(TEST_TASK, {}, { key: 'application_scoring:1' }),
+      enqueueTask(TEST_TASK, {}, { key: 'application_scoring:1' }),
+    ]);
+
+    expect(String(second._id)).toBe(String(first._id));
+    expect(store.docs).toHaveLength(1);
+
+    // Once the task has finished the key can be queued again
+    store.docs[0].status = 'completed';
+    await enqueueTask(TEST_TASK, {}, { key: 'application_scoring:1' });
+    expect(store.docs).toHaveLength(2);
+  });
+});
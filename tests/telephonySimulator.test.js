@@ -0,0 +1,106 @@
+import http from 'http';
+import PhoneInterview from '../src/models/PhoneInterview.js';
+import { TELEPHONY_SIMULATOR_CONFIG, simulateNextCall, resetSimulator } from '../src/lib/telephonySimulator.js';
+import { verifyWebhookSignature } from '../src/lib/blandWebhooks.js';
+import { formatStartTime } from '../src/lib/timeZones.js';
+
+// The provider is chosen when telephony.js loads
+process.env.TELEPHONY_PROVIDER = 'simulator';
+const { makeBlandAICall, getCallStatus, stopCall } = await import('../src/lib/blandAi.js');
+const { applyCallUpdate } = await import('../src/lib/phoneInterviews.js');
+
+const SECRET = 'simulator-test-secret';
+const PHONE_NUMBER = '+919876543210';
+
+describe('telephonySimulator', () => {
+  let server;
+  const deliveries = [];
+
+  beforeAll(async () => {
+    process.env.BLAND_WEBHOOK_SECRET = SECRET;
+    Object.assign(TELEPHONY_SIMULATOR_CONFIG, { stepMs: 5, callMs: 20 });
+
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const rawBody = Buffer.concat(chunks);
+        deliveries.push({ rawBody, signature: req.headers['x-webhook-signature'], body: JSON.parse(rawBody) });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.WEBHOOK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    resetSimulator();
+    delete process.env.BLAND_WEBHOOK_SECRET;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const placeCall = (options = {}) => makeBlandAICall({
+    phoneNumber: PHONE_NUMBER,
+    candidateName: 'Jane',
+    user: { name: 'Jane', tags: ['node'] },
+    questions: [{ text: 'How would you design a rate limiter?' }, { text: 'Tell me about a production incident.' }],
+    phoneInterviewId: '507f1f77bcf86cd799439099',
+    userId: '507f1f77bcf86cd799439011',
+    ...options,
+  });
+
+  // Webhook bodies of a call, once it reports one of the final statuses
+  async function waitForEnd(callId, finalStatuses) {
+    for (let i = 0; i < 200; i++) {
+      const bodies = deliveries.filter(delivery => delivery.body.call_id === callId).map(delivery => delivery.body);
+      if (bodies.some(body => finalStatuses.includes(body.status))) return bodies;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Call ${callId} did not end`);
+  }
+
+  test('should walk an answered call to completion with a transcript of the questions', async () => {
+    const { callId } = await placeCall();
+
+    const bodies = await waitForEnd(callId, ['completed']);
+    expect(bodies.map(body => body.status)).toEqual(['ringing', 'in-progress', 'completed']);
+    for (const delivery of deliveries.filter(d => d.body.call_id === callId)) {
+      expect(verifyWebhookSignature(delivery.rawBody, delivery.signature, { secret: SECRET }).ok).toBe(true);
+    }
+
+    const interview = new PhoneInterview({ userId: '507f1f77bcf86cd799439011', callId, status: 'ringing' });
+    const results = bodies.map(body => applyCallUpdate(interview, body));
+    expect(results.map(result => result.completedNow)).toEqual([false, false, true]);
+    expect(interview.status).toBe('completed');
+    expect(interview.transcript).toContain('Interviewer: How would you design a rate limiter?');
+    expect(interview.transcript).toContain('Candidate: Sure. On "Tell me about a production incident."');
+    expect(interview.duration).toBeGreaterThan(0);
+    expect((await getCallStatus(callId)).recording_url).toContain(callId);
+  });
+
+  test('should end calls the way it was told to', async () => {
+    simulateNextCall('voicemail', { phoneNumber: PHONE_NUMBER });
+    simulateNextCall('api_error');
+
+    const { callId } = await placeCall();
+    const bodies = await waitForEnd(callId, ['voicemail']);
+    const interview = new PhoneInterview({ userId: '507f1f77bcf86cd799439011', callId, status: 'ringing' });
+    expect(bodies.map(body => applyCallUpdate(interview, body).unreachedNow)).toEqual([false, true]);
+    expect(interview.status).toBe('no_answer');
+
+    await expect(placeCall()).rejects.toThrow('Simulated API failure');
+    expect(() => simulateNextCall('hang_up')).toThrow('outcome must be one of');
+  });
+
+  test('should hold scheduled calls until their start time and stop them', async () => {
+    const startTime = formatStartTime(new Date(Date.now() + 60 * 60 * 1000), 'Asia/Kolkata');
+
+    const { callId } = await placeCall({ startTime });
+    expect((await getCallStatus(callId)).status).toBe('scheduled');
+
+    await stopCall(callId);
+    expect((await getCallStatus(callId)).status).toBe('canceled');
+    await expect(stopCall(callId)).rejects.toThrow('already ended');
+    await expect(getCallStatus('unknown-call')).rejects.toThrow('404');
+  });
+});